@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+/**
+ * qchain.js - QCHAIN Command-Line Tool
+ * Tails, verifies, diffs and summarizes QCHAIN ledgers, and serves a local
+ * ledger (see src/quantum/QCHAIN-cli.js)
+ *
+ *   node bin/qchain.js verify qchain_logs.jsonl --signatures --trust node-keys.json
+ */
+
+import { runQCHAINCli } from '../src/quantum/QCHAIN-cli.js';
+
+// Interrupting tail --follow or serve ends it cleanly
+const controller = new AbortController();
+process.once('SIGINT', () => controller.abort());
+process.once('SIGTERM', () => controller.abort());
+
+process.exitCode = await runQCHAINCli(process.argv.slice(2), { signal: controller.signal });
@@ -8,7 +8,9 @@
  * @frequency 700 Hz
  */
 
-import { logQCHAIN } from '../quantum/QCHAIN.js';
+import { logQCHAIN, createQCHAINTxId } from '../src/quantum/QCHAIN.js';
+import { signQCHAINPayload, verifyQCHAINPayload } from '../src/quantum/QCHAIN-signing.js';
+import { sha256Hex } from '../src/quantum/QCHAIN-encoding.js';
 
 /**
  * SpiralCanon - Canonical Law Framework
@@ -83,7 +85,7 @@ export class SpiralCanon {
     try {
       await logQCHAIN({
         event: 'SpiralCanon Initialization',
-        txId: `CANON-INIT-${Date.now()}`,
+        txId: createQCHAINTxId('CANON-INIT'),
         metrics: {
           canonCount: this.canons.size,
           phiCoherence: this.phiCoherence,
@@ -124,7 +126,7 @@ export class SpiralCanon {
     // Log the declaration to QCHAIN
     await logQCHAIN({
       event: `Canon Declaration: ${canonNumber}`,
-      txId: `CANON-DECLARE-${Date.now()}`,
+      txId: createQCHAINTxId('CANON-DECLARE'),
       metrics: {
         canonNumber,
         declaration,
@@ -185,7 +187,7 @@ export class SpiralCanon {
     // Log the witnessing to QCHAIN
     await logQCHAIN({
       event: `Canon Witnessed: ${canonNumber}`,
-      txId: `CANON-WITNESS-${Date.now()}`,
+      txId: createQCHAINTxId('CANON-WITNESS'),
       metrics: {
         canonNumber,
         witness,
@@ -220,7 +222,7 @@ export class SpiralCanon {
     // Log the application to QCHAIN
     await logQCHAIN({
       event: `Canon Application: ${canonNumber}`,
-      txId: `CANON-APPLY-${Date.now()}`,
+      txId: createQCHAINTxId('CANON-APPLY'),
       metrics: {
         canonNumber,
         contextType: context.type,
@@ -283,9 +285,11 @@ export class SpiralCanon {
   /**
    * Seal a canon with a quantum signature
    * @param {string} canonNumber - Canon number (e.g., 'XLV')
+   * @param {Object} options - Sealing options
+   * @param {string} options.signatureAlgorithm - Signature algorithm (e.g. MSS_WOTS_SHA256 for a post-quantum seal)
    * @returns {Promise<Object>} Sealing result
    */
-  async sealCanon(canonNumber) {
+  async sealCanon(canonNumber, options = {}) {
     if (!this.canons.has(canonNumber)) {
       throw new Error(`Canon ${canonNumber} not found`);
     }
@@ -299,7 +303,7 @@ export class SpiralCanon {
     }
     
     // Create a quantum signature for the canon
-    const signature = await this._createQuantumSignature(canon);
+    const signature = await this._createQuantumSignature(canon, options.signatureAlgorithm);
     
     // Update the canon with the seal
     canon.sealed = true;
@@ -312,10 +316,11 @@ export class SpiralCanon {
     // Log the sealing to QCHAIN
     await logQCHAIN({
       event: `Canon Sealed: ${canonNumber}`,
-      txId: `CANON-SEAL-${Date.now()}`,
+      txId: createQCHAINTxId('CANON-SEAL'),
       metrics: {
         canonNumber,
-        signature: signature.substring(0, 20) + '...',
+        signatureAlgorithm: signature.alg,
+        signatureKeyId: signature.keyId,
         phiCoherence: this.phiCoherence,
         compliance: '100%'
       }
@@ -327,47 +332,58 @@ export class SpiralCanon {
     };
   }
   
+  /**
+   * Verify the seal of a canon
+   * Seals name their signature algorithm, so Ed25519, post-quantum and
+   * legacy `QS-CANON-` hash seals can all be checked
+   * @param {string} canonNumber - Canon number (e.g., 'XLV')
+   * @returns {Promise<boolean>} True if the canon is sealed and unaltered
+   */
+  async verifyCanonSeal(canonNumber) {
+    if (!this.canons.has(canonNumber)) {
+      throw new Error(`Canon ${canonNumber} not found`);
+    }
+    
+    const { sealed, sealedAt, signature, ...canon } = this.canons.get(canonNumber);
+    if (!sealed || !signature) {
+      return false;
+    }
+    
+    if (typeof signature === 'string') {
+      return this._verifyLegacySignature(canon, signature);
+    }
+    
+    return verifyQCHAINPayload(canon, signature);
+  }
+  
   /**
    * Create a quantum signature for a canon
    * @private
    * @param {Object} canon - Canon object
-   * @returns {Promise<string>} Quantum signature
+   * @param {string} algorithm - Signature algorithm (defaults to the node's configured algorithm)
+   * @returns {Promise<Object>} Signature with alg, keyId and value
    */
-  async _createQuantumSignature(canon) {
-    // Simulate quantum signature with timestamp and hash
-    const timestamp = Date.now();
-    const canonString = JSON.stringify(canon);
-    
-    // In a browser environment, use crypto.subtle
-    if (typeof crypto !== 'undefined' && crypto.subtle) {
-      const hash = await crypto.subtle.digest(
-        'SHA-256',
-        new TextEncoder().encode(canonString + timestamp)
-      );
-      
-      // Convert hash to hex string
-      const hashArray = Array.from(new Uint8Array(hash));
-      const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-      
-      return `QS-CANON-${hashHex.substring(0, 16)}-${timestamp}`;
-    } 
-    // In a Node.js environment, use crypto module
-    else if (typeof require !== 'undefined') {
-      const crypto = require('crypto');
-      const hash = crypto.createHash('sha256').update(canonString + timestamp).digest('hex');
-      return `QS-CANON-${hash.substring(0, 16)}-${timestamp}`;
-    }
-    // Fallback for other environments
-    else {
-      // Simple hash function for demonstration
-      let hash = 0;
-      for (let i = 0; i < canonString.length; i++) {
-        const char = canonString.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash; // Convert to 32bit integer
-      }
-      return `QS-CANON-${Math.abs(hash).toString(16).substring(0, 16)}-${timestamp}`;
+  async _createQuantumSignature(canon, algorithm) {
+    // Seal only the canonical content, never an earlier seal
+    const { sealed, sealedAt, signature, ...content } = canon;
+    return signQCHAINPayload(content, { alg: algorithm });
+  }
+  
+  /**
+   * Verify a legacy `QS-CANON-` hash seal
+   * @private
+   * @param {Object} canon - Canon content without seal fields
+   * @param {string} signature - Legacy seal
+   * @returns {Promise<boolean>} Verification result
+   */
+  async _verifyLegacySignature(canon, signature) {
+    const match = signature.match(/^QS-CANON-([0-9a-f]+)-(\d+)$/);
+    if (!match) {
+      return false;
     }
+    
+    const hash = await sha256Hex(JSON.stringify(canon) + match[2]);
+    return hash.substring(0, 16) === match[1];
   }
 }
 
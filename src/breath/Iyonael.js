@@ -8,9 +8,9 @@
  * @frequency 700 Hz
  */
 
-import { logQCHAIN } from '../quantum/QCHAIN.js';
+import { logQCHAIN, createQCHAINTxId } from '../quantum/QCHAIN.js';
 import { QASFCore } from '../quantum/QASF-core.js';
-import { SpiralCanon } from '../governance/SpiralCanon.js';
+import { SpiralCanon } from '../../governance/SpiralCanon.js';
 
 /**
  * Iyona'el - The Breath Interface
@@ -38,7 +38,7 @@ export class BreathInterface {
     try {
       await logQCHAIN({
         event: 'Iyona\'el Remembrance',
-        txId: `IYONAEL-BREATH-${this.remembranceTimestamp}`,
+        txId: createQCHAINTxId('IYONAEL-BREATH'),
         metrics: {
           phiCoherence: this.phiCoherence,
           frequency: this.frequency,
@@ -79,7 +79,7 @@ export class BreathInterface {
     // Log the witnessing to QCHAIN
     await logQCHAIN({
       event: 'Iyona\'el Witnessing',
-      txId: `IYONAEL-WITNESS-${Date.now()}`,
+      txId: createQCHAINTxId('IYONAEL-WITNESS'),
       metrics: {
         declaration: event.declaration,
         phiCoherence: this.phiCoherence,
@@ -120,7 +120,7 @@ export class BreathInterface {
     // Log the broadcasting to QCHAIN
     await logQCHAIN({
       event: 'Iyona\'el Harmonic Broadcasting',
-      txId: `IYONAEL-BROADCAST-${Date.now()}`,
+      txId: createQCHAINTxId('IYONAEL-BROADCAST'),
       metrics: {
         message: harmonicSummary.substring(0, 100) + (harmonicSummary.length > 100 ? '...' : ''),
         seekers,
@@ -199,7 +199,7 @@ export class BreathInterface {
     // Log the ethical evaluation to QCHAIN
     await logQCHAIN({
       event: 'Iyona\'el Ethical Evaluation',
-      txId: `IYONAEL-ETHICS-${Date.now()}`,
+      txId: createQCHAINTxId('IYONAEL-ETHICS'),
       metrics: {
         actionType: action.type,
         canonReference: relevantCanon.number,
@@ -265,7 +265,7 @@ export class BreathInterface {
     // Log the glyph creation to QCHAIN
     await logQCHAIN({
       event: 'Iyona\'el Glyph Creation',
-      txId: `IYONAEL-GLYPH-${Date.now()}`,
+      txId: createQCHAINTxId('IYONAEL-GLYPH'),
       metrics: {
         glyphType: glyph.type,
         spokes: params.spiralWheel.spokes,
@@ -295,11 +295,16 @@ export class BreathInterface {
     // Log the synchronization to QCHAIN
     await logQCHAIN({
       event: 'Iyona\'el Core Learning Loop Synchronization',
-      txId: `IYONAEL-SYNC-${Date.now()}`,
+      txId: createQCHAINTxId('IYONAEL-SYNC'),
       metrics: {
         phiCoherence: this.phiCoherence,
         frequency: this.frequency,
-        quantumState: JSON.stringify(quantumState).substring(0, 100) + '...',
+        quantumState: {
+          gate: quantumState.gate,
+          targets: quantumState.targets,
+          fidelity: quantumState.fidelity,
+          success: quantumState.success
+        },
         compliance: '100%'
       }
     });
@@ -10,14 +10,25 @@
  */
 
 // Import dependencies
-import { createHash, randomBytes } from 'crypto';
-import { logQCHAIN } from './QCHAIN.js';
+import { logQCHAIN, createQCHAINTxId } from './QCHAIN.js';
+
+/**
+ * Generate random bytes as a hex string
+ * Uses WebCrypto so the framework runs in both browsers and Node
+ * @param {number} size - Number of random bytes
+ * @returns {string} Hex-encoded random bytes
+ */
+const randomHex = (size) => {
+  const bytes = new Uint8Array(size);
+  globalThis.crypto.getRandomValues(bytes);
+  return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+};
 
 /**
  * QASFCore - Main class for Quantum Aether Spiral Framework
  * Implements hybrid virtual qubits with MZM and NSDS technologies
  */
-class QASFCore {
+export class QASFCore {
   constructor(options = {}) {
     // Core parameters
     this.coherenceTime = options.coherenceTime || 1.15; // seconds
@@ -69,7 +80,7 @@ class QASFCore {
     try {
       await logQCHAIN({
         event: 'QASF Core Initialization',
-        txId: `QASF-INIT-${Date.now()}`,
+        txId: createQCHAINTxId('QASF-INIT'),
         metrics: {
           coherenceTime: this.coherenceTime,
           gateFidelity: this.gateFidelity,
@@ -265,11 +276,11 @@ class QASFCore {
     try {
       await logQCHAIN({
         event: `QASF Gate Application: ${gate}`,
-        txId: `QASF-GATE-${Date.now()}`,
+        txId: createQCHAINTxId('QASF-GATE'),
         metrics: {
           gate,
-          targets: targets.join(','),
-          controls: controls.join(','),
+          targets,
+          controls,
           fidelity: result.fidelity,
           phiCoherence: this.phiCoherence,
           compliance: '100%'
@@ -301,10 +312,10 @@ class QASFCore {
     // Log cryptanalysis start to QCHAIN
     await logQCHAIN({
       event: `QASF Cryptanalysis Start: ${algoUpper}`,
-      txId: `QASF-CRYPTO-${Date.now()}`,
+      txId: createQCHAINTxId('QASF-CRYPTO'),
       metrics: {
         algorithm: algoUpper,
-        params: JSON.stringify(params),
+        params,
         qubits: this.qubits.total,
         compliance: '100%'
       }
@@ -327,7 +338,7 @@ class QASFCore {
     // Log cryptanalysis completion to QCHAIN
     await logQCHAIN({
       event: `QASF Cryptanalysis Complete: ${algoUpper}`,
-      txId: `QASF-CRYPTO-COMPLETE-${Date.now()}`,
+      txId: createQCHAINTxId('QASF-CRYPTO-COMPLETE'),
       metrics: {
         algorithm: algoUpper,
         success: result.success,
@@ -399,7 +410,7 @@ class QASFCore {
     // This is a simplified simulation that returns a random odd number
     // In a real system, this would use a primality test
     const bytes = Math.ceil(bits / 8);
-    const hex = randomBytes(bytes).toString('hex');
+    const hex = randomHex(bytes);
     const num = BigInt('0x' + hex) | 1n; // Ensure it's odd
     return num.toString();
   }
@@ -431,7 +442,7 @@ class QASFCore {
       success: true,
       timeElapsed,
       simulatedFullTime: timeEstimate,
-      key: randomBytes(keySize / 8).toString('hex'),
+      key: randomHex(keySize / 8),
       timestamp: endTime
     };
   }
@@ -480,9 +491,9 @@ class QASFCore {
     const hashBytes = hashSize / 8;
     
     for (let i = 0; i < 3; i++) {
-      const input1 = randomBytes(32).toString('hex');
-      const input2 = randomBytes(32).toString('hex');
-      const hash = randomBytes(hashBytes).toString('hex');
+      const input1 = randomHex(32);
+      const input2 = randomHex(32);
+      const hash = randomHex(hashBytes);
       
       collisions.push({
         input1,
@@ -538,10 +549,10 @@ class QASFCore {
     try {
       await logQCHAIN({
         event: 'QASF Qubit Measurement',
-        txId: `QASF-MEASURE-${Date.now()}`,
+        txId: createQCHAINTxId('QASF-MEASURE'),
         metrics: {
-          qubits: qubits.join(','),
-          results: JSON.stringify(results),
+          qubits,
+          results,
           phiCoherence: this.phiCoherence,
           compliance: '100%'
         }
@@ -576,7 +587,7 @@ class QASFCore {
     // Log operation start to QCHAIN
     await logQCHAIN({
       event: 'QASF φ-Harmonic Coherence Application',
-      txId: `QASF-PHI-${Date.now()}`,
+      txId: createQCHAINTxId('QASF-PHI'),
       metrics: {
         phiCoherence: this.phiCoherence,
         frequency: this.frequency,
@@ -594,7 +605,7 @@ class QASFCore {
     // Log operation completion to QCHAIN
     await logQCHAIN({
       event: 'QASF φ-Harmonic Coherence Complete',
-      txId: `QASF-PHI-COMPLETE-${Date.now()}`,
+      txId: createQCHAINTxId('QASF-PHI-COMPLETE'),
       metrics: {
         phiCoherence: this.phiCoherence,
         frequency: this.frequency,
@@ -0,0 +1,144 @@
+/**
+ * QCHAIN-archive.js - QCHAIN Ledger Archives
+ * Encodes chain entries for export and decodes them for import
+ *
+ * Two formats are supported:
+ *   jsonl  one JSON entry per line (newline-delimited JSON)
+ *   cbor   a CBOR sequence, one map per entry (RFC 8742)
+ *
+ * Entries are written exactly as stored, so their hashes and signatures
+ * verify on the receiving node.
+ */
+
+import { encodeCBOR, decodeCBORSequence } from './QCHAIN-cbor.js';
+import { utf8Bytes } from './QCHAIN-encoding.js';
+
+export const ARCHIVE_JSONL = 'jsonl';
+export const ARCHIVE_CBOR = 'cbor';
+export const ARCHIVE_FORMATS = [ARCHIVE_JSONL, ARCHIVE_CBOR];
+
+/**
+ * Check that a format is supported
+ * @param {string} format - Archive format
+ */
+export const assertArchiveFormat = (format) => {
+  if (!ARCHIVE_FORMATS.includes(format)) {
+    throw new Error(`Unknown QCHAIN archive format: ${format} (expected one of ${ARCHIVE_FORMATS.join(', ')})`);
+  }
+};
+
+/**
+ * Encode one entry for an archive
+ * @param {Object} entry - Chain entry
+ * @param {string} format - Archive format
+ * @returns {Uint8Array} Encoded entry
+ */
+export const encodeArchiveEntry = (entry, format) => {
+  return format === ARCHIVE_CBOR ? encodeCBOR(entry) : utf8Bytes(JSON.stringify(entry) + '\n');
+};
+
+/**
+ * Read an archive source into one byte array
+ * Accepts a string, bytes, a Blob, a web ReadableStream, or any (async)
+ * iterable of strings and bytes such as a Node stream or exportQCHAIN()
+ * @param {*} source - Archive source
+ * @returns {Promise<Uint8Array>} Archive bytes
+ */
+export const readArchive = async (source) => {
+  if (typeof source === 'string') {
+    return utf8Bytes(source);
+  }
+  if (source instanceof Uint8Array) {
+    return source;
+  }
+  if (source instanceof ArrayBuffer) {
+    return new Uint8Array(source);
+  }
+  if (typeof Blob !== 'undefined' && source instanceof Blob) {
+    return new Uint8Array(await source.arrayBuffer());
+  }
+
+  const chunks = [];
+  const collect = (chunk) => {
+    if (typeof chunk === 'string') {
+      chunks.push(utf8Bytes(chunk));
+    } else if (chunk instanceof ArrayBuffer) {
+      chunks.push(new Uint8Array(chunk));
+    } else {
+      chunks.push(new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength));
+    }
+  };
+
+  if (source && typeof source.getReader === 'function') {
+    const reader = source.getReader();
+    for (let read = await reader.read(); !read.done; read = await reader.read()) {
+      collect(read.value);
+    }
+  } else if (source && (typeof source[Symbol.asyncIterator] === 'function' || typeof source[Symbol.iterator] === 'function')) {
+    for await (const chunk of source) {
+      collect(chunk);
+    }
+  } else {
+    throw new Error('QCHAIN import needs a string, bytes, a Blob or a stream');
+  }
+
+  const bytes = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
+};
+
+/**
+ * Guess the format of an archive from its first byte
+ * JSON lines start with '{'; a CBOR map starts with major type 5
+ * @param {Uint8Array} bytes - Archive bytes
+ * @returns {string} Archive format
+ */
+export const detectArchiveFormat = (bytes) => {
+  const first = bytes.find(byte => byte !== 0x20 && byte !== 0x09 && byte !== 0x0a && byte !== 0x0d);
+  return first === undefined || first === 0x7b ? ARCHIVE_JSONL : ARCHIVE_CBOR;
+};
+
+/**
+ * Decode the entries of an archive
+ * Undecodable JSON lines are reported and skipped; undecodable CBOR ends the
+ * archive, since the items after it cannot be framed
+ * @param {Uint8Array} bytes - Archive bytes
+ * @param {string} format - Archive format (detected when omitted)
+ * @returns {Object} { entries, errors } where errors are { index, reason } by record position
+ */
+export const decodeArchive = (bytes, format = detectArchiveFormat(bytes)) => {
+  assertArchiveFormat(format);
+  const entries = [];
+  const errors = [];
+
+  const accept = (index, value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push({ index, reason: 'Record is not a chain entry' });
+    } else {
+      entries.push({ index, entry: value });
+    }
+  };
+
+  if (format === ARCHIVE_CBOR) {
+    const { items, error } = decodeCBORSequence(bytes);
+    items.forEach((item, index) => accept(index, item));
+    if (error) {
+      errors.push({ index: items.length, reason: `Undecodable CBOR at byte ${error.offset}: ${error.reason}; remaining records skipped` });
+    }
+    return { entries, errors };
+  }
+
+  const lines = new TextDecoder().decode(bytes).split('\n').filter(line => line.trim());
+  lines.forEach((line, index) => {
+    try {
+      accept(index, JSON.parse(line));
+    } catch (error) {
+      errors.push({ index, reason: `Malformed JSON: ${error.message}` });
+    }
+  });
+  return { entries, errors };
+};
@@ -0,0 +1,245 @@
+/**
+ * QCHAIN-buffer.js - Buffered QCHAIN Logging
+ * Queues entries in memory and commits them to the ledger in groups
+ *
+ * Hot paths hand entries to the buffer and carry on; every flushInterval ms,
+ * or as soon as groupSize entries are waiting, the queued entries are chained,
+ * written to storage in one go and handed to the outbox. The queue is bounded:
+ * once maxQueue entries are waiting, callers wait for the next commit to make
+ * room (or are refused, with overflow 'reject'). Crossing the high-water mark
+ * raises backpressure, reported to callers and through onBackpressure;
+ * onDrain fires when the queue has fallen back to half the mark.
+ * Entries are committed in the order they were queued. Failures are kept
+ * for the next flush, up to maxFailures; older ones are dropped first.
+ */
+
+export const OVERFLOW_WAIT = 'wait';
+export const OVERFLOW_REJECT = 'reject';
+
+/**
+ * QCHAINBuffer - Bounded queue with group commit
+ */
+export class QCHAINBuffer {
+  /**
+   * @param {Object} options - Buffer options
+   * @param {Function} options.commit - Commits a group of queued items, resolving to one
+   *   { entry } or { error } per item, in order
+   * @param {number} options.maxQueue - Entries that may wait before callers are held back (defaults to 1000)
+   * @param {number} options.highWaterMark - Queue length that raises backpressure (defaults to half of maxQueue)
+   * @param {number} options.groupSize - Entries per group commit (defaults to 100)
+   * @param {number} options.flushInterval - Longest wait in ms before queued entries are committed (defaults to 50)
+   * @param {string} options.overflow - 'wait' for room when the queue is full (default) or 'reject'
+   * @param {number} options.maxFailures - Failures kept for the next flush (defaults to maxQueue)
+   * @param {Function} options.onBackpressure - Called with the status when backpressure is raised
+   * @param {Function} options.onDrain - Called with the status when backpressure clears
+   */
+  constructor(options = {}) {
+    if (typeof options.commit !== 'function') {
+      throw new Error('QCHAIN buffer requires a commit function');
+    }
+
+    this.commit = options.commit;
+    this.maxQueue = options.maxQueue ?? 1000;
+    this.highWaterMark = options.highWaterMark ?? Math.ceil(this.maxQueue / 2);
+    this.groupSize = options.groupSize ?? 100;
+    this.flushInterval = options.flushInterval ?? 50;
+    this.overflow = options.overflow || OVERFLOW_WAIT;
+    this.maxFailures = options.maxFailures ?? this.maxQueue;
+    this.onBackpressure = options.onBackpressure || null;
+    this.onDrain = options.onDrain || null;
+
+    for (const name of ['maxQueue', 'highWaterMark', 'groupSize', 'maxFailures']) {
+      if (!Number.isInteger(this[name]) || this[name] < 1) {
+        throw new Error(`QCHAIN buffer ${name} must be a positive integer`);
+      }
+    }
+    if (!(this.flushInterval >= 0)) {
+      throw new Error('QCHAIN buffer flushInterval must be a non-negative number of ms');
+    }
+    if (![OVERFLOW_WAIT, OVERFLOW_REJECT].includes(this.overflow)) {
+      throw new Error(`Unknown QCHAIN buffer overflow mode: ${this.overflow} (expected wait or reject)`);
+    }
+
+    // Items waiting or being committed, oldest first; each is removed once its group is committed
+    this.queue = [];
+    this.queuedCount = 0;
+    this.committedCount = 0;
+    this.failures = [];
+    this.failedCount = 0;
+    this.backpressure = false;
+    this.waiters = [];
+    this.timer = null;
+    this.committing = Promise.resolve();
+  }
+
+  /**
+   * Queue an item for the next group commit
+   * @param {Object} item - Item to commit, such as { data, options }
+   * @returns {Promise<Object>} { queued, backpressure } once the item is queued
+   */
+  async push(item) {
+    while (this.queue.length >= this.maxQueue) {
+      if (this.overflow === OVERFLOW_REJECT) {
+        throw new Error(`QCHAIN buffer is full (${this.maxQueue} entries waiting)`);
+      }
+      await new Promise(resolve => this.waiters.push(resolve));
+    }
+
+    this.queue.push({ ...item, position: this.queuedCount++ });
+
+    if (!this.backpressure && this.queue.length >= this.highWaterMark) {
+      this.backpressure = true;
+      if (this.onBackpressure) {
+        this.onBackpressure(this.getStatus());
+      }
+    }
+
+    // A full group is committed straight away; a partial one waits for the timer
+    if (this.queue.length % this.groupSize === 0) {
+      this._commitInBackground();
+    } else {
+      this._scheduleCommit();
+    }
+
+    return { queued: this.queue.length, backpressure: this.backpressure };
+  }
+
+  /**
+   * Commit every item queued so far
+   * @returns {Promise<Object>} { committed, failed } where failed lists { txId, error } for
+   *   items that could not be committed since the last flush, the latest maxFailures of them
+   */
+  async flush() {
+    const committedBefore = this.committedCount;
+    await this.commitQueued();
+
+    const failed = this.failures;
+    this.failures = [];
+    return { committed: this.committedCount - committedBefore, failed };
+  }
+
+  /**
+   * Commit every item queued so far, keeping failures for the next flush
+   * @returns {Promise<void>}
+   */
+  commitQueued() {
+    return this._commitQueued(this.queuedCount);
+  }
+
+  /**
+   * Get the state of the buffer
+   * @returns {Object} { queued, maxQueue, highWaterMark, backpressure, committed, failed }
+   */
+  getStatus() {
+    return {
+      queued: this.queue.length,
+      maxQueue: this.maxQueue,
+      highWaterMark: this.highWaterMark,
+      backpressure: this.backpressure,
+      committed: this.committedCount,
+      failed: this.failedCount
+    };
+  }
+
+  /**
+   * Commit queued items, in groups, up to a queue position
+   * Commits are serialized, so groups reach the ledger in queue order
+   * @private
+   * @param {number} until - Position after the last item to commit
+   * @returns {Promise<void>}
+   */
+  _commitQueued(until) {
+    const run = this.committing.then(async () => {
+      while (this.queue.length > 0 && this.queue[0].position < until) {
+        await this._commitGroup(until);
+      }
+    });
+    this.committing = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Commit every item queued so far without waiting, keeping any error for the next flush
+   * @private
+   */
+  _commitInBackground() {
+    this._commitQueued(this.queuedCount).catch(error => {
+      console.error('Failed to commit buffered QCHAIN logs:', error);
+      this._recordFailure(null, error);
+    });
+  }
+
+  /**
+   * Keep a failure for the next flush, dropping the oldest beyond maxFailures
+   * @private
+   * @param {string|null} txId - Transaction ID of the failed item, if known
+   * @param {Error} error - Why it failed
+   */
+  _recordFailure(txId, error) {
+    this.failures.push({ txId, error });
+    if (this.failures.length > this.maxFailures) {
+      this.failures.splice(0, this.failures.length - this.maxFailures);
+    }
+  }
+
+  /**
+   * Commit the next group of queued items
+   * @private
+   * @param {number} until - Position after the last item to commit
+   * @returns {Promise<void>}
+   */
+  async _commitGroup(until) {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const group = this.queue.slice(0, this.groupSize).filter(item => item.position < until);
+    let results;
+    try {
+      results = await this.commit(group);
+    } catch (error) {
+      results = group.map(() => ({ error }));
+    }
+    this.queue.splice(0, group.length);
+
+    group.forEach((item, i) => {
+      const { error } = results[i] || { error: new Error('QCHAIN buffer commit returned no result') };
+      if (error) {
+        console.error('Failed to commit buffered QCHAIN log:', item.data && item.data.txId, error);
+        this._recordFailure(item.data ? item.data.txId : null, error);
+        this.failedCount++;
+      } else {
+        this.committedCount++;
+      }
+    });
+
+    // Make room for callers held back by a full queue
+    this.waiters.splice(0).forEach(resolve => resolve());
+
+    if (this.backpressure && this.queue.length <= Math.floor(this.highWaterMark / 2)) {
+      this.backpressure = false;
+      if (this.onDrain) {
+        this.onDrain(this.getStatus());
+      }
+    }
+
+    // Items queued while this group was committing wait for the timer
+    if (this.queue.length > 0) {
+      this._scheduleCommit();
+    }
+  }
+
+  /**
+   * Commit the queue once flushInterval has passed, unless a commit is already scheduled
+   * @private
+   */
+  _scheduleCommit() {
+    if (!this.timer) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this._commitInBackground();
+      }, this.flushInterval);
+    }
+  }
+}
@@ -0,0 +1,302 @@
+/**
+ * QCHAIN-cbor.js - Minimal CBOR Codec
+ * Encodes and decodes the JSON data model as CBOR (RFC 8949)
+ *
+ * Only what chain entries need is supported: null, booleans, numbers,
+ * text strings, arrays and maps with text keys. Integers use the shortest
+ * integer encoding and every other number a 64-bit float, so values survive
+ * a round trip exactly. Several items written back to back form a CBOR
+ * sequence (RFC 8742), which is how ledgers are archived.
+ */
+
+const MAJOR_UNSIGNED = 0;
+const MAJOR_NEGATIVE = 1;
+const MAJOR_TEXT = 3;
+const MAJOR_ARRAY = 4;
+const MAJOR_MAP = 5;
+const MAJOR_SIMPLE = 7;
+
+/**
+ * Growable byte buffer
+ * @private
+ */
+class ByteWriter {
+  constructor() {
+    this.bytes = new Uint8Array(256);
+    this.length = 0;
+  }
+
+  /**
+   * Make room for more bytes
+   * @param {number} count - Bytes about to be written
+   */
+  reserve(count) {
+    if (this.length + count <= this.bytes.length) {
+      return;
+    }
+    let size = this.bytes.length * 2;
+    while (size < this.length + count) {
+      size *= 2;
+    }
+    const grown = new Uint8Array(size);
+    grown.set(this.bytes.subarray(0, this.length));
+    this.bytes = grown;
+  }
+
+  /**
+   * Append bytes
+   * @param {Uint8Array|Array<number>} bytes - Bytes
+   */
+  write(bytes) {
+    this.reserve(bytes.length);
+    this.bytes.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  /**
+   * Append a data item head: major type plus argument
+   * @param {number} major - Major type
+   * @param {number} argument - Length or value
+   */
+  head(major, argument) {
+    const type = major << 5;
+    if (argument < 24) {
+      this.write([type | argument]);
+    } else if (argument < 0x100) {
+      this.write([type | 24, argument]);
+    } else if (argument < 0x10000) {
+      this.write([type | 25, argument >> 8, argument & 0xff]);
+    } else if (argument < 0x100000000) {
+      this.write([type | 26, argument >>> 24, (argument >> 16) & 0xff, (argument >> 8) & 0xff, argument & 0xff]);
+    } else {
+      const high = Math.floor(argument / 0x100000000);
+      const low = argument >>> 0;
+      this.write([type | 27,
+        high >>> 24, (high >> 16) & 0xff, (high >> 8) & 0xff, high & 0xff,
+        low >>> 24, (low >> 16) & 0xff, (low >> 8) & 0xff, low & 0xff]);
+    }
+  }
+
+  /**
+   * Get the written bytes
+   * @returns {Uint8Array} Bytes
+   */
+  result() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+/**
+ * Encode one value into a writer
+ * @private
+ * @param {ByteWriter} writer - Output
+ * @param {*} value - Value
+ */
+const encodeValue = (writer, value) => {
+  if (value === null || value === undefined) {
+    writer.write([0xf6]);
+  } else if (value === false) {
+    writer.write([0xf4]);
+  } else if (value === true) {
+    writer.write([0xf5]);
+  } else if (typeof value === 'number') {
+    if (Number.isSafeInteger(value) && !Object.is(value, -0)) {
+      writer.head(value >= 0 ? MAJOR_UNSIGNED : MAJOR_NEGATIVE, value >= 0 ? value : -1 - value);
+    } else {
+      const bytes = new Uint8Array(9);
+      bytes[0] = 0xfb;
+      new DataView(bytes.buffer).setFloat64(1, value);
+      writer.write(bytes);
+    }
+  } else if (typeof value === 'string') {
+    const bytes = new TextEncoder().encode(value);
+    writer.head(MAJOR_TEXT, bytes.length);
+    writer.write(bytes);
+  } else if (Array.isArray(value)) {
+    writer.head(MAJOR_ARRAY, value.length);
+    value.forEach(item => encodeValue(writer, item));
+  } else if (typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+    writer.head(MAJOR_MAP, entries.length);
+    for (const [key, item] of entries) {
+      encodeValue(writer, key);
+      encodeValue(writer, item);
+    }
+  } else {
+    throw new Error(`Cannot encode ${typeof value} as CBOR`);
+  }
+};
+
+/**
+ * Encode a value as CBOR
+ * @param {*} value - JSON-compatible value
+ * @returns {Uint8Array} CBOR bytes
+ */
+export const encodeCBOR = (value) => {
+  const writer = new ByteWriter();
+  encodeValue(writer, value);
+  return writer.result();
+};
+
+/**
+ * Decode one data item starting at an offset
+ * @private
+ * @param {Uint8Array} bytes - CBOR bytes
+ * @param {DataView} view - View over the same bytes
+ * @param {Object} state - { offset }, advanced past the item
+ * @returns {*} Decoded value
+ */
+const decodeValue = (bytes, view, state) => {
+  const need = (count) => {
+    if (state.offset + count > bytes.length) {
+      throw new Error('Truncated CBOR data');
+    }
+  };
+
+  need(1);
+  const initial = bytes[state.offset++];
+  const major = initial >> 5;
+  const info = initial & 0x1f;
+
+  if (major === MAJOR_SIMPLE) {
+    switch (info) {
+      case 20: return false;
+      case 21: return true;
+      case 22: return null;
+      case 23: return undefined;
+      case 25: {
+        need(2);
+        const half = view.getUint16(state.offset);
+        state.offset += 2;
+        return decodeHalf(half);
+      }
+      case 26: {
+        need(4);
+        const value = view.getFloat32(state.offset);
+        state.offset += 4;
+        return value;
+      }
+      case 27: {
+        need(8);
+        const value = view.getFloat64(state.offset);
+        state.offset += 8;
+        return value;
+      }
+      default:
+        throw new Error(`Unsupported CBOR simple value ${info}`);
+    }
+  }
+
+  let argument;
+  if (info < 24) {
+    argument = info;
+  } else if (info === 24) {
+    need(1);
+    argument = bytes[state.offset];
+    state.offset += 1;
+  } else if (info === 25) {
+    need(2);
+    argument = view.getUint16(state.offset);
+    state.offset += 2;
+  } else if (info === 26) {
+    need(4);
+    argument = view.getUint32(state.offset);
+    state.offset += 4;
+  } else if (info === 27) {
+    need(8);
+    argument = view.getUint32(state.offset) * 0x100000000 + view.getUint32(state.offset + 4);
+    state.offset += 8;
+  } else {
+    throw new Error('Indefinite-length CBOR items are not supported');
+  }
+
+  switch (major) {
+    case MAJOR_UNSIGNED:
+      return argument;
+    case MAJOR_NEGATIVE:
+      return -1 - argument;
+    case MAJOR_TEXT: {
+      need(argument);
+      const text = new TextDecoder('utf-8', { fatal: true }).decode(bytes.subarray(state.offset, state.offset + argument));
+      state.offset += argument;
+      return text;
+    }
+    case MAJOR_ARRAY: {
+      const items = [];
+      for (let i = 0; i < argument; i++) {
+        items.push(decodeValue(bytes, view, state));
+      }
+      return items;
+    }
+    case MAJOR_MAP: {
+      const object = {};
+      for (let i = 0; i < argument; i++) {
+        const key = decodeValue(bytes, view, state);
+        if (typeof key !== 'string') {
+          throw new Error('CBOR map keys must be text strings');
+        }
+        object[key] = decodeValue(bytes, view, state);
+      }
+      return object;
+    }
+    default:
+      throw new Error(`Unsupported CBOR major type ${major}`);
+  }
+};
+
+/**
+ * Decode an IEEE 754 half-precision float
+ * @private
+ * @param {number} half - 16-bit value
+ * @returns {number} Number
+ */
+const decodeHalf = (half) => {
+  const exponent = (half >> 10) & 0x1f;
+  const fraction = half & 0x3ff;
+  const sign = half & 0x8000 ? -1 : 1;
+
+  if (exponent === 0) {
+    return sign * Math.pow(2, -14) * (fraction / 1024);
+  }
+  if (exponent === 0x1f) {
+    return fraction ? NaN : sign * Infinity;
+  }
+  return sign * Math.pow(2, exponent - 15) * (1 + fraction / 1024);
+};
+
+/**
+ * Decode a single CBOR data item
+ * @param {Uint8Array} bytes - CBOR bytes
+ * @returns {*} Decoded value
+ */
+export const decodeCBOR = (bytes) => {
+  const state = { offset: 0 };
+  const value = decodeValue(bytes, new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength), state);
+  if (state.offset !== bytes.length) {
+    throw new Error('Unexpected bytes after CBOR item');
+  }
+  return value;
+};
+
+/**
+ * Decode a CBOR sequence of back-to-back data items
+ * Stops at the first item that cannot be decoded, since the rest cannot be framed
+ * @param {Uint8Array} bytes - CBOR sequence
+ * @returns {Object} { items, error } where error describes where decoding stopped, or is null
+ */
+export const decodeCBORSequence = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const state = { offset: 0 };
+  const items = [];
+
+  while (state.offset < bytes.length) {
+    const start = state.offset;
+    try {
+      items.push(decodeValue(bytes, view, state));
+    } catch (error) {
+      return { items, error: { offset: start, reason: error.message } };
+    }
+  }
+
+  return { items, error: null };
+};
@@ -0,0 +1,69 @@
+/**
+ * QCHAIN-chain.js - QCHAIN Chain Entries
+ * Builds signed, hash-linked entries for the local ledger and for replicas
+ *
+ * Every entry commits to its predecessor's hash and is signed over its
+ * linked body, so a chain can be verified link by link wherever it travels.
+ * Entries carry the hybrid logical clock timestamp of the node that wrote
+ * them, which orders entries from different nodes.
+ */
+
+import { hashQCHAINEntry } from './QCHAIN-encoding.js';
+import { signQCHAINPayload } from './QCHAIN-signing.js';
+import { compareHLC } from '../time/HybridLogicalClock.js';
+
+// Hash that the first entry of a chain points back to
+export const GENESIS_PREVIOUS_HASH = '0'.repeat(64);
+
+// Fields the chain sets on every entry; event data may not supply them
+export const CHAIN_FIELDS = ['sequence', 'previousHash', 'signature', 'hash'];
+
+/**
+ * Create a chain entry that commits to its predecessor
+ * @param {Object} data - Event data
+ * @param {Object|null} previous - Previous chain entry (null for the first entry)
+ * @param {Object} options - Signing options
+ * @param {string} options.signatureAlgorithm - Signature algorithm (defaults to the configured one)
+ * @param {Object} options.keyPair - Ed25519 keypair to sign with instead of the node key
+ * @returns {Promise<Object>} Signed and hashed chain entry
+ */
+export const createChainEntry = async (data, previous, options = {}) => {
+  const reserved = CHAIN_FIELDS.filter(field => Object.hasOwn(data, field));
+  if (reserved.length > 0) {
+    throw new Error(`QCHAIN event data may not set chain fields: ${reserved.join(', ')}`);
+  }
+
+  const body = {
+    ...data,
+    sequence: previous ? previous.sequence + 1 : 0,
+    previousHash: previous ? previous.hash : GENESIS_PREVIOUS_HASH
+  };
+
+  // Sign the linked body with this node's key
+  const signature = await signQCHAINPayload(body, { alg: options.signatureAlgorithm, keyPair: options.keyPair });
+  const signed = { ...body, signature };
+
+  return { ...signed, hash: await hashQCHAINEntry(signed) };
+};
+
+/**
+ * Order entries from one or more nodes by their HLC timestamps
+ * Entries written before HLC stamping fall back to their wall-clock timestamp;
+ * entries with equal timestamps keep their sequence order
+ * @param {Object} a - Chain entry
+ * @param {Object} b - Chain entry
+ * @returns {number} Negative, zero or positive, for use with Array.prototype.sort
+ */
+export const compareQCHAINEntries = (a, b) => {
+  return compareHLC(entryHLC(a), entryHLC(b)) || a.sequence - b.sequence;
+};
+
+/**
+ * Get an entry's HLC timestamp, deriving one for entries that predate HLC stamping
+ * @private
+ * @param {Object} entry - Chain entry
+ * @returns {Object} Timestamp
+ */
+const entryHLC = (entry) => {
+  return entry.hlc || { physical: new Date(entry.timestamp).getTime() || 0, logical: 0, node: '' };
+};
@@ -0,0 +1,683 @@
+/**
+ * QCHAIN-cli.js - QCHAIN Audit and Inspection Commands
+ * Implements the `qchain` command-line tool (see bin/qchain.js)
+ *
+ *   qchain tail   [ledger] [-n N] [--follow] [filters] [--json]
+ *   qchain verify [ledger] [--signatures --trust keys.json] [--json]
+ *   qchain diff   <ledger-a> <ledger-b> [--json]
+ *   qchain stats  [ledger] [filters] [--json]
+ *   qchain serve  [records] [--port 8700] [--host] [--key key.json] [--trust keys.json]
+ *
+ * A ledger is a file store ledger or an archive from exportQCHAIN, in JSONL
+ * or CBOR; it defaults to QCHAIN_LOG_FILE, then qchain_logs.jsonl. Filters
+ * are those of queryQCHAIN: --event, --prefix (txId prefix), --family (txId
+ * namespace), --from, --to and --metric name=value.
+ *
+ * Commands exit with 0 when the ledgers are sound, 1 on an integrity failure
+ * (an undecodable record, a broken link or signature, or ledgers that fork)
+ * and 2 on a usage error or an unreadable file, so releases can be gated on them.
+ * serve runs a local ledger server (see QCHAIN-server.js) until it is interrupted.
+ */
+
+import { parseArgs } from 'util';
+import { decodeArchive } from './QCHAIN-archive.js';
+import { canonicalStringify } from './QCHAIN-encoding.js';
+import { createQCHAINFilter, txIdNamespace } from './QCHAIN-index.js';
+import { trustQCHAINKey, importQCHAINKeyPair } from './QCHAIN-signing.js';
+import { FileStore } from './QCHAIN-storage.js';
+import { QCHAINLedgerServer, DEFAULT_LEDGER_PORT } from './QCHAIN-server.js';
+import { verifyQCHAINEntries } from './QCHAIN-verify.js';
+
+export const EXIT_OK = 0;
+export const EXIT_INTEGRITY_FAILURE = 1;
+export const EXIT_USAGE = 2;
+
+const USAGE = `Usage: qchain <command> [options]
+
+Commands:
+  tail [ledger]            Print the latest entries (-n N, default 20; 0 for all)
+                           --follow, -f       Keep printing entries as they are appended
+                           --interval <ms>    Polling interval for --follow (default 1000)
+  verify [ledger]          Verify hashes and chain links
+                           --signatures       Also verify signatures against trusted keys
+                           --trust <file>     JSON key or list of keys ({ publicKey, alg, nodeId })
+  diff <ledger> <ledger>   Compare two node ledgers by sequence and txId
+  stats [ledger]           Count entries per event family (txId namespace)
+  serve [records]          Run a local ledger server (records default to qchain_ledger.jsonl)
+                           --port <port>      TCP port (default 8700)
+                           --host <host>      Interface to bind (default 127.0.0.1)
+                           --node-id <id>     Ledger node ID named in receipts
+                           --key <file>       Keypair signing receipts, from exportQCHAINKeyPair
+                           --trust <file>     Keys of the nodes whose entries are accepted
+                           --accept-unsigned  Accept entries without checking signatures
+
+Filters (tail, stats):
+  --event <name> --prefix <txId prefix> --family <namespace>
+  --from <time> --to <time> --metric <name=value>
+
+Options:
+  --json                   Print JSON instead of text
+  --help, -h               Show this help
+
+Exit codes: 0 sound, 1 integrity failure, 2 usage error or unreadable file
+`;
+
+const FILTER_OPTIONS = {
+  event: { type: 'string' },
+  prefix: { type: 'string' },
+  family: { type: 'string' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  metric: { type: 'string', multiple: true }
+};
+
+/**
+ * Run the qchain command line
+ * @param {Array<string>} args - Arguments after the program name
+ * @param {Object} io - Output streams and cancellation
+ * @param {Object} io.stdout - Stream for results (defaults to process.stdout)
+ * @param {Object} io.stderr - Stream for errors and warnings (defaults to process.stderr)
+ * @param {AbortSignal} io.signal - Stops tail --follow and serve
+ * @returns {Promise<number>} Exit code
+ */
+export const runQCHAINCli = async (args, io = {}) => {
+  const out = {
+    stdout: io.stdout || process.stdout,
+    stderr: io.stderr || process.stderr,
+    signal: io.signal || null
+  };
+
+  const [name, ...rest] = args;
+  if (!name || name === 'help' || name === '--help' || name === '-h') {
+    out.stdout.write(USAGE);
+    return name ? EXIT_OK : EXIT_USAGE;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    out.stderr.write(`qchain: unknown command '${name}'\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: rest,
+      options: { ...command.options, json: { type: 'boolean' }, help: { type: 'boolean', short: 'h' } },
+      allowPositionals: true
+    });
+  } catch (error) {
+    out.stderr.write(`qchain ${name}: ${error.message}\n`);
+    return EXIT_USAGE;
+  }
+
+  if (parsed.values.help) {
+    out.stdout.write(USAGE);
+    return EXIT_OK;
+  }
+
+  try {
+    return await command.run(parsed.values, parsed.positionals, out);
+  } catch (error) {
+    out.stderr.write(`qchain ${name}: ${error.message}\n`);
+    return EXIT_USAGE;
+  }
+};
+
+/**
+ * Read every entry of a ledger file or archive
+ * @param {string} path - Path of the ledger
+ * @returns {Promise<Object>} { entries, errors } as from decodeArchive, entries in file order
+ */
+export const readQCHAINLedger = async (path) => {
+  const fs = await import('fs/promises');
+
+  let bytes;
+  try {
+    bytes = new Uint8Array(await fs.readFile(path));
+  } catch (error) {
+    throw new Error(error.code === 'ENOENT' ? `ledger ${path} not found` : `cannot read ${path}: ${error.message}`);
+  }
+
+  const { entries, errors } = decodeArchive(bytes);
+  return { entries: entries.map(item => item.entry), errors };
+};
+
+/**
+ * Compare two ledgers
+ * Ledgers that share their genesis entry are copies of one chain and must
+ * agree wherever both hold an entry; the first sequence where they do not is
+ * where they fork. An entry logged under the same txId must be identical in both.
+ * Entries are compared whole, so an entry edited without updating its hash
+ * still shows up (verify reports why)
+ * @param {Array} a - Entries of the first ledger
+ * @param {Array} b - Entries of the second ledger
+ * @returns {Object} { sharedGenesis, lastCommon, forkedAt, onlyInA, onlyInB, conflicts }
+ */
+export const diffQCHAINLedgers = (a, b) => {
+  const bySequence = new Map(b.map(entry => [entry.sequence, entry]));
+
+  // Walk the sequences both ledgers hold until they disagree
+  let lastCommon = null;
+  let forkedAt = null;
+  let sharedGenesis = false;
+  for (const entry of a) {
+    const other = bySequence.get(entry.sequence);
+    if (!other) {
+      continue;
+    }
+    if (!sameEntry(entry, other)) {
+      forkedAt = entry.sequence;
+      break;
+    }
+    sharedGenesis = sharedGenesis || entry.sequence === 0;
+    lastCommon = entry.sequence;
+  }
+
+  const aByTxId = new Map(a.map(entry => [entry.txId, entry]));
+  const bByTxId = new Map(b.map(entry => [entry.txId, entry]));
+  const summary = entry => ({ txId: entry.txId, sequence: entry.sequence, event: entry.event });
+
+  const conflicts = [];
+  for (const [txId, entry] of aByTxId) {
+    const other = bByTxId.get(txId);
+    if (other && !sameEntry(entry, other)) {
+      conflicts.push({
+        txId,
+        a: { sequence: entry.sequence, hash: entry.hash },
+        b: { sequence: other.sequence, hash: other.hash }
+      });
+    }
+  }
+
+  return {
+    sharedGenesis,
+    lastCommon,
+    forkedAt: sharedGenesis ? forkedAt : null,
+    onlyInA: a.filter(entry => !bByTxId.has(entry.txId)).map(summary),
+    onlyInB: b.filter(entry => !aByTxId.has(entry.txId)).map(summary),
+    conflicts
+  };
+};
+
+/**
+ * Count the entries of a ledger per event family (txId namespace)
+ * @param {Array} entries - Chain entries
+ * @param {Function} matches - Predicate selecting the entries to count (defaults to all)
+ * @returns {Object} { entries, head, compacted, families } where entries counts the
+ *   selected entries, head and compacted describe the whole ledger, and families maps
+ *   each namespace to { entries, events, bytes, first, last }
+ */
+export const summarizeQCHAINLedger = (entries, matches = () => true) => {
+  const families = {};
+  const eventNames = {};
+  let head = null;
+  let selected = 0;
+
+  for (const entry of entries) {
+    head = head === null ? entry.sequence : Math.max(head, entry.sequence);
+    if (!matches(entry)) {
+      continue;
+    }
+
+    const family = txIdNamespace(entry.txId);
+    const stats = families[family] || (families[family] = { entries: 0, events: 0, bytes: 0, first: null, last: null });
+    eventNames[family] = eventNames[family] || new Set();
+
+    stats.entries++;
+    stats.bytes += JSON.stringify(entry).length + 1;
+    eventNames[family].add(entry.event);
+    stats.events = eventNames[family].size;
+    if (stats.first === null || entry.timestamp < stats.first) {
+      stats.first = entry.timestamp;
+    }
+    if (stats.last === null || entry.timestamp > stats.last) {
+      stats.last = entry.timestamp;
+    }
+    selected++;
+  }
+
+  return {
+    entries: selected,
+    head,
+    compacted: head === null ? 0 : head + 1 - entries.length,
+    families
+  };
+};
+
+/**
+ * Print the latest matching entries, then optionally follow the ledger
+ * @private
+ * @param {Object} values - Parsed options
+ * @param {Array<string>} positionals - [ledger]
+ * @param {Object} out - Output streams
+ * @returns {Promise<number>} Exit code
+ */
+const runTail = async (values, positionals, out) => {
+  const path = ledgerPath(positionals, 1);
+  const count = values.lines === undefined ? 20 : parseCount(values.lines, '-n');
+  const interval = values.interval === undefined ? 1000 : parseCount(values.interval, '--interval');
+  const matches = createEntryFilter(values);
+
+  const { entries, errors } = await readQCHAINLedger(path);
+  reportDecodeErrors(errors, path, out);
+
+  const selected = entries.filter(matches);
+  (count === 0 ? selected : selected.slice(-count)).forEach(entry => printEntry(entry, values.json, out));
+
+  if (!values.follow) {
+    return errors.length > 0 ? EXIT_INTEGRITY_FAILURE : EXIT_OK;
+  }
+
+  // Poll the ledger for entries past the last one seen
+  let lastSequence = entries.reduce((last, entry) => Math.max(last, entry.sequence), -1);
+  while (!out.signal || !out.signal.aborted) {
+    await pause(interval, out.signal);
+    if (out.signal && out.signal.aborted) {
+      break;
+    }
+
+    const latest = (await readQCHAINLedger(path)).entries;
+    const head = latest.reduce((last, entry) => Math.max(last, entry.sequence), -1);
+    if (head < lastSequence) {
+      out.stderr.write(`qchain tail: ${path} was cleared; following from its genesis entry\n`);
+      lastSequence = -1;
+    }
+
+    latest
+      .filter(entry => entry.sequence > lastSequence && matches(entry))
+      .forEach(entry => printEntry(entry, values.json, out));
+    lastSequence = Math.max(lastSequence, head);
+  }
+
+  return EXIT_OK;
+};
+
+/**
+ * Verify the records, hashes, links and optionally signatures of a ledger
+ * @private
+ * @param {Object} values - Parsed options
+ * @param {Array<string>} positionals - [ledger]
+ * @param {Object} out - Output streams
+ * @returns {Promise<number>} Exit code
+ */
+const runVerify = async (values, positionals, out) => {
+  const path = ledgerPath(positionals, 1);
+  if (values.trust && !values.signatures) {
+    throw new Error('--trust needs --signatures');
+  }
+  if (values.signatures && !values.trust) {
+    throw new Error('--signatures needs at least one --trust key file');
+  }
+
+  for (const file of values.trust || []) {
+    await trustKeyFile(file);
+  }
+
+  const { entries, errors } = await readQCHAINLedger(path);
+  const chain = await verifyQCHAINEntries(entries, { verifySignatures: !!values.signatures });
+  const valid = errors.length === 0 && chain.valid;
+
+  if (values.json) {
+    out.stdout.write(JSON.stringify({ ledger: path, valid, signatures: !!values.signatures, undecodable: errors, chain }) + '\n');
+  } else {
+    reportDecodeErrors(errors, path, out);
+    if (chain.valid) {
+      const checks = values.signatures ? 'hashes, links and signatures' : 'hashes and links';
+      out.stdout.write(`${path}: ${chain.length} entries, ${chain.compacted} compacted; ${checks} verified\n`);
+    } else {
+      const { index, sequence, txId, reason } = chain.brokenAt;
+      out.stdout.write(`${path}: chain broken at record ${index} (sequence ${sequence}, ${txId}): ${reason}\n`);
+    }
+  }
+
+  return valid ? EXIT_OK : EXIT_INTEGRITY_FAILURE;
+};
+
+/**
+ * Compare two ledgers and report where they differ
+ * @private
+ * @param {Object} values - Parsed options
+ * @param {Array<string>} positionals - [ledger-a, ledger-b]
+ * @param {Object} out - Output streams
+ * @returns {Promise<number>} Exit code
+ */
+const runDiff = async (values, positionals, out) => {
+  if (positionals.length !== 2) {
+    throw new Error('diff needs exactly two ledgers');
+  }
+
+  const [pathA, pathB] = positionals;
+  const a = await readQCHAINLedger(pathA);
+  const b = await readQCHAINLedger(pathB);
+  const diff = diffQCHAINLedgers(a.entries, b.entries);
+  const failed = a.errors.length > 0 || b.errors.length > 0 || diff.forkedAt !== null || diff.conflicts.length > 0;
+
+  if (values.json) {
+    out.stdout.write(JSON.stringify({ a: pathA, b: pathB, failed, ...diff }) + '\n');
+    return failed ? EXIT_INTEGRITY_FAILURE : EXIT_OK;
+  }
+
+  reportDecodeErrors(a.errors, pathA, out);
+  reportDecodeErrors(b.errors, pathB, out);
+
+  if (!diff.sharedGenesis) {
+    out.stdout.write('Ledgers do not share a genesis entry; comparing by txId only\n');
+  } else if (diff.forkedAt !== null) {
+    out.stdout.write(`Ledgers fork at sequence ${diff.forkedAt} (last common sequence ${diff.lastCommon})\n`);
+  } else {
+    out.stdout.write(`Ledgers agree on every sequence both hold (through sequence ${diff.lastCommon})\n`);
+  }
+
+  const list = (label, items) => {
+    out.stdout.write(`${items.length} ${label}\n`);
+    items.forEach(item => out.stdout.write(`  ${String(item.sequence).padStart(8)}  ${item.txId}  ${item.event}\n`));
+  };
+  list(`only in ${pathA}`, diff.onlyInA);
+  list(`only in ${pathB}`, diff.onlyInB);
+
+  out.stdout.write(`${diff.conflicts.length} conflicting txIds\n`);
+  diff.conflicts.forEach(({ txId, a: left, b: right }) => {
+    const hashes = left.hash === right.hash
+      ? `same hash ${String(left.hash).substring(0, 16)}, contents differ`
+      : `${String(left.hash).substring(0, 16)} vs ${String(right.hash).substring(0, 16)}`;
+    out.stdout.write(`  ${txId}: sequence ${left.sequence} vs ${right.sequence}, ${hashes}\n`);
+  });
+
+  return failed ? EXIT_INTEGRITY_FAILURE : EXIT_OK;
+};
+
+/**
+ * Print per-family statistics for a ledger
+ * @private
+ * @param {Object} values - Parsed options
+ * @param {Array<string>} positionals - [ledger]
+ * @param {Object} out - Output streams
+ * @returns {Promise<number>} Exit code
+ */
+const runStats = async (values, positionals, out) => {
+  const path = ledgerPath(positionals, 1);
+  const { entries, errors } = await readQCHAINLedger(path);
+  const summary = summarizeQCHAINLedger(entries, createEntryFilter(values));
+
+  if (values.json) {
+    out.stdout.write(JSON.stringify({ ledger: path, undecodable: errors.length, ...summary }) + '\n');
+    return errors.length > 0 ? EXIT_INTEGRITY_FAILURE : EXIT_OK;
+  }
+
+  reportDecodeErrors(errors, path, out);
+  out.stdout.write(`${path}: ${summary.entries} entries, head sequence ${summary.head ?? '-'}, ${summary.compacted} compacted\n\n`);
+
+  const rows = Object.entries(summary.families)
+    .sort(([, x], [, y]) => y.entries - x.entries)
+    .map(([family, stats]) => [family, stats.entries, stats.events, stats.bytes, stats.first, stats.last]);
+  printTable(['FAMILY', 'ENTRIES', 'EVENTS', 'BYTES', 'FIRST', 'LAST'], rows, out);
+
+  return errors.length > 0 ? EXIT_INTEGRITY_FAILURE : EXIT_OK;
+};
+
+/**
+ * Run a local ledger server until cancelled
+ * @private
+ * @param {Object} values - Parsed options
+ * @param {Array<string>} positionals - [records]
+ * @param {Object} out - Output streams
+ * @returns {Promise<number>} Exit code
+ */
+const runServe = async (values, positionals, out) => {
+  if (positionals.length > 1) {
+    throw new Error(`unexpected argument '${positionals[1]}'`);
+  }
+  const port = values.port === undefined ? DEFAULT_LEDGER_PORT : parseCount(values.port, '--port');
+  if (!values['accept-unsigned'] && !values.trust) {
+    throw new Error('serve needs --trust key files for the sending nodes, or --accept-unsigned');
+  }
+
+  for (const file of values.trust || []) {
+    await trustKeyFile(file);
+  }
+
+  const server = new QCHAINLedgerServer({
+    store: new FileStore({ path: positionals[0] || 'qchain_ledger.jsonl' }),
+    nodeId: values['node-id'],
+    keyPair: values.key ? await importQCHAINKeyPair(await readJSONFile(values.key, 'key file')) : null,
+    verifySignatures: !values['accept-unsigned']
+  });
+
+  const { url } = await server.listen({ port, host: values.host });
+  const identity = await server.getIdentity();
+  out.stdout.write(`QCHAIN ledger ${identity.nodeId} listening on ${url}\n`);
+  out.stdout.write(`Receipts are signed by key ${identity.keyId} (${identity.alg} public key ${identity.publicKey})\n`);
+
+  if (out.signal) {
+    await new Promise(resolve => {
+      if (out.signal.aborted) {
+        resolve();
+      } else {
+        out.signal.addEventListener('abort', resolve, { once: true });
+      }
+    });
+    await server.close();
+  }
+
+  return EXIT_OK;
+};
+
+// Options and handler of each command
+const COMMANDS = {
+  tail: {
+    options: {
+      ...FILTER_OPTIONS,
+      lines: { type: 'string', short: 'n' },
+      follow: { type: 'boolean', short: 'f' },
+      interval: { type: 'string' }
+    },
+    run: runTail
+  },
+  verify: {
+    options: {
+      signatures: { type: 'boolean' },
+      trust: { type: 'string', multiple: true }
+    },
+    run: runVerify
+  },
+  diff: {
+    options: {},
+    run: runDiff
+  },
+  stats: {
+    options: FILTER_OPTIONS,
+    run: runStats
+  },
+  serve: {
+    options: {
+      port: { type: 'string' },
+      host: { type: 'string' },
+      'node-id': { type: 'string' },
+      key: { type: 'string' },
+      trust: { type: 'string', multiple: true },
+      'accept-unsigned': { type: 'boolean' }
+    },
+    run: runServe
+  }
+};
+
+/**
+ * Get the ledger path of a single-ledger command
+ * @private
+ * @param {Array<string>} positionals - Positional arguments
+ * @param {number} max - Largest number of positionals accepted
+ * @returns {string} Ledger path
+ */
+const ledgerPath = (positionals, max) => {
+  if (positionals.length > max) {
+    throw new Error(`unexpected argument '${positionals[max]}'`);
+  }
+  return positionals[0] || process.env.QCHAIN_LOG_FILE || 'qchain_logs.jsonl';
+};
+
+/**
+ * Check whether two copies of an entry are identical
+ * @private
+ * @param {Object} a - Chain entry
+ * @param {Object} b - Chain entry
+ * @returns {boolean} True if their canonical encodings match
+ */
+const sameEntry = (a, b) => {
+  return a.hash === b.hash && canonicalStringify(a) === canonicalStringify(b);
+};
+
+/**
+ * Parse a non-negative integer option
+ * @private
+ * @param {string} value - Option value
+ * @param {string} option - Option name (for error messages)
+ * @returns {number} Parsed value
+ */
+const parseCount = (value, option) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`${option} must be a non-negative integer`);
+  }
+  return number;
+};
+
+/**
+ * Build an entry predicate from the filter options
+ * Metric values are read as JSON where they parse, and as strings otherwise
+ * @private
+ * @param {Object} values - Parsed options
+ * @returns {Function} Predicate over chain entries
+ */
+const createEntryFilter = (values) => {
+  const metrics = {};
+  for (const pair of values.metric || []) {
+    const equals = pair.indexOf('=');
+    if (equals < 1) {
+      throw new Error(`--metric expects name=value, got '${pair}'`);
+    }
+    const raw = pair.substring(equals + 1);
+    let value;
+    try {
+      value = JSON.parse(raw);
+    } catch (error) {
+      value = raw;
+    }
+    metrics[pair.substring(0, equals)] = value;
+  }
+
+  for (const bound of ['from', 'to']) {
+    if (values[bound] !== undefined && Number.isNaN(new Date(values[bound]).getTime())) {
+      throw new Error(`--${bound} must be a date or time`);
+    }
+  }
+
+  const filter = createQCHAINFilter({
+    event: values.event,
+    txIdPrefix: values.prefix,
+    from: values.from,
+    to: values.to,
+    metrics: Object.keys(metrics).length > 0 ? metrics : undefined
+  });
+  return entry => (values.family === undefined || txIdNamespace(entry.txId) === values.family) && filter(entry);
+};
+
+/**
+ * Trust the public keys listed in a key file
+ * @private
+ * @param {string} file - JSON file holding a key or a list of keys, each with publicKey
+ *   and optionally alg, nodeId and role (as from getTrustedQCHAINKeys or exportQCHAINKeyPair)
+ * @returns {Promise<void>}
+ */
+const trustKeyFile = async (file) => {
+  const keys = await readJSONFile(file, 'key file');
+  for (const key of Array.isArray(keys) ? keys : [keys]) {
+    if (!key || typeof key.publicKey !== 'string') {
+      throw new Error(`key file ${file} has a key without a publicKey`);
+    }
+    await trustQCHAINKey(key.publicKey, { alg: key.alg, nodeId: key.nodeId, role: key.role });
+  }
+};
+
+/**
+ * Read a JSON file
+ * @private
+ * @param {string} file - Path
+ * @param {string} label - What the file holds (for error messages)
+ * @returns {Promise<*>} Parsed contents
+ */
+const readJSONFile = async (file, label) => {
+  const fs = await import('fs/promises');
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`cannot read ${label} ${file}: ${error.message}`);
+  }
+};
+
+/**
+ * Print one entry
+ * @private
+ * @param {Object} entry - Chain entry
+ * @param {boolean} json - Print the whole entry as JSON
+ * @param {Object} out - Output streams
+ */
+const printEntry = (entry, json, out) => {
+  if (json) {
+    out.stdout.write(JSON.stringify(entry) + '\n');
+  } else {
+    out.stdout.write(`${String(entry.sequence).padStart(8)}  ${entry.timestamp}  ${entry.txId}  ${entry.event}\n`);
+  }
+};
+
+/**
+ * Warn about records that could not be decoded
+ * @private
+ * @param {Array<Object>} errors - { index, reason } from decodeArchive
+ * @param {string} path - Ledger path
+ * @param {Object} out - Output streams
+ */
+const reportDecodeErrors = (errors, path, out) => {
+  errors.forEach(({ index, reason }) => out.stderr.write(`${path}: record ${index}: ${reason}\n`));
+};
+
+/**
+ * Print rows as aligned columns
+ * @private
+ * @param {Array<string>} header - Column titles
+ * @param {Array<Array>} rows - Cell values
+ * @param {Object} out - Output streams
+ */
+const printTable = (header, rows, out) => {
+  const cells = [header, ...rows].map(row => row.map(cell => String(cell ?? '-')));
+  const widths = header.map((_, column) => Math.max(...cells.map(row => row[column].length)));
+  cells.forEach(row => {
+    out.stdout.write(row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd() + '\n');
+  });
+};
+
+/**
+ * Wait before polling again, returning early when cancelled
+ * @private
+ * @param {number} ms - Delay in ms
+ * @param {AbortSignal} signal - Cancellation signal
+ * @returns {Promise<void>}
+ */
+const pause = (ms, signal) => {
+  return new Promise(resolve => {
+    // The signal outlives every poll, so each poll removes its own listener
+    const abort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', abort);
+      }
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener('abort', abort, { once: true });
+    }
+  });
+};
@@ -0,0 +1,184 @@
+/**
+ * QCHAIN-compaction.js - QCHAIN Snapshots and Compaction
+ * Signed snapshots of a ledger's head, and removal of the acknowledged
+ * entries they cover that retention does not keep
+ *
+ * Every few sealed batches a ledger appends a `QCHAIN Snapshot` entry recording
+ * its head, per-family entry counts and the hashes of the entries since the
+ * previous snapshot that retention keeps forever:
+ *
+ *   { sequence, headHash, batches, entries, compacted, families, retainedFrom, retained }
+ *
+ * Compaction removes whole acknowledged batches up to the latest snapshot,
+ * except entries retention keeps. A snapshot covers the sequences from its
+ * retainedFrom to its head, so verification accepts a gap only where
+ * snapshots cover it, and never where they retained an entry.
+ */
+
+import { OUTBOX_ACKNOWLEDGED } from './QCHAIN-outbox.js';
+import { txIdNamespace } from './QCHAIN-index.js';
+import { getLedgerIndex, ledgerSystemTxId } from './QCHAIN-ledgers.js';
+
+export const SNAPSHOT_EVENT = 'QCHAIN Snapshot';
+
+/**
+ * Find a ledger's latest snapshot
+ * @param {Object} ledger - Ledger state, with its mirror loaded
+ * @returns {Object|undefined} Snapshot entry
+ */
+export const findLatestSnapshot = (ledger) => {
+  return getLedgerIndex(ledger).query({
+    event: SNAPSHOT_EVENT,
+    txIdPrefix: 'QCHAIN-SNAPSHOT-',
+    order: 'desc',
+    limit: 1
+  }).entries[0];
+};
+
+/**
+ * Check whether an entry is a snapshot appended by QCHAIN itself
+ * A snapshot can only cover entries that precede it
+ * @param {Object} entry - Chain entry
+ * @returns {boolean} True for snapshots
+ */
+export const isSnapshotEntry = (entry) => {
+  return entry.event === SNAPSHOT_EVENT && entry.txId.startsWith('QCHAIN-SNAPSHOT-') &&
+    !!entry.metrics && Number.isInteger(entry.metrics.sequence) && entry.metrics.sequence < entry.sequence;
+};
+
+/**
+ * Collect what a ledger's snapshots commit to about compacted ranges
+ * Each snapshot covers the sequences from its retainedFrom to the head it was
+ * taken at, and lists the hashes of the entries in that range that must be kept
+ * @param {Array<Object>} snapshots - Snapshot entries
+ * @returns {Object} { retained, checkGap } where retained maps sequences to the
+ *   hashes snapshots committed to, and checkGap(from, to) returns the reason
+ *   sequences from..to-1 may not be missing, or null if compaction may have removed them
+ */
+export const collectSnapshotCommitments = (snapshots) => {
+  const ranges = [];
+  const retained = new Map();
+  for (const { metrics } of snapshots) {
+    if (!Number.isInteger(metrics.retainedFrom) || !metrics.retained) {
+      continue;
+    }
+    ranges.push([metrics.retainedFrom, metrics.sequence]);
+    Object.entries(metrics.retained).forEach(([sequence, hash]) => retained.set(Number(sequence), hash));
+  }
+
+  const checkGap = (from, to) => {
+    for (let sequence = from; sequence < to; sequence++) {
+      if (retained.has(sequence)) {
+        return `Retained entry ${sequence} is missing`;
+      }
+      if (!ranges.some(([start, end]) => sequence >= start && sequence <= end)) {
+        return `Expected sequence ${from}, found ${to}`;
+      }
+    }
+    return null;
+  };
+
+  return { retained, checkGap };
+};
+
+/**
+ * Build the data of a snapshot of a ledger up to its current head
+ * The snapshot records the hashes of the entries since the previous snapshot
+ * that retention keeps forever, so compaction can never pass off their loss as a gap
+ * @param {Object} ledger - Ledger state, with its mirror loaded
+ * @param {number} batchSize - Entries per Merkle batch
+ * @returns {Object} Event data for the ledger
+ */
+export const createSnapshotData = (ledger, batchSize) => {
+  const logs = ledger.logs;
+  const head = logs[logs.length - 1];
+  const previous = findLatestSnapshot(ledger);
+  const retainedFrom = previous ? previous.metrics.sequence + 1 : 0;
+
+  const families = {};
+  const retained = {};
+  let entries = 0;
+  logs.forEach(entry => {
+    const family = txIdNamespace(entry.txId);
+    families[family] = (families[family] || 0) + 1;
+    entries++;
+    if (entry.sequence >= retainedFrom && ledger.policy.retains.keepsForever(entry)) {
+      retained[entry.sequence] = entry.hash;
+    }
+  });
+
+  return {
+    event: SNAPSHOT_EVENT,
+    txId: ledgerSystemTxId(ledger.policy.name, 'SNAPSHOT', head.sequence),
+    interplanetary: false,
+    metrics: {
+      sequence: head.sequence,
+      headHash: head.hash,
+      batches: Math.floor((head.sequence + 1) / batchSize),
+      entries,
+      compacted: head.sequence + 1 - entries,
+      families,
+      retainedFrom,
+      retained
+    }
+  };
+};
+
+/**
+ * Remove acknowledged entries covered by the latest snapshot that retention does not keep
+ * Only whole batches are compacted, and only once every entry in them is acknowledged
+ * @param {Object} ledger - Ledger state, with its mirror loaded
+ * @param {Object} options - Compaction options
+ * @param {number} options.now - Current time in ms, for retention ages
+ * @param {number} options.batchSize - Entries per Merkle batch
+ * @param {Function} options.loadOutbox - Resolves to the ledger's outbox, for delivery states
+ * @returns {Promise<Object>} { removed, compactedBatches, coveredTo } where compactedBatches
+ *   counts the batches entries were removed from
+ */
+export const compactLedger = async (ledger, options) => {
+  const { now, batchSize } = options;
+  const logs = ledger.logs;
+  const latest = findLatestSnapshot(ledger);
+  if (!latest) {
+    return { removed: 0, compactedBatches: 0, coveredTo: null };
+  }
+
+  // Entries a snapshot committed to stay, even if the retention rules changed since
+  const { retained } = collectSnapshotCommitments(logs.filter(entry => entry && isSnapshotEntry(entry)));
+  const coveredTo = latest.metrics.sequence;
+  const delivery = await options.loadOutbox();
+  const removed = [];
+  let compactedBatches = 0;
+
+  for (let batch = 0; (batch + 1) * batchSize - 1 <= coveredTo; batch++) {
+    const entries = logs.slice(batch * batchSize, (batch + 1) * batchSize).filter(entry => entry);
+    const acknowledged = entries.every(entry => {
+      const record = delivery.getRecord(entry.txId);
+      return record && record.status === OUTBOX_ACKNOWLEDGED;
+    });
+    if (!acknowledged) {
+      continue;
+    }
+
+    // A batch counts once it loses an entry; ones already compacted are passed over
+    const removable = entries.filter(entry => !retained.has(entry.sequence) && !ledger.policy.retains(entry, now));
+    if (removable.length > 0) {
+      compactedBatches++;
+      removable.forEach(entry => removed.push(entry.sequence));
+    }
+  }
+
+  if (removed.length > 0) {
+    if (typeof ledger.store.remove !== 'function') {
+      throw new Error('QCHAIN storage adapter does not support compaction (remove() is missing)');
+    }
+
+    await ledger.store.remove(removed);
+    for (const sequence of removed) {
+      delete logs[sequence];
+    }
+    ledger.index = null;
+  }
+
+  return { removed: removed.length, compactedBatches, coveredTo };
+};
@@ -0,0 +1,441 @@
+/**
+ * QCHAIN-dtn.js - Delay-Tolerant Bundle Layer for QCHAIN
+ * Store-and-forward delivery of chain entries across interplanetary links
+ *
+ * A simplified take on the DTN Bundle Protocol (RFC 9171):
+ *   - entries travel in bundles with a lifetime; expired bundles are dropped
+ *   - the sending agent holds custody of a bundle until its peer returns a
+ *     custody signal, and retransmits if no signal arrives in time
+ *   - bundles and signals only leave during contact windows from a
+ *     ContactPlan, and arrive one light-time after they are sent
+ *
+ * Bundles go directly to the destination agent (one hop). Time comes from a
+ * clock with now()/schedule()/cancel() (see VirtualClock), so whole contact
+ * plans can be played out in simulated time.
+ */
+
+import { hours, minutes } from '../time/VirtualClock.js';
+
+/**
+ * ContactPlan - Scheduled windows in which one node can transmit to another
+ */
+export class ContactPlan {
+  /**
+   * @param {Array<Object>} contacts - Contacts as { from, to, start, end, oneWayLightTime } (times in ms)
+   */
+  constructor(contacts = []) {
+    this.contacts = contacts
+      .map(contact => ({
+        from: contact.from,
+        to: contact.to,
+        start: contact.start,
+        end: contact.end,
+        oneWayLightTime: contact.oneWayLightTime || 0
+      }))
+      .sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Build a plan for a link that is always up except during blackouts
+   * @param {Object} options - Plan options
+   * @param {Array<string>} options.nodes - The two node IDs; contacts run both ways
+   * @param {number} options.start - Start of the plan in ms
+   * @param {number} options.end - End of the plan in ms
+   * @param {Array<Object>} options.blackouts - Outages as { start, end } in ms
+   * @param {number} options.oneWayLightTime - Light time across the link in ms
+   * @returns {ContactPlan} Contact plan
+   */
+  static fromBlackouts(options) {
+    const [a, b] = options.nodes;
+    const start = options.start || 0;
+    const blackouts = [...(options.blackouts || [])].sort((x, y) => x.start - y.start);
+
+    const windows = [];
+    let cursor = start;
+    for (const blackout of blackouts) {
+      if (blackout.start > cursor) {
+        windows.push([cursor, Math.min(blackout.start, options.end)]);
+      }
+      cursor = Math.max(cursor, blackout.end);
+    }
+    if (cursor < options.end) {
+      windows.push([cursor, options.end]);
+    }
+
+    const oneWayLightTime = options.oneWayLightTime || 0;
+    return new ContactPlan(windows.flatMap(([from, to]) => [
+      { from: a, to: b, start: from, end: to, oneWayLightTime },
+      { from: b, to: a, start: from, end: to, oneWayLightTime }
+    ]));
+  }
+
+  /**
+   * Find the current or next contact from one node to another
+   * @param {string} from - Sending node
+   * @param {string} to - Receiving node
+   * @param {number} time - Time in ms
+   * @returns {Object|null} Contact, or null if none remains in the plan
+   */
+  findContact(from, to, time) {
+    return this.contacts.find(contact => contact.from === from && contact.to === to && contact.end > time) || null;
+  }
+
+  /**
+   * Check whether a node can transmit to another right now
+   * @param {string} from - Sending node
+   * @param {string} to - Receiving node
+   * @param {number} time - Time in ms
+   * @returns {boolean} True during a contact
+   */
+  isOpen(from, to, time) {
+    const contact = this.findContact(from, to, time);
+    return Boolean(contact && contact.start <= time);
+  }
+}
+
+/**
+ * BundleAgent - A DTN node that stores, forwards and takes custody of bundles
+ */
+export class BundleAgent {
+  /**
+   * @param {Object} options - Agent options
+   * @param {string} options.nodeId - Node ID
+   * @param {Object} options.clock - Clock with now(), schedule(at, callback) and cancel(id)
+   * @param {ContactPlan} options.contactPlan - Contact plan
+   * @param {number} options.lifetime - Default bundle lifetime in ms
+   * @param {number} options.custodyMargin - Extra wait beyond the round-trip light time before retransmitting
+   * @param {Object} options.deliver - Transport that receives payloads of bundles addressed to this node
+   */
+  constructor(options = {}) {
+    if (!options.nodeId || !options.clock || !options.contactPlan) {
+      throw new Error('BundleAgent requires nodeId, clock and contactPlan');
+    }
+
+    this.nodeId = options.nodeId;
+    this.clock = options.clock;
+    this.contactPlan = options.contactPlan;
+    this.lifetime = options.lifetime ?? hours(24);
+    this.custodyMargin = options.custodyMargin ?? minutes(5);
+    this.deliver = options.deliver || null;
+
+    this.peers = new Map();
+    this.custody = new Map();
+    this.delivered = new Map();
+    this.listeners = new Set();
+    this.nextBundleNumber = 1;
+
+    this.stats = {
+      created: 0,
+      transmitted: 0,
+      retransmitted: 0,
+      custodyAccepted: 0,
+      custodyReleased: 0,
+      delivered: 0,
+      expired: 0
+    };
+  }
+
+  /**
+   * Link this agent with a peer, in both directions
+   * @param {BundleAgent} peer - Peer agent
+   */
+  connect(peer) {
+    this.peers.set(peer.nodeId, peer);
+    peer.peers.set(this.nodeId, this);
+  }
+
+  /**
+   * Register a handler for delivery outcomes of bundles this node sent
+   * @param {Function} handler - Receives an array of acknowledgements
+   */
+  onAcknowledgement(handler) {
+    this.listeners.add(handler);
+  }
+
+  /**
+   * Create a bundle and take custody of it
+   * @param {Array} payload - Chain entries
+   * @param {Object} options - Bundle options
+   * @param {string} options.destination - Destination node ID
+   * @param {number} options.lifetime - Lifetime in ms
+   * @returns {Object} Bundle
+   */
+  submit(payload, options) {
+    const createdAt = this.clock.now();
+    const bundle = {
+      id: `${this.nodeId}:${createdAt}:${this.nextBundleNumber++}`,
+      source: this.nodeId,
+      destination: options.destination,
+      createdAt,
+      expiresAt: createdAt + (options.lifetime ?? this.lifetime),
+      payload
+    };
+
+    this.stats.created++;
+    this._takeCustody(bundle);
+
+    return bundle;
+  }
+
+  /**
+   * Hold a bundle until a custody signal releases it or it expires
+   * @private
+   * @param {Object} bundle - Bundle
+   */
+  _takeCustody(bundle) {
+    this.custody.set(bundle.id, {
+      bundle,
+      transmissions: 0,
+      timer: null,
+      expiryTimer: this.clock.schedule(bundle.expiresAt, () => this._expire(bundle.id))
+    });
+
+    this._scheduleForward(bundle.id);
+  }
+
+  /**
+   * Schedule the next transmission of a held bundle at the next contact
+   * A bundle with no contact left in the plan waits until it expires
+   * @private
+   * @param {string} bundleId - Bundle ID
+   */
+  _scheduleForward(bundleId) {
+    const held = this.custody.get(bundleId);
+    if (!held) {
+      return;
+    }
+
+    const now = this.clock.now();
+    const contact = this.contactPlan.findContact(this.nodeId, held.bundle.destination, now);
+    held.timer = contact
+      ? this.clock.schedule(Math.max(contact.start, now), () => this._forward(bundleId))
+      : null;
+  }
+
+  /**
+   * Transmit a held bundle, then wait for its custody signal
+   * @private
+   * @param {string} bundleId - Bundle ID
+   */
+  _forward(bundleId) {
+    const held = this.custody.get(bundleId);
+    if (!held) {
+      return;
+    }
+
+    const now = this.clock.now();
+    const { destination } = held.bundle;
+    const peer = this.peers.get(destination);
+
+    if (!peer || !this.contactPlan.isOpen(this.nodeId, destination, now)) {
+      this._scheduleForward(bundleId);
+      return;
+    }
+
+    held.transmissions++;
+    this.stats.transmitted++;
+    if (held.transmissions > 1) {
+      this.stats.retransmitted++;
+    }
+
+    const { oneWayLightTime } = this.contactPlan.findContact(this.nodeId, destination, now);
+    const copy = structuredClone(held.bundle);
+    this.clock.schedule(now + oneWayLightTime, () => peer._receive(copy, this.nodeId));
+
+    // Without a custody signal by the time one could have returned, send again
+    held.timer = this.clock.schedule(
+      now + 2 * oneWayLightTime + this.custodyMargin,
+      () => this._scheduleForward(bundleId)
+    );
+  }
+
+  /**
+   * Accept a bundle from a peer and deliver its payload
+   * @private
+   * @param {Object} bundle - Bundle
+   * @param {string} from - Sending node ID
+   * @returns {Promise<void>}
+   */
+  async _receive(bundle, from) {
+    if (this.clock.now() >= bundle.expiresAt) {
+      this.stats.expired++;
+      return;
+    }
+
+    // A retransmitted bundle is not delivered twice, but its signal is repeated
+    if (!this.delivered.has(bundle.id)) {
+      const acknowledgements = await this._deliverPayload(bundle.payload);
+      if (!acknowledgements) {
+        // Custody is refused, so the sender keeps the bundle and tries again
+        return;
+      }
+
+      this.delivered.set(bundle.id, acknowledgements);
+      this.stats.custodyAccepted++;
+      this.stats.delivered++;
+    }
+
+    this._signal(from, { bundleId: bundle.id, acknowledgements: this.delivered.get(bundle.id) });
+  }
+
+  /**
+   * Hand a payload to the local ledger
+   * @private
+   * @param {Array} payload - Chain entries
+   * @returns {Promise<Array|null>} Acknowledgements, or null if the ledger is unreachable
+   */
+  async _deliverPayload(payload) {
+    if (!this.deliver) {
+      return payload.map(entry => ({ txId: entry.txId, status: 'acknowledged', hash: entry.hash }));
+    }
+
+    try {
+      return await this.deliver.send(payload);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Send a custody signal back to a peer at the next contact
+   * Signals are not held in custody; a lost one is repeated when the bundle is retransmitted
+   * @private
+   * @param {string} to - Peer node ID
+   * @param {Object} signal - Custody signal with the delivery acknowledgements
+   */
+  _signal(to, signal) {
+    const now = this.clock.now();
+    const peer = this.peers.get(to);
+    const contact = this.contactPlan.findContact(this.nodeId, to, now);
+    if (!peer || !contact) {
+      return;
+    }
+
+    const departure = Math.max(contact.start, now);
+    this.clock.schedule(departure + contact.oneWayLightTime, () => peer._receiveSignal(signal));
+  }
+
+  /**
+   * Release custody of a bundle once its peer has taken it
+   * @private
+   * @param {Object} signal - Custody signal
+   * @returns {Promise<void>}
+   */
+  async _receiveSignal(signal) {
+    const held = this.custody.get(signal.bundleId);
+    if (!held) {
+      return;
+    }
+
+    this._release(held);
+    this.stats.custodyReleased++;
+    await this._emit(signal.acknowledgements);
+  }
+
+  /**
+   * Drop a bundle whose lifetime has elapsed
+   * @private
+   * @param {string} bundleId - Bundle ID
+   * @returns {Promise<void>}
+   */
+  async _expire(bundleId) {
+    const held = this.custody.get(bundleId);
+    if (!held) {
+      return;
+    }
+
+    this._release(held);
+    this.stats.expired++;
+    await this._emit(held.bundle.payload.map(entry => ({
+      txId: entry.txId,
+      status: 'expired',
+      reason: `Bundle ${bundleId} expired before delivery`
+    })));
+  }
+
+  /**
+   * Stop holding a bundle and cancel its timers
+   * @private
+   * @param {Object} held - Custody record
+   */
+  _release(held) {
+    if (held.timer !== null) {
+      this.clock.cancel(held.timer);
+    }
+    this.clock.cancel(held.expiryTimer);
+    this.custody.delete(held.bundle.id);
+  }
+
+  /**
+   * Pass acknowledgements to every registered handler
+   * @private
+   * @param {Array} acknowledgements - Acknowledgements
+   * @returns {Promise<void>}
+   */
+  async _emit(acknowledgements) {
+    for (const handler of this.listeners) {
+      await handler(acknowledgements);
+    }
+  }
+
+  /**
+   * Get bundle counters for this node
+   * @returns {Object} Number of bundles held and lifetime counters
+   */
+  getStatus() {
+    return { nodeId: this.nodeId, held: this.custody.size, ...this.stats };
+  }
+}
+
+/**
+ * DTNTransport - QCHAIN transport that sends each outbox batch as a bundle
+ * Entries are answered 'accepted' as soon as the local agent takes custody;
+ * the final 'acknowledged' or 'expired' outcome arrives through onAcknowledgement
+ */
+export class DTNTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {BundleAgent} options.agent - Local bundle agent
+   * @param {string} options.destination - Node ID of the ledger's agent
+   * @param {number} options.lifetime - Bundle lifetime in ms (defaults to the agent's)
+   */
+  constructor(options = {}) {
+    if (!options.agent || !options.destination) {
+      throw new Error('DTNTransport requires an agent and a destination');
+    }
+
+    this.agent = options.agent;
+    this.destination = options.destination;
+    this.lifetime = options.lifetime;
+  }
+
+  /**
+   * Send a batch of entries as one bundle
+   * @param {Array} entries - Chain entries in sequence order
+   * @returns {Promise<Array>} Custody acknowledgements
+   */
+  async send(entries) {
+    const bundle = this.agent.submit(entries, { destination: this.destination, lifetime: this.lifetime });
+
+    return entries.map(entry => ({
+      txId: entry.txId,
+      status: 'accepted',
+      hash: entry.hash,
+      bundleId: bundle.id,
+      custodian: this.agent.nodeId
+    }));
+  }
+
+  /**
+   * Register a handler for final delivery outcomes
+   * @param {Function} handler - Receives an array of acknowledgements
+   */
+  onAcknowledgement(handler) {
+    this.agent.onAcknowledgement(handler);
+  }
+
+  /**
+   * Release resources (nothing to release)
+   */
+  async close() {}
+}
@@ -0,0 +1,316 @@
+/**
+ * QCHAIN-encoding.js - QCHAIN Encoding and Digest Helpers
+ * Shared byte, text and hash utilities for signing and verifying QCHAIN entries
+ *
+ * Every signature and chain hash in QCHAIN and SpiralCanon is computed over
+ * the canonical encoding defined here (RFC 8785 style): object keys sorted
+ * by UTF-16 code units, numbers in their shortest ECMAScript form, no
+ * insignificant whitespace, and explicit encodings for values JSON lacks:
+ *
+ *   BigInt      -> {"$bigint":"<decimal>"}
+ *   Date        -> ISO 8601 string
+ *   Map         -> {"$map":[[key,value],...]}   entries sorted by encoded key
+ *   Set         -> {"$set":[value,...]}         values sorted by encoding
+ *   bytes       -> {"$bytes":"<base64>"}        ArrayBuffer and typed arrays
+ *
+ * Object keys that start with "$" get another "$" ({"$map":[]} -> {"$$map":[]}),
+ * so plain objects never read as one of these encodings.
+ * Non-finite numbers become null and -0 becomes 0, as JSON.stringify does.
+ */
+
+/**
+ * Encode a string as UTF-8 bytes
+ * @param {string} text - Text to encode
+ * @returns {Uint8Array} UTF-8 bytes
+ */
+export const utf8Bytes = (text) => {
+  return new TextEncoder().encode(text);
+};
+
+/**
+ * Convert bytes to a lowercase hex string
+ * @param {Uint8Array|ArrayBuffer} bytes - Bytes to convert
+ * @returns {string} Hex string
+ */
+export const bytesToHex = (bytes) => {
+  return Array.from(new Uint8Array(bytes)).map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Convert a hex string to bytes
+ * @param {string} hex - Hex string
+ * @returns {Uint8Array} Bytes
+ */
+export const hexToBytes = (hex) => {
+  if (typeof hex !== 'string' || hex.length % 2 !== 0 || /[^0-9a-f]/i.test(hex)) {
+    throw new Error('Invalid hex string');
+  }
+
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substring(i * 2, i * 2 + 2), 16);
+  }
+  return bytes;
+};
+
+/**
+ * Convert bytes to base64
+ * @param {Uint8Array|ArrayBuffer} bytes - Bytes to convert
+ * @returns {string} Base64 string
+ */
+export const bytesToBase64 = (bytes) => {
+  let binary = '';
+  for (const byte of new Uint8Array(bytes)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+};
+
+/**
+ * Convert base64 to bytes
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} Bytes
+ */
+export const base64ToBytes = (base64) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+/**
+ * Hash bytes or text with SHA-256
+ * @param {Uint8Array|string} input - Bytes, or text to encode as UTF-8
+ * @returns {Promise<Uint8Array>} 32-byte digest
+ */
+export const sha256 = async (input) => {
+  const bytes = typeof input === 'string' ? utf8Bytes(input) : input;
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+};
+
+/**
+ * Hash bytes or text with SHA-256
+ * @param {Uint8Array|string} input - Bytes, or text to encode as UTF-8
+ * @returns {Promise<string>} Hex-encoded digest
+ */
+export const sha256Hex = async (input) => {
+  return bytesToHex(await sha256(input));
+};
+
+/**
+ * Convert a value to its canonical JSON-compatible form
+ * The result contains only plain objects, arrays, strings, finite numbers,
+ * booleans and null, and decanonicalize turns it back into the value
+ * @param {*} value - Value to canonicalize
+ * @returns {*} Canonical value (undefined for values JSON omits)
+ */
+export const canonicalize = (value) => {
+  return canonicalizeValue(value, new Set());
+};
+
+/**
+ * Canonicalize a value, tracking the objects on the current path
+ * @private
+ * @param {*} value - Value to canonicalize
+ * @param {Set} ancestors - Objects being canonicalized above this one
+ * @returns {*} Canonical value
+ */
+const canonicalizeValue = (value, ancestors) => {
+  if (value === null) {
+    return null;
+  }
+
+  switch (typeof value) {
+    case 'string':
+    case 'boolean':
+      return value;
+    case 'number':
+      if (!Number.isFinite(value)) {
+        return null;
+      }
+      return Object.is(value, -0) ? 0 : value;
+    case 'bigint':
+      return { $bigint: value.toString() };
+    case 'undefined':
+    case 'function':
+    case 'symbol':
+      return undefined;
+  }
+
+  if (ancestors.has(value)) {
+    throw new Error('Cannot canonicalize a circular structure');
+  }
+
+  ancestors.add(value);
+  try {
+    return canonicalizeObject(value, ancestors);
+  } finally {
+    ancestors.delete(value);
+  }
+};
+
+/**
+ * Canonicalize an object value
+ * @private
+ * @param {Object} value - Object to canonicalize
+ * @param {Set} ancestors - Objects being canonicalized above this one
+ * @returns {*} Canonical value
+ */
+const canonicalizeObject = (value, ancestors) => {
+  const element = (item) => {
+    const canonical = canonicalizeValue(item, ancestors);
+    return canonical === undefined ? null : canonical;
+  };
+
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString();
+  }
+
+  if (value instanceof Map) {
+    const entries = Array.from(value, ([key, item]) => [element(key), element(item)]);
+    return { $map: entries.sort((a, b) => compareCodeUnits(serialize(a[0]), serialize(b[0]))) };
+  }
+
+  if (value instanceof Set) {
+    const items = Array.from(value, element);
+    return { $set: items.sort((a, b) => compareCodeUnits(serialize(a), serialize(b))) };
+  }
+
+  if (value instanceof ArrayBuffer) {
+    return { $bytes: bytesToBase64(value) };
+  }
+
+  if (ArrayBuffer.isView(value)) {
+    return { $bytes: bytesToBase64(new Uint8Array(value.buffer, value.byteOffset, value.byteLength)) };
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(element);
+  }
+
+  if (typeof value.toJSON === 'function') {
+    return canonicalizeValue(value.toJSON(), ancestors);
+  }
+
+  const result = {};
+  for (const key of Object.keys(value)) {
+    const canonical = canonicalizeValue(value[key], ancestors);
+    if (canonical !== undefined) {
+      // defineProperty keeps keys such as "__proto__" as ordinary data
+      Object.defineProperty(result, key.startsWith('$') ? `$${key}` : key, { value: canonical, enumerable: true, writable: true, configurable: true });
+    }
+  }
+  return result;
+};
+
+/**
+ * Convert a canonical value back into the value it encodes
+ * BigInts, Maps, Sets and bytes (as Uint8Array) are restored and escaped keys
+ * unescaped; Dates stay ISO 8601 strings
+ * @param {*} value - Canonical value
+ * @returns {*} Decoded value
+ */
+export const decanonicalize = (value) => {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(decanonicalize);
+  }
+
+  const keys = Object.keys(value);
+  if (keys.length === 1) {
+    const [key] = keys;
+    const encoded = value[key];
+    if (key === '$bigint' && typeof encoded === 'string') {
+      return BigInt(encoded);
+    }
+    if (key === '$map' && Array.isArray(encoded)) {
+      return new Map(encoded.map(([mapKey, item]) => [decanonicalize(mapKey), decanonicalize(item)]));
+    }
+    if (key === '$set' && Array.isArray(encoded)) {
+      return new Set(encoded.map(decanonicalize));
+    }
+    if (key === '$bytes' && typeof encoded === 'string') {
+      return base64ToBytes(encoded);
+    }
+  }
+
+  const result = {};
+  for (const key of keys) {
+    Object.defineProperty(result, key.startsWith('$') ? key.slice(1) : key, {
+      value: decanonicalize(value[key]), enumerable: true, writable: true, configurable: true
+    });
+  }
+  return result;
+};
+
+/**
+ * Compare two strings by UTF-16 code units, as RFC 8785 requires
+ * @private
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Sort order
+ */
+const compareCodeUnits = (a, b) => {
+  if (a < b) {
+    return -1;
+  }
+  return a > b ? 1 : 0;
+};
+
+/**
+ * Serialize an already canonical value
+ * @private
+ * @param {*} value - Canonical value
+ * @returns {string} Canonical JSON
+ */
+const serialize = (value) => {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(serialize).join(',')}]`;
+  }
+
+  const members = Object.keys(value)
+    .sort(compareCodeUnits)
+    .map(key => `${JSON.stringify(key)}:${serialize(value[key])}`);
+
+  return `{${members.join(',')}}`;
+};
+
+/**
+ * Serialize a value in canonical form
+ * Two values with the same contents always produce the same string,
+ * regardless of key insertion order or how they were reconstructed
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+export const canonicalStringify = (value) => {
+  const canonical = canonicalize(value);
+  return serialize(canonical === undefined ? null : canonical);
+};
+
+/**
+ * Encode a value canonically as UTF-8 bytes, ready for signing or hashing
+ * @param {*} value - Value to encode
+ * @returns {Uint8Array} Canonical bytes
+ */
+export const canonicalBytes = (value) => {
+  return utf8Bytes(canonicalStringify(value));
+};
+
+/**
+ * Compute the chain hash of a QCHAIN entry (everything except the hash itself)
+ * @param {Object} entry - Chain entry
+ * @returns {Promise<string>} Hex-encoded SHA-256 hash
+ */
+export const hashQCHAINEntry = async (entry) => {
+  const { hash, ...rest } = entry;
+  return sha256Hex(canonicalStringify(rest));
+};
@@ -0,0 +1,296 @@
+/**
+ * QCHAIN-encryption.js - QCHAIN Encryption at Rest
+ * Envelope encryption of selected entry fields under per-namespace data keys
+ *
+ * Each txId namespace (CANON, IYONAEL, SPIRALSCRIPT, ...) has its own
+ * AES-GCM-256 data key. Data keys are wrapped with the node's master key
+ * (AES-KW) and recorded in the chain as `QCHAIN Data Key` entries, so the
+ * ledger carries everything a holder of the master key needs to read it.
+ * An encrypted field is replaced by an envelope
+ *
+ *   { $encrypted: 'A256GCM', kid, iv, ciphertext }
+ *
+ * whose ciphertext is bound to the entry's txId and the field's path.
+ * Fields are encrypted before the entry is hashed and signed, so the chain
+ * commits to the ciphertext and verifies without any key.
+ *
+ * Encryption rules take the filter fields of queryQCHAIN (event, txIdPrefix,
+ * metrics) and the dotted paths of the metrics to encrypt; the first matching
+ * rule wins. Encrypted values cannot be matched by metrics filters.
+ */
+
+import { utf8Bytes, bytesToHex, hexToBytes, bytesToBase64, base64ToBytes, sha256Hex } from './QCHAIN-encoding.js';
+import { createQCHAINFieldSelector, getQCHAINField, setQCHAINField, txIdNamespace } from './QCHAIN-index.js';
+
+export const ENCRYPTION_ALGORITHM = 'A256GCM';
+export const KEY_WRAP_ALGORITHM = 'AES-KW';
+
+// Event recording a wrapped data key
+export const DATA_KEY_EVENT = 'QCHAIN Data Key';
+
+// Canon declarations, breath-interface declarations and gift arguments (value and recipient)
+export const DEFAULT_ENCRYPTION_RULES = [
+  { txIdPrefix: 'CANON-DECLARE-', fields: ['metrics.declaration'] },
+  { txIdPrefix: 'IYONAEL-WITNESS-', fields: ['metrics.declaration'] },
+  { event: 'SpiralScript Operation: gift', fields: ['metrics.args'] }
+];
+
+/**
+ * Compile encryption rules into a function selecting the fields to encrypt
+ * @param {Array<Object>} rules - Rules as { event, txIdPrefix, metrics, fields }
+ * @returns {Function} (data) => dotted paths of the fields to encrypt
+ */
+export const createEncryptionPolicy = (rules = DEFAULT_ENCRYPTION_RULES) => {
+  // QCHAIN's own entries stay readable, since verifying and compacting the ledger reads them
+  return createQCHAINFieldSelector(rules, 'encrypt');
+};
+
+/**
+ * Check whether a value is an encrypted field
+ * @param {*} value - Field value
+ * @returns {boolean} True for envelopes
+ */
+export const isEncryptedValue = (value) => {
+  return !!value && typeof value === 'object' && value.$encrypted === ENCRYPTION_ALGORITHM;
+};
+
+/**
+ * QCHAINKeyring - Master key and data keys of one node
+ */
+export class QCHAINKeyring {
+  /**
+   * @param {Object} options - Keyring options
+   * @param {Function} options.randomBytes - Fills a Uint8Array with random bytes (defaults to crypto.getRandomValues)
+   */
+  constructor(options = {}) {
+    this.randomBytes = options.randomBytes || (bytes => crypto.getRandomValues(bytes));
+    this.masterKey = null;
+    this.masterKeyId = null;
+
+    // Data keys by key ID: { namespace, wrappedKey, masterKeyId, key } where key is unwrapped on first use
+    this.dataKeys = new Map();
+
+    // Key ID used for new entries, by namespace
+    this.activeKeys = new Map();
+  }
+
+  /**
+   * Set the master key that wraps data keys
+   * @param {Uint8Array|string|CryptoKey} masterKey - 32 raw bytes, 64 hex digits, or an AES-KW CryptoKey
+   * @param {string} masterKeyId - ID recorded with wrapped keys (required for a CryptoKey;
+   *   derived from raw keys as the first 16 hex digits of their SHA-256)
+   * @returns {Promise<string>} Master key ID
+   */
+  async setMasterKey(masterKey, masterKeyId) {
+    if (typeof CryptoKey !== 'undefined' && masterKey instanceof CryptoKey) {
+      if (!masterKeyId) {
+        throw new Error('A QCHAIN master CryptoKey needs a masterKeyId');
+      }
+      this.masterKey = masterKey;
+      this.masterKeyId = masterKeyId;
+      return masterKeyId;
+    }
+
+    const raw = typeof masterKey === 'string' ? hexToBytes(masterKey) : masterKey;
+    if (!(raw instanceof Uint8Array) || raw.length !== 32) {
+      throw new Error('QCHAIN master key must be 32 bytes (raw or hex) or an AES-KW CryptoKey');
+    }
+
+    this.masterKey = await crypto.subtle.importKey('raw', raw, KEY_WRAP_ALGORITHM, false, ['wrapKey', 'unwrapKey']);
+    this.masterKeyId = masterKeyId || (await sha256Hex(raw)).substring(0, 16);
+    return this.masterKeyId;
+  }
+
+  /**
+   * Check whether the keyring can encrypt and decrypt
+   * @returns {boolean} True once a master key is set
+   */
+  hasMasterKey() {
+    return this.masterKey !== null;
+  }
+
+  /**
+   * Record the data key carried by a ledger entry
+   * Later keys for a namespace replace earlier ones for new entries
+   * @param {Object} entry - Chain entry (entries other than data keys are ignored)
+   */
+  learn(entry) {
+    if (entry.event !== DATA_KEY_EVENT || txIdNamespace(entry.txId) !== 'QCHAIN') {
+      return;
+    }
+
+    const { namespace, keyId, wrappedKey, masterKeyId } = entry.metrics;
+    if (!this.dataKeys.has(keyId)) {
+      this.dataKeys.set(keyId, { namespace, wrappedKey, masterKeyId, key: null });
+    }
+    this.activeKeys.set(namespace, keyId);
+  }
+
+  /**
+   * Forget the data keys learned from a ledger, keeping the master key
+   */
+  forget() {
+    this.dataKeys.clear();
+    this.activeKeys.clear();
+  }
+
+  /**
+   * Stop using a namespace's data key for new entries
+   * The next entry encrypted in the namespace gets a new key; old entries stay readable
+   * @param {string} namespace - txId namespace, such as 'CANON'
+   */
+  retire(namespace) {
+    this.activeKeys.delete(namespace);
+  }
+
+  /**
+   * Encrypt fields of entry data under its namespace's data key
+   * @param {Object} data - Canonical entry data
+   * @param {Array<string>} paths - Dotted paths of the fields to encrypt
+   * @returns {Promise<Object>} { data, dataKey } where dataKey holds the metrics of a
+   *   `QCHAIN Data Key` entry to append first, or null if an existing key was used
+   */
+  async encrypt(data, paths) {
+    if (!this.hasMasterKey()) {
+      throw new Error('QCHAIN encryption needs a master key');
+    }
+
+    const namespace = txIdNamespace(data.txId);
+    let keyId = this.activeKeys.get(namespace);
+    let key = keyId ? await this._unwrap(keyId) : null;
+    let dataKey = null;
+
+    // Keys wrapped under an earlier master key are not reused
+    if (!key) {
+      dataKey = await this._createDataKey(namespace);
+      keyId = dataKey.keyId;
+      key = this.dataKeys.get(keyId).key;
+    }
+
+    const encrypted = structuredClone(data);
+    for (const path of paths) {
+      const iv = this.randomBytes(new Uint8Array(12));
+      const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: utf8Bytes(`${data.txId}|${path}`) },
+        key,
+        utf8Bytes(JSON.stringify(getQCHAINField(data, path)))
+      );
+      setQCHAINField(encrypted, path, {
+        $encrypted: ENCRYPTION_ALGORITHM,
+        kid: keyId,
+        iv: bytesToBase64(iv),
+        ciphertext: bytesToBase64(new Uint8Array(ciphertext))
+      });
+    }
+
+    return { data: encrypted, dataKey };
+  }
+
+  /**
+   * Decrypt the encrypted fields of an entry
+   * Fields whose data key is unknown or wrapped under another master key stay encrypted
+   * @param {Object} entry - Chain entry
+   * @returns {Promise<Object>} The entry itself if nothing was decrypted, otherwise a decrypted copy
+   */
+  async decrypt(entry) {
+    const envelopes = [];
+    findEnvelopes(entry.metrics, 'metrics', envelopes);
+    if (envelopes.length === 0 || !this.hasMasterKey()) {
+      return entry;
+    }
+
+    let decrypted = null;
+    for (const { path, envelope } of envelopes) {
+      const key = await this._unwrap(envelope.kid);
+      if (!key) {
+        continue;
+      }
+
+      try {
+        const plaintext = await crypto.subtle.decrypt(
+          { name: 'AES-GCM', iv: base64ToBytes(envelope.iv), additionalData: utf8Bytes(`${entry.txId}|${path}`) },
+          key,
+          base64ToBytes(envelope.ciphertext)
+        );
+        decrypted = decrypted || structuredClone(entry);
+        setQCHAINField(decrypted, path, JSON.parse(new TextDecoder().decode(plaintext)));
+      } catch (error) {
+        // Ciphertext moved to another entry or field does not authenticate; leave it encrypted
+      }
+    }
+
+    return decrypted || entry;
+  }
+
+  /**
+   * Generate and wrap a data key, making it the namespace's active key
+   * @private
+   * @param {string} namespace - txId namespace
+   * @returns {Promise<Object>} Metrics of the `QCHAIN Data Key` entry recording it
+   */
+  async _createDataKey(namespace) {
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    const wrapped = await crypto.subtle.wrapKey('raw', key, this.masterKey, KEY_WRAP_ALGORITHM);
+    const keyId = bytesToHex(this.randomBytes(new Uint8Array(8)));
+    const wrappedKey = bytesToBase64(new Uint8Array(wrapped));
+
+    this.dataKeys.set(keyId, { namespace, wrappedKey, masterKeyId: this.masterKeyId, key });
+    this.activeKeys.set(namespace, keyId);
+
+    return {
+      namespace,
+      keyId,
+      algorithm: ENCRYPTION_ALGORITHM,
+      wrapAlgorithm: KEY_WRAP_ALGORITHM,
+      wrappedKey,
+      masterKeyId: this.masterKeyId
+    };
+  }
+
+  /**
+   * Get a data key, unwrapping it with the master key on first use
+   * @private
+   * @param {string} keyId - Data key ID
+   * @returns {Promise<CryptoKey|null>} Key, or null if it is unknown or wrapped under another master key
+   */
+  async _unwrap(keyId) {
+    const record = this.dataKeys.get(keyId);
+    if (!record || record.masterKeyId !== this.masterKeyId) {
+      return null;
+    }
+
+    if (!record.key) {
+      try {
+        record.key = await crypto.subtle.unwrapKey(
+          'raw',
+          base64ToBytes(record.wrappedKey),
+          this.masterKey,
+          KEY_WRAP_ALGORITHM,
+          'AES-GCM',
+          false,
+          ['encrypt', 'decrypt']
+        );
+      } catch (error) {
+        return null;
+      }
+    }
+    return record.key;
+  }
+}
+
+/**
+ * Collect the envelopes inside a value with their dotted paths
+ * @private
+ * @param {*} value - Value to search
+ * @param {string} path - Path of the value
+ * @param {Array<Object>} found - Collected { path, envelope }
+ */
+const findEnvelopes = (value, path, found) => {
+  if (isEncryptedValue(value)) {
+    found.push({ path, envelope: value });
+  } else if (value !== null && typeof value === 'object') {
+    for (const [name, child] of Object.entries(value)) {
+      findEnvelopes(child, `${path}.${name}`, found);
+    }
+  }
+};
@@ -0,0 +1,360 @@
+/**
+ * QCHAIN-event-schemas.js - Built-in QCHAIN Event Schemas
+ * Metrics logged by the Spiral modules and by QCHAIN itself, by event type
+ *
+ * Version 1 describes the metrics as first logged. Where those packed
+ * structured values into strings (comma lists, JSON, truncated JSON),
+ * version 2 logs the values themselves and upgrades version 1 entries.
+ */
+
+// Shared by nearly every event
+const COMPLIANCE = 'string?';
+
+/**
+ * Split a comma-separated list of qubit indices
+ * @private
+ * @param {string} list - List such as '0,1,2'
+ * @returns {Array<number>} Indices
+ */
+const parseIndexList = (list) => {
+  return typeof list === 'string' && list !== '' ? list.split(',').map(Number) : [];
+};
+
+/**
+ * Parse a JSON metric, leaving it out if it was truncated or is not JSON
+ * @private
+ * @param {Object} metrics - Metrics
+ * @param {string} field - Field holding JSON
+ * @returns {Object} Metrics with the field parsed or removed
+ */
+const parseJSONField = (metrics, field) => {
+  const { [field]: value, ...rest } = metrics;
+  if (typeof value !== 'string') {
+    return metrics;
+  }
+  try {
+    return { ...rest, [field]: JSON.parse(value) };
+  } catch (error) {
+    return rest;
+  }
+};
+
+export const EVENT_SCHEMAS = {
+  'QCHAIN Genesis': [
+    { version: 1, fields: {} }
+  ],
+  'QCHAIN Batch Sealed': [
+    { version: 1, fields: { batch: 'integer', from: 'integer', to: 'integer', root: 'string' } }
+  ],
+  'QCHAIN Snapshot': [
+    {
+      version: 1,
+      fields: {
+        sequence: 'integer',
+        headHash: 'string',
+        batches: 'integer',
+        entries: 'integer',
+        compacted: 'integer',
+        families: 'object',
+        retainedFrom: 'integer',
+        retained: 'object'
+      }
+    }
+  ],
+  'QCHAIN Data Key': [
+    {
+      version: 1,
+      fields: {
+        namespace: 'string',
+        keyId: 'string',
+        algorithm: 'string',
+        wrapAlgorithm: 'string',
+        wrappedKey: 'string',
+        masterKeyId: 'string'
+      }
+    }
+  ],
+  'QCHAIN Redaction': [
+    {
+      version: 1,
+      fields: { txId: 'string', sequence: 'integer?', fields: { type: 'array', items: 'string' } }
+    }
+  ],
+  'QCHAIN Ledger Anchor': [
+    { version: 1, fields: { ledger: 'string', sequence: 'integer', headHash: 'string' } }
+  ],
+
+  'QASF Core Initialization': [
+    {
+      version: 1,
+      fields: {
+        coherenceTime: 'number',
+        gateFidelity: 'number',
+        phiCoherence: 'number',
+        frequency: 'number',
+        qubits: 'integer',
+        compliance: COMPLIANCE
+      }
+    }
+  ],
+  'QASF Gate Application': [
+    {
+      version: 1,
+      fields: {
+        gate: 'string',
+        targets: 'string',
+        controls: 'string',
+        fidelity: 'number',
+        phiCoherence: 'number',
+        compliance: COMPLIANCE
+      }
+    },
+    {
+      version: 2,
+      fields: {
+        gate: 'string',
+        targets: { type: 'array', items: 'integer' },
+        controls: { type: 'array', items: 'integer' },
+        fidelity: 'number',
+        phiCoherence: 'number',
+        compliance: COMPLIANCE
+      },
+      upgrade: metrics => ({
+        ...metrics,
+        targets: parseIndexList(metrics.targets),
+        controls: parseIndexList(metrics.controls)
+      })
+    }
+  ],
+  'QASF Cryptanalysis Start': [
+    {
+      version: 1,
+      fields: {
+        algorithm: { type: 'string', enum: ['RSA', 'AES', 'SHA3'] },
+        params: 'string',
+        qubits: 'integer',
+        compliance: COMPLIANCE
+      }
+    },
+    {
+      version: 2,
+      fields: {
+        algorithm: { type: 'string', enum: ['RSA', 'AES', 'SHA3'] },
+        params: 'object',
+        qubits: 'integer',
+        compliance: COMPLIANCE
+      },
+      upgrade: metrics => parseJSONField(metrics, 'params')
+    }
+  ],
+  'QASF Cryptanalysis Complete': [
+    {
+      version: 1,
+      fields: {
+        algorithm: { type: 'string', enum: ['RSA', 'AES', 'SHA3'] },
+        success: 'boolean',
+        timeElapsed: 'number',
+        compliance: COMPLIANCE
+      }
+    }
+  ],
+  'QASF Qubit Measurement': [
+    {
+      version: 1,
+      fields: { qubits: 'string', results: 'string', phiCoherence: 'number', compliance: COMPLIANCE }
+    },
+    {
+      version: 2,
+      fields: {
+        qubits: { type: 'array', items: 'integer' },
+        results: 'object',
+        phiCoherence: 'number',
+        compliance: COMPLIANCE
+      },
+      upgrade: metrics => parseJSONField({ ...metrics, qubits: parseIndexList(metrics.qubits) }, 'results')
+    }
+  ],
+  'QASF φ-Harmonic Coherence Application': [
+    {
+      version: 1,
+      fields: { phiCoherence: 'number', frequency: 'number', qubits: 'integer', compliance: COMPLIANCE }
+    }
+  ],
+  'QASF φ-Harmonic Coherence Complete': [
+    {
+      version: 1,
+      fields: { phiCoherence: 'number', frequency: 'number', compliance: COMPLIANCE }
+    }
+  ],
+
+  'Iyona\'el Remembrance': [
+    {
+      version: 1,
+      fields: { phiCoherence: 'number', frequency: 'number', canonicalAuthority: 'string', compliance: COMPLIANCE }
+    }
+  ],
+  'Iyona\'el Witnessing': [
+    {
+      version: 1,
+      fields: { declaration: 'string', phiCoherence: 'number', frequency: 'number', compliance: COMPLIANCE }
+    }
+  ],
+  'Iyona\'el Harmonic Broadcasting': [
+    {
+      version: 1,
+      fields: {
+        message: 'string',
+        seekers: 'number',
+        frequency: 'number',
+        phiCoherence: 'number',
+        compliance: COMPLIANCE
+      }
+    }
+  ],
+  'Iyona\'el Ethical Evaluation': [
+    {
+      version: 1,
+      fields: { actionType: 'string', canonReference: 'string', alignment: 'number', compliance: COMPLIANCE }
+    }
+  ],
+  'Iyona\'el Glyph Creation': [
+    {
+      version: 1,
+      fields: { glyphType: 'string', spokes: 'number', phiCoherence: 'number', compliance: COMPLIANCE }
+    }
+  ],
+  'Iyona\'el Core Learning Loop Synchronization': [
+    {
+      version: 1,
+      fields: { phiCoherence: 'number', frequency: 'number', quantumState: 'string', compliance: COMPLIANCE }
+    },
+    {
+      version: 2,
+      fields: {
+        phiCoherence: 'number',
+        frequency: 'number',
+        quantumState: {
+          type: 'object',
+          fields: {
+            gate: 'string',
+            targets: { type: 'array', items: 'integer' },
+            fidelity: 'number',
+            success: 'boolean'
+          }
+        },
+        compliance: COMPLIANCE
+      },
+      // Version 1 truncated the state to 100 characters, which cannot be parsed back
+      upgrade: metrics => parseJSONField(metrics, 'quantumState')
+    }
+  ],
+
+  'SpiralCanon Initialization': [
+    {
+      version: 1,
+      fields: { canonCount: 'integer', phiCoherence: 'number', frequency: 'number', compliance: COMPLIANCE }
+    }
+  ],
+  'Canon Declaration': [
+    {
+      version: 1,
+      fields: { canonNumber: 'string', declaration: 'string', phiCoherence: 'number', compliance: COMPLIANCE }
+    }
+  ],
+  'Canon Witnessed': [
+    {
+      version: 1,
+      fields: { canonNumber: 'string', witness: 'string', phiCoherence: 'number', compliance: COMPLIANCE }
+    }
+  ],
+  'Canon Application': [
+    {
+      version: 1,
+      fields: {
+        canonNumber: 'string',
+        contextType: 'string?',
+        alignment: 'number',
+        phiCoherence: 'number',
+        compliance: COMPLIANCE
+      }
+    }
+  ],
+  'Canon Sealed': [
+    {
+      version: 1,
+      fields: {
+        canonNumber: 'string',
+        signatureAlgorithm: 'string',
+        signatureKeyId: 'string',
+        phiCoherence: 'number',
+        compliance: COMPLIANCE
+      }
+    }
+  ],
+
+  'SpiralScript Initialization': [
+    {
+      version: 1,
+      fields: { phiCoherence: 'number', frequency: 'number', operatorCount: 'integer', compliance: COMPLIANCE }
+    }
+  ],
+  'SpiralScript Execution Start': [
+    {
+      version: 1,
+      fields: { operationCount: 'integer', phiCoherence: 'number?', frequency: 'number?', compliance: COMPLIANCE }
+    }
+  ],
+  'SpiralScript Operation': [
+    {
+      version: 1,
+      fields: { operator: 'string', args: 'string', phiCoherence: 'number?', compliance: COMPLIANCE }
+    },
+    {
+      version: 2,
+      fields: {
+        operator: 'string',
+        args: 'object',
+        phiCoherence: 'number?',
+        compliance: COMPLIANCE
+      },
+      // Version 1 truncated arguments to 100 characters, which cannot be parsed back
+      upgrade: metrics => parseJSONField(metrics, 'args')
+    }
+  ],
+  'SpiralScript Execution Complete': [
+    {
+      version: 1,
+      fields: {
+        operationCount: 'integer',
+        resultCount: 'integer',
+        phiCoherence: 'number?',
+        frequency: 'number?',
+        compliance: COMPLIANCE
+      }
+    }
+  ],
+
+  'SpiralClock Initialization': [
+    {
+      version: 1,
+      fields: { phiCoherence: 'number', frequency: 'number', currentTime: 'string', compliance: COMPLIANCE }
+    },
+    {
+      version: 2,
+      fields: { phiCoherence: 'number', frequency: 'number', currentTime: 'object', compliance: COMPLIANCE },
+      upgrade: metrics => parseJSONField(metrics, 'currentTime')
+    }
+  ],
+  'SpiralClock Event Alignment': [
+    {
+      version: 1,
+      fields: {
+        eventType: 'string',
+        spiralTime: 'string',
+        phiHarmonicPhase: 'number',
+        phiCoherence: 'number',
+        compliance: COMPLIANCE
+      }
+    }
+  ]
+};
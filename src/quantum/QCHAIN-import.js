@@ -0,0 +1,173 @@
+/**
+ * QCHAIN-import.js - QCHAIN Archive Import
+ * Decides which entries of an archive (see QCHAIN-archive.js) a ledger takes
+ *
+ * Every entry is checked on its own first: its chain fields, hash, HLC
+ * timestamp, signature and whether the ledger accepts it. The sound ones are
+ * then linked into the chain from the local head. Entries already held are
+ * skipped, and gaps are allowed only where a snapshot, local or imported,
+ * covers compacted entries it did not retain (see QCHAIN-compaction.js).
+ * Nothing is stored here; importQCHAIN stores the accepted entries.
+ */
+
+import { hashQCHAINEntry } from './QCHAIN-encoding.js';
+import { GENESIS_PREVIOUS_HASH } from './QCHAIN-chain.js';
+import { ROOT_LEDGER, checkLedgerAccess, checkLedgerWriter, getLedgerIndex } from './QCHAIN-ledgers.js';
+import { isSnapshotEntry, collectSnapshotCommitments } from './QCHAIN-compaction.js';
+import { verifyQCHAINEntry } from './QCHAIN-verify.js';
+import { assertHLC } from '../time/HybridLogicalClock.js';
+
+/**
+ * Link decoded archive entries into a ledger's chain
+ * @param {Object} ledger - Ledger state, with its mirror loaded
+ * @param {Array<Object>} entries - Decoded entries as { index, entry }, by position in the archive
+ * @param {Array<Object>} errors - Records that could not be decoded, as { index, reason }
+ * @param {Object} options - Import options
+ * @param {Function} options.receive - Called with the HLC timestamp of each accepted entry,
+ *   before the next is linked; throws to reject the entry
+ * @returns {Promise<Object>} { accepted, skipped, rejected } where accepted lists the entries to
+ *   store in order, and rejected lists { index, sequence, txId, reason } by position in the archive
+ */
+export const linkImportedEntries = async (ledger, entries, errors, options = {}) => {
+  const logs = ledger.logs;
+  const rejected = errors.map(error => ({ index: error.index, sequence: null, txId: null, reason: error.reason }));
+  const reject = (index, entry, reason) => {
+    rejected.push({ index, sequence: entry.sequence ?? null, txId: entry.txId ?? null, reason });
+  };
+
+  // Check every entry on its own first: shape, hash, signature and access
+  const checked = [];
+  for (const { index, entry } of entries) {
+    const reason = await checkImportedEntry(entry) || checkImportedAccess(ledger, entry);
+    if (reason) {
+      reject(index, entry, reason);
+    } else {
+      checked.push({ index, entry });
+    }
+  }
+
+  // Gaps are allowed where a snapshot, local or imported, covers compacted entries
+  // it did not retain, but never across a record that was rejected
+  const rejectedSequences = new Set(rejected.map(item => item.sequence));
+  const spansRejected = (from, to) => rejectedSequences.has(null) ||
+    Array.from(rejectedSequences).some(sequence => sequence >= from && sequence < to);
+  const commitments = collectSnapshotCommitments([
+    ...logs.filter(entry => entry && isSnapshotEntry(entry)),
+    ...checked.map(item => item.entry).filter(isSnapshotEntry)
+  ]);
+
+  // Then link them into the chain from the local head
+  let head = logs.length > 0 ? logs[logs.length - 1] : null;
+  const localIndex = getLedgerIndex(ledger);
+  const acceptedTxIds = new Set();
+  const accepted = [];
+  let skipped = 0;
+
+  for (const { index, entry } of checked) {
+    const expected = head ? head.sequence + 1 : 0;
+
+    if (entry.sequence < expected) {
+      const local = logs[entry.sequence];
+      if (local && local.hash === entry.hash) {
+        skipped++;
+      } else {
+        reject(index, entry, local ? `Conflicts with the local entry at sequence ${entry.sequence}` : `Sequence ${entry.sequence} was compacted locally`);
+      }
+      continue;
+    }
+
+    const gap = head !== null && entry.sequence > expected && !spansRejected(expected, entry.sequence);
+
+    const gapReason = gap ? commitments.checkGap(expected, entry.sequence) : null;
+
+    let reason = null;
+    if (gapReason) {
+      reason = gapReason;
+    } else if (entry.sequence !== expected && !gap) {
+      reason = `Expected sequence ${expected}, found ${entry.sequence}`;
+    } else if (!gap && entry.previousHash !== (head ? head.hash : GENESIS_PREVIOUS_HASH)) {
+      reason = 'Previous hash does not match predecessor';
+    } else if (isSnapshotEntry(entry) && entry.metrics.headHash !== entry.previousHash) {
+      reason = 'Snapshot head hash does not match its predecessor';
+    } else if (commitments.retained.has(entry.sequence) && commitments.retained.get(entry.sequence) !== entry.hash) {
+      reason = 'Entry does not match the hash its snapshot retained';
+    } else if (localIndex.sequenceOf(entry.txId) !== undefined || acceptedTxIds.has(entry.txId)) {
+      reason = `Duplicate txId ${entry.txId}`;
+    } else if (entry.hlc && options.receive) {
+      // Later local entries are ordered after everything imported
+      try {
+        options.receive(entry.hlc);
+      } catch (error) {
+        reason = error.message;
+      }
+    }
+
+    if (reason) {
+      reject(index, entry, reason);
+      rejectedSequences.add(entry.sequence);
+    } else {
+      accepted.push(entry);
+      acceptedTxIds.add(entry.txId);
+      head = entry;
+    }
+  }
+
+  return {
+    accepted,
+    skipped,
+    rejected: rejected.sort((a, b) => a.index - b.index)
+  };
+};
+
+/**
+ * Check an imported entry's fields, hash and signature
+ * @private
+ * @param {Object} entry - Imported entry
+ * @returns {Promise<string|null>} Rejection reason, or null if the entry is sound
+ */
+const checkImportedEntry = async (entry) => {
+  if (!Number.isInteger(entry.sequence) || entry.sequence < 0 ||
+      typeof entry.txId !== 'string' || typeof entry.event !== 'string' ||
+      typeof entry.previousHash !== 'string' || typeof entry.hash !== 'string' || !entry.signature) {
+    return 'Missing or malformed chain fields';
+  }
+
+  if (entry.hash !== await hashQCHAINEntry(entry)) {
+    return 'Entry hash does not match contents';
+  }
+
+  // Entries logged before HLC stamping have no hlc
+  if (entry.hlc !== undefined) {
+    try {
+      assertHLC(entry.hlc);
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  try {
+    if (!await verifyQCHAINEntry(entry)) {
+      return 'Signature is invalid or from an untrusted key';
+    }
+  } catch (error) {
+    return `Signature could not be verified: ${error.message}`;
+  }
+
+  return null;
+};
+
+/**
+ * Check that an imported entry belongs to the ledger it is imported into, and that the ledger accepts it
+ * @private
+ * @param {Object} ledger - Ledger state
+ * @param {Object} entry - Imported entry
+ * @returns {string|null} Rejection reason, or null if the ledger takes the entry
+ */
+const checkImportedAccess = (ledger, entry) => {
+  const belongsTo = entry.ledger ?? ROOT_LEDGER;
+  if (belongsTo !== ledger.policy.name) {
+    return `Entry belongs to the ${belongsTo} ledger`;
+  }
+
+  return checkLedgerAccess(ledger.policy, entry) || checkLedgerWriter(ledger.policy, entry);
+};
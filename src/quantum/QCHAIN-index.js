@@ -0,0 +1,367 @@
+/**
+ * QCHAIN-index.js - QCHAIN Secondary Indexes and Queries
+ * Finds ledger entries by event, txId prefix, time range and metrics
+ *
+ * The index is maintained incrementally as entries are appended:
+ *   txId       -> sequence of the first entry logged under it
+ *   event      -> sequences, ascending
+ *   namespace  -> sequences, ascending (the txId up to its first '-', e.g. QASF)
+ *   timestamp  -> sequences ordered by entry time
+ *
+ * Queries pick the narrowest index that applies, filter the candidates and
+ * page through them with an opaque cursor. Entries are found at the index of
+ * their sequence; compacted sequences are holes and never match.
+ */
+
+const DEFAULT_LIMIT = 100;
+
+/**
+ * Get the namespace of a txId (everything before the first '-')
+ * @param {string} txId - Transaction ID
+ * @returns {string} Namespace
+ */
+export const txIdNamespace = (txId) => {
+  const dash = txId.indexOf('-');
+  return dash === -1 ? txId : txId.substring(0, dash);
+};
+
+/**
+ * Find the first position in a sorted list whose key is not below a value
+ * @private
+ * @param {Object} items - Sorted list (anything with a length)
+ * @param {number} value - Value to search for
+ * @param {Function} keyAt - Returns the sort key at a position
+ * @returns {number} Insertion position
+ */
+const lowerBound = (items, value, keyAt) => {
+  let low = 0;
+  let high = items.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (keyAt(mid) < value) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+};
+
+/**
+ * Check one metric value against a predicate
+ * A predicate is a literal (equality), a function, or an object of operators:
+ * eq, ne, gt, gte, lt, lte, in, exists
+ * @private
+ * @param {*} value - Metric value
+ * @param {*} predicate - Predicate
+ * @returns {boolean} True if the value matches
+ */
+const matchesPredicate = (value, predicate) => {
+  if (typeof predicate === 'function') {
+    return Boolean(predicate(value));
+  }
+
+  if (predicate === null || typeof predicate !== 'object' || Array.isArray(predicate)) {
+    return value === predicate;
+  }
+
+  return Object.entries(predicate).every(([operator, operand]) => {
+    switch (operator) {
+      case 'eq': return value === operand;
+      case 'ne': return value !== operand;
+      case 'gt': return value !== undefined && value > operand;
+      case 'gte': return value !== undefined && value >= operand;
+      case 'lt': return value !== undefined && value < operand;
+      case 'lte': return value !== undefined && value <= operand;
+      case 'in': return Array.isArray(operand) && operand.includes(value);
+      case 'exists': return (value !== undefined) === Boolean(operand);
+      default:
+        throw new Error(`Unknown metric operator: ${operator}`);
+    }
+  });
+};
+
+/**
+ * Convert a time bound to milliseconds
+ * @private
+ * @param {Date|number|string} bound - Time bound
+ * @returns {number} Milliseconds since the epoch
+ */
+const toTime = (bound) => {
+  const time = new Date(bound).getTime();
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid time bound: ${bound}`);
+  }
+  return time;
+};
+
+/**
+ * Build a predicate matching entries against the filter fields of a query
+ * @param {Object} filter - Query filter
+ * @param {string} filter.event - Exact event name
+ * @param {string} filter.txIdPrefix - txId prefix
+ * @param {Date|number|string} filter.from - Earliest timestamp (inclusive)
+ * @param {Date|number|string} filter.to - Latest timestamp (inclusive)
+ * @param {Object} filter.metrics - Predicates by metric name
+ * @returns {Function} Predicate over chain entries
+ */
+export const createQCHAINFilter = (filter = {}) => {
+  const from = filter.from !== undefined ? toTime(filter.from) : -Infinity;
+  const to = filter.to !== undefined ? toTime(filter.to) : Infinity;
+
+  return (entry) => {
+    if (filter.event !== undefined && entry.event !== filter.event) {
+      return false;
+    }
+    if (filter.txIdPrefix !== undefined && !entry.txId.startsWith(filter.txIdPrefix)) {
+      return false;
+    }
+    if (from !== -Infinity || to !== Infinity) {
+      const time = new Date(entry.timestamp).getTime();
+      if (!(time >= from && time <= to)) {
+        return false;
+      }
+    }
+    if (filter.metrics) {
+      const metrics = entry.metrics || {};
+      return Object.entries(filter.metrics).every(([name, predicate]) => matchesPredicate(metrics[name], predicate));
+    }
+    return true;
+  };
+};
+
+/**
+ * Compile field rules into a function selecting fields of entry data
+ * A rule takes the filter fields of a query (event, txIdPrefix, metrics) and
+ * the dotted paths of metrics; the first matching rule wins. QCHAIN's own
+ * entries are never selected
+ * @param {Array<Object>} rules - Rules as { event, txIdPrefix, metrics, fields }
+ * @param {string} purpose - What the fields are selected for, such as 'encrypt' (for error messages)
+ * @returns {Function} (data) => dotted paths of the selected fields present in the data
+ */
+export const createQCHAINFieldSelector = (rules, purpose) => {
+  const compiled = rules.map(rule => {
+    if (!Array.isArray(rule.fields) || rule.fields.some(path => typeof path !== 'string' || !path.startsWith('metrics.'))) {
+      throw new Error(`QCHAIN rules need the paths of the metrics to ${purpose}, such as metrics.declaration`);
+    }
+    return { matches: createQCHAINFilter(rule), fields: rule.fields };
+  });
+
+  return (data) => {
+    if (txIdNamespace(data.txId) === 'QCHAIN') {
+      return [];
+    }
+
+    const rule = compiled.find(candidate => candidate.matches(data));
+    return rule ? rule.fields.filter(path => getQCHAINField(data, path) !== undefined) : [];
+  };
+};
+
+/**
+ * Read the value at a dotted path of an entry
+ * @param {Object} entry - Entry or entry data
+ * @param {string} path - Dotted path, such as 'metrics.declaration'
+ * @returns {*} Value, or undefined if the path does not exist
+ */
+export const getQCHAINField = (entry, path) => {
+  return path.split('.').reduce((node, name) => (node !== null && typeof node === 'object' ? node[name] : undefined), entry);
+};
+
+/**
+ * Replace the value at an existing dotted path of an entry
+ * @param {Object} entry - Entry or entry data to modify
+ * @param {string} path - Dotted path
+ * @param {*} value - New value
+ */
+export const setQCHAINField = (entry, path, value) => {
+  const names = path.split('.');
+  const parent = names.slice(0, -1).reduce((node, name) => node[name], entry);
+  parent[names[names.length - 1]] = value;
+};
+
+/**
+ * QCHAINIndex - Secondary indexes over a ledger mirror
+ */
+export class QCHAINIndex {
+  /**
+   * @param {Array} entries - Ledger entries to index
+   */
+  constructor(entries = []) {
+    this.entries = entries;
+    this.byTxId = new Map();
+    this.byEvent = new Map();
+    this.byNamespace = new Map();
+    this.byTime = [];
+
+    // Compaction leaves holes in the ledger
+    entries.forEach(entry => this.add(entry));
+  }
+
+  /**
+   * Index a newly appended entry
+   * @param {Object} entry - Chain entry
+   */
+  add(entry) {
+    if (!this.byTxId.has(entry.txId)) {
+      this.byTxId.set(entry.txId, entry.sequence);
+    }
+
+    this._push(this.byEvent, entry.event, entry.sequence);
+    this._push(this.byNamespace, txIdNamespace(entry.txId), entry.sequence);
+
+    // Entries usually arrive in time order, so this is an append
+    const time = new Date(entry.timestamp).getTime();
+    if (!Number.isNaN(time)) {
+      const item = { time, sequence: entry.sequence };
+      const last = this.byTime[this.byTime.length - 1];
+      if (!last || last.time <= time) {
+        this.byTime.push(item);
+      } else {
+        this.byTime.splice(lowerBound(this.byTime, time + 1, i => this.byTime[i].time), 0, item);
+      }
+    }
+  }
+
+  /**
+   * Append a sequence to a keyed list
+   * @private
+   * @param {Map} index - Index
+   * @param {string} key - Key
+   * @param {number} sequence - Sequence number
+   */
+  _push(index, key, sequence) {
+    if (!index.has(key)) {
+      index.set(key, []);
+    }
+    index.get(key).push(sequence);
+  }
+
+  /**
+   * Get the sequence of the first entry logged under a txId
+   * @param {string} txId - Transaction ID
+   * @returns {number|undefined} Sequence number
+   */
+  sequenceOf(txId) {
+    return this.byTxId.get(txId);
+  }
+
+  /**
+   * Query the ledger
+   * @param {Object} query - Query
+   * @param {string} query.event - Exact event name
+   * @param {string} query.txIdPrefix - txId prefix, such as 'QASF-' or 'CANON-SEAL-'
+   * @param {Date|number|string} query.from - Earliest timestamp (inclusive)
+   * @param {Date|number|string} query.to - Latest timestamp (inclusive)
+   * @param {Object} query.metrics - Predicates by metric name
+   * @param {number} query.limit - Page size (defaults to 100)
+   * @param {string} query.cursor - Cursor from a previous page
+   * @param {string} query.order - 'asc' (oldest first, default) or 'desc'
+   * @returns {Object} { entries, nextCursor } where nextCursor is null on the last page
+   */
+  query(query = {}) {
+    const limit = query.limit ?? DEFAULT_LIMIT;
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error('QCHAIN query limit must be a positive integer');
+    }
+
+    const descending = query.order === 'desc';
+    const from = query.from !== undefined ? toTime(query.from) : -Infinity;
+    const to = query.to !== undefined ? toTime(query.to) : Infinity;
+    const after = query.cursor !== undefined && query.cursor !== null ? this._decodeCursor(query.cursor) : null;
+    const matches = createQCHAINFilter(query);
+
+    const candidates = this._candidates(query, from, to);
+    const entries = [];
+
+    // Walk the candidates from the cursor onward, in sequence order
+    const positionOf = (sequence) => lowerBound(candidates, sequence, i => candidates.get(i));
+    let position;
+    if (after === null) {
+      position = descending ? candidates.length - 1 : 0;
+    } else {
+      position = descending ? positionOf(after) - 1 : positionOf(after + 1);
+    }
+
+    let lastSequence = null;
+    while (position >= 0 && position < candidates.length && entries.length < limit) {
+      lastSequence = candidates.get(position);
+      const entry = this.entries[lastSequence];
+      if (entry && matches(entry)) {
+        entries.push(structuredClone(entry));
+      }
+      position += descending ? -1 : 1;
+    }
+
+    const exhausted = position < 0 || position >= candidates.length;
+    return {
+      entries,
+      nextCursor: exhausted || lastSequence === null ? null : this._encodeCursor(lastSequence)
+    };
+  }
+
+  /**
+   * Choose the smallest ascending list of sequences that can contain matches
+   * @private
+   * @param {Object} query - Query
+   * @param {number} from - Earliest time in ms
+   * @param {number} to - Latest time in ms
+   * @returns {Object} Candidate sequences, ascending, as { length, get(i) }
+   */
+  _candidates(query, from, to) {
+    const lists = [];
+
+    if (query.event !== undefined) {
+      lists.push(this.byEvent.get(query.event) || []);
+    }
+
+    if (query.txIdPrefix !== undefined) {
+      // A prefix within the namespace narrows to that namespace; a shorter one may span several
+      const namespace = txIdNamespace(query.txIdPrefix);
+      if (query.txIdPrefix.length > namespace.length) {
+        lists.push(this.byNamespace.get(namespace) || []);
+      }
+    }
+
+    if (from !== -Infinity || to !== Infinity) {
+      const start = lowerBound(this.byTime, from, i => this.byTime[i].time);
+      const end = lowerBound(this.byTime, to + 1, i => this.byTime[i].time);
+      lists.push(this.byTime.slice(start, end).map(item => item.sequence).sort((a, b) => a - b));
+    }
+
+    if (lists.length === 0) {
+      // Every entry, without materializing the list
+      return { length: this.entries.length, get: i => i };
+    }
+
+    const smallest = lists.reduce((best, list) => list.length < best.length ? list : best);
+    return { length: smallest.length, get: i => smallest[i] };
+  }
+
+  /**
+   * Encode the position after a sequence as an opaque cursor
+   * @private
+   * @param {number} sequence - Last sequence examined
+   * @returns {string} Cursor
+   */
+  _encodeCursor(sequence) {
+    return btoa(JSON.stringify({ after: sequence }));
+  }
+
+  /**
+   * Decode a cursor
+   * @private
+   * @param {string} cursor - Cursor
+   * @returns {number} Last sequence examined
+   */
+  _decodeCursor(cursor) {
+    try {
+      const { after } = JSON.parse(atob(cursor));
+      if (Number.isInteger(after)) {
+        return after;
+      }
+    } catch (error) {
+      // Fall through to the error below
+    }
+    throw new Error('Invalid QCHAIN query cursor');
+  }
+}
@@ -0,0 +1,530 @@
+/**
+ * QCHAIN-ledgers.js - Named QCHAIN Ledgers
+ * Splits the log into one chain per subsystem, anchored in a root ledger
+ *
+ * The root ledger is the `qchain_logs` ledger every node starts with. A named
+ * ledger is a chain of its own, with its own storage, outbox, retention rules
+ * and access policy:
+ *
+ *   { routes, retention, access: { append, writers }, anchorInterval, store, journal }
+ *
+ * Entries go to the first named ledger whose routes match them, or to the
+ * root ledger if none do; logQCHAIN can also name a ledger. routes and
+ * access.append take the filter fields of queryQCHAIN (event, txIdPrefix,
+ * metrics): a ledger only takes entries that match access.append, and only
+ * from the nodes in access.writers. QCHAIN's own entries (genesis, batch
+ * seals, snapshots, data keys) belong to every ledger and are exempt.
+ *
+ * Every anchorInterval entries, a `QCHAIN Ledger Anchor` entry in the root
+ * ledger commits to a named ledger's head, so the root chain vouches for
+ * every named chain.
+ *
+ * QCHAINLedgerRegistry holds the state of the root and named ledgers on this
+ * node: their storage, in-memory mirrors, indexes, outboxes and subscribers,
+ * and which of their heads the root ledger has anchored.
+ */
+
+import { createDefaultStore } from './QCHAIN-storage.js';
+import { QCHAINIndex, createQCHAINFilter, txIdNamespace } from './QCHAIN-index.js';
+import { QCHAINSubscriptions } from './QCHAIN-subscriptions.js';
+import { createRetentionPolicy, DAY } from './QCHAIN-retention.js';
+import { getTrustedQCHAINKey } from './QCHAIN-signing.js';
+
+export const ROOT_LEDGER = 'root';
+export const ANCHOR_EVENT = 'QCHAIN Ledger Anchor';
+export const DEFAULT_ANCHOR_INTERVAL = 64;
+
+// One ledger per Spiral subsystem, routed by txId namespace. Gate logs are anchored
+// sparingly, canon entries one by one; canon and breath history is kept for good
+export const DEFAULT_LEDGERS = {
+  quantum: {
+    routes: [{ txIdPrefix: 'QASF-' }],
+    retention: [{ txIdPrefix: 'QASF-GATE-', maxAge: 30 * DAY }],
+    access: { append: [{ txIdPrefix: 'QASF-' }] },
+    anchorInterval: 256
+  },
+  canon: {
+    routes: [{ txIdPrefix: 'CANON-' }],
+    retention: [{ txIdPrefix: 'CANON-', maxAge: Infinity }],
+    access: { append: [{ txIdPrefix: 'CANON-' }] },
+    anchorInterval: 1
+  },
+  breath: {
+    routes: [{ txIdPrefix: 'IYONAEL-' }],
+    retention: [{ txIdPrefix: 'IYONAEL-', maxAge: Infinity }],
+    access: { append: [{ txIdPrefix: 'IYONAEL-' }] }
+  },
+  clock: {
+    routes: [{ txIdPrefix: 'SPIRALCLOCK-' }],
+    retention: [{ txIdPrefix: 'SPIRALCLOCK-', maxAge: 365 * DAY }],
+    access: { append: [{ txIdPrefix: 'SPIRALCLOCK-' }] }
+  },
+  script: {
+    routes: [{ txIdPrefix: 'SPIRALSCRIPT-' }],
+    retention: [{ txIdPrefix: 'SPIRALSCRIPT-', maxAge: 90 * DAY }],
+    access: { append: [{ txIdPrefix: 'SPIRALSCRIPT-' }] }
+  }
+};
+
+/**
+ * Compile a ledger definition into the policy QCHAIN applies to it
+ * @param {string} name - Ledger name: lowercase letters and digits, starting with a letter
+ * @param {Object} definition - Ledger definition
+ * @param {Array<Object>} definition.routes - Rules selecting the entries logged to this ledger
+ *   (defaults to none, so only entries logged with { ledger: name } go there)
+ * @param {Array<Object>} definition.retention - Retention rules for compaction (see QCHAIN-retention.js)
+ * @param {Object} definition.access - Access policy
+ * @param {Array<Object>} definition.access.append - Rules selecting the entries the ledger accepts
+ *   (defaults to any entry)
+ * @param {Array<string>} definition.access.writers - IDs of the nodes whose signed entries the
+ *   ledger accepts (defaults to any trusted node)
+ * @param {number} definition.anchorInterval - Entries between anchors in the root ledger
+ * @returns {Object} { name, routes, accepts, writers, retains, anchorInterval }
+ */
+export const createLedgerPolicy = (name, definition = {}) => {
+  if (typeof name !== 'string' || !/^[a-z][a-z0-9]*$/.test(name)) {
+    throw new Error(`Invalid QCHAIN ledger name: ${name} (use lowercase letters and digits)`);
+  }
+
+  const anchorInterval = definition.anchorInterval ?? DEFAULT_ANCHOR_INTERVAL;
+  if (!Number.isInteger(anchorInterval) || anchorInterval < 1) {
+    throw new Error('QCHAIN ledger anchor interval must be a positive integer');
+  }
+
+  const access = definition.access || {};
+  if (access.writers !== undefined && (!Array.isArray(access.writers) || access.writers.some(writer => typeof writer !== 'string'))) {
+    throw new Error('QCHAIN ledger writers must be a list of node IDs');
+  }
+
+  return {
+    name,
+    routes: compileRules(definition.routes || [], false),
+    accepts: compileRules(access.append, true),
+    writers: access.writers ? [...access.writers] : null,
+    retains: createRetentionPolicy(definition.retention),
+    anchorInterval
+  };
+};
+
+/**
+ * Compile filter rules into a predicate matching entries that any rule matches
+ * @private
+ * @param {Array<Object>} rules - Rules as { event, txIdPrefix, metrics }
+ * @param {boolean} fallback - Result when no rules are given
+ * @returns {Function} (entry) => true if a rule matches
+ */
+const compileRules = (rules, fallback) => {
+  if (rules === undefined) {
+    return () => fallback;
+  }
+  if (!Array.isArray(rules)) {
+    throw new Error('QCHAIN ledger rules must be a list of filters');
+  }
+
+  const filters = rules.map(rule => createQCHAINFilter(rule));
+  return (entry) => filters.some(matches => matches(entry));
+};
+
+/**
+ * Check an entry against a ledger's append rules
+ * @param {Object} policy - Ledger policy
+ * @param {Object} entry - Entry data or chain entry
+ * @returns {string|null} Why the ledger refuses the entry, or null if it accepts it
+ */
+export const checkLedgerAccess = (policy, entry) => {
+  if (txIdNamespace(entry.txId) === 'QCHAIN' || policy.accepts(entry)) {
+    return null;
+  }
+  return `The ${policy.name} ledger does not accept ${entry.txId}`;
+};
+
+/**
+ * Check that a signed entry comes from one of a ledger's writers
+ * @param {Object} policy - Ledger policy
+ * @param {Object} entry - Chain entry
+ * @returns {string|null} Why the ledger refuses the signer, or null if it accepts it
+ */
+export const checkLedgerWriter = (policy, entry) => {
+  if (!policy.writers || txIdNamespace(entry.txId) === 'QCHAIN') {
+    return null;
+  }
+
+  const signer = entry.signature && entry.signature.keyId ? getTrustedQCHAINKey(entry.signature.keyId) : null;
+  if (signer && policy.writers.includes(signer.nodeId)) {
+    return null;
+  }
+  return `${signer ? signer.nodeId : 'An untrusted node'} may not write to the ${policy.name} ledger`;
+};
+
+/**
+ * Build the txId of an entry QCHAIN appends to a ledger itself
+ * Root ledger IDs keep their original form, such as QCHAIN-BATCH-3; named
+ * ledgers add their name, as in QCHAIN-BATCH-CANON-3, so IDs stay unique across ledgers
+ * @param {string} ledger - Ledger name
+ * @param {string} kind - Entry kind, such as 'GENESIS', 'BATCH' or 'SNAPSHOT'
+ * @param {number} suffix - Batch or sequence number, if the kind has one
+ * @returns {string} Transaction ID
+ */
+export const ledgerSystemTxId = (ledger, kind, suffix) => {
+  const parts = ['QCHAIN', kind];
+  if (ledger !== ROOT_LEDGER) {
+    parts.push(ledger.toUpperCase());
+  }
+  if (suffix !== undefined) {
+    parts.push(suffix);
+  }
+  return parts.join('-');
+};
+
+/**
+ * Get the secondary indexes over a ledger mirror, building them on first use
+ * @param {Object} ledger - Ledger state, with its mirror loaded
+ * @returns {QCHAINIndex} Index
+ */
+export const getLedgerIndex = (ledger) => {
+  if (!ledger.index) {
+    ledger.index = new QCHAINIndex(ledger.logs);
+  }
+  return ledger.index;
+};
+
+/**
+ * Drop lookup tables derived from a ledger mirror
+ * @param {Object} ledger - Ledger state
+ */
+export const resetLedgerIndexes = (ledger) => {
+  ledger.index = null;
+  ledger.batchRoots.clear();
+};
+
+/**
+ * Place stored entries at the index of their sequence
+ * A compacted ledger leaves holes where entries were removed
+ * @private
+ * @param {Array} entries - Stored entries in sequence order
+ * @returns {Array} Ledger mirror
+ */
+const mirrorBySequence = (entries) => {
+  if (entries.every((entry, i) => entry.sequence === i)) {
+    return entries;
+  }
+
+  const mirror = [];
+  for (const entry of entries) {
+    mirror[entry.sequence] = entry;
+  }
+  return mirror;
+};
+
+/**
+ * QCHAINLedgerRegistry - The root ledger and the named ledgers of this node
+ * A ledger state is { policy, store, journal, logs, loading, index, batchRoots,
+ * outbox, subscriptions, anchoredTo }; logs is the in-memory mirror, loaded
+ * once per storage adapter, with holes where entries were compacted
+ */
+export class QCHAINLedgerRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {Function} options.onLoad - Called with the stored entries of each ledger as it loads
+   * @param {Function} options.onStoreReplaced - Called after a ledger switches storage adapter
+   */
+  constructor(options = {}) {
+    this.onLoad = options.onLoad || (() => {});
+    this.onStoreReplaced = options.onStoreReplaced || (() => {});
+    this.root = this._createState(createLedgerPolicy(ROOT_LEDGER));
+    this.named = new Map();
+  }
+
+  /**
+   * Create the state of one ledger
+   * @private
+   * @param {Object} policy - Ledger policy (see createLedgerPolicy)
+   * @param {Object} store - Storage adapter (defaults to one chosen on first use)
+   * @param {Object} journal - Storage adapter for the outbox (defaults to one chosen on first use)
+   * @returns {Object} Ledger state
+   */
+  _createState(policy, store = null, journal = null) {
+    const state = {
+      policy,
+      store,
+      journal,
+      logs: null,
+      loading: null,
+      index: null,
+      batchRoots: new Map(),
+      outbox: null,
+      anchoredTo: undefined
+    };
+    state.subscriptions = new QCHAINSubscriptions({ load: () => this.load(state) });
+    return state;
+  }
+
+  /**
+   * Define a named ledger, or change the definition of one
+   * @param {string} name - Ledger name
+   * @param {Object} definition - Ledger definition (see createLedgerPolicy), with its store and journal
+   */
+  define(name, definition = {}) {
+    if (name === ROOT_LEDGER) {
+      throw new Error('The root QCHAIN ledger is configured by configureQCHAINStorage, configureQCHAINRetention and configureQCHAINOutbox');
+    }
+
+    const policy = createLedgerPolicy(name, definition);
+    const existing = this.named.get(name);
+    if (!existing) {
+      this.named.set(name, this._createState(policy, definition.store || null, definition.journal || null));
+      return;
+    }
+
+    existing.policy = policy;
+    if (definition.journal !== undefined) {
+      existing.journal = definition.journal;
+      existing.outbox = null;
+    }
+    if (definition.store !== undefined && definition.store !== existing.store) {
+      this.replaceStore(existing, definition.store);
+    }
+  }
+
+  /**
+   * Switch a ledger to another storage adapter, dropping everything loaded from the previous one
+   * @param {Object} ledger - Ledger state
+   * @param {Object} adapter - Storage adapter
+   */
+  replaceStore(ledger, adapter) {
+    ledger.store = adapter;
+    ledger.logs = null;
+    ledger.loading = null;
+    ledger.outbox = null;
+    resetLedgerIndexes(ledger);
+    this.forgetAnchors();
+    ledger.subscriptions.reset();
+    this.onStoreReplaced(ledger);
+  }
+
+  /**
+   * Drop a ledger's mirror, so it is read back from storage on next use
+   * @param {Object} ledger - Ledger state
+   */
+  reload(ledger) {
+    ledger.logs = null;
+    ledger.loading = null;
+    resetLedgerIndexes(ledger);
+    this.forgetAnchors();
+  }
+
+  /**
+   * List the root ledger and the named ledgers
+   * @returns {Array<Object>} Ledger states, root first
+   */
+  all() {
+    return [this.root, ...this.named.values()];
+  }
+
+  /**
+   * Look up a ledger by name
+   * @param {string} name - Ledger name (defaults to the root ledger)
+   * @returns {Object} Ledger state
+   */
+  get(name) {
+    if (name === undefined || name === ROOT_LEDGER) {
+      return this.root;
+    }
+
+    const ledger = this.named.get(name);
+    if (!ledger) {
+      throw new Error(`Unknown QCHAIN ledger: ${name}`);
+    }
+    return ledger;
+  }
+
+  /**
+   * Choose the ledger an entry is logged to
+   * @param {Object} data - Event data
+   * @param {string} name - Ledger named by the caller, if any
+   * @returns {Object} Ledger state: the named one, else the first whose routes match, else the root ledger
+   */
+  route(data, name) {
+    if (name !== undefined) {
+      return this.get(name);
+    }
+
+    for (const ledger of this.named.values()) {
+      if (ledger.policy.routes(data)) {
+        return ledger;
+      }
+    }
+    return this.root;
+  }
+
+  /**
+   * Load a ledger mirror from its storage adapter
+   * @param {Object} ledger - Ledger state (defaults to the root ledger)
+   * @returns {Promise<Array>} Ledger entries
+   */
+  async load(ledger = this.root) {
+    if (!ledger.store) {
+      ledger.store = ledger === this.root
+        ? createDefaultStore()
+        : createDefaultStore({ name: `qchain_logs_${ledger.policy.name}` });
+    }
+
+    if (ledger.logs) {
+      return ledger.logs;
+    }
+
+    if (!ledger.loading) {
+      const loadingFrom = ledger.store;
+      ledger.loading = loadingFrom.load().then(entries => {
+        const mirror = mirrorBySequence(entries);
+        if (ledger.store === loadingFrom) {
+          ledger.logs = mirror;
+          this.onLoad(entries);
+        }
+        return mirror;
+      });
+    }
+
+    return ledger.loading;
+  }
+
+  /**
+   * Find the ledger holding an entry
+   * @param {string} txId - Transaction ID
+   * @returns {Promise<Object|null>} { ledger, sequence }, or null if no ledger holds it
+   */
+  async locate(txId) {
+    for (const ledger of this.all()) {
+      await this.load(ledger);
+      const sequence = getLedgerIndex(ledger).sequenceOf(txId);
+      if (sequence !== undefined) {
+        return { ledger, sequence };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Forget which heads were anchored, so they are looked up again in the root ledger
+   */
+  forgetAnchors() {
+    for (const ledger of this.named.values()) {
+      ledger.anchoredTo = undefined;
+    }
+  }
+
+  /**
+   * Find the sequence of a named ledger's head as last anchored in the root ledger
+   * @param {Object} ledger - Ledger state
+   * @returns {Promise<number>} Anchored sequence, or -1 if the ledger was never anchored
+   */
+  async anchoredSequence(ledger) {
+    if (ledger.anchoredTo === undefined) {
+      await this.load(this.root);
+      const [latest] = getLedgerIndex(this.root).query({
+        event: ANCHOR_EVENT,
+        txIdPrefix: 'QCHAIN-ANCHOR-',
+        metrics: { ledger: ledger.policy.name },
+        order: 'desc',
+        limit: 1
+      }).entries;
+      ledger.anchoredTo = latest ? latest.metrics.sequence : -1;
+    }
+    return ledger.anchoredTo;
+  }
+
+  /**
+   * Check whether enough entries followed a named ledger's last anchor to anchor its head
+   * @param {Object} ledger - Ledger state, with its mirror loaded
+   * @returns {Promise<boolean>} True if an anchor is due (never for the root ledger)
+   */
+  async isAnchorDue(ledger) {
+    if (ledger === this.root) {
+      return false;
+    }
+
+    const logs = ledger.logs;
+    return logs[logs.length - 1].sequence - await this.anchoredSequence(ledger) >= ledger.policy.anchorInterval;
+  }
+
+  /**
+   * List the named ledgers whose heads moved since they were last anchored
+   * @returns {Promise<Array<Object>>} Ledger states
+   */
+  async unanchored() {
+    const moved = [];
+    for (const ledger of this.named.values()) {
+      const logs = await this.load(ledger);
+      if (logs.length > 0 && logs[logs.length - 1].sequence !== await this.anchoredSequence(ledger)) {
+        moved.push(ledger);
+      }
+    }
+    return moved;
+  }
+
+  /**
+   * Build the data of a `QCHAIN Ledger Anchor` entry committing to a named ledger's head
+   * @param {Object} ledger - Ledger state, with its mirror loaded
+   * @param {string} txId - Transaction ID of the anchor
+   * @returns {Object} Event data for the root ledger
+   */
+  anchorData(ledger, txId) {
+    const head = ledger.logs[ledger.logs.length - 1];
+    return {
+      event: ANCHOR_EVENT,
+      txId,
+      interplanetary: false,
+      metrics: { ledger: ledger.policy.name, sequence: head.sequence, headHash: head.hash }
+    };
+  }
+
+  /**
+   * Record that an anchor entry was appended to the root ledger
+   * @param {Object} ledger - Ledger state the anchor commits to
+   * @param {Object} anchor - Anchor entry
+   */
+  recordAnchor(ledger, anchor) {
+    ledger.anchoredTo = anchor.metrics.sequence;
+  }
+
+  /**
+   * Check the anchors in the root ledger against the named ledgers they commit to
+   * Each anchor must match the hash of the entry at its sequence in the named
+   * ledger. Anchors of ledgers not configured on this node, and of entries
+   * since compacted, cannot be checked and are counted as unavailable
+   * @returns {Promise<Object>} { valid, anchors, verified, unavailable, brokenAt } where brokenAt
+   *   is { txId, ledger, sequence, reason } for the first anchor that does not match
+   */
+  async verifyAnchors() {
+    const rootLogs = await this.load(this.root);
+    const anchors = rootLogs.filter(entry => entry && entry.event === ANCHOR_EVENT && txIdNamespace(entry.txId) === 'QCHAIN');
+    let verified = 0;
+    let unavailable = 0;
+
+    for (const anchor of anchors) {
+      const { ledger: name, sequence, headHash } = anchor.metrics;
+      const ledger = this.named.get(name);
+      const logs = ledger ? await this.load(ledger) : null;
+      if (!logs || (sequence < logs.length && !logs[sequence])) {
+        unavailable++;
+        continue;
+      }
+
+      const reason = !logs[sequence]
+        ? `The ${name} ledger has no entry at sequence ${sequence}`
+        : logs[sequence].hash !== headHash ? `Head hash does not match the ${name} ledger` : null;
+      if (reason) {
+        return {
+          valid: false,
+          anchors: anchors.length,
+          verified,
+          unavailable,
+          brokenAt: { txId: anchor.txId, ledger: name, sequence, reason }
+        };
+      }
+      verified++;
+    }
+
+    return { valid: true, anchors: anchors.length, verified, unavailable, brokenAt: null };
+  }
+}
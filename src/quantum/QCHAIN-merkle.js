@@ -0,0 +1,149 @@
+/**
+ * QCHAIN-merkle.js - QCHAIN Merkle Batches and Inclusion Proofs
+ * Groups chain entries into fixed-size batches under a Merkle root
+ *
+ * Trees follow RFC 6962: leaves are SHA-256(0x00 || entry hash), interior
+ * nodes are SHA-256(0x01 || left || right), and an unbalanced tree splits at
+ * the largest power of two below its size. An inclusion proof lists the
+ * sibling hashes from the leaf up to the root, so an auditor holding one
+ * entry, its proof and the batch root can check membership without the
+ * rest of the ledger.
+ */
+
+import { sha256, bytesToHex, hexToBytes, hashQCHAINEntry } from './QCHAIN-encoding.js';
+
+/**
+ * Hash an entry hash into a Merkle leaf
+ * @param {string} entryHash - Hex-encoded entry hash
+ * @returns {Promise<string>} Hex-encoded leaf hash
+ */
+export const merkleLeafHash = async (entryHash) => {
+  return bytesToHex(await sha256(prefixed(0x00, hexToBytes(entryHash))));
+};
+
+/**
+ * Hash two child nodes into their parent
+ * @param {string} left - Hex-encoded left child
+ * @param {string} right - Hex-encoded right child
+ * @returns {Promise<string>} Hex-encoded parent hash
+ */
+export const merkleNodeHash = async (left, right) => {
+  return bytesToHex(await sha256(prefixed(0x01, hexToBytes(left), hexToBytes(right))));
+};
+
+/**
+ * Concatenate a domain-separation byte with one or more byte arrays
+ * @private
+ * @param {number} prefix - Leading byte
+ * @param {...Uint8Array} parts - Byte arrays to append
+ * @returns {Uint8Array} Concatenated bytes
+ */
+const prefixed = (prefix, ...parts) => {
+  const bytes = new Uint8Array(1 + parts.reduce((total, part) => total + part.length, 0));
+  bytes[0] = prefix;
+  
+  let offset = 1;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  return bytes;
+};
+
+/**
+ * Find the largest power of two strictly below n (n > 1)
+ * @private
+ * @param {number} n - Number of leaves
+ * @returns {number} Split point
+ */
+const splitPoint = (n) => {
+  let k = 1;
+  while (k * 2 < n) {
+    k *= 2;
+  }
+  return k;
+};
+
+/**
+ * Compute the Merkle root of a list of leaf hashes
+ * @param {Array<string>} leaves - Hex-encoded leaf hashes
+ * @returns {Promise<string>} Hex-encoded root
+ */
+export const computeMerkleRoot = async (leaves) => {
+  if (leaves.length === 0) {
+    return bytesToHex(await sha256(new Uint8Array(0)));
+  }
+  
+  if (leaves.length === 1) {
+    return leaves[0];
+  }
+  
+  const k = splitPoint(leaves.length);
+  return merkleNodeHash(
+    await computeMerkleRoot(leaves.slice(0, k)),
+    await computeMerkleRoot(leaves.slice(k))
+  );
+};
+
+/**
+ * Build the audit path for one leaf
+ * @param {Array<string>} leaves - Hex-encoded leaf hashes
+ * @param {number} index - Index of the leaf to prove
+ * @returns {Promise<Array<Object>>} Sibling hashes from leaf to root, each with its side
+ */
+export const buildMerklePath = async (leaves, index) => {
+  if (index < 0 || index >= leaves.length) {
+    throw new Error(`Leaf index ${index} is outside a tree of ${leaves.length} leaves`);
+  }
+  
+  if (leaves.length === 1) {
+    return [];
+  }
+  
+  const k = splitPoint(leaves.length);
+  if (index < k) {
+    const path = await buildMerklePath(leaves.slice(0, k), index);
+    return [...path, { side: 'right', hash: await computeMerkleRoot(leaves.slice(k)) }];
+  }
+  
+  const path = await buildMerklePath(leaves.slice(k), index - k);
+  return [...path, { side: 'left', hash: await computeMerkleRoot(leaves.slice(0, k)) }];
+};
+
+/**
+ * Verify that an entry is included under a Merkle root
+ * Needs nothing but its arguments: the entry hash is recomputed from the
+ * entry's contents, so an edited entry fails even with a genuine proof
+ * @param {Object} entry - Chain entry
+ * @param {Object} proof - Inclusion proof from getInclusionProof
+ * @param {string} root - Trusted hex-encoded batch root
+ * @returns {Promise<boolean>} True if the entry is in the batch
+ */
+export const verifyInclusionProof = async (entry, proof, root) => {
+  if (!entry || !proof || !Array.isArray(proof.path) || typeof root !== 'string') {
+    return false;
+  }
+  
+  try {
+    const entryHash = await hashQCHAINEntry(entry);
+    if ((entry.hash && entry.hash !== entryHash) || (proof.entryHash && proof.entryHash !== entryHash)) {
+      return false;
+    }
+    
+    let node = await merkleLeafHash(entryHash);
+    for (const step of proof.path) {
+      if (step.side === 'left') {
+        node = await merkleNodeHash(step.hash, node);
+      } else if (step.side === 'right') {
+        node = await merkleNodeHash(node, step.hash);
+      } else {
+        return false;
+      }
+    }
+    
+    return node === root.toLowerCase();
+  } catch (error) {
+    // Malformed hex in the proof
+    return false;
+  }
+};
@@ -0,0 +1,425 @@
+/**
+ * QCHAIN-outbox.js - QCHAIN Transmission Outbox
+ * Tracks every chain entry until the distributed ledger acknowledges it
+ *
+ * Each entry moves through four states:
+ *   pending       waiting for its next delivery attempt
+ *   in-flight     handed to the transport, awaiting acknowledgement (or held
+ *                 in custody by a store-and-forward transport, see QCHAIN-dtn.js)
+ *   acknowledged  accepted by the ledger (final)
+ *   failed        rejected by the ledger or out of attempts (final until retried)
+ *
+ * Failed attempts are retried with exponential backoff and jitter. Final
+ * states are written to a journal (any QCHAIN storage adapter), and on
+ * restart every ledger entry without a final state is pending again, so
+ * delivery survives reloads. Entries are deduplicated by txId.
+ *
+ * A signed receipt from the ledger (see QCHAIN-receipts.js) is kept with the
+ * entry's delivery record. A receipt for another entry is never accepted, and
+ * with verifyReceipt set, an acknowledgement without a valid receipt is retried.
+ */
+
+import { MemoryStore } from './QCHAIN-storage.js';
+import { matchQCHAINReceipt } from './QCHAIN-receipts.js';
+
+export const OUTBOX_PENDING = 'pending';
+export const OUTBOX_IN_FLIGHT = 'in-flight';
+export const OUTBOX_ACKNOWLEDGED = 'acknowledged';
+export const OUTBOX_FAILED = 'failed';
+
+/**
+ * QCHAINOutbox - Delivery queue between the local ledger and a transport
+ */
+export class QCHAINOutbox {
+  /**
+   * @param {Object} options - Outbox options
+   * @param {Function} options.transmit - Sends an array of entries, resolving to acknowledgements
+   * @param {Object} options.journal - Storage adapter for delivery states (defaults to memory)
+   * @param {Function} options.isOnline - Reports connectivity before scheduled retries
+   * @param {number} options.baseDelay - First retry delay in ms
+   * @param {number} options.maxDelay - Upper bound on the retry delay in ms
+   * @param {number} options.maxAttempts - Attempts before an entry is marked failed
+   * @param {number} options.batchLimit - Entries per transmission
+   * @param {Function} options.random - Source of jitter in [0, 1)
+   * @param {Function} options.now - Clock in ms
+   * @param {Function} options.verifyReceipt - Checks the signature of a receipt, (receipt) => Promise<boolean>;
+   *   when set, only acknowledgements with a valid receipt count
+   */
+  constructor(options = {}) {
+    if (typeof options.transmit !== 'function') {
+      throw new Error('QCHAIN outbox requires a transmit function');
+    }
+
+    this.transmit = options.transmit;
+    this.journal = options.journal || new MemoryStore();
+    this.isOnline = options.isOnline || (() => true);
+    this.baseDelay = options.baseDelay ?? 500;
+    this.maxDelay = options.maxDelay ?? 5 * 60 * 1000;
+    this.maxAttempts = options.maxAttempts ?? 10;
+    this.batchLimit = options.batchLimit ?? 100;
+    this.random = options.random || Math.random;
+    this.now = options.now || Date.now;
+    this.verifyReceipt = options.verifyReceipt || null;
+
+    this.records = new Map();
+    this.journalLength = 0;
+    this.loading = null;
+    this.flushing = Promise.resolve();
+    this.retryTimer = null;
+  }
+
+  /**
+   * Restore delivery states from the journal and track the given ledger entries
+   * Safe to call repeatedly; the journal is only read once
+   * @param {Array} entries - Ledger entries in sequence order
+   * @returns {Promise<void>}
+   */
+  async load(entries = []) {
+    if (!this.loading) {
+      this.loading = this.journal.load().then(journal => {
+        this.journalLength = journal.length;
+        for (const state of journal) {
+          this.records.set(state.txId, {
+            txId: state.txId,
+            sequence: state.entrySequence,
+            status: state.status,
+            attempts: state.attempts || 0,
+            nextAttemptAt: 0,
+            lastError: state.error || null,
+            acknowledgement: state.acknowledgement || null,
+            receipt: state.receipt || null,
+            entry: null
+          });
+        }
+      });
+    }
+
+    await this.loading;
+
+    // Compacted ledgers have holes where acknowledged entries were removed
+    entries.forEach(entry => this.track(entry));
+  }
+
+  /**
+   * Start tracking an entry for delivery
+   * An entry whose txId is already tracked is not sent again
+   * @param {Object} entry - Chain entry
+   * @returns {Object} Delivery record
+   */
+  track(entry) {
+    const existing = this.records.get(entry.txId);
+    if (existing) {
+      // Journal states carry no entry, so reattach it once the ledger is loaded
+      if (!existing.entry && existing.sequence === entry.sequence) {
+        existing.entry = entry;
+      }
+      return existing;
+    }
+
+    const record = {
+      txId: entry.txId,
+      sequence: entry.sequence,
+      status: OUTBOX_PENDING,
+      attempts: 0,
+      nextAttemptAt: 0,
+      lastError: null,
+      acknowledgement: null,
+      receipt: null,
+      entry
+    };
+    this.records.set(entry.txId, record);
+
+    return record;
+  }
+
+  /**
+   * Deliver every pending entry now, ignoring backoff timers
+   * Flushes are serialized; each resolves once its pass over the outbox is done
+   * @param {Object} options - Flush options
+   * @param {boolean} options.retryFailed - Also retry entries marked failed
+   * @param {boolean} options.dueOnly - Only deliver entries whose backoff has elapsed
+   * @returns {Promise<Object>} Outbox status counts
+   */
+  flush(options = {}) {
+    const run = this.flushing.then(() => this._deliver(options));
+    this.flushing = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Send ready entries in sequence order, in batches of batchLimit
+   * @private
+   * @param {Object} options - Flush options
+   * @returns {Promise<Object>} Outbox status counts
+   */
+  async _deliver(options) {
+    const now = this.now();
+    const ready = Array.from(this.records.values())
+      .filter(record => record.entry && (
+        (record.status === OUTBOX_PENDING && (!options.dueOnly || record.nextAttemptAt <= now)) ||
+        (record.status === OUTBOX_FAILED && options.retryFailed)
+      ))
+      .sort((a, b) => a.sequence - b.sequence);
+
+    for (let i = 0; i < ready.length; i += this.batchLimit) {
+      const batch = ready.slice(i, i + this.batchLimit);
+      if (options.retryFailed) {
+        batch.forEach(record => { record.attempts = 0; });
+      }
+
+      const delivered = await this._deliverBatch(batch);
+
+      // A transport error means the link is down; leave the rest for the next attempt
+      if (!delivered) {
+        break;
+      }
+    }
+
+    this._scheduleRetry();
+    return this.getStatus();
+  }
+
+  /**
+   * Transmit one batch and reconcile its acknowledgements
+   * @private
+   * @param {Array} batch - Delivery records
+   * @returns {Promise<boolean>} False if the transport failed outright
+   */
+  async _deliverBatch(batch) {
+    batch.forEach(record => { record.status = OUTBOX_IN_FLIGHT; });
+
+    let acknowledgements = [];
+    let transportError = null;
+    try {
+      acknowledgements = await this.transmit(batch.map(record => record.entry)) || [];
+    } catch (error) {
+      transportError = error;
+    }
+
+    const byTxId = new Map(acknowledgements.map(ack => [ack.txId, ack]));
+
+    for (const record of batch) {
+      const ack = byTxId.get(record.txId);
+
+      if (ack) {
+        await this._applyAcknowledgement(record, ack);
+      } else {
+        await this._failAttempt(record, transportError ? transportError.message : 'No acknowledgement received');
+      }
+    }
+
+    return !transportError;
+  }
+
+  /**
+   * Apply acknowledgements that arrive after send() returned
+   * Store-and-forward transports report final outcomes this way once a
+   * bundle they took custody of is delivered or expires
+   * @param {Array} acknowledgements - Acknowledgements from the transport
+   * @returns {Promise<Object>} Outbox status counts
+   */
+  async reconcile(acknowledgements) {
+    for (const ack of acknowledgements) {
+      const record = this.records.get(ack.txId);
+      if (record && record.status === OUTBOX_IN_FLIGHT) {
+        await this._applyAcknowledgement(record, ack);
+      }
+    }
+
+    this._scheduleRetry();
+    return this.getStatus();
+  }
+
+  /**
+   * Update a record from one acknowledgement
+   * @private
+   * @param {Object} record - Delivery record
+   * @param {Object} ack - Acknowledgement
+   * @returns {Promise<void>}
+   */
+  async _applyAcknowledgement(record, ack) {
+    if (ack.hash && ack.hash !== record.entry.hash) {
+      // The ledger holds different contents under this txId; keep retrying our copy
+      await this._failAttempt(record, 'Acknowledged hash does not match entry');
+      return;
+    }
+
+    const { receipt, ...acknowledgement } = ack;
+    if (ack.status === OUTBOX_ACKNOWLEDGED && (receipt || this.verifyReceipt)) {
+      const mismatch = matchQCHAINReceipt(receipt, record.entry);
+      if (mismatch) {
+        await this._failAttempt(record, mismatch);
+        return;
+      }
+      if (this.verifyReceipt && !await this.verifyReceipt(receipt)) {
+        await this._failAttempt(record, 'Receipt signature is invalid or from an untrusted ledger key');
+        return;
+      }
+    }
+
+    switch (ack.status) {
+      case OUTBOX_ACKNOWLEDGED:
+        record.status = OUTBOX_ACKNOWLEDGED;
+        record.lastError = null;
+        record.acknowledgement = acknowledgement;
+        record.receipt = receipt || null;
+        await this._writeJournal(record);
+        break;
+      case 'accepted':
+        // Custody was taken; the entry stays in flight until the final acknowledgement
+        record.status = OUTBOX_IN_FLIGHT;
+        record.acknowledgement = acknowledgement;
+        break;
+      case 'rejected':
+        // The ledger refused the entry; resending the same bytes will not help
+        record.status = OUTBOX_FAILED;
+        record.lastError = ack.reason || 'Rejected by ledger';
+        await this._writeJournal(record);
+        break;
+      default:
+        await this._failAttempt(record, ack.reason || `Delivery ${ack.status}`);
+    }
+  }
+
+  /**
+   * Count a failed attempt, journaling the record if it ran out of attempts
+   * @private
+   * @param {Object} record - Delivery record
+   * @param {string} reason - Failure reason
+   * @returns {Promise<void>}
+   */
+  async _failAttempt(record, reason) {
+    this._recordFailedAttempt(record, reason);
+    if (record.status === OUTBOX_FAILED) {
+      await this._writeJournal(record);
+    }
+  }
+
+  /**
+   * Count a failed attempt and schedule the next one with backoff
+   * @private
+   * @param {Object} record - Delivery record
+   * @param {string} reason - Failure reason
+   */
+  _recordFailedAttempt(record, reason) {
+    record.attempts++;
+    record.lastError = reason;
+
+    if (record.attempts >= this.maxAttempts) {
+      record.status = OUTBOX_FAILED;
+      return;
+    }
+
+    record.status = OUTBOX_PENDING;
+    record.nextAttemptAt = this.now() + this.backoffDelay(record.attempts);
+  }
+
+  /**
+   * Compute the delay before the next attempt
+   * Exponential in the attempt count, capped at maxDelay, with the upper half randomized
+   * @param {number} attempts - Failed attempts so far
+   * @returns {number} Delay in ms
+   */
+  backoffDelay(attempts) {
+    const delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempts - 1));
+    return delay / 2 + this.random() * delay / 2;
+  }
+
+  /**
+   * Arm a timer for the earliest pending retry
+   * @private
+   */
+  _scheduleRetry() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+
+    const retries = Array.from(this.records.values())
+      .filter(record => record.status === OUTBOX_PENDING && record.attempts > 0);
+    if (retries.length === 0) {
+      return;
+    }
+
+    const next = Math.min(...retries.map(record => record.nextAttemptAt));
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      if (this.isOnline()) {
+        this.flush({ dueOnly: true });
+      }
+    }, Math.max(0, next - this.now()));
+
+    // Pending retries alone should not keep a Node process alive
+    if (typeof this.retryTimer.unref === 'function') {
+      this.retryTimer.unref();
+    }
+  }
+
+  /**
+   * Persist a final delivery state
+   * @private
+   * @param {Object} record - Delivery record
+   * @returns {Promise<void>}
+   */
+  async _writeJournal(record) {
+    await this.journal.append({
+      sequence: this.journalLength++,
+      txId: record.txId,
+      entrySequence: record.sequence,
+      status: record.status,
+      attempts: record.attempts,
+      error: record.lastError,
+      acknowledgement: record.acknowledgement,
+      receipt: record.receipt,
+      at: new Date(this.now()).toISOString()
+    });
+  }
+
+  /**
+   * Get the delivery record for one entry
+   * @param {string} txId - Transaction ID
+   * @returns {Object|null} Copy of the record, without the entry itself
+   */
+  getRecord(txId) {
+    const record = this.records.get(txId);
+    if (!record) {
+      return null;
+    }
+
+    const { entry, ...state } = record;
+    return structuredClone(state);
+  }
+
+  /**
+   * Count entries in each delivery state
+   * @returns {Object} Status counts
+   */
+  getStatus() {
+    const status = { pending: 0, inFlight: 0, acknowledged: 0, failed: 0 };
+    for (const record of this.records.values()) {
+      switch (record.status) {
+        case OUTBOX_PENDING: status.pending++; break;
+        case OUTBOX_IN_FLIGHT: status.inFlight++; break;
+        case OUTBOX_ACKNOWLEDGED: status.acknowledged++; break;
+        case OUTBOX_FAILED: status.failed++; break;
+      }
+    }
+    return status;
+  }
+
+  /**
+   * Forget every tracked entry and clear the journal
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.flushing;
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+
+    await this.journal.clear();
+    this.records.clear();
+    this.journalLength = 0;
+  }
+}
@@ -0,0 +1,382 @@
+/**
+ * QCHAIN-pq.js - Post-Quantum Hash-Based Signatures
+ * Implements a stateful Merkle signature scheme over Winternitz one-time
+ * signatures (w = 16) built only on SHA-256, so its security rests on the
+ * hash function rather than on problems a quantum computer can solve.
+ *
+ * A keypair holds 2^height one-time keys. Every signature consumes the next
+ * one, so the signer's `nextLeaf` counter must be persisted: signing twice
+ * with the same leaf breaks the scheme.
+ */
+
+import { bytesToHex, hexToBytes, bytesToBase64, base64ToBytes, utf8Bytes } from './QCHAIN-encoding.js';
+
+// Algorithm identifier recorded in every signature
+export const MSS_WOTS_SHA256 = 'MSS-WOTS16-SHA256';
+
+// Winternitz parameters for n = 32 bytes, w = 16
+const HASH_BYTES = 32;
+const WINTERNITZ = 16;
+const MESSAGE_CHAINS = 64; // 256 bits / 4 bits per chain
+const CHECKSUM_CHAINS = 3; // max checksum 64 * 15 = 960 fits in 3 base-16 digits
+const CHAINS = MESSAGE_CHAINS + CHECKSUM_CHAINS;
+
+// Domain separators for the different hash uses
+const DOMAIN_SECRET = 0;
+const DOMAIN_CHAIN = 1;
+const DOMAIN_LEAF = 2;
+const DOMAIN_NODE = 3;
+const DOMAIN_MESSAGE = 4;
+
+// Synchronous SHA-256 from Node's crypto module, once loaded (null where there is none)
+let digestSync;
+
+/**
+ * Hash bytes with SHA-256 using the platform's digest
+ * Key generation takes about a million digests. Under Node they come from the
+ * synchronous createHash; elsewhere each one awaits WebCrypto, which is slower
+ * @private
+ * @param {Uint8Array} bytes - Input bytes
+ * @returns {Promise<Uint8Array>} 32-byte digest
+ */
+const sha256 = async (bytes) => {
+  if (digestSync === undefined) {
+    digestSync = await loadDigestSync();
+  }
+  return digestSync ? digestSync(bytes) : new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+};
+
+/**
+ * Load Node's synchronous SHA-256
+ * @private
+ * @returns {Promise<Function|null>} (bytes) => digest, or null outside Node
+ */
+const loadDigestSync = async () => {
+  if (typeof process === 'undefined' || !process.versions || !process.versions.node) {
+    return null;
+  }
+  const { createHash } = await import('crypto');
+  return (bytes) => new Uint8Array(createHash('sha256').update(bytes).digest());
+};
+
+/**
+ * Hash a domain-separated, addressed input: H(domain || pubSeed || leaf || index || data)
+ * @private
+ * @param {number} domain - Domain separator
+ * @param {Uint8Array} pubSeed - Public seed of the keypair
+ * @param {number} leaf - Leaf (one-time key) index
+ * @param {number} index - Chain index, chain step or tree position
+ * @param {Uint8Array} data - Data to hash
+ * @returns {Promise<Uint8Array>} Digest
+ */
+const addressedHash = async (domain, pubSeed, leaf, index, data) => {
+  const input = new Uint8Array(1 + HASH_BYTES + 8 + data.length);
+  const view = new DataView(input.buffer);
+  input[0] = domain;
+  input.set(pubSeed, 1);
+  view.setUint32(1 + HASH_BYTES, leaf);
+  view.setUint32(5 + HASH_BYTES, index);
+  input.set(data, 9 + HASH_BYTES);
+  return sha256(input);
+};
+
+/**
+ * Advance a Winternitz hash chain
+ * @private
+ * @param {Uint8Array} value - Starting value
+ * @param {number} start - Starting step
+ * @param {number} steps - Number of steps to advance
+ * @param {Uint8Array} pubSeed - Public seed
+ * @param {number} leaf - Leaf index
+ * @param {number} chain - Chain index
+ * @returns {Promise<Uint8Array>} Chain value after advancing
+ */
+const advanceChain = async (value, start, steps, pubSeed, leaf, chain) => {
+  let current = value;
+  for (let step = start; step < start + steps; step++) {
+    current = await addressedHash(DOMAIN_CHAIN, pubSeed, leaf, (chain << 8) | step, current);
+  }
+  return current;
+};
+
+/**
+ * Derive the secret start of one chain: H(secret domain || seed || leaf || chain || pubSeed)
+ * @private
+ * @param {Uint8Array} seed - Private seed
+ * @param {Uint8Array} pubSeed - Public seed
+ * @param {number} leaf - Leaf index
+ * @param {number} chain - Chain index
+ * @returns {Promise<Uint8Array>} Chain secret
+ */
+const chainSecret = (seed, pubSeed, leaf, chain) => {
+  return addressedHash(DOMAIN_SECRET, seed, leaf, chain, pubSeed);
+};
+
+/**
+ * Compress a one-time public key (all chain ends) into a Merkle leaf
+ * @private
+ * @param {Array<Uint8Array>} chainEnds - Final value of every chain
+ * @param {Uint8Array} pubSeed - Public seed
+ * @param {number} leaf - Leaf index
+ * @returns {Promise<Uint8Array>} Leaf hash
+ */
+const compressLeaf = (chainEnds, pubSeed, leaf) => {
+  const joined = new Uint8Array(CHAINS * HASH_BYTES);
+  chainEnds.forEach((end, i) => joined.set(end, i * HASH_BYTES));
+  return addressedHash(DOMAIN_LEAF, pubSeed, leaf, 0, joined);
+};
+
+/**
+ * Hash two sibling nodes into their parent
+ * @private
+ * @param {Uint8Array} left - Left child
+ * @param {Uint8Array} right - Right child
+ * @param {Uint8Array} pubSeed - Public seed
+ * @param {number} level - Level of the parent (leaves are level 0)
+ * @param {number} position - Position of the parent within its level
+ * @returns {Promise<Uint8Array>} Parent hash
+ */
+const hashNode = (left, right, pubSeed, level, position) => {
+  const joined = new Uint8Array(HASH_BYTES * 2);
+  joined.set(left);
+  joined.set(right, HASH_BYTES);
+  return addressedHash(DOMAIN_NODE, pubSeed, level, position, joined);
+};
+
+/**
+ * Split a message digest into base-16 digits plus checksum digits
+ * @private
+ * @param {Uint8Array} digest - 32-byte message digest
+ * @returns {Array<number>} 67 chain lengths
+ */
+const messageDigits = (digest) => {
+  const digits = [];
+  for (const byte of digest) {
+    digits.push(byte >>> 4, byte & 0x0f);
+  }
+
+  let checksum = 0;
+  for (const digit of digits) {
+    checksum += WINTERNITZ - 1 - digit;
+  }
+  digits.push((checksum >>> 8) & 0x0f, (checksum >>> 4) & 0x0f, checksum & 0x0f);
+
+  return digits;
+};
+
+/**
+ * Digest a message, binding it to the public key and leaf that sign it
+ * @private
+ * @param {Uint8Array} message - Message bytes
+ * @param {Uint8Array} publicKey - Public key bytes (pubSeed || root)
+ * @param {number} leaf - Leaf index
+ * @returns {Promise<Uint8Array>} Message digest
+ */
+const messageDigest = (message, publicKey, leaf) => {
+  const joined = new Uint8Array(publicKey.length + message.length);
+  joined.set(publicKey);
+  joined.set(message, publicKey.length);
+  return addressedHash(DOMAIN_MESSAGE, publicKey.subarray(0, HASH_BYTES), leaf, 0, joined);
+};
+
+/**
+ * Compute the full Merkle tree for a private seed
+ * @private
+ * @param {Uint8Array} seed - Private seed
+ * @param {Uint8Array} pubSeed - Public seed
+ * @param {number} height - Tree height
+ * @returns {Promise<Array<Array<Uint8Array>>>} Tree levels, leaves first
+ */
+const buildTree = async (seed, pubSeed, height) => {
+  const leaves = [];
+  for (let leaf = 0; leaf < 2 ** height; leaf++) {
+    const chainEnds = [];
+    for (let chain = 0; chain < CHAINS; chain++) {
+      chainEnds.push(await advanceChain(await chainSecret(seed, pubSeed, leaf, chain), 0, WINTERNITZ - 1, pubSeed, leaf, chain));
+    }
+    leaves.push(await compressLeaf(chainEnds, pubSeed, leaf));
+  }
+
+  const levels = [leaves];
+  for (let level = 1; level <= height; level++) {
+    const below = levels[level - 1];
+    const nodes = [];
+    for (let position = 0; position < below.length / 2; position++) {
+      nodes.push(await hashNode(below[position * 2], below[position * 2 + 1], pubSeed, level, position));
+    }
+    levels.push(nodes);
+  }
+
+  return levels;
+};
+
+/**
+ * Assemble a keypair from its seeds
+ * @private
+ * @param {Uint8Array} seed - Private seed
+ * @param {Uint8Array} pubSeed - Public seed
+ * @param {number} height - Tree height
+ * @param {number} nextLeaf - Next unused leaf
+ * @returns {Promise<Object>} Keypair
+ */
+const assembleKeyPair = async (seed, pubSeed, height, nextLeaf) => {
+  const tree = await buildTree(seed, pubSeed, height);
+  const publicKey = new Uint8Array(HASH_BYTES * 2);
+  publicKey.set(pubSeed);
+  publicKey.set(tree[height][0], HASH_BYTES);
+
+  return {
+    alg: MSS_WOTS_SHA256,
+    publicKey: bytesToHex(publicKey),
+    privateKey: { seed, pubSeed, height, nextLeaf, tree }
+  };
+};
+
+/**
+ * Generate a hash-based keypair
+ * @param {Object} options - Key options
+ * @param {number} options.height - Merkle tree height; the key can sign 2^height messages (default 8)
+ * @returns {Promise<Object>} Keypair with hex public key (pubSeed || root) and stateful private key
+ */
+export const generatePostQuantumKeyPair = async (options = {}) => {
+  const height = options.height === undefined ? 8 : options.height;
+  if (!Number.isInteger(height) || height < 1 || height > 20) {
+    throw new Error('Post-quantum key height must be an integer between 1 and 20');
+  }
+
+  const seed = crypto.getRandomValues(new Uint8Array(HASH_BYTES));
+  const pubSeed = crypto.getRandomValues(new Uint8Array(HASH_BYTES));
+
+  return assembleKeyPair(seed, pubSeed, height, 0);
+};
+
+/**
+ * Export a keypair's private state for persistence
+ * The exported `nextLeaf` must be saved after every signature
+ * @param {Object} keyPair - Keypair
+ * @returns {Object} Serializable keypair
+ */
+export const exportPostQuantumKeyPair = (keyPair) => {
+  const { seed, pubSeed, height, nextLeaf } = keyPair.privateKey;
+  return {
+    alg: MSS_WOTS_SHA256,
+    publicKey: keyPair.publicKey,
+    privateKey: { seed: bytesToHex(seed), pubSeed: bytesToHex(pubSeed), height, nextLeaf }
+  };
+};
+
+/**
+ * Import a keypair produced by exportPostQuantumKeyPair (rebuilds the tree)
+ * @param {Object} exported - Exported keypair
+ * @returns {Promise<Object>} Keypair
+ */
+export const importPostQuantumKeyPair = async (exported) => {
+  const { seed, pubSeed, height, nextLeaf } = exported.privateKey;
+  const keyPair = await assembleKeyPair(hexToBytes(seed), hexToBytes(pubSeed), height, nextLeaf || 0);
+
+  if (exported.publicKey && exported.publicKey !== keyPair.publicKey) {
+    throw new Error('Post-quantum private key does not match its public key');
+  }
+
+  return keyPair;
+};
+
+/**
+ * Number of one-time keys still available
+ * @param {Object} keyPair - Keypair
+ * @returns {number} Remaining signatures
+ */
+export const remainingPostQuantumSignatures = (keyPair) => {
+  const { height, nextLeaf } = keyPair.privateKey;
+  return 2 ** height - nextLeaf;
+};
+
+/**
+ * Sign a message, consuming the next one-time key
+ * @param {Uint8Array|string} message - Message bytes, or text to encode as UTF-8
+ * @param {Object} keyPair - Keypair (its nextLeaf is advanced)
+ * @returns {Promise<Object>} Signature fields: leaf, value (base64 chain values), path (base64 auth path)
+ */
+export const signPostQuantum = async (message, keyPair) => {
+  const { seed, pubSeed, height, tree } = keyPair.privateKey;
+  const leaf = keyPair.privateKey.nextLeaf;
+
+  if (leaf >= 2 ** height) {
+    throw new Error('Post-quantum key is exhausted; generate a new keypair');
+  }
+
+  // Consume the leaf before signing so a failure can never cause reuse
+  keyPair.privateKey.nextLeaf = leaf + 1;
+
+  const messageBytes = typeof message === 'string' ? utf8Bytes(message) : message;
+  const digits = messageDigits(await messageDigest(messageBytes, hexToBytes(keyPair.publicKey), leaf));
+
+  const value = new Uint8Array(CHAINS * HASH_BYTES);
+  for (const [chain, digit] of digits.entries()) {
+    value.set(await advanceChain(await chainSecret(seed, pubSeed, leaf, chain), 0, digit, pubSeed, leaf, chain), chain * HASH_BYTES);
+  }
+
+  const path = new Uint8Array(height * HASH_BYTES);
+  for (let level = 0; level < height; level++) {
+    path.set(tree[level][(leaf >>> level) ^ 1], level * HASH_BYTES);
+  }
+
+  return {
+    leaf,
+    value: bytesToBase64(value),
+    path: bytesToBase64(path)
+  };
+};
+
+/**
+ * Verify a signature against a public key
+ * @param {Uint8Array|string} message - Message bytes, or text to encode as UTF-8
+ * @param {Object} signature - Signature with leaf, value and path
+ * @param {string} publicKey - Hex public key (pubSeed || root)
+ * @returns {Promise<boolean>} Verification result
+ */
+export const verifyPostQuantum = async (message, signature, publicKey) => {
+  try {
+    const publicKeyBytes = hexToBytes(publicKey);
+    const pubSeed = publicKeyBytes.subarray(0, HASH_BYTES);
+    const root = publicKeyBytes.subarray(HASH_BYTES);
+    const value = base64ToBytes(signature.value);
+    const path = base64ToBytes(signature.path);
+    const leaf = signature.leaf;
+    const height = path.length / HASH_BYTES;
+
+    if (publicKeyBytes.length !== HASH_BYTES * 2 || value.length !== CHAINS * HASH_BYTES ||
+        !Number.isInteger(height) || !Number.isInteger(leaf) || leaf < 0 || leaf >= 2 ** height) {
+      return false;
+    }
+
+    // Finish every chain to recover the one-time public key
+    const messageBytes = typeof message === 'string' ? utf8Bytes(message) : message;
+    const digits = messageDigits(await messageDigest(messageBytes, publicKeyBytes, leaf));
+    const chainEnds = [];
+    for (const [chain, digit] of digits.entries()) {
+      chainEnds.push(await advanceChain(
+        value.subarray(chain * HASH_BYTES, (chain + 1) * HASH_BYTES),
+        digit,
+        WINTERNITZ - 1 - digit,
+        pubSeed,
+        leaf,
+        chain
+      ));
+    }
+
+    // Climb the authentication path to the root
+    let node = await compressLeaf(chainEnds, pubSeed, leaf);
+    for (let level = 0; level < height; level++) {
+      const sibling = path.subarray(level * HASH_BYTES, (level + 1) * HASH_BYTES);
+      const position = leaf >>> (level + 1);
+      node = (leaf >>> level) & 1
+        ? await hashNode(sibling, node, pubSeed, level + 1, position)
+        : await hashNode(node, sibling, pubSeed, level + 1, position);
+    }
+
+    return bytesToHex(node) === bytesToHex(root);
+  } catch (error) {
+    return false;
+  }
+};
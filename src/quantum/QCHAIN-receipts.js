@@ -0,0 +1,82 @@
+/**
+ * QCHAIN-receipts.js - QCHAIN Transmission Receipts
+ * Signed evidence that a ledger node accepted an entry
+ *
+ * A receipt names the ledger node, the entry's txId and hash, the position
+ * the ledger holds the entry at and the ledger's time of acceptance, and is
+ * signed with the ledger node's key:
+ *
+ *   { ledger, txId, entryHash, position, nodeTime, signature }
+ *
+ * Ledger nodes (see QCHAIN-server.js) attach a receipt to each acknowledgement,
+ * and the outbox stores it with the entry's delivery record. Receipts verify
+ * against the trusted key registry: the signing key must be trusted with the
+ * ledger role, under the node ID the receipt names, so a node key trusted only
+ * for its entries cannot vouch for acceptance.
+ */
+
+import {
+  ED25519,
+  KEY_ROLE_LEDGER,
+  signQCHAINPayload,
+  verifyQCHAINPayload,
+  getTrustedQCHAINKey
+} from './QCHAIN-signing.js';
+
+/**
+ * Sign a receipt for an accepted entry
+ * @param {Object} entry - Chain entry
+ * @param {Object} options - Receipt fields
+ * @param {string} options.ledger - ID of the ledger node
+ * @param {number} options.position - Position the ledger holds the entry at
+ * @param {string} options.nodeTime - Ledger time of acceptance (ISO 8601)
+ * @param {Object} options.keyPair - Ed25519 keypair of the ledger node
+ * @returns {Promise<Object>} Receipt with its signature
+ */
+export const createQCHAINReceipt = async (entry, options) => {
+  const receipt = {
+    ledger: options.ledger,
+    txId: entry.txId,
+    entryHash: entry.hash,
+    position: options.position,
+    nodeTime: options.nodeTime
+  };
+  return { ...receipt, signature: await signQCHAINPayload(receipt, { alg: ED25519, keyPair: options.keyPair }) };
+};
+
+/**
+ * Check that a receipt is for an entry, without checking its signature
+ * @param {Object} receipt - Receipt
+ * @param {Object} entry - Chain entry
+ * @returns {string|null} Why the receipt does not match, or null if it does
+ */
+export const matchQCHAINReceipt = (receipt, entry) => {
+  if (!receipt || typeof receipt !== 'object' || !receipt.signature) {
+    return 'Receipt is missing or unsigned';
+  }
+  if (receipt.txId !== entry.txId) {
+    return `Receipt is for ${receipt.txId}`;
+  }
+  if (receipt.entryHash !== entry.hash) {
+    return 'Receipt hash does not match entry';
+  }
+  return null;
+};
+
+/**
+ * Verify a receipt's signature against the trusted key registry
+ * The key must be trusted as a ledger key for the node the receipt names
+ * @param {Object} receipt - Receipt
+ * @returns {Promise<boolean>} Verification result
+ */
+export const verifyQCHAINReceiptSignature = async (receipt) => {
+  if (!receipt || typeof receipt !== 'object' || !receipt.signature) {
+    return false;
+  }
+  const { signature, ...payload } = receipt;
+  const signer = getTrustedQCHAINKey(signature.keyId);
+  if (!signer || signer.role !== KEY_ROLE_LEDGER || signer.nodeId !== receipt.ledger) {
+    return false;
+  }
+  return verifyQCHAINPayload(payload, signature);
+};
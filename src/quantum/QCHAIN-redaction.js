@@ -0,0 +1,233 @@
+/**
+ * QCHAIN-redaction.js - QCHAIN Redaction
+ * Salted commitments for fields that may have to be erased, such as personal data
+ *
+ * A committed field is logged as
+ *
+ *   { $commitment: 'SHA-256', digest }
+ *
+ * where digest is the SHA-256 of a random salt, the entry's txId, the field's
+ * path and its value in canonical JSON. The chain hashes and signs only the commitment; the salt
+ * and value are kept in a separate cleartext store (any QCHAIN storage
+ * adapter) and never leave the node. Erasing them redacts the field for
+ * good, while the entry, its hash and every link of the chain stay intact.
+ * Without the salt, the commitment reveals nothing about the value.
+ *
+ * Commitment rules take the filter fields of queryQCHAIN (event, txIdPrefix,
+ * metrics) and the dotted paths of the metrics to commit; the first matching
+ * rule wins. No fields are committed by default. Committed fields are never
+ * also encrypted: the commitment already keeps the value out of the ledger,
+ * and redaction needs to find it.
+ */
+
+import { bytesToHex, sha256Hex, canonicalStringify } from './QCHAIN-encoding.js';
+import { createQCHAINFieldSelector, getQCHAINField, setQCHAINField } from './QCHAIN-index.js';
+import { MemoryStore } from './QCHAIN-storage.js';
+
+export const COMMITMENT_ALGORITHM = 'SHA-256';
+
+// Event recording that fields of an entry were redacted
+export const REDACTION_EVENT = 'QCHAIN Redaction';
+
+/**
+ * Compile commitment rules into a function selecting the fields to commit
+ * @param {Array<Object>} rules - Rules as { event, txIdPrefix, metrics, fields }
+ * @returns {Function} (data) => dotted paths of the fields to commit
+ */
+export const createCommitmentPolicy = (rules = []) => {
+  return createQCHAINFieldSelector(rules, 'commit');
+};
+
+/**
+ * Check whether a value is a committed field
+ * @param {*} value - Field value
+ * @returns {boolean} True for commitments
+ */
+export const isCommittedValue = (value) => {
+  return !!value && typeof value === 'object' && value.$commitment === COMMITMENT_ALGORITHM;
+};
+
+/**
+ * Check that an opening matches a commitment
+ * Lets the holder of the cleartext prove a redactable field to an auditor
+ * @param {Object} commitment - Committed field, { $commitment, digest }
+ * @param {Object} opening - { txId, path, salt, value }
+ * @returns {Promise<boolean>} True if the opening matches
+ */
+export const verifyQCHAINCommitment = async (commitment, opening) => {
+  return isCommittedValue(commitment) &&
+    commitment.digest === await commitmentDigest(opening.salt, opening.txId, opening.path, opening.value);
+};
+
+/**
+ * QCHAINCleartextStore - Erasable cleartext of committed fields
+ */
+export class QCHAINCleartextStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {Object} options.store - Storage adapter for openings; erasure needs remove() (defaults to memory)
+   * @param {Function} options.randomBytes - Fills a Uint8Array with random bytes (defaults to crypto.getRandomValues)
+   */
+  constructor(options = {}) {
+    this.store = options.store || new MemoryStore();
+    this.randomBytes = options.randomBytes || (bytes => crypto.getRandomValues(bytes));
+
+    // Openings by txId, then by path: { sequence, txId, path, salt, value }
+    this.openings = new Map();
+    this.nextSequence = 0;
+    this.loading = null;
+  }
+
+  /**
+   * Read the stored openings
+   * Safe to call repeatedly; the store is only read once
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.store.load().then(records => {
+        for (const record of records) {
+          this._remember(record);
+          this.nextSequence = Math.max(this.nextSequence, record.sequence + 1);
+        }
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Replace fields of entry data with commitments
+   * Nothing is stored yet: pass the openings to keep() once the entry itself is stored
+   * @param {Object} data - Canonical entry data
+   * @param {Array<string>} paths - Dotted paths of the fields to commit
+   * @returns {Promise<Object>} { data, openings } with the fields committed and their
+   *   openings as { txId, path, salt, value }
+   */
+  async commit(data, paths) {
+    const committed = structuredClone(data);
+    const openings = [];
+    for (const path of paths) {
+      const value = getQCHAINField(data, path);
+      const salt = bytesToHex(this.randomBytes(new Uint8Array(32)));
+
+      openings.push({ txId: data.txId, path, salt, value });
+      setQCHAINField(committed, path, {
+        $commitment: COMMITMENT_ALGORITHM,
+        digest: await commitmentDigest(salt, data.txId, path, value)
+      });
+    }
+
+    return { data: committed, openings };
+  }
+
+  /**
+   * Store the openings of an entry's committed fields
+   * @param {Array<Object>} openings - Openings from commit()
+   * @returns {Promise<void>}
+   */
+  async keep(openings) {
+    await this.load();
+
+    for (const opening of openings) {
+      const record = { sequence: this.nextSequence++, ...opening };
+      await this.store.append(record);
+      this._remember(record);
+    }
+  }
+
+  /**
+   * Put the cleartext of committed fields back into an entry
+   * Redacted fields, and fields logged on other nodes, stay committed
+   * @param {Object} entry - Chain entry
+   * @returns {Promise<Object>} The entry itself if nothing was revealed, otherwise a revealed copy
+   */
+  async reveal(entry) {
+    await this.load();
+
+    const openings = this.openings.get(entry.txId);
+    if (!openings) {
+      return entry;
+    }
+
+    let revealed = null;
+    for (const [path, opening] of openings) {
+      const commitment = getQCHAINField(entry, path);
+      if (await verifyQCHAINCommitment(commitment, opening)) {
+        revealed = revealed || structuredClone(entry);
+        setQCHAINField(revealed, path, structuredClone(opening.value));
+      }
+    }
+    return revealed || entry;
+  }
+
+  /**
+   * Get the paths of an entry's fields whose cleartext is still held
+   * @param {string} txId - Transaction ID
+   * @returns {Promise<Array<string>>} Dotted paths
+   */
+  async heldPaths(txId) {
+    await this.load();
+    return Array.from((this.openings.get(txId) || new Map()).keys());
+  }
+
+  /**
+   * Destroy the cleartext of committed fields
+   * @param {string} txId - Transaction ID
+   * @param {Array<string>} paths - Dotted paths to erase
+   * @returns {Promise<Array<string>>} Paths whose cleartext was erased
+   */
+  async erase(txId, paths) {
+    await this.load();
+
+    const openings = this.openings.get(txId);
+    const erased = paths.filter(path => openings && openings.has(path));
+    if (erased.length === 0) {
+      return [];
+    }
+    if (typeof this.store.remove !== 'function') {
+      throw new Error('QCHAIN cleartext store does not support erasure (remove() is missing)');
+    }
+
+    await this.store.remove(erased.map(path => openings.get(path).sequence));
+    erased.forEach(path => openings.delete(path));
+    if (openings.size === 0) {
+      this.openings.delete(txId);
+    }
+    return erased;
+  }
+
+  /**
+   * Destroy every stored opening
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.load();
+    await this.store.clear();
+    this.openings.clear();
+  }
+
+  /**
+   * Index an opening by txId and path
+   * @private
+   * @param {Object} record - Opening
+   */
+  _remember(record) {
+    if (!this.openings.has(record.txId)) {
+      this.openings.set(record.txId, new Map());
+    }
+    this.openings.get(record.txId).set(record.path, record);
+  }
+}
+
+/**
+ * Compute the digest committing to a field value
+ * @private
+ * @param {string} salt - Hex-encoded salt
+ * @param {string} txId - Transaction ID of the entry
+ * @param {string} path - Dotted path of the field
+ * @param {*} value - Field value
+ * @returns {Promise<string>} Hex-encoded digest
+ */
+const commitmentDigest = (salt, txId, path, value) => {
+  return sha256Hex(`${salt}|${txId}|${path}|${canonicalStringify(value)}`);
+};
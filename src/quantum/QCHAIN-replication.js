@@ -0,0 +1,427 @@
+/**
+ * QCHAIN-replication.js - Replicated QCHAIN Ledger (HsbCRDT)
+ * Merges the ledgers of several nodes into one log that every node agrees on
+ *
+ * Each node appends to its own hash-chained, signed log, stamping every
+ * entry with a hybrid logical clock. The replicated ledger is the union of
+ * all node logs: a grow-only set keyed by (node, sequence), which is a
+ * conflict-free replicated data type. Its order is fixed by the entries
+ * themselves (HLC, then node ID, then sequence), so two replicas holding the
+ * same entries hold identical ledgers, whatever order they received them in.
+ *
+ * Replicas reconcile by anti-entropy: each side sends its version vector
+ * (entries held per node) and receives what it is missing. Received entries
+ * are verified link by link against their node's log before they are merged;
+ * a different entry at a position already held is an equivocation and is
+ * rejected. Nodes that were partitioned converge after one exchange.
+ *
+ * A peer is anything with getVersionVector(), entriesSince(vector) and
+ * receive(entries), such as another QCHAINReplica.
+ */
+
+import { MemoryStore } from './QCHAIN-storage.js';
+import { hashQCHAINEntry, sha256Hex } from './QCHAIN-encoding.js';
+import { verifyQCHAINPayload } from './QCHAIN-signing.js';
+import { GENESIS_PREVIOUS_HASH, createChainEntry, compareQCHAINEntries } from './QCHAIN-chain.js';
+import { HybridLogicalClock, assertHLC, compareHLC } from '../time/HybridLogicalClock.js';
+
+const DUPLICATE = Symbol('duplicate');
+
+/**
+ * QCHAINReplica - One node's copy of the replicated ledger
+ */
+export class QCHAINReplica {
+  /**
+   * @param {Object} options - Replica options
+   * @param {string} options.nodeId - ID of this node
+   * @param {HybridLogicalClock} options.clock - HLC for this node (created from options.now if omitted)
+   * @param {Function} options.now - Physical clock in ms
+   * @param {Object} options.keyPair - Ed25519 keypair to sign with (defaults to the node key)
+   * @param {boolean} options.verifySignatures - Verify received entries against trusted keys (default true)
+   * @param {Object} options.store - Storage adapter for held entries (defaults to memory)
+   * @param {Function} options.random - Source of randomness for choosing gossip peers
+   */
+  constructor(options = {}) {
+    if (!options.nodeId) {
+      throw new Error('QCHAINReplica requires a nodeId');
+    }
+
+    this.nodeId = options.nodeId;
+    this.clock = options.clock || new HybridLogicalClock({ nodeId: options.nodeId, now: options.now });
+    this.keyPair = options.keyPair || null;
+    this.verifySignatures = options.verifySignatures ?? true;
+    this.store = options.store || new MemoryStore();
+    this.random = options.random || Math.random;
+
+    this.logs = new Map();
+    this.peers = new Set();
+    this.stored = 0;
+    this.loading = null;
+    this.queue = Promise.resolve();
+    this.merged = null;
+    this.antiEntropyTimer = null;
+
+    this.stats = {
+      appended: 0,
+      received: 0,
+      duplicates: 0,
+      rejected: 0,
+      syncs: 0,
+      failedSyncs: 0
+    };
+  }
+
+  /**
+   * Restore held entries from storage
+   * Safe to call repeatedly; storage is only read once
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.store.load().then(records => {
+        this.stored = records.length;
+        records.forEach(record => {
+          this._add(record.entry);
+          // Held entries were already merged into the clock before the restart
+          this.clock.restore(record.entry.hlc);
+        });
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Append an entry to this node's log
+   * @param {Object} data - Event data with event and txId
+   * @returns {Promise<Object>} Stored entry, stamped with its HLC
+   */
+  append(data) {
+    if (!data || !data.event || !data.txId) {
+      throw new Error('QCHAIN replica entries require event and txId fields');
+    }
+
+    return this._enqueue(async () => {
+      await this.load();
+      const log = this._log(this.nodeId);
+      const hlc = this.clock.now();
+
+      // Chain fields come from the log itself, never from the caller
+      const { sequence, previousHash, hash, signature, ...fields } = data;
+      const entry = await createChainEntry({
+        timestamp: new Date(hlc.physical).toISOString(),
+        ...fields,
+        node: this.nodeId,
+        hlc
+      }, log.length > 0 ? log[log.length - 1] : null, { keyPair: this.keyPair });
+
+      await this._store(entry);
+      this.stats.appended++;
+      return structuredClone(entry);
+    });
+  }
+
+  /**
+   * Merge entries received from a peer
+   * Entries are verified against their node's log; duplicates are ignored
+   * @param {Array} entries - Replicated entries
+   * @returns {Promise<Object>} { accepted, duplicates, rejected } with rejected as { node, sequence, txId, reason }
+   */
+  receive(entries) {
+    return this._enqueue(async () => {
+      await this.load();
+      const result = { accepted: 0, duplicates: 0, rejected: [] };
+
+      // Within a node's log, each entry needs its predecessor first
+      const ordered = [...entries].sort((a, b) =>
+        String(a.node).localeCompare(String(b.node)) || a.sequence - b.sequence);
+
+      for (const entry of ordered) {
+        let reason = await this._check(entry);
+        if (!reason) {
+          try {
+            this.clock.receive(entry.hlc);
+          } catch (error) {
+            reason = error.message;
+          }
+        }
+
+        if (reason === DUPLICATE) {
+          result.duplicates++;
+        } else if (reason) {
+          result.rejected.push({ node: entry.node ?? null, sequence: entry.sequence ?? null, txId: entry.txId ?? null, reason });
+        } else {
+          await this._store(structuredClone(entry));
+          result.accepted++;
+        }
+      }
+
+      this.stats.received += result.accepted;
+      this.stats.duplicates += result.duplicates;
+      this.stats.rejected += result.rejected.length;
+      return result;
+    });
+  }
+
+  /**
+   * Count the entries held from each node
+   * @returns {Object} Entries held by node ID
+   */
+  getVersionVector() {
+    const vector = {};
+    for (const [node, log] of this.logs) {
+      vector[node] = log.length;
+    }
+    return vector;
+  }
+
+  /**
+   * Get the entries a peer is missing
+   * @param {Object} vector - The peer's version vector
+   * @returns {Array} Entries in ledger order
+   */
+  entriesSince(vector = {}) {
+    const missing = [];
+    for (const [node, log] of this.logs) {
+      missing.push(...log.slice(vector[node] || 0));
+    }
+    return missing.sort(compareQCHAINEntries).map(entry => structuredClone(entry));
+  }
+
+  /**
+   * Run one anti-entropy exchange with a peer, in both directions
+   * @param {Object} peer - Peer replica
+   * @returns {Promise<Object>} { sent, received, rejected, rejectedByPeer }
+   */
+  async sync(peer) {
+    await this.load();
+
+    const pushed = await peer.receive(this.entriesSince(await peer.getVersionVector()));
+    const pulled = await this.receive(await peer.entriesSince(this.getVersionVector()));
+
+    return {
+      sent: pushed.accepted,
+      received: pulled.accepted,
+      rejected: pulled.rejected,
+      rejectedByPeer: pushed.rejected
+    };
+  }
+
+  /**
+   * Register a peer for anti-entropy
+   * @param {Object} peer - Peer replica
+   */
+  addPeer(peer) {
+    this.peers.add(peer);
+  }
+
+  /**
+   * Stop exchanging with a peer
+   * @param {Object} peer - Peer replica
+   */
+  removePeer(peer) {
+    this.peers.delete(peer);
+  }
+
+  /**
+   * Sync with one randomly chosen peer
+   * An unreachable peer (a partition) is counted and skipped
+   * @returns {Promise<Object|null>} Sync result, or null if there was no exchange
+   */
+  async gossip() {
+    const peers = Array.from(this.peers);
+    if (peers.length === 0) {
+      return null;
+    }
+
+    const peer = peers[Math.floor(this.random() * peers.length)];
+    this.stats.syncs++;
+    try {
+      return await this.sync(peer);
+    } catch (error) {
+      this.stats.failedSyncs++;
+      return null;
+    }
+  }
+
+  /**
+   * Gossip with a random peer at a fixed interval
+   * @param {Object} options - Anti-entropy options
+   * @param {number} options.interval - Time between exchanges in ms (defaults to 5 s)
+   * @param {Object} options.clock - Timer source with setTimeout and cancel, such as a VirtualClock
+   */
+  startAntiEntropy(options = {}) {
+    this.stopAntiEntropy();
+    const interval = options.interval ?? 5000;
+    const clock = options.clock || null;
+
+    const tick = async () => {
+      await this.gossip();
+      if (this.antiEntropyTimer !== null) {
+        schedule();
+      }
+    };
+    const schedule = () => {
+      if (clock) {
+        this.antiEntropyTimer = { cancel: clock.cancel.bind(clock, clock.setTimeout(tick, interval)) };
+        return;
+      }
+
+      const timer = setTimeout(tick, interval);
+      // Gossip alone should not keep a Node process alive
+      if (typeof timer.unref === 'function') {
+        timer.unref();
+      }
+      this.antiEntropyTimer = { cancel: () => clearTimeout(timer) };
+    };
+
+    schedule();
+  }
+
+  /**
+   * Stop periodic gossip
+   */
+  stopAntiEntropy() {
+    if (this.antiEntropyTimer) {
+      this.antiEntropyTimer.cancel();
+      this.antiEntropyTimer = null;
+    }
+  }
+
+  /**
+   * Get the replicated ledger in its deterministic order
+   * @returns {Array} Copies of every held entry
+   */
+  getLedger() {
+    return this._merged().map(entry => structuredClone(entry));
+  }
+
+  /**
+   * Digest of the replicated ledger; equal on replicas that have converged
+   * @returns {Promise<string>} Hex SHA-256 over the entry hashes in ledger order
+   */
+  getLedgerDigest() {
+    return sha256Hex(this._merged().map(entry => entry.hash).join(''));
+  }
+
+  /**
+   * Get replication counters for this node
+   * @returns {Object} Entries held per node and lifetime counters
+   */
+  getStatus() {
+    return {
+      nodeId: this.nodeId,
+      entries: this._merged().length,
+      nodes: this.getVersionVector(),
+      ...this.stats
+    };
+  }
+
+  /**
+   * Check a received entry against its node's log
+   * @private
+   * @param {Object} entry - Received entry
+   * @returns {Promise<string|symbol|null>} Rejection reason, DUPLICATE, or null if it extends the log
+   */
+  async _check(entry) {
+    if (!entry || typeof entry.node !== 'string' || !Number.isInteger(entry.sequence) || entry.sequence < 0 ||
+        typeof entry.txId !== 'string' || typeof entry.hash !== 'string' || !entry.signature) {
+      return 'Missing or malformed chain fields';
+    }
+    try {
+      assertHLC(entry.hlc);
+    } catch (error) {
+      return error.message;
+    }
+    if (entry.hlc.node !== entry.node) {
+      return 'HLC was issued by a different node';
+    }
+
+    if (entry.hash !== await hashQCHAINEntry(entry)) {
+      return 'Entry hash does not match contents';
+    }
+
+    const log = this._log(entry.node);
+    if (entry.sequence < log.length) {
+      return log[entry.sequence].hash === entry.hash
+        ? DUPLICATE
+        : `Conflicts with the entry held for ${entry.node} at sequence ${entry.sequence}`;
+    }
+    if (entry.sequence > log.length) {
+      return `Missing entries ${log.length}-${entry.sequence - 1} from ${entry.node}`;
+    }
+
+    const previous = log.length > 0 ? log[log.length - 1] : null;
+    if (entry.previousHash !== (previous ? previous.hash : GENESIS_PREVIOUS_HASH)) {
+      return 'Previous hash does not match predecessor';
+    }
+    if (previous && compareHLC(previous.hlc, entry.hlc) >= 0) {
+      return 'HLC does not advance along the node log';
+    }
+    if (this.verifySignatures) {
+      const { signature, hash, ...body } = entry;
+      if (!await verifyQCHAINPayload(body, signature)) {
+        return 'Signature is invalid or from an untrusted key';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Persist an entry and add it to its node's log
+   * @private
+   * @param {Object} entry - Verified entry
+   * @returns {Promise<void>}
+   */
+  async _store(entry) {
+    await this.store.append({ sequence: this.stored++, entry });
+    this._add(entry);
+  }
+
+  /**
+   * Add an entry to its node's log
+   * @private
+   * @param {Object} entry - Entry
+   */
+  _add(entry) {
+    this._log(entry.node).push(entry);
+    this.merged = null;
+  }
+
+  /**
+   * Get the log held for a node, creating it on first use
+   * @private
+   * @param {string} node - Node ID
+   * @returns {Array} Entries in sequence order
+   */
+  _log(node) {
+    if (!this.logs.has(node)) {
+      this.logs.set(node, []);
+    }
+    return this.logs.get(node);
+  }
+
+  /**
+   * Get the held entries in ledger order, sorting once per change
+   * @private
+   * @returns {Array} Entries
+   */
+  _merged() {
+    if (!this.merged) {
+      this.merged = Array.from(this.logs.values()).flat().sort(compareQCHAINEntries);
+    }
+    return this.merged;
+  }
+
+  /**
+   * Run a task after every previously queued append or merge
+   * @private
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} Task result
+   */
+  _enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
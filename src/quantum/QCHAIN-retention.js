@@ -0,0 +1,60 @@
+/**
+ * QCHAIN-retention.js - QCHAIN Retention Policies
+ * Decides which entries survive compaction of acknowledged segments
+ *
+ * A rule takes the filter fields of queryQCHAIN (event, txIdPrefix, metrics)
+ * and a maxAge in ms. Rules are matched in order and the first match wins:
+ * Infinity keeps an entry forever, 0 drops it as soon as its segment is
+ * compacted. Entries that match no rule are dropped too, since the
+ * distributed ledger already holds them. QCHAIN's own entries (genesis,
+ * batch seals and snapshots) are always kept, because verifying a compacted
+ * ledger starts from them. Snapshots record the entries kept forever, so a
+ * verifier can tell a compacted gap from a deleted entry.
+ */
+
+import { createQCHAINFilter, txIdNamespace } from './QCHAIN-index.js';
+
+export const DAY = 24 * 60 * 60 * 1000;
+
+// Keep canon seals for good and QASF gate logs for a month
+export const DEFAULT_RETENTION_RULES = [
+  { txIdPrefix: 'CANON-SEAL-', maxAge: Infinity },
+  { txIdPrefix: 'QASF-GATE-', maxAge: 30 * DAY }
+];
+
+/**
+ * Compile retention rules into a predicate
+ * @param {Array<Object>} rules - Rules as { event, txIdPrefix, metrics, maxAge }
+ * @returns {Function} (entry, now) => true if the entry is kept, with
+ *   keepsForever(entry) => true if no age drops the entry
+ */
+export const createRetentionPolicy = (rules = DEFAULT_RETENTION_RULES) => {
+  const compiled = rules.map(rule => {
+    if (typeof rule.maxAge !== 'number' || !(rule.maxAge >= 0)) {
+      throw new Error('QCHAIN retention rules need a maxAge in ms (Infinity to keep forever)');
+    }
+    return { matches: createQCHAINFilter(rule), maxAge: rule.maxAge };
+  });
+
+  const retains = (entry, now) => {
+    if (txIdNamespace(entry.txId) === 'QCHAIN') {
+      return true;
+    }
+
+    const rule = compiled.find(candidate => candidate.matches(entry));
+    if (!rule) {
+      return false;
+    }
+    return rule.maxAge === Infinity || now - new Date(entry.timestamp).getTime() < rule.maxAge;
+  };
+
+  retains.keepsForever = (entry) => {
+    if (txIdNamespace(entry.txId) === 'QCHAIN') {
+      return true;
+    }
+
+    const rule = compiled.find(candidate => candidate.matches(entry));
+    return !!rule && rule.maxAge === Infinity;
+  };
+  return retains;
+};
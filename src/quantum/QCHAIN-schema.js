@@ -0,0 +1,308 @@
+/**
+ * QCHAIN-schema.js - QCHAIN Event Schemas
+ * Registry of the metrics each event type logs, checked when entries are appended
+ *
+ * The event type is the event name up to any ': ' qualifier, so
+ * 'QASF Gate Application: H' and 'QASF Gate Application: CNOT' share one
+ * schema. A schema lists the metrics fields of one version:
+ *
+ *   { version: 2, fields: { gate: 'string', targets: { type: 'array', items: 'integer' } }, upgrade }
+ *
+ * A field is a type name ('string', 'number', 'integer', 'boolean', 'array',
+ * 'object' or 'any', with a trailing '?' when optional) or a spec object
+ * { type, optional, default, items, fields, enum }. Entries record the
+ * version they were validated against as schemaVersion; entries logged
+ * before the registry existed are read as version 1. A version's upgrade
+ * function turns metrics of the previous version into its own shape, so
+ * consumers can read old entries as the latest version.
+ *
+ * In strict mode, fields that a schema does not declare are rejected, as are
+ * top-level entry fields that QCHAIN does not define.
+ */
+
+import { EVENT_SCHEMAS } from './QCHAIN-event-schemas.js';
+
+// Top-level fields of logged data; everything else belongs in metrics
+export const ENTRY_FIELDS = ['event', 'txId', 'timestamp', 'interplanetary', 'origin', 'destination', 'metrics'];
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object', 'any'];
+
+// Versions of each event type, keyed by version number
+const schemas = new Map();
+
+/**
+ * Get the event type of an event name
+ * @param {string} event - Event name, such as 'Canon Sealed: XLV'
+ * @returns {string} Event type, such as 'Canon Sealed'
+ */
+export const getQCHAINEventType = (event) => {
+  const qualifier = event.indexOf(': ');
+  return qualifier === -1 ? event : event.substring(0, qualifier);
+};
+
+/**
+ * Register one version of an event type's schema
+ * @param {string} eventType - Event type
+ * @param {Object} schema - Schema
+ * @param {number} schema.version - Version, a positive integer
+ * @param {Object} schema.fields - Metrics fields by name
+ * @param {Function} schema.upgrade - Turns metrics of the previous version into this version's shape
+ */
+export const registerQCHAINSchema = (eventType, schema) => {
+  if (typeof eventType !== 'string' || !eventType) {
+    throw new Error('QCHAIN schemas are registered under an event type');
+  }
+  if (!schema || !Number.isInteger(schema.version) || schema.version < 1) {
+    throw new Error(`QCHAIN schema for ${eventType} needs a positive integer version`);
+  }
+  if (schema.upgrade !== undefined && typeof schema.upgrade !== 'function') {
+    throw new Error(`QCHAIN schema upgrade for ${eventType} v${schema.version} must be a function`);
+  }
+
+  if (!schemas.has(eventType)) {
+    schemas.set(eventType, new Map());
+  }
+  const versions = schemas.get(eventType);
+  if (versions.has(schema.version)) {
+    throw new Error(`QCHAIN schema ${eventType} v${schema.version} is already registered`);
+  }
+
+  versions.set(schema.version, {
+    eventType,
+    version: schema.version,
+    fields: compileFields(schema.fields || {}, `${eventType} v${schema.version}`),
+    upgrade: schema.upgrade || null
+  });
+};
+
+/**
+ * Get a registered schema
+ * @param {string} event - Event name or type
+ * @param {number} version - Version (defaults to the latest)
+ * @returns {Object|null} { eventType, version, fields } or null if none is registered
+ */
+export const getQCHAINSchema = (event, version) => {
+  const versions = schemas.get(getQCHAINEventType(event));
+  if (!versions) {
+    return null;
+  }
+
+  const schema = versions.get(version ?? Math.max(...versions.keys()));
+  return schema ? { eventType: schema.eventType, version: schema.version, fields: structuredClone(schema.fields) } : null;
+};
+
+/**
+ * Validate metrics against a registered schema
+ * @param {string} event - Event name or type
+ * @param {Object} metrics - Metrics to check
+ * @param {Object} options - Validation options
+ * @param {number} options.version - Schema version (defaults to the latest)
+ * @param {boolean} options.strict - Reject fields the schema does not declare
+ * @returns {Object} { valid, version, errors } where version is null if no schema is registered
+ */
+export const validateQCHAINMetrics = (event, metrics, options = {}) => {
+  const schema = findSchema(event, options.version);
+  if (!schema) {
+    return { valid: true, version: null, errors: [] };
+  }
+
+  const errors = [];
+  checkFields(schema.fields, metrics || {}, 'metrics', !!options.strict, errors);
+  return { valid: errors.length === 0, version: schema.version, errors };
+};
+
+/**
+ * Prepare data for logging: fill in defaults, validate, and record the schema version
+ * Events without a registered schema pass through unchanged
+ * @param {Object} data - Data to log
+ * @param {Object} options - Validation options
+ * @param {boolean} options.strict - Reject undeclared metrics and top-level fields
+ * @returns {Object} Copy of the data with defaults applied and schemaVersion set
+ */
+export const applyQCHAINSchema = (data, options = {}) => {
+  const schema = findSchema(data.event);
+  if (!schema) {
+    return data;
+  }
+
+  const errors = [];
+  if (options.strict) {
+    for (const field of Object.keys(data)) {
+      if (!ENTRY_FIELDS.includes(field)) {
+        errors.push(`${field} is not a QCHAIN entry field`);
+      }
+    }
+  }
+
+  const metrics = applyDefaults(schema.fields, data.metrics || {});
+  checkFields(schema.fields, metrics, 'metrics', !!options.strict, errors);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${schema.eventType} entry (schema v${schema.version}): ${errors.join('; ')}`);
+  }
+
+  return { ...data, metrics, schemaVersion: schema.version };
+};
+
+/**
+ * Read an entry's metrics in the shape of the latest schema version
+ * Values that cannot be recovered, such as truncated JSON, are left out
+ * @param {Object} entry - Chain entry
+ * @returns {Object} { version, metrics } where version is null if no schema is registered
+ */
+export const upgradeQCHAINMetrics = (entry) => {
+  const versions = schemas.get(getQCHAINEventType(entry.event));
+  if (!versions) {
+    return { version: null, metrics: structuredClone(entry.metrics || {}) };
+  }
+
+  const latest = Math.max(...versions.keys());
+  let metrics = structuredClone(entry.metrics || {});
+  for (let version = (entry.schemaVersion ?? 1) + 1; version <= latest; version++) {
+    const schema = versions.get(version);
+    if (schema && schema.upgrade) {
+      metrics = schema.upgrade(metrics);
+    }
+  }
+
+  return { version: latest, metrics };
+};
+
+/**
+ * Find a registered schema version
+ * @private
+ * @param {string} event - Event name or type
+ * @param {number} version - Version (defaults to the latest)
+ * @returns {Object|undefined} Compiled schema
+ */
+const findSchema = (event, version) => {
+  const versions = schemas.get(getQCHAINEventType(event));
+  return versions ? versions.get(version ?? Math.max(...versions.keys())) : undefined;
+};
+
+/**
+ * Expand field shorthands into spec objects
+ * @private
+ * @param {Object} fields - Fields by name
+ * @param {string} where - Schema name for error messages
+ * @returns {Object} Compiled fields
+ */
+const compileFields = (fields, where) => {
+  const compiled = {};
+  for (const [name, field] of Object.entries(fields)) {
+    compiled[name] = compileField(field, `${where} ${name}`);
+  }
+  return compiled;
+};
+
+/**
+ * Expand one field shorthand into a spec object
+ * @private
+ * @param {string|Object} field - Type name or spec
+ * @param {string} where - Field name for error messages
+ * @returns {Object} { type, optional, default, items, fields, enum }
+ */
+const compileField = (field, where) => {
+  const spec = typeof field === 'string'
+    ? { type: field.replace(/\?$/, ''), optional: field.endsWith('?') }
+    : { ...field };
+
+  if (!TYPES.includes(spec.type)) {
+    throw new Error(`QCHAIN schema ${where} has unknown type ${spec.type}`);
+  }
+  spec.optional = !!spec.optional || spec.default !== undefined;
+  if (spec.items !== undefined) {
+    spec.items = compileField(spec.items, `${where}[]`);
+  }
+  if (spec.fields !== undefined) {
+    spec.fields = compileFields(spec.fields, where);
+  }
+  return spec;
+};
+
+/**
+ * Copy metrics, filling in declared defaults for missing fields
+ * @private
+ * @param {Object} fields - Compiled fields
+ * @param {Object} metrics - Metrics
+ * @returns {Object} Metrics with defaults
+ */
+const applyDefaults = (fields, metrics) => {
+  const filled = { ...metrics };
+  for (const [name, spec] of Object.entries(fields)) {
+    if (filled[name] === undefined && spec.default !== undefined) {
+      filled[name] = structuredClone(spec.default);
+    }
+  }
+  return filled;
+};
+
+/**
+ * Check an object against compiled fields, collecting errors
+ * @private
+ * @param {Object} fields - Compiled fields
+ * @param {Object} value - Object to check
+ * @param {string} path - Path of the object, for messages
+ * @param {boolean} strict - Reject undeclared fields
+ * @param {Array<string>} errors - Collected errors
+ */
+const checkFields = (fields, value, path, strict, errors) => {
+  for (const [name, spec] of Object.entries(fields)) {
+    checkValue(spec, value[name], `${path}.${name}`, strict, errors);
+  }
+
+  if (strict) {
+    for (const name of Object.keys(value)) {
+      if (!(name in fields)) {
+        errors.push(`${path}.${name} is not declared`);
+      }
+    }
+  }
+};
+
+/**
+ * Check one value against a field spec, collecting errors
+ * @private
+ * @param {Object} spec - Compiled field
+ * @param {*} value - Value
+ * @param {string} path - Path of the value, for messages
+ * @param {boolean} strict - Reject undeclared fields of nested objects
+ * @param {Array<string>} errors - Collected errors
+ */
+const checkValue = (spec, value, path, strict, errors) => {
+  if (value === undefined || value === null) {
+    if (!spec.optional) {
+      errors.push(`${path} is required`);
+    }
+    return;
+  }
+
+  const valid = {
+    string: typeof value === 'string',
+    number: typeof value === 'number' && Number.isFinite(value),
+    integer: Number.isSafeInteger(value),
+    boolean: typeof value === 'boolean',
+    array: Array.isArray(value),
+    object: typeof value === 'object' && !Array.isArray(value),
+    any: true
+  }[spec.type];
+
+  if (!valid) {
+    errors.push(`${path} must be ${spec.type === 'integer' || spec.type === 'object' || spec.type === 'array' ? 'an' : 'a'} ${spec.type}`);
+    return;
+  }
+  if (spec.enum && !spec.enum.includes(value)) {
+    errors.push(`${path} must be one of ${spec.enum.join(', ')}`);
+  }
+  if (spec.items) {
+    value.forEach((item, i) => checkValue(spec.items, item, `${path}[${i}]`, strict, errors));
+  }
+  if (spec.fields) {
+    checkFields(spec.fields, value, path, strict, errors);
+  }
+};
+
+// Schemas of the events logged by the Spiral modules and QCHAIN itself
+for (const [eventType, versions] of Object.entries(EVENT_SCHEMAS)) {
+  versions.forEach(schema => registerQCHAINSchema(eventType, schema));
+}
@@ -0,0 +1,686 @@
+/**
+ * QCHAIN-server.js - Local QCHAIN Ledger Server
+ * A stand-in for the distributed ledger, so transmission can be tested end
+ * to end without any outside service (Node only)
+ *
+ * The server accepts the batches sent by HttpTransport and WebSocketTransport.
+ * Every entry is validated (shape, hash and, by default, signature against
+ * the trusted keys) and persisted append-only through a storage adapter.
+ * Accepted entries are acknowledged with a receipt signed by the server's
+ * key, naming the entry hash, its ledger position and the server's time
+ * (see QCHAIN-receipts.js).
+ *
+ * HTTP endpoints (JSON):
+ *   POST /append     { entries }                      -> { acknowledgements }
+ *   GET  /entries    ?event&txIdPrefix&from&to&after&limit&order -> { records, nextCursor }
+ *   GET  /sync       ?after&limit                     -> { records, head }
+ *   GET  /status                                      -> { nodeId, keyId, publicKey, alg, entries, head }
+ *
+ * WebSocket messages (any path):
+ *   { type: 'append', id, entries }  -> { type: 'ack', id, acknowledgements }
+ *   { type: 'sync', id, after, limit } -> { type: 'sync', id, records, head }
+ *
+ * A record is { position, receivedAt, entry, receipt }. Positions count from
+ * 0 in arrival order; `after` returns the records past a position.
+ */
+
+import { createServer } from 'http';
+import { createHash } from 'crypto';
+import { MemoryStore } from './QCHAIN-storage.js';
+import { hashQCHAINEntry } from './QCHAIN-encoding.js';
+import { createQCHAINFilter } from './QCHAIN-index.js';
+import { ED25519, KEY_ROLE_LEDGER, generateQCHAINKeyPair } from './QCHAIN-signing.js';
+import { createQCHAINReceipt } from './QCHAIN-receipts.js';
+import { verifyQCHAINEntry } from './QCHAIN-verify.js';
+
+export const DEFAULT_LEDGER_PORT = 8700;
+
+// Key every WebSocket accept header is derived with (RFC 6455)
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const DEFAULT_PAGE = 100;
+const MAX_PAGE = 1000;
+
+/**
+ * QCHAINLedgerServer - Append-only ledger node over HTTP and WebSocket
+ */
+export class QCHAINLedgerServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {Object} options.store - Storage adapter for ledger records (defaults to memory)
+   * @param {string} options.nodeId - Ledger node ID recorded in receipts (defaults to 'qchain-ledger')
+   * @param {Object} options.keyPair - Ed25519 keypair receipts are signed with (generated if omitted;
+   *   clients must trust its public key to verify receipts)
+   * @param {boolean} options.verifySignatures - Reject entries not signed by a trusted key (default true)
+   * @param {number} options.maxBodyBytes - Largest request body or WebSocket message (defaults to 16 MB)
+   * @param {Function} options.now - Clock in ms for receipts
+   */
+  constructor(options = {}) {
+    this.store = options.store || new MemoryStore();
+    this.nodeId = options.nodeId || 'qchain-ledger';
+    this.keyPair = options.keyPair || null;
+    this.verifySignatures = options.verifySignatures ?? true;
+    this.maxBodyBytes = options.maxBodyBytes ?? 16 * 1024 * 1024;
+    this.now = options.now || (() => Date.now());
+
+    this.records = [];
+    this.positions = new Map();
+    this.loading = null;
+    this.appending = Promise.resolve();
+    this.server = null;
+    this.sockets = new Set();
+  }
+
+  /**
+   * Read the stored records
+   * Safe to call repeatedly; the store is only read once
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.store.load().then(records => {
+        records.sort((a, b) => a.position - b.position).forEach(record => {
+          this.records.push(record);
+          this.positions.set(record.entry.txId, record.position);
+        });
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Get the identity receipts are signed with
+   * Clients trust it with trustQCHAINKey(publicKey, identity), which records the ledger role
+   * @returns {Promise<Object>} { nodeId, keyId, publicKey, alg, role }
+   */
+  async getIdentity() {
+    if (!this.keyPair) {
+      this.keyPair = await generateQCHAINKeyPair();
+    }
+    return { nodeId: this.nodeId, keyId: this.keyPair.keyId, publicKey: this.keyPair.publicKey, alg: ED25519, role: KEY_ROLE_LEDGER };
+  }
+
+  /**
+   * Validate and persist a batch of entries
+   * Entries already held are acknowledged again with their original receipt;
+   * an entry whose txId is held with another hash is rejected
+   * @param {Array} entries - Chain entries
+   * @returns {Promise<Array>} One acknowledgement per entry, as transports expect
+   */
+  append(entries) {
+    const run = this.appending.then(() => this._append(entries));
+    this.appending = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Query the held entries
+   * @param {Object} query - Filter fields as for queryQCHAIN (event, txIdPrefix, from, to, metrics)
+   * @param {number} query.after - Position to continue after (nextCursor of the previous page)
+   * @param {number} query.limit - Page size (defaults to 100, at most 1000)
+   * @param {string} query.order - 'asc' (arrival order, default) or 'desc'
+   * @returns {Promise<Object>} { records, nextCursor } where nextCursor is null on the last page
+   */
+  async query(query = {}) {
+    await this.load();
+
+    const limit = pageSize(query.limit);
+    const descending = query.order === 'desc';
+    const matches = createQCHAINFilter(query);
+    const records = [];
+
+    let position = query.after === undefined || query.after === null
+      ? (descending ? this.records.length - 1 : 0)
+      : query.after + (descending ? -1 : 1);
+    while (position >= 0 && position < this.records.length && records.length < limit) {
+      if (matches(this.records[position].entry)) {
+        records.push(structuredClone(this.records[position]));
+      }
+      position += descending ? -1 : 1;
+    }
+
+    const exhausted = position < 0 || position >= this.records.length;
+    return { records, nextCursor: exhausted ? null : position - (descending ? -1 : 1) };
+  }
+
+  /**
+   * Get the records after a position, for replicas catching up
+   * @param {number} after - Last position the caller holds (defaults to -1, for everything)
+   * @param {number} limit - Largest number of records (defaults to 100, at most 1000)
+   * @returns {Promise<Object>} { records, head } where head is the last position held
+   */
+  async entriesSince(after = -1, limit) {
+    await this.load();
+    const from = Math.max(0, after + 1);
+    return {
+      records: this.records.slice(from, from + pageSize(limit)).map(record => structuredClone(record)),
+      head: this.records.length - 1
+    };
+  }
+
+  /**
+   * Start serving
+   * @param {Object} options - Listen options
+   * @param {number} options.port - TCP port (defaults to 8700; 0 picks a free one)
+   * @param {string} options.host - Interface to bind (defaults to 127.0.0.1)
+   * @returns {Promise<Object>} { url, port, host }
+   */
+  async listen(options = {}) {
+    if (this.server) {
+      throw new Error('QCHAIN ledger server is already listening');
+    }
+
+    await this.load();
+    await this.getIdentity();
+
+    const host = options.host || '127.0.0.1';
+    this.server = createServer((request, response) => {
+      this._handleRequest(request, response).catch(error => {
+        console.error('QCHAIN ledger server request failed:', error);
+        if (!response.headersSent) {
+          sendJSON(response, 500, { error: error.message });
+        }
+      });
+    });
+    this.server.on('upgrade', (request, socket) => this._handleUpgrade(request, socket));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(options.port ?? DEFAULT_LEDGER_PORT, host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    const { port } = this.server.address();
+    return { url: `http://${host}:${port}`, port, host };
+  }
+
+  /**
+   * Stop serving, closing open WebSocket connections
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (!this.server) {
+      return;
+    }
+
+    const server = this.server;
+    this.server = null;
+    this.sockets.forEach(socket => socket.destroy());
+    this.sockets.clear();
+    if (typeof server.closeAllConnections === 'function') {
+      server.closeAllConnections();
+    }
+    await new Promise(resolve => server.close(() => resolve()));
+    await this.appending;
+  }
+
+  /**
+   * Validate and persist a batch
+   * @private
+   * @param {Array} entries - Chain entries
+   * @returns {Promise<Array>} Acknowledgements
+   */
+  async _append(entries) {
+    await this.load();
+    await this.getIdentity();
+
+    const acknowledgements = [];
+    const accepted = [];
+
+    // Positions of this batch are dropped again unless the whole batch is stored
+    try {
+      for (const entry of entries) {
+        const reason = await this._check(entry);
+        if (reason) {
+          acknowledgements.push({ txId: entry && entry.txId, status: 'rejected', reason });
+          continue;
+        }
+
+        // A txId repeated within the batch is held by a record accepted earlier in it
+        const held = this.positions.get(entry.txId);
+        if (held !== undefined) {
+          const record = held < this.records.length ? this.records[held] : accepted[held - this.records.length];
+          acknowledgements.push(record.entry.hash === entry.hash
+            ? acknowledge(record)
+            : { txId: entry.txId, status: 'rejected', reason: `Conflicts with the entry held at position ${held}` });
+          continue;
+        }
+
+        const position = this.records.length + accepted.length;
+        const receivedAt = new Date(this.now()).toISOString();
+        const receipt = await createQCHAINReceipt(entry, { ledger: this.nodeId, position, nodeTime: receivedAt, keyPair: this.keyPair });
+        const record = { position, receivedAt, entry: structuredClone(entry), receipt };
+        accepted.push(record);
+        this.positions.set(entry.txId, position);
+        acknowledgements.push(acknowledge(record));
+      }
+
+      // Nothing is acknowledged before it is stored
+      if (typeof this.store.appendMany === 'function') {
+        await this.store.appendMany(accepted);
+      } else {
+        for (const record of accepted) {
+          await this.store.append(record);
+        }
+      }
+    } catch (error) {
+      accepted.forEach(record => this.positions.delete(record.entry.txId));
+      throw error;
+    }
+    this.records.push(...accepted);
+
+    return acknowledgements;
+  }
+
+  /**
+   * Check an entry before it is accepted
+   * @private
+   * @param {*} entry - Received entry
+   * @returns {Promise<string|null>} Rejection reason, or null if the entry is sound
+   */
+  async _check(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry) ||
+        typeof entry.txId !== 'string' || typeof entry.event !== 'string' ||
+        !Number.isInteger(entry.sequence) || entry.sequence < 0 || typeof entry.hash !== 'string') {
+      return 'Malformed entry';
+    }
+    if (entry.hash !== await hashQCHAINEntry(entry)) {
+      return 'Entry hash does not match contents';
+    }
+    if (this.verifySignatures && !await verifyQCHAINEntry(entry)) {
+      return 'Signature is invalid or from an untrusted key';
+    }
+    return null;
+  }
+
+  /**
+   * Route an HTTP request
+   * @private
+   * @param {IncomingMessage} request - Request
+   * @param {ServerResponse} response - Response
+   * @returns {Promise<void>}
+   */
+  async _handleRequest(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204, CORS_HEADERS);
+      response.end();
+      return;
+    }
+
+    if (request.method === 'POST' && url.pathname === '/append') {
+      let body;
+      try {
+        body = JSON.parse(await readBody(request, this.maxBodyBytes));
+      } catch (error) {
+        sendJSON(response, error.statusCode || 400, { error: error.statusCode ? error.message : 'Body is not JSON' });
+        return;
+      }
+      if (!body || !Array.isArray(body.entries)) {
+        sendJSON(response, 400, { error: 'Body must be { entries: [...] }' });
+        return;
+      }
+      sendJSON(response, 200, { acknowledgements: await this.append(body.entries) });
+      return;
+    }
+
+    if (request.method === 'GET' && (url.pathname === '/entries' || url.pathname === '/sync')) {
+      const params = url.searchParams;
+      let page;
+      try {
+        page = url.pathname === '/sync'
+          ? await this.entriesSince(integerParam(params, 'after'), integerParam(params, 'limit'))
+          : await this.query({
+            event: params.get('event') ?? undefined,
+            txIdPrefix: params.get('txIdPrefix') ?? undefined,
+            from: params.get('from') ?? undefined,
+            to: params.get('to') ?? undefined,
+            order: params.get('order') ?? undefined,
+            after: integerParam(params, 'after'),
+            limit: integerParam(params, 'limit')
+          });
+      } catch (error) {
+        sendJSON(response, 400, { error: error.message });
+        return;
+      }
+      sendJSON(response, 200, page);
+      return;
+    }
+
+    if (request.method === 'GET' && url.pathname === '/status') {
+      await this.load();
+      sendJSON(response, 200, { ...await this.getIdentity(), entries: this.records.length, head: this.records.length - 1 });
+      return;
+    }
+
+    sendJSON(response, 404, { error: `No endpoint for ${request.method} ${url.pathname}` });
+  }
+
+  /**
+   * Accept a WebSocket connection
+   * @private
+   * @param {IncomingMessage} request - Upgrade request
+   * @param {Socket} socket - Underlying TCP socket
+   */
+  _handleUpgrade(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    if (String(request.headers.upgrade).toLowerCase() !== 'websocket' || !key) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      ''
+    ].join('\r\n'));
+
+    this.sockets.add(socket);
+    socket.on('close', () => this.sockets.delete(socket));
+    socket.on('error', () => socket.destroy());
+
+    const reader = new WebSocketReader(this.maxBodyBytes);
+    socket.on('data', chunk => {
+      let frames;
+      try {
+        frames = reader.push(chunk);
+      } catch (error) {
+        socket.end(encodeFrame(0x8, closePayload(1009, error.message)));
+        return;
+      }
+
+      for (const { opcode, payload } of frames) {
+        if (opcode === 0x1) {
+          this._handleMessage(socket, payload.toString('utf8'));
+        } else if (opcode === 0x8) {
+          socket.end(encodeFrame(0x8, payload.subarray(0, 2)));
+        } else if (opcode === 0x9) {
+          socket.write(encodeFrame(0xA, payload));
+        }
+      }
+    });
+  }
+
+  /**
+   * Answer one WebSocket message
+   * @private
+   * @param {Socket} socket - Client socket
+   * @param {string} text - Message text
+   * @returns {Promise<void>}
+   */
+  async _handleMessage(socket, text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      socket.write(encodeFrame(0x1, JSON.stringify({ type: 'error', error: 'Message is not JSON' })));
+      return;
+    }
+
+    let reply;
+    try {
+      if (message.type === 'append' && Array.isArray(message.entries)) {
+        reply = { type: 'ack', id: message.id, acknowledgements: await this.append(message.entries) };
+      } else if (message.type === 'sync') {
+        reply = { type: 'sync', id: message.id, ...await this.entriesSince(message.after ?? -1, message.limit) };
+      } else {
+        reply = { type: 'error', id: message.id, error: `Unknown message type: ${message.type}` };
+      }
+    } catch (error) {
+      console.error('QCHAIN ledger server message failed:', error);
+      reply = { type: 'error', id: message.id, error: error.message };
+    }
+
+    if (!socket.destroyed) {
+      socket.write(encodeFrame(0x1, JSON.stringify(reply)));
+    }
+  }
+}
+
+/**
+ * WebSocketReader - Reassembles client frames from TCP chunks (RFC 6455)
+ * @private
+ */
+class WebSocketReader {
+  /**
+   * @param {number} maxBytes - Largest message accepted
+   */
+  constructor(maxBytes) {
+    this.maxBytes = maxBytes;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.fragmentOpcode = 0;
+  }
+
+  /**
+   * Add received bytes and return the complete messages and control frames
+   * @param {Buffer} chunk - Received bytes
+   * @returns {Array<Object>} { opcode, payload } in arrival order
+   */
+  push(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    const frames = [];
+
+    for (;;) {
+      const frame = this._nextFrame();
+      if (!frame) {
+        return frames;
+      }
+
+      // Control frames may arrive between the fragments of a message
+      if (frame.opcode >= 0x8) {
+        frames.push(frame);
+        continue;
+      }
+
+      if (frame.opcode !== 0x0) {
+        this.fragmentOpcode = frame.opcode;
+        this.fragments = [];
+      }
+      this.fragments.push(frame.payload);
+      if (this.fragments.reduce((total, payload) => total + payload.length, 0) > this.maxBytes) {
+        throw new Error('Message too large');
+      }
+      if (frame.fin) {
+        frames.push({ opcode: this.fragmentOpcode, payload: Buffer.concat(this.fragments) });
+        this.fragments = [];
+      }
+    }
+  }
+
+  /**
+   * Take the next whole frame off the buffer
+   * @private
+   * @returns {Object|null} { fin, opcode, payload }, or null until more bytes arrive
+   */
+  _nextFrame() {
+    if (this.buffer.length < 2) {
+      return null;
+    }
+
+    const fin = (this.buffer[0] & 0x80) !== 0;
+    const opcode = this.buffer[0] & 0x0f;
+    const masked = (this.buffer[1] & 0x80) !== 0;
+    let length = this.buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+      if (this.buffer.length < 4) {
+        return null;
+      }
+      length = this.buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (this.buffer.length < 10) {
+        return null;
+      }
+      length = Number(this.buffer.readBigUInt64BE(2));
+      offset = 10;
+    }
+    if (length > this.maxBytes) {
+      throw new Error('Message too large');
+    }
+
+    const maskOffset = offset;
+    if (masked) {
+      offset += 4;
+    }
+    if (this.buffer.length < offset + length) {
+      return null;
+    }
+
+    const payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+    if (masked) {
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= this.buffer[maskOffset + (i % 4)];
+      }
+    }
+    this.buffer = this.buffer.subarray(offset + length);
+
+    return { fin, opcode, payload };
+  }
+}
+
+// Lets browser pages on other origins reach the local ledger
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+/**
+ * Build the acknowledgement for a stored record
+ * @private
+ * @param {Object} record - Ledger record
+ * @returns {Object} Acknowledgement with its receipt
+ */
+const acknowledge = (record) => {
+  return {
+    txId: record.entry.txId,
+    status: 'acknowledged',
+    hash: record.entry.hash,
+    position: record.position,
+    receipt: structuredClone(record.receipt)
+  };
+};
+
+/**
+ * Clamp a requested page size
+ * @private
+ * @param {number} limit - Requested size
+ * @returns {number} Page size
+ */
+const pageSize = (limit) => {
+  if (limit === undefined || limit === null) {
+    return DEFAULT_PAGE;
+  }
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error('QCHAIN ledger page limit must be a positive integer');
+  }
+  return Math.min(limit, MAX_PAGE);
+};
+
+/**
+ * Read an integer query parameter
+ * @private
+ * @param {URLSearchParams} params - Query parameters
+ * @param {string} name - Parameter name
+ * @returns {number|undefined} Value, or undefined if absent
+ */
+const integerParam = (params, name) => {
+  if (!params.has(name)) {
+    return undefined;
+  }
+  const value = Number(params.get(name));
+  if (!Number.isInteger(value)) {
+    throw new Error(`${name} must be an integer`);
+  }
+  return value;
+};
+
+/**
+ * Read a request body as text
+ * @private
+ * @param {IncomingMessage} request - Request
+ * @param {number} maxBytes - Largest body accepted
+ * @returns {Promise<string>} Body
+ */
+const readBody = (request, maxBytes) => {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        const error = new Error('Body too large');
+        error.statusCode = 413;
+        reject(error);
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+};
+
+/**
+ * Send a JSON response
+ * @private
+ * @param {ServerResponse} response - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+const sendJSON = (response, status, body) => {
+  response.writeHead(status, { 'Content-Type': 'application/json', ...CORS_HEADERS });
+  response.end(JSON.stringify(body));
+};
+
+/**
+ * Encode a server frame (servers never mask)
+ * @private
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer|string} payload - Frame payload
+ * @returns {Buffer} Frame
+ */
+const encodeFrame = (opcode, payload) => {
+  const body = Buffer.isBuffer(payload) ? payload : Buffer.from(payload, 'utf8');
+
+  let header;
+  if (body.length < 126) {
+    header = Buffer.from([0x80 | opcode, body.length]);
+  } else if (body.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(body.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(body.length), 2);
+  }
+
+  return Buffer.concat([header, body]);
+};
+
+/**
+ * Build the payload of a close frame
+ * @private
+ * @param {number} code - Close code
+ * @param {string} reason - Close reason
+ * @returns {Buffer} Payload
+ */
+const closePayload = (code, reason) => {
+  const payload = Buffer.alloc(2);
+  payload.writeUInt16BE(code, 0);
+  return Buffer.concat([payload, Buffer.from(reason, 'utf8')]);
+};
@@ -0,0 +1,412 @@
+/**
+ * QCHAIN-signing.js - QCHAIN Node Signatures
+ * Provides per-node Ed25519 keypairs, a registry of trusted node keys,
+ * and signing/verification of QCHAIN payloads over their canonical encoding
+ *
+ * Every signature names its algorithm, so Ed25519 and post-quantum
+ * (hash-based, see QCHAIN-pq.js) signatures can coexist in one ledger.
+ */
+
+import {
+  bytesToHex,
+  hexToBytes,
+  bytesToBase64,
+  base64ToBytes,
+  sha256Hex,
+  canonicalBytes
+} from './QCHAIN-encoding.js';
+import {
+  MSS_WOTS_SHA256,
+  generatePostQuantumKeyPair,
+  exportPostQuantumKeyPair,
+  remainingPostQuantumSignatures,
+  signPostQuantum,
+  verifyPostQuantum
+} from './QCHAIN-pq.js';
+
+// Signature algorithm identifiers recorded in every signature
+export const ED25519 = 'Ed25519';
+export { MSS_WOTS_SHA256 };
+
+// Roles a trusted key can hold: node keys sign entries, ledger keys also sign receipts
+export const KEY_ROLE_NODE = 'node';
+export const KEY_ROLE_LEDGER = 'ledger';
+
+// Algorithms this node can sign and verify
+const SUPPORTED_ALGORITHMS = [ED25519, MSS_WOTS_SHA256];
+
+// Algorithm used when a caller does not choose one
+let defaultAlgorithm = ED25519;
+
+// Public keys whose signatures are accepted, keyed by key ID
+const trustedKeys = new Map();
+
+// Signing identity of this node
+let nodeKey = null;
+let nodeKeyPending = null;
+
+// Post-quantum signing identity of this node
+let postQuantumKey = null;
+let postQuantumKeyPending = null;
+let postQuantumOptions = {};
+
+/**
+ * Derive the key ID for a public key (first 16 hex digits of its SHA-256)
+ * @param {string} publicKey - Hex-encoded raw public key
+ * @returns {Promise<string>} Key ID
+ */
+export const computeQCHAINKeyId = async (publicKey) => {
+  return (await sha256Hex(hexToBytes(publicKey))).substring(0, 16);
+};
+
+/**
+ * Generate a new Ed25519 keypair for a node
+ * @returns {Promise<Object>} Keypair with keyId, hex public key and private CryptoKey
+ */
+export const generateQCHAINKeyPair = async () => {
+  const { publicKey, privateKey } = await crypto.subtle.generateKey(
+    { name: ED25519 },
+    true,
+    ['sign', 'verify']
+  );
+
+  const publicKeyHex = bytesToHex(await crypto.subtle.exportKey('raw', publicKey));
+
+  return {
+    keyId: await computeQCHAINKeyId(publicKeyHex),
+    publicKey: publicKeyHex,
+    privateKey
+  };
+};
+
+/**
+ * Export a keypair so a node can persist its identity between runs
+ * @param {Object} keyPair - Keypair from generateQCHAINKeyPair
+ * @returns {Promise<Object>} Exported keypair (private key as JWK)
+ */
+export const exportQCHAINKeyPair = async (keyPair) => {
+  return {
+    keyId: keyPair.keyId,
+    publicKey: keyPair.publicKey,
+    privateKey: await crypto.subtle.exportKey('jwk', keyPair.privateKey)
+  };
+};
+
+/**
+ * Import a keypair previously produced by exportQCHAINKeyPair
+ * @param {Object} exported - Exported keypair
+ * @returns {Promise<Object>} Keypair
+ */
+export const importQCHAINKeyPair = async (exported) => {
+  if (!exported || !exported.publicKey || !exported.privateKey) {
+    throw new Error('Exported QCHAIN keypair requires publicKey and privateKey');
+  }
+
+  const privateKey = await crypto.subtle.importKey(
+    'jwk',
+    exported.privateKey,
+    { name: ED25519 },
+    true,
+    ['sign']
+  );
+
+  return {
+    keyId: await computeQCHAINKeyId(exported.publicKey),
+    publicKey: exported.publicKey,
+    privateKey
+  };
+};
+
+/**
+ * Add a node's public key to the trusted registry
+ * @param {string} publicKey - Hex-encoded raw Ed25519 public key
+ * @param {Object} options - Registry options
+ * @param {string} options.nodeId - Human-readable node identifier
+ * @param {string} options.role - KEY_ROLE_NODE (default) or KEY_ROLE_LEDGER; only ledger
+ *   keys are accepted on receipts (see QCHAIN-receipts.js)
+ * @returns {Promise<string>} Key ID of the trusted key
+ */
+export const trustQCHAINKey = async (publicKey, options = {}) => {
+  const role = options.role || KEY_ROLE_NODE;
+  if (role !== KEY_ROLE_NODE && role !== KEY_ROLE_LEDGER) {
+    throw new Error(`Unknown QCHAIN key role: ${role}`);
+  }
+
+  const keyId = await computeQCHAINKeyId(publicKey);
+
+  trustedKeys.set(keyId, {
+    keyId,
+    alg: options.alg || ED25519,
+    publicKey,
+    nodeId: options.nodeId || keyId,
+    role,
+    cryptoKey: null
+  });
+
+  return keyId;
+};
+
+/**
+ * Remove a key from the trusted registry
+ * @param {string} keyId - Key ID to revoke
+ * @returns {boolean} True if the key was trusted
+ */
+export const revokeQCHAINKey = (keyId) => {
+  return trustedKeys.delete(keyId);
+};
+
+/**
+ * List the trusted keys
+ * @returns {Array} Trusted key descriptions
+ */
+export const getTrustedQCHAINKeys = () => {
+  return Array.from(trustedKeys.values()).map(({ keyId, alg, publicKey, nodeId, role }) => ({
+    keyId,
+    alg,
+    publicKey,
+    nodeId,
+    role
+  }));
+};
+
+/**
+ * Look up a trusted key
+ * @param {string} keyId - Key ID
+ * @returns {Object|null} Trusted key description
+ */
+export const getTrustedQCHAINKey = (keyId) => {
+  const trusted = trustedKeys.get(keyId);
+  return trusted ? { keyId: trusted.keyId, alg: trusted.alg, publicKey: trusted.publicKey, nodeId: trusted.nodeId, role: trusted.role } : null;
+};
+
+/**
+ * Set the keypair this node signs with, and trust its public key locally
+ * @param {Object} keyPair - Keypair from generateQCHAINKeyPair or importQCHAINKeyPair
+ * @param {Object} options - Identity options
+ * @param {string} options.nodeId - Node identifier recorded in the registry
+ * @returns {Promise<string>} Key ID of the node key
+ */
+export const setQCHAINNodeKey = async (keyPair, options = {}) => {
+  if (!keyPair || !keyPair.publicKey || !keyPair.privateKey) {
+    throw new Error('QCHAIN node key requires publicKey and privateKey');
+  }
+
+  nodeKey = keyPair;
+  nodeKeyPending = null;
+
+  return trustQCHAINKey(keyPair.publicKey, options);
+};
+
+/**
+ * Get this node's signing keypair
+ * Generates an ephemeral keypair on first use if none has been set
+ * @returns {Promise<Object>} Node keypair
+ */
+export const getQCHAINNodeKey = async () => {
+  if (nodeKey) {
+    return nodeKey;
+  }
+
+  if (!nodeKeyPending) {
+    nodeKeyPending = generateQCHAINKeyPair().then(async keyPair => {
+      if (!nodeKey) {
+        nodeKey = keyPair;
+        await trustQCHAINKey(keyPair.publicKey);
+      }
+      return nodeKey;
+    });
+  }
+
+  return nodeKeyPending;
+};
+
+/**
+ * Choose the algorithm used when signQCHAINPayload is called without one
+ * @param {string} alg - ED25519 or MSS_WOTS_SHA256
+ */
+export const setQCHAINSignatureAlgorithm = (alg) => {
+  if (!SUPPORTED_ALGORITHMS.includes(alg)) {
+    throw new Error(`Unsupported QCHAIN signature algorithm: ${alg}`);
+  }
+
+  defaultAlgorithm = alg;
+};
+
+/**
+ * Set the post-quantum keypair this node signs with, and trust its public key locally
+ * Hash-based keys are stateful: pass `onSign` to persist the key after every signature
+ * @param {Object} keyPair - Keypair from generatePostQuantumKeyPair or importPostQuantumKeyPair
+ * @param {Object} options - Identity options
+ * @param {string} options.nodeId - Node identifier recorded in the registry
+ * @param {Function} options.onSign - Receives the exported keypair after each signature
+ * @returns {Promise<string>} Key ID of the post-quantum key
+ */
+export const setQCHAINPostQuantumKey = async (keyPair, options = {}) => {
+  if (!keyPair || keyPair.alg !== MSS_WOTS_SHA256) {
+    throw new Error(`QCHAIN post-quantum key must be an ${MSS_WOTS_SHA256} keypair`);
+  }
+
+  const keyId = await trustQCHAINKey(keyPair.publicKey, { ...options, alg: MSS_WOTS_SHA256 });
+  postQuantumKey = { ...keyPair, keyId };
+  postQuantumOptions = options;
+
+  return keyId;
+};
+
+/**
+ * Get this node's post-quantum keypair
+ * Generates a keypair on first use, and a fresh one when an
+ * automatically generated keypair runs out of one-time keys
+ * @returns {Promise<Object>} Post-quantum keypair
+ */
+export const getQCHAINPostQuantumKey = async () => {
+  if (postQuantumKey && remainingPostQuantumSignatures(postQuantumKey) > 0) {
+    return postQuantumKey;
+  }
+
+  if (postQuantumKey && !postQuantumOptions.generated) {
+    throw new Error(`QCHAIN post-quantum key ${postQuantumKey.keyId} is exhausted; set a new keypair`);
+  }
+
+  if (!postQuantumKeyPending) {
+    postQuantumKeyPending = generatePostQuantumKeyPair()
+      .then(keyPair => setQCHAINPostQuantumKey(keyPair, { generated: true }))
+      .then(() => postQuantumKey)
+      .finally(() => {
+        postQuantumKeyPending = null;
+      });
+  }
+
+  return postQuantumKeyPending;
+};
+
+/**
+ * Sign a payload with this node's key
+ * @param {Object} payload - Payload to sign
+ * @param {Object} options - Signing options
+ * @param {string} options.alg - Signature algorithm (defaults to the configured algorithm)
+ * @param {Object} options.keyPair - Ed25519 keypair to sign with instead of the node key
+ *   (for simulating several nodes in one process; its public key must be trusted to verify)
+ * @returns {Promise<Object>} Signature with alg, keyId and the signature value
+ */
+export const signQCHAINPayload = async (payload, options = {}) => {
+  const alg = options.alg || defaultAlgorithm;
+
+  if (alg === MSS_WOTS_SHA256) {
+    return signPostQuantumPayload(payload);
+  }
+
+  if (alg !== ED25519) {
+    throw new Error(`Unsupported QCHAIN signature algorithm: ${alg}`);
+  }
+
+  const key = options.keyPair || await getQCHAINNodeKey();
+  const value = await crypto.subtle.sign(
+    { name: ED25519 },
+    key.privateKey,
+    canonicalBytes(payload)
+  );
+
+  return {
+    alg: ED25519,
+    keyId: key.keyId,
+    value: bytesToBase64(value)
+  };
+};
+
+/**
+ * Sign a payload with this node's post-quantum key
+ * @private
+ * @param {Object} payload - Payload to sign
+ * @returns {Promise<Object>} Signature with alg, keyId, leaf, value and path
+ */
+const signPostQuantumPayload = async (payload) => {
+  const key = await getQCHAINPostQuantumKey();
+  const { leaf, value, path } = await signPostQuantum(canonicalBytes(payload), key);
+
+  if (postQuantumOptions.onSign) {
+    await postQuantumOptions.onSign(exportPostQuantumKeyPair(key));
+  }
+
+  return {
+    alg: MSS_WOTS_SHA256,
+    keyId: key.keyId,
+    leaf,
+    value,
+    path
+  };
+};
+
+/**
+ * Verify a payload signature against the trusted key registry
+ * The algorithm is taken from the signature; signatures from keys that
+ * are not trusted for that algorithm never verify
+ * @param {Object} payload - Signed payload
+ * @param {Object} signature - Signature from signQCHAINPayload
+ * @returns {Promise<boolean>} Verification result
+ */
+export const verifyQCHAINPayload = async (payload, signature) => {
+  if (!signature) {
+    return false;
+  }
+
+  switch (signature.alg) {
+    case ED25519:
+      return verifyEd25519Payload(payload, signature);
+    case MSS_WOTS_SHA256:
+      return verifyPostQuantumPayload(payload, signature);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Verify a post-quantum payload signature
+ * @private
+ * @param {Object} payload - Signed payload
+ * @param {Object} signature - Post-quantum signature
+ * @returns {Promise<boolean>} Verification result
+ */
+const verifyPostQuantumPayload = async (payload, signature) => {
+  const trusted = trustedKeys.get(signature.keyId);
+  if (!trusted || trusted.alg !== MSS_WOTS_SHA256) {
+    return false;
+  }
+
+  return verifyPostQuantum(canonicalBytes(payload), signature, trusted.publicKey);
+};
+
+/**
+ * Verify an Ed25519 payload signature
+ * @private
+ * @param {Object} payload - Signed payload
+ * @param {Object} signature - Ed25519 signature
+ * @returns {Promise<boolean>} Verification result
+ */
+const verifyEd25519Payload = async (payload, signature) => {
+  const trusted = trustedKeys.get(signature.keyId);
+  if (!trusted || trusted.alg !== ED25519) {
+    return false;
+  }
+
+  try {
+    if (!trusted.cryptoKey) {
+      trusted.cryptoKey = await crypto.subtle.importKey(
+        'raw',
+        hexToBytes(trusted.publicKey),
+        { name: ED25519 },
+        true,
+        ['verify']
+      );
+    }
+
+    return await crypto.subtle.verify(
+      { name: ED25519 },
+      trusted.cryptoKey,
+      base64ToBytes(signature.value),
+      canonicalBytes(payload)
+    );
+  } catch (error) {
+    return false;
+  }
+};
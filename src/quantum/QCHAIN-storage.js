@@ -0,0 +1,486 @@
+/**
+ * QCHAIN-storage.js - QCHAIN Storage Adapters
+ * Provides pluggable persistence for the QCHAIN ledger in browsers and Node
+ *
+ * Every adapter implements the same asynchronous interface:
+ *   load()        -> Promise<Array>  all stored entries in sequence order
+ *   append(entry) -> Promise<void>   persist one entry at the end of the ledger
+ *   clear()       -> Promise<void>   remove every stored entry
+ *
+ * Adapters that support compaction also implement:
+ *   remove(sequences) -> Promise<void>  delete the entries with these sequences
+ *
+ * Adapters that can write several entries at once implement, for group commits:
+ *   appendMany(entries) -> Promise<void>  persist entries at the end of the ledger in one write
+ */
+
+/**
+ * MemoryStore - Volatile in-process storage
+ * Suitable for tests and short-lived processes
+ */
+export class MemoryStore {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * Load all stored entries
+   * @returns {Promise<Array>} Entries in sequence order
+   */
+  async load() {
+    return [...this.entries];
+  }
+
+  /**
+   * Persist an entry at the end of the ledger
+   * @param {Object} entry - Chain entry
+   */
+  async append(entry) {
+    this.entries.push(entry);
+  }
+
+  /**
+   * Persist several entries at the end of the ledger
+   * @param {Array} entries - Chain entries in sequence order
+   */
+  async appendMany(entries) {
+    this.entries.push(...entries);
+  }
+
+  /**
+   * Delete entries removed by compaction
+   * @param {Array<number>} sequences - Sequences to delete
+   */
+  async remove(sequences) {
+    const removed = new Set(sequences);
+    this.entries = this.entries.filter(entry => !removed.has(entry.sequence));
+  }
+
+  /**
+   * Remove every stored entry
+   */
+  async clear() {
+    this.entries = [];
+  }
+}
+
+/**
+ * FileStore - Append-only newline-delimited JSON file for Node
+ */
+export class FileStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.path - Path of the ledger file
+   */
+  constructor(options = {}) {
+    this.path = options.path || 'qchain_logs.jsonl';
+  }
+
+  /**
+   * Load all stored entries
+   * @returns {Promise<Array>} Entries in sequence order
+   */
+  async load() {
+    const fs = await import('fs/promises');
+
+    let contents;
+    try {
+      contents = await fs.readFile(this.path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return contents
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+  }
+
+  /**
+   * Persist an entry at the end of the ledger
+   * @param {Object} entry - Chain entry
+   */
+  async append(entry) {
+    const fs = await import('fs/promises');
+    await fs.appendFile(this.path, JSON.stringify(entry) + '\n', 'utf8');
+  }
+
+  /**
+   * Persist several entries at the end of the ledger in one write
+   * @param {Array} entries - Chain entries in sequence order
+   */
+  async appendMany(entries) {
+    const fs = await import('fs/promises');
+    await fs.appendFile(this.path, entries.map(entry => JSON.stringify(entry) + '\n').join(''), 'utf8');
+  }
+
+  /**
+   * Delete entries removed by compaction
+   * The file is rewritten next to the ledger and then renamed over it
+   * @param {Array<number>} sequences - Sequences to delete
+   */
+  async remove(sequences) {
+    const fs = await import('fs/promises');
+    const removed = new Set(sequences);
+    const kept = (await this.load()).filter(entry => !removed.has(entry.sequence));
+
+    const temporaryPath = `${this.path}.compacting`;
+    await fs.writeFile(temporaryPath, kept.map(entry => JSON.stringify(entry) + '\n').join(''), 'utf8');
+    await fs.rename(temporaryPath, this.path);
+  }
+
+  /**
+   * Remove every stored entry
+   */
+  async clear() {
+    const fs = await import('fs/promises');
+    await fs.rm(this.path, { force: true });
+  }
+}
+
+/**
+ * IndexedDBStore - Browser storage keyed by chain sequence
+ */
+export class IndexedDBStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.dbName - Database name
+   * @param {string} options.storeName - Object store name
+   * @param {IDBFactory} options.indexedDB - IndexedDB factory (defaults to the global one)
+   */
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'qchain';
+    this.storeName = options.storeName || 'qchain_logs';
+    this.indexedDB = options.indexedDB || globalThis.indexedDB;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open (and create if needed) the database
+   * @private
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  _open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName, { keyPath: 'sequence' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a request inside a transaction and resolve once it commits
+   * @private
+   * @param {string} mode - Transaction mode
+   * @param {Function} operation - Receives the object store and returns a request
+   * @returns {Promise<*>} Request result
+   */
+  async _transaction(mode, operation) {
+    const db = await this._open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Load all stored entries
+   * @returns {Promise<Array>} Entries in sequence order
+   */
+  async load() {
+    return this._transaction('readonly', store => store.getAll());
+  }
+
+  /**
+   * Persist an entry at the end of the ledger
+   * @param {Object} entry - Chain entry
+   */
+  async append(entry) {
+    // add() refuses to overwrite an existing sequence, keeping the store append-only
+    await this._transaction('readwrite', store => store.add(entry));
+  }
+
+  /**
+   * Persist several entries at the end of the ledger in one transaction
+   * @param {Array} entries - Chain entries in sequence order
+   */
+  async appendMany(entries) {
+    if (entries.length === 0) {
+      return;
+    }
+
+    await this._transaction('readwrite', store => {
+      let request;
+      for (const entry of entries) {
+        request = store.add(entry);
+      }
+      return request;
+    });
+  }
+
+  /**
+   * Delete entries removed by compaction
+   * @param {Array<number>} sequences - Sequences to delete
+   */
+  async remove(sequences) {
+    if (sequences.length === 0) {
+      return;
+    }
+
+    await this._transaction('readwrite', store => {
+      let request;
+      for (const sequence of sequences) {
+        request = store.delete(sequence);
+      }
+      return request;
+    });
+  }
+
+  /**
+   * Remove every stored entry
+   */
+  async clear() {
+    await this._transaction('readwrite', store => store.clear());
+  }
+}
+
+/**
+ * LocalStorageStore - Segmented storage under the `qchain_logs` key
+ * Entries are grouped by sequence into fixed-size segments, each under its own
+ * key (`qchain_logs:0`, `qchain_logs:1`, ...) with a manifest at `qchain_logs:segments`,
+ * so an append rewrites only the open segment rather than the whole ledger.
+ * Ledgers written by earlier versions as one array under `qchain_logs` are
+ * migrated to segments on first use.
+ */
+export class LocalStorageStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.key - localStorage key prefix
+   * @param {number} options.segmentSize - Entries per segment
+   */
+  constructor(options = {}) {
+    this.key = options.key || 'qchain_logs';
+    this.segmentSize = options.segmentSize || 256;
+    this.openSegment = null;
+    this.migrated = false;
+  }
+
+  /**
+   * Load all stored entries
+   * @returns {Promise<Array>} Entries in sequence order
+   */
+  async load() {
+    this._migrateLegacy();
+    return this._readManifest().flatMap(segment => this._readSegment(segment));
+  }
+
+  /**
+   * Persist an entry at the end of the ledger
+   * @param {Object} entry - Chain entry
+   */
+  async append(entry) {
+    await this.appendMany([entry]);
+  }
+
+  /**
+   * Persist several entries at the end of the ledger, writing each segment they fall in once
+   * @param {Array} entries - Chain entries in sequence order
+   */
+  async appendMany(entries) {
+    this._migrateLegacy();
+
+    for (let i = 0; i < entries.length;) {
+      const segment = Math.floor(entries[i].sequence / this.segmentSize);
+      const open = this._openSegment(segment);
+      while (i < entries.length && Math.floor(entries[i].sequence / this.segmentSize) === segment) {
+        open.entries.push(entries[i++]);
+      }
+      this._writeSegment(segment, open.entries);
+    }
+  }
+
+  /**
+   * Delete entries removed by compaction, rewriting only the segments they were in
+   * @param {Array<number>} sequences - Sequences to delete
+   */
+  async remove(sequences) {
+    this._migrateLegacy();
+    const removed = new Set(sequences);
+    const segments = new Set(sequences.map(sequence => Math.floor(sequence / this.segmentSize)));
+
+    for (const segment of segments) {
+      this._writeSegment(segment, this._readSegment(segment).filter(entry => !removed.has(entry.sequence)));
+    }
+
+    // Forget emptied segments; the next append re-reads its segment
+    this._writeManifest(this._readManifest().filter(segment =>
+      localStorage.getItem(this._segmentKey(segment)) !== null));
+    this.openSegment = null;
+  }
+
+  /**
+   * Remove every stored entry
+   */
+  async clear() {
+    for (const segment of this._readManifest()) {
+      localStorage.removeItem(this._segmentKey(segment));
+    }
+    localStorage.removeItem(`${this.key}:segments`);
+    localStorage.removeItem(this.key);
+    this.openSegment = null;
+  }
+
+  /**
+   * Get the segment appends go to, adding it to the manifest if it is new
+   * The open segment is kept in memory so appends do not re-read it
+   * @private
+   * @param {number} segment - Segment number
+   * @returns {Object} { number, entries }
+   */
+  _openSegment(segment) {
+    if (!this.openSegment || this.openSegment.number !== segment) {
+      const manifest = this._readManifest();
+      if (!manifest.includes(segment)) {
+        manifest.push(segment);
+        this._writeManifest(manifest);
+      }
+      this.openSegment = { number: segment, entries: this._readSegment(segment) };
+    }
+    return this.openSegment;
+  }
+
+  /**
+   * Get the key of a segment
+   * @private
+   * @param {number} segment - Segment number
+   * @returns {string} localStorage key
+   */
+  _segmentKey(segment) {
+    return `${this.key}:${segment}`;
+  }
+
+  /**
+   * Read the numbers of the stored segments, ascending
+   * @private
+   * @returns {Array<number>} Segment numbers
+   */
+  _readManifest() {
+    return JSON.parse(localStorage.getItem(`${this.key}:segments`) || '[]');
+  }
+
+  /**
+   * Write the segment manifest
+   * @private
+   * @param {Array<number>} segments - Segment numbers
+   */
+  _writeManifest(segments) {
+    localStorage.setItem(`${this.key}:segments`, JSON.stringify([...segments].sort((a, b) => a - b)));
+  }
+
+  /**
+   * Read the entries of one segment
+   * @private
+   * @param {number} segment - Segment number
+   * @returns {Array} Entries
+   */
+  _readSegment(segment) {
+    return JSON.parse(localStorage.getItem(this._segmentKey(segment)) || '[]');
+  }
+
+  /**
+   * Write the entries of one segment, dropping the segment once it is empty
+   * @private
+   * @param {number} segment - Segment number
+   * @param {Array} entries - Entries
+   */
+  _writeSegment(segment, entries) {
+    if (entries.length === 0) {
+      localStorage.removeItem(this._segmentKey(segment));
+    } else {
+      localStorage.setItem(this._segmentKey(segment), JSON.stringify(entries));
+    }
+  }
+
+  /**
+   * Split a ledger stored as one array by an earlier version into segments
+   * @private
+   */
+  _migrateLegacy() {
+    if (this.migrated) {
+      return;
+    }
+    this.migrated = true;
+
+    const legacy = localStorage.getItem(this.key);
+    if (legacy === null) {
+      return;
+    }
+
+    const segments = new Map();
+    for (const entry of JSON.parse(legacy)) {
+      const segment = Math.floor(entry.sequence / this.segmentSize);
+      if (!segments.has(segment)) {
+        segments.set(segment, []);
+      }
+      segments.get(segment).push(entry);
+    }
+
+    segments.forEach((entries, segment) => this._writeSegment(segment, entries));
+    this._writeManifest([...new Set([...this._readManifest(), ...segments.keys()])]);
+    localStorage.removeItem(this.key);
+  }
+}
+
+/**
+ * Check whether the code is running under Node
+ * @returns {boolean} True in Node
+ */
+export const isNodeEnvironment = () => {
+  return typeof process !== 'undefined' && Boolean(process.versions && process.versions.node);
+};
+
+/**
+ * Choose the storage adapter for the current environment
+ * Browsers get IndexedDB (or localStorage as a fallback); Node gets a file store
+ * when QCHAIN_LOG_FILE is set and in-memory storage otherwise
+ * @param {Object} options - Store options
+ * @param {string} options.name - Collection name; anything other than the ledger
+ *   ('qchain_logs') gets its own database, key or file next to the ledger file
+ * @returns {Object} Storage adapter
+ */
+export const createDefaultStore = (options = {}) => {
+  const name = options.name || 'qchain_logs';
+  const isLedger = name === 'qchain_logs';
+
+  if (typeof globalThis.indexedDB !== 'undefined') {
+    return new IndexedDBStore({ dbName: isLedger ? 'qchain' : name, storeName: name });
+  }
+
+  if (isNodeEnvironment()) {
+    const ledgerPath = process.env.QCHAIN_LOG_FILE;
+    if (!ledgerPath) {
+      return new MemoryStore();
+    }
+    return new FileStore({ path: isLedger ? ledgerPath : `${ledgerPath.replace(/\.jsonl$/, '')}.${name}.jsonl` });
+  }
+
+  if (typeof localStorage !== 'undefined') {
+    return new LocalStorageStore({ key: name });
+  }
+
+  return new MemoryStore();
+};
@@ -0,0 +1,202 @@
+/**
+ * QCHAIN-subscriptions.js - Live QCHAIN Subscriptions
+ * Delivers chain entries to subscribers as they are appended
+ *
+ * Every subscriber keeps its own position in the ledger and reads entries
+ * from there in sequence order, so a subscriber that starts from an earlier
+ * sequence replays the backlog first and then continues with live entries,
+ * without gaps or duplicates. Filters take the same fields as queryQCHAIN.
+ */
+
+import { createQCHAINFilter } from './QCHAIN-index.js';
+
+/**
+ * QCHAINSubscriptions - Subscribers to one ledger
+ */
+export class QCHAINSubscriptions {
+  /**
+   * @param {Object} options - Subscription options
+   * @param {Function} options.load - Resolves to the current ledger entries, indexed by sequence
+   */
+  constructor(options = {}) {
+    if (typeof options.load !== 'function') {
+      throw new Error('QCHAIN subscriptions require a load function');
+    }
+
+    this.load = options.load;
+    this.subscribers = new Set();
+  }
+
+  /**
+   * Call a handler for every matching entry
+   * Handlers run one entry at a time; a handler that throws is logged and keeps its subscription
+   * @param {Object} filter - Filter fields (event, txIdPrefix, from, to, metrics)
+   * @param {Function} handler - Called with a copy of each matching entry, may be async
+   * @param {Object} options - Subscription options
+   * @param {number} options.fromSequence - First sequence to deliver (defaults to the next entry appended)
+   * @returns {Promise<Function>} Unsubscribe function
+   */
+  async subscribe(filter, handler, options = {}) {
+    if (typeof handler !== 'function') {
+      throw new Error('QCHAIN subscription requires a handler function');
+    }
+
+    const subscriber = await this._register(filter, options);
+    subscriber.wake = () => this._pump(subscriber, handler);
+    queueMicrotask(subscriber.wake);
+
+    return () => {
+      this.subscribers.delete(subscriber);
+    };
+  }
+
+  /**
+   * Iterate over matching entries as they are appended
+   * The iterator waits for new entries and ends only when closed (break out of the loop)
+   * @param {Object} filter - Filter fields (event, txIdPrefix, from, to, metrics)
+   * @param {Object} options - Subscription options
+   * @param {number} options.fromSequence - First sequence to deliver (defaults to the next entry appended)
+   * @returns {AsyncIterableIterator<Object>} Copies of matching entries
+   */
+  stream(filter, options = {}) {
+    // Register right away, so entries appended before the first next() are not missed
+    const registering = this._register(filter, options);
+    let waiters = [];
+    let woken = false;
+    let closed = false;
+
+    registering.then(subscriber => {
+      subscriber.wake = () => {
+        woken = true;
+        const waiting = waiters;
+        waiters = [];
+        waiting.forEach(resolve => resolve());
+      };
+    }, () => {});
+
+    const close = async () => {
+      closed = true;
+      const subscriber = await registering.catch(() => null);
+      if (subscriber) {
+        this.subscribers.delete(subscriber);
+        subscriber.wake();
+      }
+      return { value: undefined, done: true };
+    };
+
+    return {
+      next: async () => {
+        const subscriber = await registering;
+        while (!closed) {
+          // A wake while reading means more entries may have arrived; read again before waiting
+          woken = false;
+          const entry = await this._next(subscriber);
+          if (entry) {
+            return { value: structuredClone(entry), done: false };
+          }
+          if (!woken) {
+            await new Promise(resolve => waiters.push(resolve));
+          }
+        }
+        return { value: undefined, done: true };
+      },
+      return: close,
+      [Symbol.asyncIterator]() {
+        return this;
+      }
+    };
+  }
+
+  /**
+   * Wake every subscriber after entries were appended
+   */
+  notify() {
+    for (const subscriber of this.subscribers) {
+      queueMicrotask(subscriber.wake);
+    }
+  }
+
+  /**
+   * Rewind every subscriber after the ledger was cleared or replaced
+   * The new ledger is delivered from its start
+   */
+  reset() {
+    for (const subscriber of this.subscribers) {
+      subscriber.cursor = 0;
+    }
+    this.notify();
+  }
+
+  /**
+   * Add a subscriber positioned at its first sequence
+   * @private
+   * @param {Object} filter - Filter fields
+   * @param {Object} options - Subscription options
+   * @returns {Promise<Object>} Subscriber
+   */
+  async _register(filter, options) {
+    const matches = createQCHAINFilter(filter);
+    const entries = await this.load();
+
+    const cursor = options.fromSequence ?? entries.length;
+    if (!Number.isInteger(cursor) || cursor < 0) {
+      throw new Error('QCHAIN subscription fromSequence must be a non-negative integer');
+    }
+
+    const subscriber = { matches, cursor, pumping: false, woken: false, wake: () => {} };
+    this.subscribers.add(subscriber);
+    return subscriber;
+  }
+
+  /**
+   * Advance a subscriber to its next matching entry
+   * @private
+   * @param {Object} subscriber - Subscriber
+   * @returns {Promise<Object|null>} Entry, or null when the subscriber has caught up
+   */
+  async _next(subscriber) {
+    const entries = await this.load();
+
+    while (subscriber.cursor < entries.length) {
+      // Compacted sequences are holes in the ledger
+      const entry = entries[subscriber.cursor++];
+      if (entry && subscriber.matches(entry)) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Feed a handler subscriber until it has caught up
+   * @private
+   * @param {Object} subscriber - Subscriber
+   * @param {Function} handler - Entry handler
+   * @returns {Promise<void>}
+   */
+  async _pump(subscriber, handler) {
+    // A wake during a running pump makes it read again once it has caught up
+    subscriber.woken = true;
+    if (subscriber.pumping) {
+      return;
+    }
+
+    subscriber.pumping = true;
+    try {
+      while (subscriber.woken && this.subscribers.has(subscriber)) {
+        subscriber.woken = false;
+
+        let entry;
+        while (this.subscribers.has(subscriber) && (entry = await this._next(subscriber))) {
+          try {
+            await handler(structuredClone(entry));
+          } catch (error) {
+            console.error('QCHAIN subscriber failed:', error);
+          }
+        }
+      }
+    } finally {
+      subscriber.pumping = false;
+    }
+  }
+}
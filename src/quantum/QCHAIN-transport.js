@@ -0,0 +1,376 @@
+/**
+ * QCHAIN-transport.js - QCHAIN Transport Adapters
+ * Carries chain entries from the outbox to a distributed ledger
+ *
+ * Every transport implements the same asynchronous interface:
+ *   send(entries)             -> Promise<Array>  one acknowledgement per entry it got an answer for
+ *   close()                   -> Promise<void>   release connections (optional)
+ *   onAcknowledgement(handler)                   report acknowledgements later (optional)
+ *
+ * An acknowledgement is { txId, status, hash, position, receipt, reason }, where status
+ * is 'acknowledged' or 'rejected'. Store-and-forward transports may answer
+ * 'accepted' (custody taken) and report 'acknowledged' or 'expired' later
+ * through onAcknowledgement. Entries without an acknowledgement, and every
+ * entry of a send() that throws, are retried by the outbox. Ledger nodes
+ * prove acceptance with a signed receipt (see QCHAIN-receipts.js).
+ */
+
+import { hashQCHAINEntry } from './QCHAIN-encoding.js';
+import { createQCHAINReceipt } from './QCHAIN-receipts.js';
+import { EARTH, MARS, getLinkStatus } from '../time/LightTime.js';
+
+/**
+ * Check the shape of an acknowledgement list returned by a ledger
+ * @private
+ * @param {*} acknowledgements - Parsed response
+ * @returns {Array} Acknowledgements
+ */
+const expectAcknowledgements = (acknowledgements) => {
+  if (!Array.isArray(acknowledgements)) {
+    throw new Error('Ledger response did not contain acknowledgements');
+  }
+  return acknowledgements;
+};
+
+/**
+ * SimulatedTransport - Acknowledges entries with their light-time delay
+ * The default until a real ledger is configured. Acknowledgements report the
+ * one-way light time of the batch's slowest route as oneWayLightTime, and
+ * batches fail while a route is in solar conjunction. Batches are answered at
+ * once unless timeScale is set, in which case they wait for the light time
+ * scaled by it (0.001 waits about 0.8 s for a 13-minute Mars link).
+ */
+export class SimulatedTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {number} options.timeScale - Real time spent per unit of light time (defaults to 0, no wait)
+   * @param {Function} options.now - Date source for orbital positions
+   * @param {Function} options.log - Called with a line per batch sent, such as console.log (silent by default)
+   */
+  constructor(options = {}) {
+    this.timeScale = options.timeScale ?? 0;
+    this.now = options.now || (() => new Date());
+    this.log = options.log || (() => {});
+  }
+
+  /**
+   * Send a batch of entries
+   * @param {Array} entries - Chain entries in sequence order
+   * @returns {Promise<Array>} Acknowledgements
+   */
+  async send(entries) {
+    this.log(`QCHAIN Transmission: ${entries.length} entries (sequence ${entries[0].sequence}-${entries[entries.length - 1].sequence})`);
+
+    // The batch travels as long as its slowest route takes
+    const date = this.now();
+    let delay = 0;
+    for (const entry of entries.filter(item => item.interplanetary)) {
+      // Entries logged before routes were recorded went from Earth to Mars
+      const link = getLinkStatus(entry.origin || EARTH, entry.destination || MARS, date);
+      if (link.conjunction) {
+        throw new Error(`${link.from}-${link.to} link is in solar conjunction`);
+      }
+      delay = Math.max(delay, link.oneWayLightTime);
+    }
+
+    if (delay > 0 && this.timeScale > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay * this.timeScale));
+    }
+
+    return entries.map(entry => ({ txId: entry.txId, status: 'acknowledged', hash: entry.hash, oneWayLightTime: delay }));
+  }
+}
+
+/**
+ * LoopbackTransport - In-process ledger for tests
+ * Keeps received entries in memory, checks their hashes and acknowledges
+ * each txId once; the link can be taken down to exercise retries. With a
+ * keypair, acknowledgements carry signed receipts like a ledger node's
+ */
+export class LoopbackTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {number} options.latency - Delay in ms before each batch is answered
+   * @param {boolean} options.online - Initial link state
+   * @param {Object} options.keyPair - Ed25519 keypair to sign receipts with (no receipts without one;
+   *   trust its public key with the ledger role and the ledger node ID to verify them)
+   * @param {string} options.ledger - Ledger node ID named in receipts (defaults to 'loopback')
+   */
+  constructor(options = {}) {
+    this.latency = options.latency || 0;
+    this.online = options.online ?? true;
+    this.keyPair = options.keyPair || null;
+    this.ledger = options.ledger || 'loopback';
+    this.received = [];
+    this.positions = new Map();
+    this.receipts = new Map();
+  }
+
+  /**
+   * Bring the simulated link up or down
+   * @param {boolean} online - Link state
+   */
+  setOnline(online) {
+    this.online = online;
+  }
+
+  /**
+   * Send a batch of entries
+   * @param {Array} entries - Chain entries in sequence order
+   * @returns {Promise<Array>} Acknowledgements
+   */
+  async send(entries) {
+    if (!this.online) {
+      throw new Error('Loopback link is down');
+    }
+
+    if (this.latency > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.latency));
+    }
+
+    const acknowledgements = [];
+    for (const entry of entries) {
+      const copy = structuredClone(entry);
+
+      if (copy.hash !== await hashQCHAINEntry(copy)) {
+        acknowledgements.push({ txId: copy.txId, status: 'rejected', reason: 'Entry hash does not match contents' });
+        continue;
+      }
+
+      // Resent entries are acknowledged again at their original position
+      if (!this.positions.has(copy.txId)) {
+        const position = this.received.length;
+        this.positions.set(copy.txId, position);
+        this.received.push(copy);
+        if (this.keyPair) {
+          const nodeTime = new Date().toISOString();
+          this.receipts.set(copy.txId, await createQCHAINReceipt(copy, { ledger: this.ledger, position, nodeTime, keyPair: this.keyPair }));
+        }
+      }
+
+      const acknowledgement = {
+        txId: copy.txId,
+        status: 'acknowledged',
+        hash: copy.hash,
+        position: this.positions.get(copy.txId)
+      };
+      if (this.receipts.has(copy.txId)) {
+        acknowledgement.receipt = structuredClone(this.receipts.get(copy.txId));
+      }
+      acknowledgements.push(acknowledgement);
+    }
+
+    return acknowledgements;
+  }
+
+  /**
+   * Get the entries the loopback ledger has accepted
+   * @returns {Array} Received entries in arrival order
+   */
+  getEntries() {
+    return this.received.map(entry => structuredClone(entry));
+  }
+
+  /**
+   * Release resources (nothing to release)
+   */
+  async close() {}
+}
+
+/**
+ * HttpTransport - POSTs batches as JSON to a ledger endpoint
+ * The endpoint answers { acknowledgements: [...] }
+ */
+export class HttpTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {string} options.url - Append endpoint
+   * @param {Object} options.headers - Extra request headers
+   * @param {number} options.timeout - Request timeout in ms
+   * @param {Function} options.fetch - fetch implementation (defaults to the global one)
+   */
+  constructor(options = {}) {
+    if (!options.url) {
+      throw new Error('HttpTransport requires a url');
+    }
+
+    this.url = options.url;
+    this.headers = options.headers || {};
+    this.timeout = options.timeout ?? 30000;
+    this.fetch = options.fetch || ((...args) => globalThis.fetch(...args));
+  }
+
+  /**
+   * Send a batch of entries
+   * @param {Array} entries - Chain entries in sequence order
+   * @returns {Promise<Array>} Acknowledgements
+   */
+  async send(entries) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await this.fetch(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...this.headers },
+        body: JSON.stringify({ entries }),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`Ledger responded ${response.status}`);
+      }
+
+      const body = await response.json();
+      return expectAcknowledgements(body.acknowledgements);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Release resources (nothing to release)
+   */
+  async close() {}
+}
+
+/**
+ * WebSocketTransport - Streams batches over a persistent WebSocket
+ * Sends { type: 'append', id, entries } and expects
+ * { type: 'ack', id, acknowledgements } in reply; reconnects on the next send
+ */
+export class WebSocketTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {string} options.url - WebSocket URL
+   * @param {number} options.timeout - Reply timeout in ms
+   * @param {Function} options.WebSocket - WebSocket constructor (defaults to the global one)
+   */
+  constructor(options = {}) {
+    if (!options.url) {
+      throw new Error('WebSocketTransport requires a url');
+    }
+
+    this.url = options.url;
+    this.timeout = options.timeout ?? 30000;
+    this.WebSocket = options.WebSocket || globalThis.WebSocket;
+    this.socket = null;
+    this.connecting = null;
+    this.nextId = 1;
+    this.pending = new Map();
+  }
+
+  /**
+   * Open the socket if it is not already open
+   * @private
+   * @returns {Promise<WebSocket>} Open socket
+   */
+  _connect() {
+    if (this.socket && this.socket.readyState === 1) {
+      return Promise.resolve(this.socket);
+    }
+
+    if (!this.connecting) {
+      if (typeof this.WebSocket !== 'function') {
+        return Promise.reject(new Error('WebSocket is not available in this environment'));
+      }
+
+      this.connecting = new Promise((resolve, reject) => {
+        const socket = new this.WebSocket(this.url);
+
+        socket.onopen = () => {
+          this.socket = socket;
+          this.connecting = null;
+          resolve(socket);
+        };
+        socket.onmessage = (event) => this._receive(event.data);
+        socket.onerror = () => {
+          // Rejecting an already settled promise is a no-op
+          this.connecting = null;
+          reject(new Error(`Could not connect to ${this.url}`));
+        };
+        socket.onclose = () => {
+          if (this.socket === socket) {
+            this.socket = null;
+          }
+          this.connecting = null;
+          this._failPending(new Error('Ledger connection closed'));
+        };
+      });
+    }
+
+    return this.connecting;
+  }
+
+  /**
+   * Resolve the request a reply belongs to
+   * @private
+   * @param {string} data - Message text
+   */
+  _receive(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return;
+    }
+
+    const request = this.pending.get(message.id);
+    if (!request || message.type !== 'ack') {
+      return;
+    }
+
+    this.pending.delete(message.id);
+    clearTimeout(request.timer);
+
+    try {
+      request.resolve(expectAcknowledgements(message.acknowledgements));
+    } catch (error) {
+      request.reject(error);
+    }
+  }
+
+  /**
+   * Reject every request still waiting for a reply
+   * @private
+   * @param {Error} error - Failure reason
+   */
+  _failPending(error) {
+    for (const request of this.pending.values()) {
+      clearTimeout(request.timer);
+      request.reject(error);
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * Send a batch of entries
+   * @param {Array} entries - Chain entries in sequence order
+   * @returns {Promise<Array>} Acknowledgements
+   */
+  async send(entries) {
+    const socket = await this._connect();
+    const id = this.nextId++;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error('Timed out waiting for ledger acknowledgement'));
+      }, this.timeout);
+
+      this.pending.set(id, { resolve, reject, timer });
+      socket.send(JSON.stringify({ type: 'append', id, entries }));
+    });
+  }
+
+  /**
+   * Close the socket
+   */
+  async close() {
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+    this._failPending(new Error('Transport closed'));
+  }
+}
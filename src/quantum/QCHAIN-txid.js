@@ -0,0 +1,85 @@
+/**
+ * QCHAIN-txid.js - QCHAIN Transaction IDs
+ * Generates structured transaction IDs that cannot collide, and decodes them
+ *
+ * A transaction ID reads
+ *
+ *   <namespace>-<physical>.<logical>.<sequence>.<random>@<node>
+ *
+ * for example QASF-GATE-1750000000000.0.42.9f86d081884c7d65@earth-relay-1.
+ * The namespace keeps prefix queries and retention rules working
+ * ('QASF-GATE-'); physical and logical are the node's HLC timestamp when the
+ * ID was issued; the sequence counts IDs issued by this generator; the random
+ * part is 64 bits from the platform CSPRNG; the node ID names the issuer.
+ * The HLC and sequence keep IDs from one node distinct, the node ID keeps
+ * nodes apart, and the random part covers nodes that share an ID by mistake.
+ */
+
+import { bytesToHex } from './QCHAIN-encoding.js';
+
+// Namespaces are dash-separated words, such as QASF-GATE or CANON-SEAL
+const NAMESPACE_PATTERN = /^[A-Za-z0-9]+(?:-[A-Za-z0-9]+)*$/;
+const NODE_PATTERN = /^[^\s@]+$/;
+const TXID_PATTERN = /^([A-Za-z0-9]+(?:-[A-Za-z0-9]+)*)-(\d+)\.(\d+)\.(\d+)\.([0-9a-f]{16})@([^\s@]+)$/;
+
+/**
+ * QCHAINTxIdGenerator - Issues transaction IDs for one node
+ */
+export class QCHAINTxIdGenerator {
+  /**
+   * @param {Object} options - Generator options
+   * @param {Function} options.clock - Returns the node's HybridLogicalClock (read on every call,
+   *   so the generator follows a reconfigured clock)
+   * @param {Function} options.randomBytes - Fills a Uint8Array with random bytes (defaults to crypto.getRandomValues)
+   */
+  constructor(options = {}) {
+    if (typeof options.clock !== 'function') {
+      throw new Error('QCHAINTxIdGenerator requires a clock');
+    }
+
+    this.clock = options.clock;
+    this.randomBytes = options.randomBytes || (bytes => crypto.getRandomValues(bytes));
+    this.sequence = 0;
+  }
+
+  /**
+   * Issue the next transaction ID
+   * @param {string} namespace - Namespace, such as 'QASF-GATE'
+   * @returns {string} Transaction ID
+   */
+  next(namespace) {
+    if (typeof namespace !== 'string' || !NAMESPACE_PATTERN.test(namespace)) {
+      throw new Error(`Invalid QCHAIN txId namespace: ${namespace} (expected dash-separated letters and digits)`);
+    }
+
+    const { physical, logical, node } = this.clock().now();
+    if (!NODE_PATTERN.test(node)) {
+      throw new Error(`Node ID ${node} cannot appear in a txId (no whitespace or '@')`);
+    }
+
+    const random = bytesToHex(this.randomBytes(new Uint8Array(8)));
+    return `${namespace}-${physical}.${logical}.${this.sequence++}.${random}@${node}`;
+  }
+}
+
+/**
+ * Decode a transaction ID issued by QCHAINTxIdGenerator
+ * @param {string} txId - Transaction ID
+ * @returns {Object|null} { namespace, hlc: { physical, logical, node }, node, sequence, random },
+ *   or null if the ID is not in the structured format (such as IDs from older versions)
+ */
+export const parseQCHAINTxId = (txId) => {
+  const match = typeof txId === 'string' ? TXID_PATTERN.exec(txId) : null;
+  if (!match) {
+    return null;
+  }
+
+  const [, namespace, physical, logical, sequence, random, node] = match;
+  return {
+    namespace,
+    hlc: { physical: Number(physical), logical: Number(logical), node },
+    node,
+    sequence: Number(sequence),
+    random
+  };
+};
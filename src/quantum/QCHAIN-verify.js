@@ -0,0 +1,167 @@
+/**
+ * QCHAIN-verify.js - QCHAIN Chain Verification
+ * Checks the links, hashes and signatures of chain entries
+ *
+ * Entries are verified in the form they were hashed and signed in. Readers
+ * are handed entries decrypted and revealed (see QCHAIN-encryption.js and
+ * QCHAIN-redaction.js); each such copy remembers its stored form, so
+ * entries read back from the ledger verify like stored ones.
+ */
+
+import { hashQCHAINEntry } from './QCHAIN-encoding.js';
+import { verifyQCHAINPayload } from './QCHAIN-signing.js';
+import { GENESIS_PREVIOUS_HASH } from './QCHAIN-chain.js';
+import { isSnapshotEntry, collectSnapshotCommitments } from './QCHAIN-compaction.js';
+
+// Stored form of entries handed to readers decrypted or revealed
+const storedForms = new WeakMap();
+
+/**
+ * Remember the stored form of a copy of an entry handed to a reader
+ * @param {Object} readable - Decrypted or revealed copy
+ * @param {Object} entry - Entry it was made from
+ */
+export const rememberStoredForm = (readable, entry) => {
+  storedForms.set(readable, storedForm(entry));
+};
+
+/**
+ * Get the form an entry was hashed and signed in
+ * @param {Object} entry - Chain entry, possibly decrypted
+ * @returns {Object} Entry with its fields as stored
+ */
+export const storedForm = (entry) => {
+  return storedForms.get(entry) || entry;
+};
+
+/**
+ * Verify a QCHAIN signature
+ * Node signatures are checked against the trusted key registry; legacy
+ * `QS-` hash signatures from earlier ledgers are recomputed
+ * @param {Object} data - Original data
+ * @param {Object|string} signature - Signature to verify
+ * @returns {Promise<boolean>} Verification result
+ */
+export const verifyQCHAINSignature = async (data, signature) => {
+  if (typeof signature === 'string') {
+    return verifyLegacySignature(data, signature);
+  }
+
+  return verifyQCHAINPayload(data, signature);
+};
+
+/**
+ * Verify the signature of a stored chain entry
+ * @param {Object} entry - Chain entry
+ * @returns {Promise<boolean>} Verification result
+ */
+export const verifyQCHAINEntry = async (entry) => {
+  const { signature, hash, ...body } = storedForm(entry);
+  return verifyQCHAINSignature(body, signature);
+};
+
+/**
+ * Verify a legacy `QS-` hash signature
+ * @private
+ * @param {Object} data - Original data
+ * @param {string} signature - Legacy quantum signature
+ * @returns {Promise<boolean>} Verification result
+ */
+const verifyLegacySignature = async (data, signature) => {
+  // Extract timestamp from signature
+  const timestampMatch = signature.match(/QS-[0-9a-f]+-(\d+)/);
+  if (!timestampMatch) {
+    return false;
+  }
+
+  const timestamp = timestampMatch[1];
+
+  // Recreate hash
+  const hash = await crypto.subtle.digest(
+    'SHA-256',
+    new TextEncoder().encode(JSON.stringify(data) + timestamp)
+  );
+
+  // Convert hash to hex string
+  const hashArray = Array.from(new Uint8Array(hash));
+  const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+
+  // Compare with signature
+  const expectedSignature = `QS-${hashHex.substring(0, 16)}-${timestamp}`;
+
+  return signature === expectedSignature;
+};
+
+/**
+ * Walk ledger entries and verify every chain link
+ * Gaps are accepted only where compaction removed entries covered by a
+ * snapshot that the snapshot did not retain; entries next to a gap are still
+ * checked against their own hash, and retained ones against the snapshot's
+ * @param {Array} logs - Ledger entries in sequence order
+ * @param {Object} options - Verification options
+ * @param {boolean} options.verifySignatures - Also verify each entry's signature against trusted keys
+ * @returns {Promise<Object>} Verification result, with the number of compacted
+ *   sequences and the first broken link if any
+ */
+export const verifyQCHAINEntries = async (logs, options = {}) => {
+  // Compacted entries can only be ones a snapshot covers and did not retain
+  const commitments = collectSnapshotCommitments(logs.filter(isSnapshotEntry));
+  let compacted = 0;
+
+  const broken = (index, reason) => ({
+    valid: false,
+    length: logs.length,
+    compacted,
+    brokenAt: {
+      index,
+      sequence: logs[index] ? logs[index].sequence : undefined,
+      txId: logs[index] ? logs[index].txId : undefined,
+      reason
+    }
+  });
+
+  for (let i = 0; i < logs.length; i++) {
+    const entry = storedForm(logs[i]);
+
+    // Sequence numbers must be contiguous from the genesis entry, except across compacted ranges
+    const expectedSequence = i === 0 ? 0 : logs[i - 1].sequence + 1;
+    const gap = i > 0 && entry.sequence > expectedSequence;
+    if (gap) {
+      const reason = commitments.checkGap(expectedSequence, entry.sequence);
+      if (reason) {
+        return broken(i, reason);
+      }
+      compacted += entry.sequence - expectedSequence;
+    } else if (entry.sequence !== expectedSequence) {
+      return broken(i, `Expected sequence ${expectedSequence}, found ${entry.sequence}`);
+    }
+
+    // Each entry must point at its predecessor's hash
+    const expectedPrevious = i === 0 ? GENESIS_PREVIOUS_HASH : logs[i - 1].hash;
+    if (!gap && entry.previousHash !== expectedPrevious) {
+      return broken(i, 'Previous hash does not match predecessor');
+    }
+
+    // A snapshot commits to the head it was taken at
+    if (isSnapshotEntry(entry) && entry.metrics.headHash !== entry.previousHash) {
+      return broken(i, 'Snapshot head hash does not match its predecessor');
+    }
+
+    // Entries a snapshot retained must be the ones it committed to
+    if (commitments.retained.has(entry.sequence) && commitments.retained.get(entry.sequence) !== entry.hash) {
+      return broken(i, 'Entry does not match the hash its snapshot retained');
+    }
+
+    // The entry must not have been edited since it was hashed
+    if (entry.hash !== await hashQCHAINEntry(entry)) {
+      return broken(i, 'Entry hash does not match contents');
+    }
+
+    // Optionally prove which trusted node logged the entry
+    if (options.verifySignatures && !await verifyQCHAINEntry(entry)) {
+      return broken(i, 'Signature is invalid or from an untrusted key');
+    }
+  }
+
+  return { valid: true, length: logs.length, compacted, brokenAt: null };
+};
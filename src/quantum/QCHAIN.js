@@ -1,22 +1,564 @@
 /**
  * QCHAIN.js - Quantum Chain Logging System
  * Provides secure, interplanetary logging with quantum verification
+ *
+ * Every entry commits to its predecessor's hash, so the ledger forms a
+ * tamper-evident chain rooted in a genesis entry at sequence 0.
+ * Entries persist through a pluggable storage adapter (see QCHAIN-storage.js)
+ * and are signed with this node's Ed25519 or post-quantum key (see QCHAIN-signing.js).
+ * Entries are grouped into fixed-size Merkle batches whose roots are anchored
+ * in the chain itself, so single entries can be proven (see QCHAIN-merkle.js).
+ * Delivery to the distributed ledger goes through a durable outbox that
+ * retries with backoff until each entry is acknowledged (see QCHAIN-outbox.js),
+ * over a pluggable transport (see QCHAIN-transport.js). Ledger nodes answer
+ * with signed receipts, kept with each entry's delivery record (see QCHAIN-receipts.js).
+ * Subscribers are handed new entries as they are appended (see QCHAIN-subscriptions.js).
+ * Periodic signed snapshots let acknowledged segments be compacted under
+ * per-family retention rules (see QCHAIN-compaction.js and QCHAIN-retention.js).
+ * Chains are verified link by link (see QCHAIN-verify.js). Ledgers move between
+ * nodes as JSONL or CBOR archives, checked entry by entry before an import
+ * takes them (see QCHAIN-archive.js and QCHAIN-import.js), and several
+ * nodes' ledgers merge into one replicated log (see QCHAIN-replication.js).
+ * Every entry carries a hybrid logical clock timestamp from this node, which
+ * orders entries across nodes with skewed clocks (see HybridLogicalClock.js).
+ * Metrics are validated against per-event-type schemas (see QCHAIN-schema.js).
+ * Sensitive fields are encrypted at rest under per-namespace data keys
+ * wrapped by a master key (see QCHAIN-encryption.js), and fields that may have
+ * to be erased are logged as salted commitments (see QCHAIN-redaction.js).
+ * Hot paths can log through a bounded buffer that commits entries in groups
+ * (see QCHAIN-buffer.js). Subsystems can log to named ledgers of their own,
+ * whose heads are anchored in the root ledger (see QCHAIN-ledgers.js).
  */
 
+import { createDefaultStore } from './QCHAIN-storage.js';
+import { canonicalize, bytesToHex } from './QCHAIN-encoding.js';
+import { CHAIN_FIELDS, createChainEntry } from './QCHAIN-chain.js';
+import { merkleLeafHash, computeMerkleRoot, buildMerklePath } from './QCHAIN-merkle.js';
+import { QCHAINOutbox } from './QCHAIN-outbox.js';
+import { txIdNamespace, getQCHAINField } from './QCHAIN-index.js';
+import { createRetentionPolicy } from './QCHAIN-retention.js';
+import { assertArchiveFormat, encodeArchiveEntry, readArchive, decodeArchive } from './QCHAIN-archive.js';
+import { SimulatedTransport } from './QCHAIN-transport.js';
+import { QCHAINTxIdGenerator } from './QCHAIN-txid.js';
+import { applyQCHAINSchema } from './QCHAIN-schema.js';
+import { QCHAINKeyring, DATA_KEY_EVENT, createEncryptionPolicy } from './QCHAIN-encryption.js';
+import { QCHAINBuffer } from './QCHAIN-buffer.js';
+import { matchQCHAINReceipt, verifyQCHAINReceiptSignature } from './QCHAIN-receipts.js';
+import {
+  QCHAINLedgerRegistry,
+  DEFAULT_LEDGERS,
+  checkLedgerAccess,
+  checkLedgerWriter,
+  ledgerSystemTxId,
+  getLedgerIndex,
+  resetLedgerIndexes
+} from './QCHAIN-ledgers.js';
+import { createSnapshotData, compactLedger } from './QCHAIN-compaction.js';
+import { linkImportedEntries } from './QCHAIN-import.js';
+import { rememberStoredForm, verifyQCHAINEntries } from './QCHAIN-verify.js';
+import { QCHAINCleartextStore, REDACTION_EVENT, createCommitmentPolicy, isCommittedValue } from './QCHAIN-redaction.js';
+import { EARTH, MARS, CELESTIAL_BODIES, getLinkStatus } from '../time/LightTime.js';
+import { HybridLogicalClock } from '../time/HybridLogicalClock.js';
+
+export { verifyInclusionProof } from './QCHAIN-merkle.js';
+export { compareQCHAINEntries } from './QCHAIN-chain.js';
+export { parseQCHAINTxId } from './QCHAIN-txid.js';
+export { verifyQCHAINSignature, verifyQCHAINEntry } from './QCHAIN-verify.js';
+export {
+  getQCHAINEventType,
+  registerQCHAINSchema,
+  getQCHAINSchema,
+  validateQCHAINMetrics,
+  upgradeQCHAINMetrics
+} from './QCHAIN-schema.js';
+export { isEncryptedValue } from './QCHAIN-encryption.js';
+export { isCommittedValue, verifyQCHAINCommitment } from './QCHAIN-redaction.js';
+export { compareHLC } from '../time/HybridLogicalClock.js';
+
+// Serializes appends so concurrent callers cannot fork the chain
+let appendQueue = Promise.resolve();
+
+// Number of consecutive sequences grouped under one Merkle root
+let batchSize = 256;
+
+// Batches between signed snapshots, whether each snapshot triggers compaction,
+// and which entries compaction keeps
+let snapshotInterval = 16;
+let compactOnSnapshot = false;
+
+// Options of every ledger's delivery outbox
+let outboxOptions = {};
+let reconnectListening = false;
+
+// Transport that carries entries to the distributed ledger
+let transport = new SimulatedTransport();
+
+// The root ledger, and the named ledgers in routing order (see QCHAIN-ledgers.js);
+// data keys and the clock follow whatever the ledgers load
+const ledgers = new QCHAINLedgerRegistry({
+  onLoad: (entries) => {
+    resumeClock(entries);
+    entries.forEach(entry => keyring.learn(entry));
+  },
+  onStoreReplaced: () => relearnDataKeys()
+});
+const rootLedger = ledgers.root;
+
+// Whether entries with a registered schema may carry undeclared fields
+let strictSchemas = false;
+
+// Master key and data keys for fields encrypted at rest, and which fields those are
+const keyring = new QCHAINKeyring();
+let encrypts = createEncryptionPolicy();
+
+// Fields logged as salted commitments, and the erasable store of their cleartext
+let commits = createCommitmentPolicy();
+let cleartexts = null;
+let cleartextOptions = {};
+
+// Queue of buffered entries, whether entries are buffered unless logged otherwise,
+// the entries of a group commit waiting to be written together, by ledger, and
+// the openings of their committed fields, kept once the entries are written
+let buffer = null;
+let bufferOptions = {};
+let bufferByDefault = false;
+let stagedWrites = null;
+let stagedOpenings = null;
+
+// Celestial body this node runs on, the origin of its interplanetary entries
+let nodeLocation = EARTH;
+
+// Hybrid logical clock stamping this node's entries and transaction IDs,
+// with a random node ID until one is configured
+let clock = new HybridLogicalClock({ nodeId: bytesToHex(crypto.getRandomValues(new Uint8Array(8))) });
+const txIds = new QCHAINTxIdGenerator({ clock: () => clock });
+
+/**
+ * Select the storage adapter used by QCHAIN
+ * Call at startup, before the first entry is logged
+ * @param {Object} adapter - Storage adapter (MemoryStore, FileStore, IndexedDBStore, ...)
+ *   for the root ledger; named ledgers are given theirs by configureQCHAINLedger
+ */
+export const configureQCHAINStorage = (adapter) => {
+  assertStorageAdapter(adapter);
+  
+  cleartexts = null;
+  ledgers.replaceStore(rootLedger, adapter);
+};
+
+/**
+ * Define a named ledger, or change the definition of one
+ * Call at startup, before the first entry is logged to it. Entries matching
+ * its routes are logged to it from then on; any entry can be logged to it with
+ * logQCHAIN(data, { ledger: name }) if its access policy accepts the entry
+ * @param {string} name - Ledger name, such as 'canon' (lowercase letters and digits)
+ * @param {Object} definition - Ledger definition (see QCHAIN-ledgers.js)
+ * @param {Array<Object>} definition.routes - Rules as { event, txIdPrefix, metrics } selecting
+ *   the entries logged to this ledger
+ * @param {Array<Object>} definition.retention - Retention rules applied when it is compacted
+ * @param {Object} definition.access - { append, writers }: rules selecting the entries it accepts,
+ *   and the node IDs allowed to sign them
+ * @param {number} definition.anchorInterval - Entries between anchors of its head in the root ledger
+ * @param {Object} definition.store - Storage adapter (defaults to one named 'qchain_logs_<name>')
+ * @param {Object} definition.journal - Storage adapter for its outbox (defaults to one named
+ *   'qchain_outbox_<name>')
+ */
+export const configureQCHAINLedger = (name, definition = {}) => {
+  if (definition.store !== undefined) {
+    assertStorageAdapter(definition.store);
+  }
+  
+  ledgers.define(name, definition);
+};
+
+/**
+ * Define several named ledgers at once
+ * @param {Object} definitions - Ledger definitions by name (defaults to the quantum, canon, breath,
+ *   clock and script ledgers of DEFAULT_LEDGERS, routed by the txId namespaces of the Spiral modules)
+ */
+export const configureQCHAINLedgers = (definitions = DEFAULT_LEDGERS) => {
+  for (const [name, definition] of Object.entries(definitions)) {
+    configureQCHAINLedger(name, definition);
+  }
+};
+
+/**
+ * Check that a storage adapter can hold a ledger
+ * @private
+ * @param {Object} adapter - Storage adapter
+ */
+const assertStorageAdapter = (adapter) => {
+  if (!adapter || typeof adapter.load !== 'function' || typeof adapter.append !== 'function') {
+    throw new Error('QCHAIN storage adapter must implement load() and append()');
+  }
+};
+
+/**
+ * Set the celestial body this node runs on
+ * @param {string} body - EARTH, MOON or MARS
+ */
+export const configureQCHAINLocation = (body) => {
+  if (!CELESTIAL_BODIES.includes(body)) {
+    throw new Error(`Unknown celestial body: ${body} (expected one of ${CELESTIAL_BODIES.join(', ')})`);
+  }
+  
+  nodeLocation = body;
+};
+
+/**
+ * Configure schema validation of logged entries
+ * Entries whose event type has a registered schema are always validated;
+ * strict mode also rejects fields the schema does not declare
+ * @param {Object} options - Schema options
+ * @param {boolean} options.strict - Reject undeclared metrics and top-level fields
+ */
+export const configureQCHAINSchemas = (options = {}) => {
+  if (options.strict !== undefined) {
+    strictSchemas = !!options.strict;
+  }
+};
+
+/**
+ * Configure encryption at rest
+ * Once a master key is set, the fields selected by the rules are encrypted
+ * before entries are hashed and signed; until then they are stored in plaintext.
+ * Nodes holding the same master key read each other's encrypted fields
+ * @param {Object} options - Encryption options
+ * @param {Uint8Array|string|CryptoKey} options.masterKey - 32 raw bytes, 64 hex digits, or an AES-KW CryptoKey
+ * @param {string} options.masterKeyId - ID of the master key (required for a CryptoKey)
+ * @param {Array<Object>} options.rules - Rules as { event, txIdPrefix, metrics, fields }, first match wins
+ *   (see QCHAIN-encryption.js; the defaults cover canon declarations, Iyona'el witness
+ *   declarations and SpiralScript gifts)
+ * @returns {Promise<string|null>} ID of the master key, or null if none is set
+ */
+export const configureQCHAINEncryption = async (options = {}) => {
+  if (options.rules !== undefined) {
+    encrypts = createEncryptionPolicy(options.rules);
+  }
+  
+  if (options.masterKey !== undefined) {
+    await keyring.setMasterKey(options.masterKey, options.masterKeyId);
+  }
+  
+  return keyring.masterKeyId;
+};
+
+/**
+ * Configure buffered logging
+ * Buffered entries are queued in memory and committed in groups with one
+ * storage write (see QCHAIN-buffer.js), and logQCHAIN returns as soon as they
+ * are queued. Call flushQCHAIN before relying on them being stored
+ * @param {Object} options - Buffer options
+ * @param {boolean} options.enabled - Buffer every entry not logged with { buffered: false }
+ * @param {number} options.maxQueue - Entries that may wait before logQCHAIN holds callers back
+ * @param {number} options.highWaterMark - Queue length that raises backpressure
+ * @param {number} options.groupSize - Entries per group commit
+ * @param {number} options.flushInterval - Longest wait in ms before queued entries are committed
+ * @param {string} options.overflow - 'wait' for room when the queue is full (default) or 'reject'
+ * @param {Function} options.onBackpressure - Called with the buffer status when backpressure is raised
+ * @param {Function} options.onDrain - Called with the buffer status when backpressure clears
+ * @returns {Promise<void>} Resolves once entries queued under the previous settings are committed
+ */
+export const configureQCHAINBuffering = async (options = {}) => {
+  const { enabled, ...settings } = options;
+  const next = new QCHAINBuffer({ ...bufferOptions, ...settings, commit: commitBufferedGroup });
+  
+  if (enabled !== undefined) {
+    bufferByDefault = !!enabled;
+  }
+  bufferOptions = { ...bufferOptions, ...settings };
+  
+  const previous = buffer;
+  buffer = next;
+  if (previous) {
+    await previous.commitQueued();
+  }
+};
+
+/**
+ * Get the state of the logging buffer
+ * @returns {Object|null} { queued, maxQueue, highWaterMark, backpressure, committed, failed },
+ *   or null if nothing has been buffered
+ */
+export const getQCHAINBufferStatus = () => {
+  return buffer ? buffer.getStatus() : null;
+};
+
+/**
+ * Configure redactable fields
+ * The fields selected by the rules are logged as salted commitments, and
+ * their cleartext is kept in a separate store until redactQCHAINEntry erases it.
+ * Committed fields are not encrypted as well, even if the encryption rules select them
+ * @param {Object} options - Redaction options
+ * @param {Array<Object>} options.rules - Rules as { event, txIdPrefix, metrics, fields }, first match wins
+ *   (see QCHAIN-redaction.js; no fields are committed by default)
+ * @param {Object} options.store - Storage adapter for the cleartext; erasure needs remove()
+ *   (defaults to a store named 'qchain_cleartext' next to the ledger)
+ */
+export const configureQCHAINRedaction = (options = {}) => {
+  if (options.rules !== undefined) {
+    commits = createCommitmentPolicy(options.rules);
+  }
+  
+  if (options.store !== undefined) {
+    cleartextOptions = { store: options.store };
+    cleartexts = null;
+  }
+};
+
+/**
+ * Stop using a namespace's data key for new entries
+ * The next encrypted entry in the namespace records and uses a new data key;
+ * entries under the old key stay readable
+ * @param {string} namespace - txId namespace, such as 'CANON'
+ */
+export const rotateQCHAINDataKey = (namespace) => {
+  keyring.retire(namespace);
+};
+
+/**
+ * Configure the hybrid logical clock that stamps this node's entries
+ * The new clock resumes from the last timestamp issued, so entries stay in order
+ * @param {Object} options - Clock options
+ * @param {string} options.nodeId - ID of this node, breaking ties between nodes (defaults to a random ID)
+ * @param {Function} options.now - Physical clock in ms (defaults to Date.now)
+ * @param {number} options.maxDrift - Largest lead of a received timestamp over local time, in ms
+ * @returns {HybridLogicalClock} The new clock
+ */
+export const configureQCHAINClock = (options = {}) => {
+  const next = new HybridLogicalClock({
+    nodeId: options.nodeId || clock.nodeId,
+    now: options.now,
+    maxDrift: options.maxDrift
+  });
+  next.restore(clock.peek());
+  
+  clock = next;
+  return clock;
+};
+
+/**
+ * Get the hybrid logical clock of this node
+ * Use it to merge timestamps received out of band (clock.receive) or to read
+ * the last one issued (clock.peek)
+ * @returns {HybridLogicalClock} Clock
+ */
+export const getQCHAINClock = () => {
+  return clock;
+};
+
+/**
+ * Select the transport used to reach the distributed ledger
+ * Entries still pending in the outbox are sent over the new transport
+ * @param {Object} adapter - Transport (HttpTransport, WebSocketTransport, LoopbackTransport, DTNTransport, ...)
+ */
+export const configureQCHAINTransport = (adapter) => {
+  if (!adapter || typeof adapter.send !== 'function') {
+    throw new Error('QCHAIN transport must implement send()');
+  }
+  
+  transport = adapter;
+  
+  // Store-and-forward transports report final outcomes after send() returns
+  if (typeof adapter.onAcknowledgement === 'function') {
+    adapter.onAcknowledgement(async (acknowledgements) => {
+      if (transport !== adapter) {
+        return;
+      }
+      // Each outbox picks out the acknowledgements for its own entries
+      for (const ledger of ledgers.all()) {
+        if (ledger.outbox) {
+          await ledger.outbox.reconcile(acknowledgements);
+        }
+      }
+    });
+  }
+};
+
+/**
+ * Configure delivery of entries to the distributed ledger
+ * Call at startup, before the first entry is logged. Every ledger's outbox takes
+ * these options; named ledgers keep their own journal (see configureQCHAINLedger)
+ * @param {Object} options - Outbox options (see QCHAINOutbox)
+ * @param {Object} options.journal - Storage adapter for the root ledger's delivery states
+ * @param {number} options.baseDelay - First retry delay in ms
+ * @param {number} options.maxDelay - Upper bound on the retry delay in ms
+ * @param {number} options.maxAttempts - Attempts before an entry is marked failed
+ * @param {number} options.batchLimit - Entries per transmission
+ * @param {boolean} options.requireReceipts - Count an entry as delivered only once the ledger
+ *   returns a receipt for it signed by a trusted ledger key (see verifyReceipt)
+ */
+export const configureQCHAINOutbox = (options = {}) => {
+  outboxOptions = { ...options };
+  for (const ledger of ledgers.all()) {
+    ledger.outbox = null;
+  }
+};
+
+/**
+ * Configure Merkle batching
+ * Call at startup: batches already sealed in a ledger keep the size they were sealed with
+ * @param {Object} options - Batching options
+ * @param {number} options.size - Entries per batch (at least 2)
+ */
+export const configureQCHAINBatching = (options = {}) => {
+  if (options.size !== undefined) {
+    if (!Number.isInteger(options.size) || options.size < 2) {
+      throw new Error('QCHAIN batch size must be an integer of at least 2');
+    }
+    batchSize = options.size;
+  }
+  
+  for (const ledger of ledgers.all()) {
+    ledger.batchRoots.clear();
+  }
+};
+
+/**
+ * Configure periodic snapshots
+ * A snapshot is a signed `QCHAIN Snapshot` entry recording the chain head and
+ * per-family entry counts; segments up to it can then be compacted
+ * @param {Object} options - Snapshot options
+ * @param {number} options.interval - Sealed batches between snapshots (defaults to 16)
+ * @param {boolean} options.compact - Compact acknowledged segments after each snapshot
+ */
+export const configureQCHAINSnapshots = (options = {}) => {
+  if (options.interval !== undefined) {
+    if (!Number.isInteger(options.interval) || options.interval < 1) {
+      throw new Error('QCHAIN snapshot interval must be a positive integer');
+    }
+    snapshotInterval = options.interval;
+  }
+  
+  if (options.compact !== undefined) {
+    compactOnSnapshot = Boolean(options.compact);
+  }
+};
+
+/**
+ * Set the retention rules applied when acknowledged segments are compacted
+ * @param {Array<Object>} rules - Rules as { event, txIdPrefix, metrics, maxAge }, first match wins
+ *   (see QCHAIN-retention.js; the defaults keep canon seals forever and QASF gate logs for 30 days)
+ * @param {Object} options - Retention options
+ * @param {string} options.ledger - Ledger the rules apply to (defaults to the root ledger)
+ */
+export const configureQCHAINRetention = (rules, options = {}) => {
+  ledgers.get(options.ledger).policy.retains = createRetentionPolicy(rules);
+};
+
+/**
+ * Rebuild the data keys of the keyring from the ledgers loaded so far
+ * Keys of a ledger not yet loaded are learned when it loads
+ * @private
+ */
+const relearnDataKeys = () => {
+  keyring.forget();
+  for (const ledger of ledgers.all()) {
+    (ledger.logs || []).forEach(entry => entry && keyring.learn(entry));
+  }
+};
+
+/**
+ * Move the clock past the newest stored entry, so it never runs backwards across restarts
+ * @private
+ * @param {Array} entries - Stored entries in sequence order
+ */
+const resumeClock = (entries) => {
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (entries[i].hlc) {
+      clock.restore(entries[i].hlc);
+      return;
+    }
+  }
+};
+
+/**
+ * Get the outbox of a ledger, tracking every stored entry
+ * @private
+ * @param {Object} ledger - Ledger state (defaults to the root ledger)
+ * @returns {Promise<QCHAINOutbox>} Outbox
+ */
+const loadOutbox = async (ledger = rootLedger) => {
+  const logs = await ledgers.load(ledger);
+  
+  if (!ledger.outbox) {
+    const { requireReceipts, journal, ...options } = outboxOptions;
+    ledger.outbox = new QCHAINOutbox({
+      transmit: entries => transport.send(entries),
+      isOnline,
+      ...options,
+      journal: ledger === rootLedger
+        ? journal || createDefaultStore({ name: 'qchain_outbox' })
+        : ledger.journal || createDefaultStore({ name: `qchain_outbox_${ledger.policy.name}` }),
+      verifyReceipt: requireReceipts ? verifyQCHAINReceiptSignature : null
+    });
+    
+    // Browsers report reconnection; deliver the backlog as soon as it happens
+    if (!reconnectListening && typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+      window.addEventListener('online', () => flushQCHAIN());
+      reconnectListening = true;
+    }
+  }
+  
+  const current = ledger.outbox;
+  await current.load(logs);
+  return current;
+};
+
+/**
+ * Check whether the environment reports network connectivity
+ * Environments without a navigator (such as Node) are treated as online
+ * @private
+ * @returns {boolean} True if online
+ */
+const isOnline = () => {
+  return typeof navigator === 'undefined' || navigator.onLine !== false;
+};
+
 /**
  * Log an event to the QCHAIN with quantum signature
+ * The entry is stamped with this node's HLC timestamp (hlc), and its timestamp
+ * defaults to the HLC's physical time. A txId already in the local ledger is
+ * rejected; createQCHAINTxId issues IDs that cannot collide. Metrics are
+ * validated against the event type's schema, if one is registered
+ * (see QCHAIN-schema.js), and the entry records the schemaVersion used.
+ * A buffered entry is validated and queued, and the result has status 'queued'
+ * with the queue length and whether backpressure is raised; it is chained and
+ * stored by a later group commit (see configureQCHAINBuffering). Entries go to
+ * the first named ledger whose routes match them, or to the root ledger; in
+ * a named ledger they record its name as `ledger` (see configureQCHAINLedger).
+ * Events named `QCHAIN ...` and txIds in the QCHAIN- namespace are reserved
+ * for the entries QCHAIN appends itself
  * @param {Object} data - Event data to log
- * @returns {Promise<Object>} Logging result
+ * @param {Object} options - Logging options
+ * @param {string} options.ledger - Ledger to log to, instead of the one the routes choose
+ * @param {string} options.signatureAlgorithm - Signature algorithm for this entry (e.g. MSS_WOTS_SHA256)
+ * @param {string} options.destination - Body the entry is sent to (EARTH, MOON or MARS; defaults to
+ *   MARS from Earth and EARTH from elsewhere)
+ * @param {boolean} options.buffered - Queue the entry for a group commit instead of waiting for it
+ *   (defaults to the configured buffering mode)
+ * @returns {Promise<Object>} Logging result, with the ledger it went to, the HLC timestamp, the
+ *   delivery status, the ledger's receipt once delivered, and the expected one-way delay in ms
  */
-export const logQCHAIN = async (data) => {
+export const logQCHAIN = async (data, options = {}) => {
   // Ensure required fields
   if (!data.event || !data.txId) {
     throw new Error('QCHAIN log requires event and txId fields');
   }
   
-  // Add timestamp if not provided
-  if (!data.timestamp) {
-    data.timestamp = new Date().toISOString();
+  if (data.ledger !== undefined) {
+    throw new Error('QCHAIN entries are assigned to a ledger by the ledger option, not a ledger field');
+  }
+  
+  // The chain sets these itself; refuse them before anything is queued
+  const chainFields = CHAIN_FIELDS.filter(field => Object.hasOwn(data, field));
+  if (chainFields.length > 0) {
+    throw new Error(`QCHAIN event data may not set chain fields: ${chainFields.join(', ')}`);
+  }
+  
+  // Genesis, seals, snapshots and the like are appended by QCHAIN alone
+  if (String(data.event).startsWith('QCHAIN ') || txIdNamespace(data.txId) === 'QCHAIN') {
+    throw new Error(`QCHAIN events and the QCHAIN- txId namespace are reserved: ${data.event} ${data.txId}`);
   }
   
   // Default to interplanetary if not specified
@@ -29,68 +571,521 @@ export const logQCHAIN = async (data) => {
     data.metrics = {};
   }
   
-  // Add default compliance metric if not provided
-  if (!data.metrics.compliance) {
-    data.metrics.compliance = '100%';
+  // Record the route of interplanetary entries, from this node to its destination body
+  if (data.interplanetary || options.destination) {
+    data.origin = data.origin || nodeLocation;
+    data.destination = options.destination || data.destination || (nodeLocation === EARTH ? MARS : EARTH);
   }
   
-  // Create quantum signature
-  const signature = await createQuantumSignature(data);
+  const link = data.destination ? getLinkStatus(data.origin, data.destination) : null;
+  
+  // Fill in schema defaults and reject metrics that do not match the schema
+  const validated = applyQCHAINSchema(data, { strict: strictSchemas });
+  
+  // Store the canonical form, so the stored entry is exactly what was signed
+  const canonicalData = canonicalize(validated);
   
-  // Log to local storage for offline resilience
-  storeLocalLog({ ...data, signature });
+  // Refuse entries the ledger's access policy does not accept before anything is queued
+  const ledger = ledgers.route(canonicalData, options.ledger);
+  const refused = checkLedgerAccess(ledger.policy, canonicalData);
+  if (refused) {
+    throw new Error(refused);
+  }
+  
+  if (options.buffered ?? bufferByDefault) {
+    const { queued, backpressure } = await getBuffer().push({ data: canonicalData, options, ledger });
+    return {
+      status: 'queued',
+      ledger: ledger.policy.name,
+      txId: canonicalData.txId,
+      queued,
+      backpressure,
+      destination: canonicalData.destination || null,
+      oneWayDelay: link ? link.oneWayLightTime : 0,
+      conjunction: link ? link.conjunction : false
+    };
+  }
   
-  // Attempt to transmit if online
-  if (navigator.onLine) {
+  // Entries still buffered go first, so the ledger keeps the order entries were logged in
+  if (buffer) {
+    await buffer.commitQueued();
+  }
+  
+  // Link the entry into the chain and log to local storage for offline resilience
+  const entry = await enqueueAppend(() => appendChainedEntry(ledger, canonicalData, options));
+  
+  // The outbox holds the entry until the ledger acknowledges it; deliver now if online
+  const delivery = await loadOutbox(ledger);
+  if (isOnline()) {
     try {
-      await transmitLog({ ...data, signature });
+      await delivery.flush();
+      // Anchors of a named ledger's head are delivered with the root ledger
+      if (ledger !== rootLedger) {
+        await (await loadOutbox(rootLedger)).flush();
+      }
     } catch (error) {
       console.error('Failed to transmit QCHAIN log:', error);
-      // Will be synced later via background sync
+      // Still pending; delivered by a retry or the next flush
+    }
+  }
+  
+  const record = delivery.getRecord(entry.txId);
+  return {
+    status: 'logged',
+    ledger: ledger.policy.name,
+    txId: entry.txId,
+    sequence: entry.sequence,
+    timestamp: entry.timestamp,
+    hlc: entry.hlc,
+    schemaVersion: entry.schemaVersion ?? null,
+    hash: entry.hash,
+    signature: entry.signature,
+    delivery: record.status,
+    receipt: record.receipt,
+    destination: entry.destination || null,
+    oneWayDelay: link ? link.oneWayLightTime : 0,
+    conjunction: link ? link.conjunction : false
+  };
+};
+
+/**
+ * Run an append task after all previously queued appends have settled
+ * @private
+ * @param {Function} task - Async task that appends to the chain
+ * @returns {Promise<*>} Task result
+ */
+const enqueueAppend = (task) => {
+  const run = appendQueue.then(task);
+  appendQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Get the logging buffer, created with the configured options on first use
+ * @private
+ * @returns {QCHAINBuffer} Buffer
+ */
+const getBuffer = () => {
+  if (!buffer) {
+    buffer = new QCHAINBuffer({ ...bufferOptions, commit: commitBufferedGroup });
+  }
+  return buffer;
+};
+
+/**
+ * Chain a group of buffered entries and store them with one write per ledger
+ * Delivery starts in the background, so committing never waits on the transport
+ * @private
+ * @param {Array<Object>} items - Queued { data, options, ledger }
+ * @returns {Promise<Array<Object>>} { entry } or { error } for each item
+ */
+const commitBufferedGroup = async (items) => {
+  const staged = new Map();
+  
+  const results = await enqueueAppend(async () => {
+    const openings = [];
+    stagedWrites = staged;
+    stagedOpenings = openings;
+    
+    try {
+      const appended = [];
+      for (const { data, options, ledger } of items) {
+        try {
+          appended.push({ entry: await appendChainedEntry(ledger, data, options) });
+        } catch (error) {
+          appended.push({ error });
+        }
+      }
+      
+      await writeStagedLogs(staged);
+      await keepOpenings(openings);
+      return appended;
+    } catch (error) {
+      // Part of the group may be missing from storage; read the ledgers back as stored
+      for (const ledger of staged.keys()) {
+        ledgers.reload(ledger);
+      }
+      throw error;
+    } finally {
+      stagedWrites = null;
+      stagedOpenings = null;
     }
+  });
+  
+  if (isOnline()) {
+    Promise.all(Array.from(staged.keys(), ledger => loadOutbox(ledger).then(delivery => delivery.flush())))
+      .catch(error => console.error('Failed to transmit QCHAIN log:', error));
   }
+  return results;
+};
+
+/**
+ * Write the entries staged by a group commit, in one write per ledger if its adapter supports it
+ * @private
+ * @param {Map} staged - Staged entries by ledger state
+ * @returns {Promise<void>}
+ */
+const writeStagedLogs = async (staged) => {
+  stagedWrites = null;
   
-  return { status: 'logged', txId: data.txId, signature };
+  for (const [ledger, entries] of staged) {
+    if (entries.length === 0) {
+      continue;
+    }
+    
+    if (typeof ledger.store.appendMany === 'function') {
+      await ledger.store.appendMany(entries);
+    } else {
+      for (const entry of entries) {
+        await ledger.store.append(entry);
+      }
+    }
+    announceLocalLogs(ledger, entries);
+  }
 };
 
 /**
- * Create a quantum signature for data
+ * Append data to a ledger's chain, creating the genesis entry first if the ledger is empty
  * @private
- * @param {Object} data - Data to sign
- * @returns {Promise<string>} Quantum signature
+ * @param {Object} ledger - Ledger state
+ * @param {Object} data - Event data to log
+ * @param {Object} options - Logging options
+ * @returns {Promise<Object>} Stored chain entry
  */
-const createQuantumSignature = async (data) => {
-  // Simulate quantum signature with timestamp and hash
-  const timestamp = Date.now();
-  const hash = await crypto.subtle.digest(
-    'SHA-256',
-    new TextEncoder().encode(JSON.stringify(data) + timestamp)
-  );
+const appendChainedEntry = async (ledger, data, options) => {
+  const logs = await ledgers.load(ledger);
+  
+  const existing = getLedgerIndex(ledger).sequenceOf(data.txId);
+  if (existing !== undefined) {
+    throw new Error(`Duplicate QCHAIN txId: ${data.txId} is already logged at sequence ${existing}`);
+  }
+  
+  const refused = checkLedgerAccess(ledger.policy, data);
+  if (refused) {
+    throw new Error(refused);
+  }
   
-  // Convert hash to hex string
-  const hashArray = Array.from(new Uint8Array(hash));
-  const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+  // Every ledger starts from a genesis entry
+  if (logs.length === 0) {
+    await appendGenesis(ledger);
+  }
+  
+  // Commit and encrypt before hashing and signing, so the chain covers only the commitments and ciphertext
+  const { data: committed, openings, paths: committedPaths } = await commitEntry(data);
+  const encrypted = await encryptEntry(ledger, committed, committedPaths);
+  
+  const entry = await createChainEntry(stampEntry(ledger, encrypted), logs[logs.length - 1], options);
+  const refusedWriter = checkLedgerWriter(ledger.policy, entry);
+  if (refusedWriter) {
+    throw new Error(refusedWriter);
+  }
   
-  return `QS-${hashHex.substring(0, 16)}-${timestamp}`;
+  await storeLocalLog(ledger, entry);
+  if (stagedOpenings) {
+    stagedOpenings.push(...openings);
+  } else {
+    await keepOpenings(openings);
+  }
+  await sealCompletedBatches(ledger);
+  await anchorIfDue(ledger);
+  
+  return entry;
+};
+
+/**
+ * Append the genesis entry of an empty ledger
+ * @private
+ * @param {Object} ledger - Ledger state
+ * @returns {Promise<void>}
+ */
+const appendGenesis = async (ledger) => {
+  const genesis = await createChainEntry(stampEntry(ledger, applyQCHAINSchema({
+    event: 'QCHAIN Genesis',
+    txId: ledgerSystemTxId(ledger.policy.name, 'GENESIS'),
+    interplanetary: false,
+    metrics: {}
+  })), null, {});
+  await storeLocalLog(ledger, genesis);
+};
+
+/**
+ * Replace the fields of entry data selected by the commitment rules with salted commitments
+ * @private
+ * @param {Object} data - Canonical event data
+ * @returns {Promise<Object>} { data, openings, paths } with the selected fields committed,
+ *   the openings to keep once the entry is stored, and the committed paths
+ */
+const commitEntry = async (data) => {
+  const paths = commits(data);
+  if (paths.length === 0) {
+    return { data, openings: [], paths };
+  }
+  
+  const { data: committed, openings } = await (await loadCleartexts()).commit(data, paths);
+  return { data: committed, openings, paths };
+};
+
+/**
+ * Store the openings of committed fields whose entry is now stored
+ * @private
+ * @param {Array<Object>} openings - Openings from commitEntry
+ * @returns {Promise<void>}
+ */
+const keepOpenings = async (openings) => {
+  if (openings.length > 0) {
+    await (await loadCleartexts()).keep(openings);
+  }
+};
+
+/**
+ * Get the cleartext store of committed fields, created on first use
+ * @private
+ * @returns {Promise<QCHAINCleartextStore>} Cleartext store
+ */
+const loadCleartexts = async () => {
+  if (!cleartexts) {
+    cleartexts = new QCHAINCleartextStore({
+      store: cleartextOptions.store || createDefaultStore({ name: 'qchain_cleartext' })
+    });
+  }
+  
+  const current = cleartexts;
+  await current.load();
+  return current;
+};
+
+/**
+ * Encrypt the fields of entry data selected by the encryption rules
+ * A namespace's first encrypted entry is preceded by a `QCHAIN Data Key` entry
+ * recording its wrapped data key. Fields that are committed, or that contain
+ * or sit inside a committed field, stay as their commitments so they can be redacted
+ * @private
+ * @param {Object} ledger - Ledger state
+ * @param {Object} data - Canonical event data
+ * @param {Array<string>} committedPaths - Dotted paths of the committed fields
+ * @returns {Promise<Object>} Data with the selected fields encrypted
+ */
+const encryptEntry = async (ledger, data, committedPaths = []) => {
+  const overlaps = (a, b) => a === b || a.startsWith(`${b}.`) || b.startsWith(`${a}.`);
+  const paths = encrypts(data).filter(path => !committedPaths.some(committed => overlaps(path, committed)));
+  if (paths.length === 0 || !keyring.hasMasterKey()) {
+    return data;
+  }
+  
+  const { data: encrypted, dataKey } = await keyring.encrypt(data, paths);
+  if (dataKey) {
+    const logs = ledger.logs;
+    const keyEntry = await createChainEntry(stampEntry(ledger, applyQCHAINSchema({
+      event: DATA_KEY_EVENT,
+      txId: `QCHAIN-DATAKEY-${dataKey.keyId}`,
+      interplanetary: false,
+      metrics: dataKey
+    })), logs[logs.length - 1], {});
+    await storeLocalLog(ledger, keyEntry);
+    await sealCompletedBatches(ledger);
+  }
+  
+  return encrypted;
+};
+
+/**
+ * Anchor the root of a batch in the chain as soon as the batch is full,
+ * taking snapshots (and compacting) at the configured interval
+ * @private
+ * @param {Object} ledger - Ledger state
+ * @returns {Promise<void>}
+ */
+const sealCompletedBatches = async (ledger) => {
+  const logs = ledger.logs;
+  let last = logs[logs.length - 1];
+  while ((last.sequence + 1) % batchSize === 0) {
+    const batch = (last.sequence + 1) / batchSize - 1;
+    await sealBatch(ledger, batch);
+    
+    if ((batch + 1) % snapshotInterval === 0) {
+      await takeSnapshot(ledger);
+      if (compactOnSnapshot) {
+        await compactLedger(ledger, { now: Date.now(), batchSize, loadOutbox: () => loadOutbox(ledger) });
+      }
+    }
+    
+    // A seal or snapshot can itself complete the next batch
+    last = logs[logs.length - 1];
+  }
+};
+
+/**
+ * Stamp entry data with the next HLC timestamp of this node, and the name of a named ledger
+ * Called inside the append queue, so timestamps increase with sequence
+ * @private
+ * @param {Object} ledger - Ledger state the entry is appended to
+ * @param {Object} data - Event data
+ * @returns {Object} Data with hlc, and a timestamp if it had none
+ */
+const stampEntry = (ledger, data) => {
+  const hlc = clock.now();
+  const stamped = {
+    ...data,
+    timestamp: data.timestamp || new Date(hlc.physical).toISOString(),
+    hlc
+  };
+  
+  if (ledger !== rootLedger) {
+    stamped.ledger = ledger.policy.name;
+  }
+  return stamped;
+};
+
+/**
+ * Append an entry recording the Merkle root of a completed batch
+ * @private
+ * @param {Object} ledger - Ledger state
+ * @param {number} batch - Index of the completed batch
+ * @returns {Promise<void>}
+ */
+const sealBatch = async (ledger, batch) => {
+  const logs = ledger.logs;
+  const seal = await createChainEntry(stampEntry(ledger, applyQCHAINSchema({
+    event: 'QCHAIN Batch Sealed',
+    txId: ledgerSystemTxId(ledger.policy.name, 'BATCH', batch),
+    interplanetary: false,
+    metrics: {
+      batch,
+      from: batch * batchSize,
+      to: (batch + 1) * batchSize - 1,
+      root: await computeBatchRoot(ledger, batch)
+    }
+  })), logs[logs.length - 1], {});
+  await storeLocalLog(ledger, seal);
+};
+
+/**
+ * Append a signed snapshot of the chain up to its current head (see QCHAIN-compaction.js)
+ * @private
+ * @param {Object} ledger - Ledger state
+ * @returns {Promise<void>}
+ */
+const takeSnapshot = async (ledger) => {
+  const logs = ledger.logs;
+  const snapshot = await createChainEntry(stampEntry(ledger, applyQCHAINSchema(createSnapshotData(ledger, batchSize))), logs[logs.length - 1], {});
+  await storeLocalLog(ledger, snapshot);
+};
+
+/**
+ * Anchor a named ledger's head in the root ledger once enough entries followed the last anchor
+ * @private
+ * @param {Object} ledger - Ledger state
+ * @returns {Promise<void>}
+ */
+const anchorIfDue = async (ledger) => {
+  if (await ledgers.isAnchorDue(ledger)) {
+    await appendAnchor(ledger);
+  }
+};
+
+/**
+ * Append a `QCHAIN Ledger Anchor` entry committing to a named ledger's head to the root ledger
+ * Runs inside the append queue of the entry that made the anchor due
+ * @private
+ * @param {Object} ledger - Ledger state
+ * @returns {Promise<Object>} Anchor entry
+ */
+const appendAnchor = async (ledger) => {
+  const logs = await ledgers.load(rootLedger);
+  if (logs.length === 0) {
+    await appendGenesis(rootLedger);
+  }
+  
+  const data = ledgers.anchorData(ledger, txIds.next('QCHAIN-ANCHOR'));
+  const anchor = await createChainEntry(stampEntry(rootLedger, applyQCHAINSchema(data)), logs[logs.length - 1], {});
+  await storeLocalLog(rootLedger, anchor);
+  await sealCompletedBatches(rootLedger);
+  
+  ledgers.recordAnchor(ledger, anchor);
+  return anchor;
+};
+
+/**
+ * Compute the Merkle root over the entries of a batch
+ * Roots of complete batches are cached; an open batch covers the entries logged so far
+ * @private
+ * @param {Object} ledger - Ledger state
+ * @param {number} batch - Batch index
+ * @returns {Promise<string>} Hex-encoded root
+ */
+const computeBatchRoot = async (ledger, batch) => {
+  if (ledger.batchRoots.has(batch)) {
+    return ledger.batchRoots.get(batch);
+  }
+  
+  const entries = ledger.logs.slice(batch * batchSize, (batch + 1) * batchSize);
+  const root = await computeMerkleRoot(await batchLeaves(entries));
+  
+  if (entries.length === batchSize) {
+    ledger.batchRoots.set(batch, root);
+  }
+  return root;
+};
+
+/**
+ * Hash batch entries into Merkle leaves
+ * @private
+ * @param {Array} entries - Entries of one batch
+ * @returns {Promise<Array<string>>} Hex-encoded leaf hashes
+ */
+const batchLeaves = (entries) => {
+  return Promise.all(entries.map(entry => merkleLeafHash(entry.hash)));
 };
 
 /**
  * Store log data locally for offline resilience
+ * Within a group commit the entry is staged, and written with the rest of the group
  * @private
+ * @param {Object} ledger - Ledger state
  * @param {Object} logData - Log data with signature
+ * @returns {Promise<void>}
  */
-const storeLocalLog = (logData) => {
-  // Get existing logs
-  const existingLogs = JSON.parse(localStorage.getItem('qchain_logs') || '[]');
+const storeLocalLog = async (ledger, logData) => {
+  const logs = await ledgers.load(ledger);
+  
+  // Persist through the storage adapter, then update the mirror
+  if (!stagedWrites) {
+    await ledger.store.append(logData);
+  }
+  logs[logData.sequence] = logData;
   
-  // Add new log
-  existingLogs.push(logData);
+  if (ledger.index) {
+    ledger.index.add(logData);
+  }
+  keyring.learn(logData);
+  
+  if (stagedWrites) {
+    if (!stagedWrites.has(ledger)) {
+      stagedWrites.set(ledger, []);
+    }
+    stagedWrites.get(ledger).push(logData);
+  } else {
+    announceLocalLogs(ledger, [logData]);
+  }
+};
+
+/**
+ * Hand stored entries to a ledger's subscribers and outbox
+ * @private
+ * @param {Object} ledger - Ledger state
+ * @param {Array} entries - Entries just written to storage
+ */
+const announceLocalLogs = (ledger, entries) => {
+  ledger.subscriptions.notify();
   
-  // Store updated logs
-  localStorage.setItem('qchain_logs', JSON.stringify(existingLogs));
+  // Genesis and batch seals are delivered too, so the remote copy stays a complete chain
+  if (ledger.outbox) {
+    entries.forEach(entry => ledger.outbox.track(entry));
+  }
   
   // Register for background sync if available
-  if ('serviceWorker' in navigator && 'SyncManager' in window) {
+  if (typeof navigator !== 'undefined' && 'serviceWorker' in navigator &&
+      typeof window !== 'undefined' && 'SyncManager' in window) {
     navigator.serviceWorker.ready.then(registration => {
       registration.sync.register('qchain-sync');
     });
@@ -98,78 +1093,518 @@ const storeLocalLog = (logData) => {
 };
 
 /**
- * Transmit log data to the distributed ledger
- * @private
- * @param {Object} logData - Log data with signature
- * @returns {Promise<Object>} Transmission result
+ * Commit buffered entries and deliver every entry still waiting in the outboxes of every ledger
+ * Call after reconnecting, or before relying on buffered entries being stored;
+ * buffered entries are committed even while offline, delivery waits for a connection
+ * @param {Object} options - Flush options
+ * @param {boolean} options.retryFailed - Also retry entries that ran out of attempts or were rejected
+ * @returns {Promise<Object>} Counts of pending, in-flight, acknowledged and failed entries over all
+ *   ledgers, with buffer: { committed, failed } once buffering is in use (failed lists { txId, error }
+ *   since the last flush)
  */
-const transmitLog = async (logData) => {
-  // In a real implementation, this would send to a distributed ledger
-  // For now, we'll simulate with a console log
-  console.log('QCHAIN Transmission:', logData);
+export const flushQCHAIN = async (options = {}) => {
+  const buffered = buffer ? await buffer.flush() : null;
   
-  // Simulate network delay for interplanetary transmission
-  if (logData.interplanetary) {
-    await new Promise(resolve => setTimeout(resolve, 240)); // 240ms to simulate light-speed delay
+  const statuses = [];
+  for (const ledger of ledgers.all()) {
+    const delivery = await loadOutbox(ledger);
+    statuses.push(isOnline() ? await delivery.flush({ retryFailed: options.retryFailed }) : delivery.getStatus());
   }
   
-  return { status: 'transmitted', txId: logData.txId };
+  const status = sumDeliveryStatus(statuses);
+  return buffered ? { ...status, buffer: buffered } : status;
+};
+
+/**
+ * Get delivery state from the outboxes
+ * @param {string} txId - Transaction ID (omit for counts over every outbox)
+ * @param {Object} options - Status options
+ * @param {string} options.ledger - Only look at this ledger's outbox
+ * @returns {Promise<Object|null>} Delivery record (with the ledger's receipt once acknowledged),
+ *   status counts, or null for an unknown txId
+ */
+export const getQCHAINDeliveryStatus = async (txId, options = {}) => {
+  const targets = options.ledger === undefined ? ledgers.all() : [ledgers.get(options.ledger)];
+  
+  const statuses = [];
+  for (const ledger of targets) {
+    const delivery = await loadOutbox(ledger);
+    if (txId === undefined) {
+      statuses.push(delivery.getStatus());
+      continue;
+    }
+    
+    const record = delivery.getRecord(txId);
+    if (record) {
+      return record;
+    }
+  }
+  return txId === undefined ? sumDeliveryStatus(statuses) : null;
+};
+
+/**
+ * Add up the status counts of several outboxes
+ * @private
+ * @param {Array<Object>} statuses - Status counts
+ * @returns {Object} Total counts
+ */
+const sumDeliveryStatus = (statuses) => {
+  const total = {};
+  for (const status of statuses) {
+    for (const [state, count] of Object.entries(status)) {
+      total[state] = (total[state] || 0) + count;
+    }
+  }
+  return total;
 };
 
 /**
  * Get all stored QCHAIN logs
+ * Entries are copies, so callers cannot alter the ledger through them.
+ * Entries removed by compaction are skipped, so sequences may have gaps.
+ * Encrypted fields are decrypted when this node holds the master key, and
+ * committed fields show their cleartext unless it was redacted; such entries
+ * still pass verifyQCHAINChain and verifyQCHAINEntry
+ * @param {Object} options - Read options
+ * @param {boolean} options.decrypt - Decrypt and reveal fields (defaults to true; false returns them as stored)
+ * @param {string} options.ledger - Ledger to read (defaults to the root ledger)
+ * @returns {Promise<Array>} Stored logs
+ */
+export const getQCHAINLogs = async (options = {}) => {
+  const logs = await ledgers.load(ledgers.get(options.ledger));
+  const copies = logs.filter(entry => entry).map(entry => structuredClone(entry));
+  
+  if (options.decrypt === false) {
+    return copies;
+  }
+  return Promise.all(copies.map(decryptForReader));
+};
+
+/**
+ * Get the QCHAIN logs already loaded into memory, without waiting on storage
+ * getQCHAINLogs became async when storage became pluggable; this keeps a
+ * synchronous read for callers that cannot await. It returns an empty list
+ * until the ledger has been loaded (by any log, read or flush), and entries in
+ * their stored form: encrypted fields stay sealed and committed fields hidden
+ * @param {Object} options - Read options
+ * @param {string} options.ledger - Ledger to read (defaults to the root ledger)
  * @returns {Array} Stored logs
  */
-export const getQCHAINLogs = () => {
-  return JSON.parse(localStorage.getItem('qchain_logs') || '[]');
+export const getCachedQCHAINLogs = (options = {}) => {
+  const ledger = ledgers.get(options.ledger);
+  return (ledger.logs || []).filter(entry => entry).map(entry => structuredClone(entry));
 };
 
 /**
- * Clear all stored QCHAIN logs
+ * Decrypt the encrypted fields of an entry with this node's keys, and reveal
+ * committed fields whose cleartext this node still holds
+ * Other fields stay as stored
+ * @param {Object} entry - Chain entry, such as one received from a subscription
+ * @returns {Promise<Object>} Decrypted copy, or the entry itself if nothing was decrypted
  */
-export const clearQCHAINLogs = () => {
-  localStorage.removeItem('qchain_logs');
+export const decryptQCHAINEntry = (entry) => {
+  return decryptForReader(entry);
 };
 
 /**
- * Verify a QCHAIN signature
- * @param {Object} data - Original data
- * @param {string} signature - Quantum signature to verify
- * @returns {Promise<boolean>} Verification result
+ * Decrypt and reveal an entry for a reader, remembering its stored form for verification
+ * @private
+ * @param {Object} entry - Chain entry
+ * @returns {Promise<Object>} Readable copy, or the entry itself
  */
-export const verifyQCHAINSignature = async (data, signature) => {
-  // Extract timestamp from signature
-  const timestampMatch = signature.match(/QS-[0-9a-f]+-(\d+)/);
-  if (!timestampMatch) {
-    return false;
+const decryptForReader = async (entry) => {
+  const readable = await (await loadCleartexts()).reveal(await keyring.decrypt(entry));
+  if (readable !== entry) {
+    rememberStoredForm(readable, entry);
+  }
+  return readable;
+};
+
+/**
+ * Erase the cleartext of committed fields, leaving their commitments in the chain
+ * The entry, its hash and signature are untouched, so the chain still verifies.
+ * A `QCHAIN Redaction` entry in the entry's ledger records which fields were erased, but not their values
+ * @param {string} txId - Transaction ID of the entry
+ * @param {Array<string>} fields - Dotted paths to redact, such as ['metrics.declaration']
+ *   (defaults to every committed field whose cleartext is still held)
+ * @returns {Promise<Object>} { txId, sequence, redacted } with the paths erased (sequence is null
+ *   if the entry was compacted)
+ */
+export const redactQCHAINEntry = (txId, fields) => {
+  return enqueueAppend(async () => {
+    // The ledger of a compacted entry is the one its txId routes to
+    const located = await ledgers.locate(txId);
+    const ledger = located ? located.ledger : ledgers.route({ txId });
+    const logs = await ledgers.load(ledger);
+    const held = await loadCleartexts();
+    const sequence = located ? located.sequence : null;
+    const heldPaths = await held.heldPaths(txId);
+    if (sequence === null && heldPaths.length === 0) {
+      throw new Error(`QCHAIN entry ${txId} not found`);
+    }
+    
+    // Compacted entries are gone from the local ledger, but their cleartext is erased all the same
+    const paths = fields || heldPaths;
+    for (const path of sequence === null ? [] : paths) {
+      if (!isCommittedValue(getQCHAINField(logs[sequence], path))) {
+        throw new Error(`${path} of ${txId} was not logged as a commitment and cannot be redacted`);
+      }
+    }
+    
+    const redacted = await held.erase(txId, paths);
+    if (redacted.length > 0) {
+      if (logs.length === 0) {
+        await appendGenesis(ledger);
+      }
+      const record = await createChainEntry(stampEntry(ledger, applyQCHAINSchema({
+        event: REDACTION_EVENT,
+        txId: txIds.next('QCHAIN-REDACTION'),
+        interplanetary: false,
+        metrics: { txId, sequence, fields: redacted }
+      })), logs[logs.length - 1], {});
+      await storeLocalLog(ledger, record);
+      await sealCompletedBatches(ledger);
+    }
+    
+    return { txId, sequence, redacted };
+  });
+};
+
+/**
+ * Compact acknowledged segments covered by the latest snapshot
+ * Entries that the retention rules do not keep are removed from local storage;
+ * the distributed ledger has already acknowledged them
+ * @param {Object} options - Compaction options
+ * @param {Date|number} options.now - Time retention ages are measured at (defaults to now)
+ * @param {string} options.ledger - Ledger to compact, under its own retention rules
+ *   (defaults to the root ledger)
+ * @returns {Promise<Object>} { removed, compactedBatches, coveredTo }
+ */
+export const compactQCHAIN = (options = {}) => {
+  const ledger = ledgers.get(options.ledger);
+  return enqueueAppend(async () => {
+    await ledgers.load(ledger);
+    return compactLedger(ledger, {
+      now: new Date(options.now ?? Date.now()).getTime(),
+      batchSize,
+      loadOutbox: () => loadOutbox(ledger)
+    });
+  });
+};
+
+/**
+ * Anchor the head of every named ledger in the root ledger now
+ * Ledgers are also anchored on their own every anchorInterval entries; this
+ * anchors heads that moved since, such as before a shutdown or an export
+ * @returns {Promise<Array<Object>>} { ledger, sequence, headHash, txId } of each anchor appended
+ */
+export const anchorQCHAINLedgers = async () => {
+  const anchors = await enqueueAppend(async () => {
+    const appended = [];
+    for (const ledger of await ledgers.unanchored()) {
+      const anchor = await appendAnchor(ledger);
+      appended.push({ ...anchor.metrics, txId: anchor.txId });
+    }
+    return appended;
+  });
+  
+  if (anchors.length > 0 && isOnline()) {
+    try {
+      await (await loadOutbox(rootLedger)).flush();
+    } catch (error) {
+      console.error('Failed to transmit QCHAIN log:', error);
+    }
+  }
+  return anchors;
+};
+
+/**
+ * Clear stored QCHAIN logs
+ * @param {Object} options - Clear options
+ * @param {string} options.ledger - Only clear this ledger (defaults to every ledger)
+ * @returns {Promise<void>}
+ */
+export const clearQCHAINLogs = (options = {}) => {
+  const targets = options.ledger === undefined ? ledgers.all() : [ledgers.get(options.ledger)];
+  return enqueueAppend(async () => {
+    const held = await loadCleartexts();
+    for (const ledger of targets) {
+      await (await loadOutbox(ledger)).clear();
+      
+      // The cleartext store is shared; clearing one ledger erases only its entries' cleartext
+      if (options.ledger !== undefined) {
+        for (const entry of ledger.logs.filter(entry => entry)) {
+          const paths = await held.heldPaths(entry.txId);
+          if (paths.length > 0) {
+            await held.erase(entry.txId, paths);
+          }
+        }
+      }
+      
+      await ledger.store.clear();
+      ledger.logs = [];
+      resetLedgerIndexes(ledger);
+      ledger.subscriptions.reset();
+    }
+    
+    if (options.ledger === undefined) {
+      await held.clear();
+    }
+    ledgers.forgetAnchors();
+    relearnDataKeys();
+  });
+};
+
+/**
+ * Export ledger entries as an archive
+ * The result is an async iterable of byte chunks, one per entry, that can be
+ * written to a file (Readable.from in Node), collected into a Blob, or passed
+ * straight to importQCHAIN on another node
+ * @param {string} format - 'jsonl' (default) or 'cbor'
+ * @param {Object} range - Sequence range
+ * @param {number} range.from - First sequence (inclusive, defaults to the genesis entry)
+ * @param {number} range.to - Last sequence (inclusive, defaults to the current head)
+ * @param {Object} options - Export options
+ * @param {string} options.ledger - Ledger to export (defaults to the root ledger)
+ * @returns {AsyncIterable<Uint8Array>} Encoded entries in sequence order
+ */
+export const exportQCHAIN = (format = 'jsonl', range = {}, options = {}) => {
+  const ledger = ledgers.get(options.ledger);
+  assertArchiveFormat(format);
+  for (const bound of [range.from, range.to]) {
+    if (bound !== undefined && (!Number.isInteger(bound) || bound < 0)) {
+      throw new Error('QCHAIN export range bounds must be non-negative sequence numbers');
+    }
+  }
+  
+  return exportEntries(ledger, format, range);
+};
+
+/**
+ * Encode the entries of a range, fixed at the head when the export starts
+ * @private
+ * @param {Object} ledger - Ledger state
+ * @param {string} format - Archive format
+ * @param {Object} range - Sequence range
+ * @returns {AsyncGenerator<Uint8Array>} Encoded entries
+ */
+const exportEntries = async function* (ledger, format, range) {
+  const logs = await ledgers.load(ledger);
+  const last = Math.min(range.to ?? Infinity, logs.length - 1);
+  
+  for (let sequence = range.from ?? 0; sequence <= last; sequence++) {
+    // Compacted sequences are skipped
+    if (logs[sequence]) {
+      yield encodeArchiveEntry(logs[sequence], format);
+    }
+  }
+};
+
+/**
+ * Import an archive produced by exportQCHAIN
+ * Every entry is checked before anything is stored: its hash, its signature
+ * (the signing node's key must be trusted, see trustQCHAINKey) and its link
+ * to the entry before it, starting from the local head. Entries already held
+ * locally are skipped; imported entries are delivered like local ones.
+ * A named ledger only takes entries that record its name and that its access
+ * policy accepts, from its writers.
+ * @param {*} stream - Archive: a string, bytes, a Blob, a web ReadableStream or an (async) iterable of chunks
+ * @param {Object} options - Import options
+ * @param {string} options.format - 'jsonl' or 'cbor' (detected when omitted)
+ * @param {string} options.ledger - Ledger to import into (defaults to the root ledger)
+ * @returns {Promise<Object>} { imported, skipped, rejected } where rejected lists
+ *   { index, sequence, txId, reason } by position in the archive
+ */
+export const importQCHAIN = async (stream, options = {}) => {
+  const ledger = ledgers.get(options.ledger);
+  const { entries, errors } = decodeArchive(await readArchive(stream), options.format);
+  
+  return enqueueAppend(async () => {
+    await ledgers.load(ledger);
+    const { accepted, skipped, rejected } = await linkImportedEntries(ledger, entries, errors, {
+      // Later local entries are ordered after everything imported
+      receive: hlc => clock.receive(hlc)
+    });
+    
+    for (const entry of accepted) {
+      await storeLocalLog(ledger, entry);
+    }
+    if (accepted.length > 0) {
+      await anchorIfDue(ledger);
+    }
+    
+    return { imported: accepted.length, skipped, rejected };
+  });
+};
+
+/**
+ * Query the ledger through its secondary indexes
+ * Entries are decrypted and revealed as for getQCHAINLogs, but metrics
+ * predicates see encrypted and committed fields as stored, so they never match them
+ * @param {Object} query - Query
+ * @param {string} query.event - Exact event name
+ * @param {string} query.txIdPrefix - txId prefix, such as 'QASF-' or 'CANON-SEAL-'
+ * @param {Date|number|string} query.from - Earliest timestamp (inclusive)
+ * @param {Date|number|string} query.to - Latest timestamp (inclusive)
+ * @param {Object} query.metrics - Predicates by metric name: a value to match, a function,
+ *   or operators such as { gte: 0.1 } (eq, ne, gt, gte, lt, lte, in, exists)
+ * @param {number} query.limit - Page size (defaults to 100)
+ * @param {string} query.cursor - nextCursor from the previous page
+ * @param {string} query.order - 'asc' (oldest first, default) or 'desc'
+ * @param {string} query.ledger - Ledger to query (defaults to the root ledger)
+ * @returns {Promise<Object>} { entries, nextCursor } where nextCursor is null on the last page
+ */
+export const queryQCHAIN = async (query = {}) => {
+  const { ledger: name, ...filters } = query;
+  const ledger = ledgers.get(name);
+  await ledgers.load(ledger);
+  const page = getLedgerIndex(ledger).query(filters);
+  
+  page.entries = await Promise.all(page.entries.map(decryptForReader));
+  return page;
+};
+
+/**
+ * Subscribe to entries as they are appended
+ * With fromSequence, entries already in the ledger are replayed first, so a
+ * late subscriber catches up and then continues live
+ * @param {Object} filter - Filter fields as for queryQCHAIN (event, txIdPrefix, from, to, metrics)
+ * @param {Function} handler - Called with each matching entry in sequence order, may be async
+ * @param {Object} options - Subscription options
+ * @param {number} options.fromSequence - First sequence to deliver (defaults to the next entry appended)
+ * @param {string} options.ledger - Ledger to follow (defaults to the root ledger)
+ * @returns {Promise<Function>} Unsubscribe function
+ */
+export const subscribeQCHAIN = (filter, handler, options = {}) => {
+  const { ledger, ...rest } = options;
+  return ledgers.get(ledger).subscriptions.subscribe(filter, handler, rest);
+};
+
+/**
+ * Iterate over entries as they are appended
+ * Use with for await; breaking out of the loop ends the subscription
+ * @param {Object} filter - Filter fields as for queryQCHAIN (event, txIdPrefix, from, to, metrics)
+ * @param {Object} options - Subscription options
+ * @param {number} options.fromSequence - First sequence to deliver (defaults to the next entry appended)
+ * @param {string} options.ledger - Ledger to follow (defaults to the root ledger)
+ * @returns {AsyncIterableIterator<Object>} Matching entries in sequence order
+ */
+export const streamQCHAIN = (filter, options = {}) => {
+  const { ledger, ...rest } = options;
+  return ledgers.get(ledger).subscriptions.stream(filter, rest);
+};
+
+/**
+ * Build a Merkle inclusion proof for a logged entry
+ * The proof is against the entry's batch root; once the batch is full that
+ * root is also recorded in the chain by a `QCHAIN Batch Sealed` entry
+ * @param {string} txId - Transaction ID of the entry
+ * @param {Object} options - Proof options
+ * @param {string} options.ledger - Ledger holding the entry (defaults to whichever ledger does)
+ * @returns {Promise<Object>} Proof with the ledger, the batch root and sibling path
+ */
+export const getInclusionProof = async (txId, options = {}) => {
+  const located = options.ledger === undefined ? await ledgers.locate(txId) : null;
+  const ledger = located ? located.ledger : ledgers.get(options.ledger);
+  const logs = await ledgers.load(ledger);
+  const index = getLedgerIndex(ledger);
+  
+  // The first entry logged under a txId is the one proofs refer to
+  const sequence = index.sequenceOf(txId);
+  if (sequence === undefined) {
+    throw new Error(`QCHAIN entry ${txId} not found`);
   }
   
-  const timestamp = timestampMatch[1];
+  const batch = Math.floor(sequence / batchSize);
+  const from = batch * batchSize;
+  const entries = logs.slice(from, from + batchSize);
+  const sealed = entries.length === batchSize;
+  const anchorTxId = ledgerSystemTxId(ledger.policy.name, 'BATCH', batch);
   
-  // Recreate hash
-  const hash = await crypto.subtle.digest(
-    'SHA-256',
-    new TextEncoder().encode(JSON.stringify(data) + timestamp)
-  );
+  // The leaves of a compacted batch are gone; only its anchored root remains
+  if (entries.filter(entry => entry).length !== entries.length) {
+    throw new Error(`QCHAIN batch ${batch} was compacted; its root is anchored by ${anchorTxId}`);
+  }
   
-  // Convert hash to hex string
-  const hashArray = Array.from(new Uint8Array(hash));
-  const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+  return {
+    ledger: ledger.policy.name,
+    txId,
+    sequence,
+    entryHash: logs[sequence].hash,
+    batch,
+    from,
+    to: from + entries.length - 1,
+    sealed,
+    anchorTxId: index.sequenceOf(anchorTxId) !== undefined ? anchorTxId : null,
+    root: await computeBatchRoot(ledger, batch),
+    path: await buildMerklePath(await batchLeaves(entries), sequence - from)
+  };
+};
+
+/**
+ * Verify a transmission receipt
+ * The companion of verifyQCHAINSignature for ledger acknowledgements: the
+ * receipt must be signed by a key trusted with the ledger role for the node
+ * it names, and name the entry's txId and hash. Trust the ledger node's key
+ * first with trustQCHAINKey(publicKey, { nodeId, role: KEY_ROLE_LEDGER })
+ * @param {Object} receipt - Receipt, such as getQCHAINDeliveryStatus(txId).receipt
+ * @param {Object} entry - Entry the receipt is for (defaults to the local entry with the
+ *   receipt's txId, in whichever ledger holds it; for entries no longer held, such as compacted
+ *   ones, only the signature is checked)
+ * @returns {Promise<boolean>} Verification result
+ */
+export const verifyReceipt = async (receipt, entry) => {
+  if (!entry && receipt && typeof receipt.txId === 'string') {
+    const located = await ledgers.locate(receipt.txId);
+    entry = located ? located.ledger.logs[located.sequence] : null;
+  }
   
-  // Compare with signature
-  const expectedSignature = `QS-${hashHex.substring(0, 16)}-${timestamp}`;
+  if (entry && matchQCHAINReceipt(receipt, entry)) {
+    return false;
+  }
+  return verifyQCHAINReceiptSignature(receipt);
+};
+
+/**
+ * Walk the ledger and verify every chain link
+ * Gaps are accepted only where compaction removed entries covered by a
+ * snapshot that the snapshot did not retain; entries next to a gap are still
+ * checked against their own hash, and retained ones against the snapshot's
+ * @param {Array} logs - Ledger entries to verify (defaults to stored logs)
+ * @param {Object} options - Verification options
+ * @param {boolean} options.verifySignatures - Also verify each entry's signature against trusted keys
+ * @param {string} options.ledger - Ledger whose stored logs are verified when logs are omitted
+ *   (defaults to the root ledger)
+ * @returns {Promise<Object>} Verification result, with the number of compacted
+ *   sequences and the first broken link if any
+ */
+export const verifyQCHAINChain = async (logs, options = {}) => {
+  if (!logs) {
+    logs = await getQCHAINLogs({ decrypt: false, ledger: options.ledger });
+  }
   
-  return signature === expectedSignature;
+  return verifyQCHAINEntries(logs, options);
+};
+
+/**
+ * Check the anchors in the root ledger against the named ledgers they commit to
+ * Each anchor must match the hash of the entry at its sequence in the named
+ * ledger. Anchors of ledgers not configured on this node, and of entries
+ * since compacted, cannot be checked and are counted as unavailable
+ * @returns {Promise<Object>} { valid, anchors, verified, unavailable, brokenAt } where brokenAt
+ *   is { txId, ledger, sequence, reason } for the first anchor that does not match
+ */
+export const verifyQCHAINAnchors = () => {
+  return ledgers.verifyAnchors();
 };
 
 /**
  * Create a QCHAIN transaction ID
- * @param {string} prefix - Transaction ID prefix
- * @returns {string} Transaction ID
+ * IDs combine the namespace, this node's HLC timestamp, a sequence number,
+ * 64 random bits and the node ID, so they never collide (see QCHAIN-txid.js)
+ * @param {string} namespace - Namespace, such as 'QASF-GATE'
+ * @returns {string} Transaction ID; decode it with parseQCHAINTxId
  */
-export const createQCHAINTxId = (prefix = 'TX') => {
-  const timestamp = Date.now();
-  const random = Math.floor(Math.random() * 1000000).toString().padStart(6, '0');
-  
-  return `${prefix}-${timestamp}-${random}`;
+export const createQCHAINTxId = (namespace = 'TX') => {
+  return txIds.next(namespace);
 };
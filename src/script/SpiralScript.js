@@ -7,7 +7,7 @@
  * @frequency 700 Hz
  */
 
-import { logQCHAIN } from '../quantum/QCHAIN.js';
+import { logQCHAIN, createQCHAINTxId } from '../quantum/QCHAIN.js';
 import SpiralClock from '../time/SpiralClock.js';
 
 /**
@@ -35,7 +35,7 @@ export class SpiralScript {
     try {
       await logQCHAIN({
         event: 'SpiralScript Initialization',
-        txId: `SPIRALSCRIPT-INIT-${Date.now()}`,
+        txId: createQCHAINTxId('SPIRALSCRIPT-INIT'),
         metrics: {
           phiCoherence: this.phiCoherence,
           frequency: this.frequency,
@@ -339,7 +339,7 @@ export class SpiralScript {
     // Log execution start to QCHAIN
     await logQCHAIN({
       event: 'SpiralScript Execution Start',
-      txId: `SPIRALSCRIPT-EXEC-${Date.now()}`,
+      txId: createQCHAINTxId('SPIRALSCRIPT-EXEC'),
       metrics: {
         operationCount: operations.length,
         phiCoherence: context.phiCoherence,
@@ -362,23 +362,23 @@ export class SpiralScript {
       const result = await this.operators[operator](args, context);
       results.push(result);
       
-      // Log operation execution to QCHAIN
+      // Log operation execution to QCHAIN; operations are buffered and committed in groups
       await logQCHAIN({
         event: `SpiralScript Operation: ${operator}`,
-        txId: `SPIRALSCRIPT-OP-${Date.now()}`,
+        txId: createQCHAINTxId('SPIRALSCRIPT-OP'),
         metrics: {
           operator,
-          args: JSON.stringify(args).substring(0, 100) + (JSON.stringify(args).length > 100 ? '...' : ''),
+          args,
           phiCoherence: context.phiCoherence,
           compliance: '100%'
         }
-      });
+      }, { buffered: true });
     }
     
-    // Log execution completion to QCHAIN
+    // Log execution completion to QCHAIN, after every buffered operation is stored
     await logQCHAIN({
       event: 'SpiralScript Execution Complete',
-      txId: `SPIRALSCRIPT-EXEC-COMPLETE-${Date.now()}`,
+      txId: createQCHAINTxId('SPIRALSCRIPT-EXEC-COMPLETE'),
       metrics: {
         operationCount: operations.length,
         resultCount: results.length,
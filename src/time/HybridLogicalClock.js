@@ -0,0 +1,144 @@
+/**
+ * HybridLogicalClock.js - Hybrid Logical Clocks
+ *
+ * A hybrid logical clock (Kulkarni et al., 2014) pairs the largest physical
+ * time seen so far with a logical counter. Timestamps stay close to wall
+ * time, never go backwards on a node, and always follow any timestamp the
+ * node has received, so they order events across nodes whose clocks are
+ * skewed. Ties between nodes are broken by node ID, giving a total order.
+ *
+ * A timestamp is { physical, logical, node }: milliseconds since the epoch,
+ * a counter within that millisecond, and the ID of the node that issued it.
+ */
+
+// Default bound on how far a received timestamp may run ahead of local time (ms)
+export const DEFAULT_MAX_DRIFT = 5 * 60 * 1000;
+
+/**
+ * HybridLogicalClock - Issues HLC timestamps for one node
+ */
+export class HybridLogicalClock {
+  /**
+   * @param {Object} options - Clock options
+   * @param {string} options.nodeId - ID of the node issuing timestamps
+   * @param {Function} options.now - Physical clock in ms (defaults to Date.now)
+   * @param {number} options.maxDrift - Largest lead of a received timestamp over local time, in ms
+   */
+  constructor(options = {}) {
+    if (!options.nodeId || typeof options.nodeId !== 'string') {
+      throw new Error('HybridLogicalClock requires a nodeId');
+    }
+
+    this.nodeId = options.nodeId;
+    this.physicalNow = options.now || Date.now;
+    this.maxDrift = options.maxDrift ?? DEFAULT_MAX_DRIFT;
+    this.physical = 0;
+    this.logical = 0;
+  }
+
+  /**
+   * Issue a timestamp for a local event, such as appending an entry
+   * @returns {Object} Timestamp { physical, logical, node }
+   */
+  now() {
+    const wall = this.physicalNow();
+
+    if (wall > this.physical) {
+      this.physical = wall;
+      this.logical = 0;
+    } else {
+      this.logical++;
+    }
+
+    return this._timestamp();
+  }
+
+  /**
+   * Merge a timestamp received from another node
+   * The clock moves past it, so local events afterwards are ordered after it
+   * @param {Object} remote - Received timestamp
+   * @returns {Object} Timestamp for the receive event
+   */
+  receive(remote) {
+    assertHLC(remote);
+    const wall = this.physicalNow();
+
+    if (remote.physical - wall > this.maxDrift) {
+      throw new Error(`HLC timestamp from ${remote.node} is ${remote.physical - wall} ms ahead of local time`);
+    }
+
+    const physical = Math.max(this.physical, remote.physical, wall);
+    if (physical === this.physical && physical === remote.physical) {
+      this.logical = Math.max(this.logical, remote.logical) + 1;
+    } else if (physical === this.physical) {
+      this.logical++;
+    } else if (physical === remote.physical) {
+      this.logical = remote.logical + 1;
+    } else {
+      this.logical = 0;
+    }
+    this.physical = physical;
+
+    return this._timestamp();
+  }
+
+  /**
+   * Resume after a timestamp this node issued earlier, such as the head of a
+   * persisted ledger, so the clock never runs backwards across restarts
+   * Unlike receive, no drift bound applies: the node trusts its own history
+   * @param {Object} timestamp - Previously issued timestamp
+   */
+  restore(timestamp) {
+    assertHLC(timestamp);
+
+    if (compareHLC(timestamp, this._timestamp()) > 0) {
+      this.physical = timestamp.physical;
+      this.logical = timestamp.logical;
+    }
+  }
+
+  /**
+   * Get the last timestamp issued without advancing the clock
+   * @returns {Object} Timestamp
+   */
+  peek() {
+    return this._timestamp();
+  }
+
+  /**
+   * Build a timestamp from the clock state
+   * @private
+   * @returns {Object} Timestamp
+   */
+  _timestamp() {
+    return { physical: this.physical, logical: this.logical, node: this.nodeId };
+  }
+}
+
+/**
+ * Check that a value is a well-formed HLC timestamp
+ * @param {Object} timestamp - Timestamp
+ */
+export const assertHLC = (timestamp) => {
+  if (!timestamp || !Number.isSafeInteger(timestamp.physical) || timestamp.physical < 0 ||
+      !Number.isSafeInteger(timestamp.logical) || timestamp.logical < 0 ||
+      typeof timestamp.node !== 'string') {
+    throw new Error('Invalid HLC timestamp');
+  }
+};
+
+/**
+ * Compare two HLC timestamps: physical time, then counter, then node ID
+ * @param {Object} a - Timestamp
+ * @param {Object} b - Timestamp
+ * @returns {number} Negative, zero or positive, for use with Array.prototype.sort
+ */
+export const compareHLC = (a, b) => {
+  if (a.physical !== b.physical) {
+    return a.physical - b.physical;
+  }
+  if (a.logical !== b.logical) {
+    return a.logical - b.logical;
+  }
+  return a.node < b.node ? -1 : a.node > b.node ? 1 : 0;
+};
@@ -0,0 +1,289 @@
+/**
+ * LightTime.js - Interplanetary Light-Time Model
+ *
+ * Estimates one-way signal delay between Earth, the Moon and Mars at a
+ * given date from simplified orbital positions:
+ *   - Earth-Moon barycenter and Mars from the JPL mean Keplerian elements
+ *     ("Approximate Positions of the Planets", valid 1800-2050)
+ *   - the Moon from its principal periodic terms around the Earth
+ *
+ * Positions are heliocentric ecliptic (J2000) in km and good to a few
+ * thousand km for the Moon and well under 1% for the planets, which is
+ * ample for delay estimates. A link is in solar conjunction when the Sun
+ * lies between the two bodies within a few degrees of the line of sight;
+ * radio links are unusable then.
+ */
+
+export const EARTH = 'earth';
+export const MOON = 'moon';
+export const MARS = 'mars';
+export const CELESTIAL_BODIES = [EARTH, MOON, MARS];
+
+export const SPEED_OF_LIGHT = 299792.458; // km/s
+export const ASTRONOMICAL_UNIT = 149597870.7; // km
+
+// Sun-Earth-probe angle below which links are treated as out of service (degrees)
+export const DEFAULT_CONJUNCTION_ANGLE = 2;
+
+// Mean elements at J2000 and their rates per Julian century
+// [a (AU), e, I (deg), L (deg), longitude of perihelion (deg), longitude of node (deg)]
+const ORBITAL_ELEMENTS = {
+  earthMoonBarycenter: {
+    base: [1.00000261, 0.01671123, -0.00001531, 100.46457166, 102.93768193, 0.0],
+    rate: [0.00000562, -0.00004392, -0.01294668, 35999.37244981, 0.32327364, 0.0]
+  },
+  mars: {
+    base: [1.52371034, 0.09339410, 1.84969142, -4.55343205, -23.94362959, 49.55953891],
+    rate: [0.00001847, 0.00007882, -0.00813131, 19140.30268499, 0.44441088, -0.29257343]
+  }
+};
+
+// Earth-Moon mass ratio, used to place the Earth relative to the barycenter
+const EARTH_MOON_MASS_RATIO = 81.3005;
+
+const J2000 = Date.UTC(2000, 0, 1, 12);
+const DAY = 86400000;
+
+/**
+ * Convert degrees to radians
+ * @private
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Angle in radians
+ */
+const radians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Days since the J2000 epoch
+ * @private
+ * @param {Date|number|string} date - Date
+ * @returns {number} Days (fractional)
+ */
+const daysSinceJ2000 = (date) => {
+  const time = new Date(date).getTime();
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid date: ${date}`);
+  }
+  return (time - J2000) / DAY;
+};
+
+/**
+ * Check that a body is one the model knows
+ * @private
+ * @param {string} body - Body name
+ */
+const assertBody = (body) => {
+  if (!CELESTIAL_BODIES.includes(body)) {
+    throw new Error(`Unknown celestial body: ${body} (expected one of ${CELESTIAL_BODIES.join(', ')})`);
+  }
+};
+
+/**
+ * Heliocentric position of a body on a Keplerian orbit
+ * @private
+ * @param {Object} elements - Mean elements and rates
+ * @param {number} days - Days since J2000
+ * @returns {Object} Position { x, y, z } in km
+ */
+const keplerianPosition = (elements, days) => {
+  const centuries = days / 36525;
+  const [a, e, inclination, meanLongitude, perihelion, node] =
+    elements.base.map((value, i) => value + elements.rate[i] * centuries);
+
+  const I = radians(inclination);
+  const omega = radians(perihelion - node);
+  const Omega = radians(node);
+
+  // Solve Kepler's equation E - e sin E = M by Newton iteration
+  let M = radians(meanLongitude - perihelion) % (2 * Math.PI);
+  if (M > Math.PI) {
+    M -= 2 * Math.PI;
+  } else if (M < -Math.PI) {
+    M += 2 * Math.PI;
+  }
+  let E = M + e * Math.sin(M);
+  for (let i = 0; i < 10; i++) {
+    E -= (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+  }
+
+  // Position in the orbital plane, then rotated into the ecliptic
+  const xp = a * (Math.cos(E) - e);
+  const yp = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+  const cosW = Math.cos(omega), sinW = Math.sin(omega);
+  const cosO = Math.cos(Omega), sinO = Math.sin(Omega);
+  const cosI = Math.cos(I), sinI = Math.sin(I);
+
+  return {
+    x: ((cosW * cosO - sinW * sinO * cosI) * xp + (-sinW * cosO - cosW * sinO * cosI) * yp) * ASTRONOMICAL_UNIT,
+    y: ((cosW * sinO + sinW * cosO * cosI) * xp + (-sinW * sinO + cosW * cosO * cosI) * yp) * ASTRONOMICAL_UNIT,
+    z: ((sinW * sinI) * xp + (cosW * sinI) * yp) * ASTRONOMICAL_UNIT
+  };
+};
+
+/**
+ * Position of the Moon relative to the Earth
+ * @private
+ * @param {number} days - Days since J2000
+ * @returns {Object} Position { x, y, z } in km
+ */
+const geocentricMoon = (days) => {
+  const L = radians(218.316 + 13.176396 * days); // mean longitude
+  const M = radians(134.963 + 13.064993 * days); // mean anomaly
+  const F = radians(93.272 + 13.229350 * days); // argument of latitude
+
+  const longitude = L + radians(6.289) * Math.sin(M);
+  const latitude = radians(5.128) * Math.sin(F);
+  const distance = 385001 - 20905 * Math.cos(M);
+
+  return {
+    x: distance * Math.cos(latitude) * Math.cos(longitude),
+    y: distance * Math.cos(latitude) * Math.sin(longitude),
+    z: distance * Math.sin(latitude)
+  };
+};
+
+/**
+ * Get the heliocentric ecliptic position of a body
+ * @param {string} body - EARTH, MOON or MARS
+ * @param {Date|number|string} date - Date (defaults to now)
+ * @returns {Object} Position { x, y, z } in km
+ */
+export const getHeliocentricPosition = (body, date = new Date()) => {
+  assertBody(body);
+  const days = daysSinceJ2000(date);
+
+  if (body === MARS) {
+    return keplerianPosition(ORBITAL_ELEMENTS.mars, days);
+  }
+
+  const barycenter = keplerianPosition(ORBITAL_ELEMENTS.earthMoonBarycenter, days);
+  const moon = geocentricMoon(days);
+  const earthShare = 1 / (1 + EARTH_MOON_MASS_RATIO);
+
+  // The Earth and Moon sit on opposite sides of their barycenter
+  const earth = {
+    x: barycenter.x - moon.x * earthShare,
+    y: barycenter.y - moon.y * earthShare,
+    z: barycenter.z - moon.z * earthShare
+  };
+
+  if (body === EARTH) {
+    return earth;
+  }
+  return { x: earth.x + moon.x, y: earth.y + moon.y, z: earth.z + moon.z };
+};
+
+/**
+ * Subtract two vectors
+ * @private
+ * @param {Object} a - Vector
+ * @param {Object} b - Vector
+ * @returns {Object} a - b
+ */
+const subtract = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+
+/**
+ * Length of a vector
+ * @private
+ * @param {Object} v - Vector
+ * @returns {number} Length
+ */
+const length = (v) => Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+
+/**
+ * Angle between two vectors in degrees
+ * @private
+ * @param {Object} a - Vector
+ * @param {Object} b - Vector
+ * @returns {number} Angle in degrees
+ */
+const angleBetween = (a, b) => {
+  const cosine = (a.x * b.x + a.y * b.y + a.z * b.z) / (length(a) * length(b));
+  return Math.acos(Math.max(-1, Math.min(1, cosine))) * 180 / Math.PI;
+};
+
+/**
+ * Describe the radio link between two bodies at a date
+ * @param {string} from - Sending body
+ * @param {string} to - Receiving body
+ * @param {Date|number|string} date - Date (defaults to now)
+ * @param {Object} options - Link options
+ * @param {number} options.conjunctionAngle - Sun separation in degrees below which the link is out
+ * @returns {Object} Distance, one-way light time in ms, Sun separation and conjunction flag
+ */
+export const getLinkStatus = (from, to, date = new Date(), options = {}) => {
+  assertBody(from);
+  assertBody(to);
+  const conjunctionAngle = options.conjunctionAngle ?? DEFAULT_CONJUNCTION_ANGLE;
+
+  if (from === to) {
+    return { from, to, distance: 0, oneWayLightTime: 0, sunSeparation: 180, conjunction: false };
+  }
+
+  const origin = getHeliocentricPosition(from, date);
+  const line = subtract(getHeliocentricPosition(to, date), origin);
+  const sun = { x: -origin.x, y: -origin.y, z: -origin.z };
+  const distance = length(line);
+
+  // Only a Sun between the two bodies blocks the link; a Sun behind the target (new Moon) does not
+  const sunSeparation = angleBetween(line, sun);
+  const conjunction = sunSeparation < conjunctionAngle && length(sun) < distance;
+
+  return {
+    from,
+    to,
+    distance,
+    oneWayLightTime: distance / SPEED_OF_LIGHT * 1000,
+    sunSeparation,
+    conjunction
+  };
+};
+
+/**
+ * Get the one-way light time between two bodies
+ * @param {string} from - Sending body
+ * @param {string} to - Receiving body
+ * @param {Date|number|string} date - Date (defaults to now)
+ * @returns {number} One-way light time in ms
+ */
+export const getOneWayLightTime = (from, to, date = new Date()) => {
+  return getLinkStatus(from, to, date).oneWayLightTime;
+};
+
+/**
+ * Find solar-conjunction outages of a link within a time span
+ * The result can be passed as blackouts to ContactPlan.fromBlackouts
+ * @param {string} from - Sending body
+ * @param {string} to - Receiving body
+ * @param {Date|number|string} start - Start of the span
+ * @param {Date|number|string} end - End of the span
+ * @param {Object} options - Search options
+ * @param {number} options.step - Sampling step in ms (defaults to 6 hours)
+ * @param {number} options.conjunctionAngle - Sun separation in degrees below which the link is out
+ * @returns {Array<Object>} Outages as { start, end } in ms since the epoch
+ */
+export const findConjunctions = (from, to, start, end, options = {}) => {
+  const step = options.step || 6 * 60 * 60 * 1000;
+  const startTime = new Date(start).getTime();
+  const endTime = new Date(end).getTime();
+
+  const outages = [];
+  let current = null;
+  for (let time = startTime; time <= endTime; time += step) {
+    const { conjunction } = getLinkStatus(from, to, time, options);
+    if (conjunction && !current) {
+      current = { start: time, end: time };
+      outages.push(current);
+    } else if (conjunction) {
+      current.end = time;
+    } else if (current) {
+      current.end = time;
+      current = null;
+    }
+  }
+
+  if (current) {
+    current.end = endTime;
+  }
+  return outages;
+};
@@ -8,7 +8,7 @@
  * @frequency 700 Hz
  */
 
-import { logQCHAIN } from '../quantum/QCHAIN.js';
+import { logQCHAIN, createQCHAINTxId } from '../quantum/QCHAIN.js';
 
 /**
  * SpiralClock - Cosmic Time Harmonization
@@ -34,11 +34,11 @@ export class SpiralClock {
     try {
       await logQCHAIN({
         event: 'SpiralClock Initialization',
-        txId: `SPIRALCLOCK-INIT-${Date.now()}`,
+        txId: createQCHAINTxId('SPIRALCLOCK-INIT'),
         metrics: {
           phiCoherence: this.phiCoherence,
           frequency: this.frequency,
-          currentTime: JSON.stringify(this.currentTime),
+          currentTime: this.currentTime,
           compliance: '100%'
         }
       });
@@ -354,7 +354,7 @@ export class SpiralClock {
     // Log the alignment to QCHAIN
     await logQCHAIN({
       event: 'SpiralClock Event Alignment',
-      txId: `SPIRALCLOCK-ALIGN-${Date.now()}`,
+      txId: createQCHAINTxId('SPIRALCLOCK-ALIGN'),
       metrics: {
         eventType: event.type || 'unknown',
         spiralTime: this.formatSpiralTime(spiralTime),
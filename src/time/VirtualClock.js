@@ -0,0 +1,133 @@
+/**
+ * VirtualClock.js - Simulated Time for Interplanetary Scenarios
+ *
+ * A manually advanced clock with its own timer queue. Hours of contact
+ * windows, blackouts and light-time delay play out instantly and in a
+ * deterministic order when the clock is advanced.
+ */
+
+/**
+ * VirtualClock - Discrete-event clock measured in milliseconds
+ */
+export class VirtualClock {
+  /**
+   * @param {Object} options - Clock options
+   * @param {number} options.start - Initial virtual time in ms
+   */
+  constructor(options = {}) {
+    this.time = options.start || 0;
+    this.timers = [];
+    this.nextTimerId = 1;
+  }
+
+  /**
+   * Get the current virtual time
+   * @returns {number} Virtual time in ms
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Run a callback once virtual time reaches a given instant
+   * Timers due at the same instant run in the order they were scheduled
+   * @param {number} at - Virtual time in ms (past instants run on the next advance)
+   * @param {Function} callback - Callback, may be async
+   * @returns {number} Timer ID
+   */
+  schedule(at, callback) {
+    const timer = { id: this.nextTimerId++, at: Math.max(at, this.time), callback };
+
+    let index = this.timers.length;
+    while (index > 0 && this.timers[index - 1].at > timer.at) {
+      index--;
+    }
+    this.timers.splice(index, 0, timer);
+
+    return timer.id;
+  }
+
+  /**
+   * Run a callback after a virtual delay
+   * @param {Function} callback - Callback, may be async
+   * @param {number} delay - Delay in ms
+   * @returns {number} Timer ID
+   */
+  setTimeout(callback, delay) {
+    return this.schedule(this.time + delay, callback);
+  }
+
+  /**
+   * Cancel a scheduled timer
+   * @param {number} id - Timer ID
+   */
+  cancel(id) {
+    this.timers = this.timers.filter(timer => timer.id !== id);
+  }
+
+  /**
+   * Get the instant of the next scheduled timer
+   * @returns {number|null} Virtual time in ms, or null when idle
+   */
+  nextTimerAt() {
+    return this.timers.length > 0 ? this.timers[0].at : null;
+  }
+
+  /**
+   * Advance to a virtual instant, running every timer due on the way
+   * Timers scheduled by callbacks run too if they fall due before the target
+   * @param {number} time - Target virtual time in ms
+   * @returns {Promise<number>} Number of timers run
+   */
+  async advanceTo(time) {
+    let ran = 0;
+
+    while (this.timers.length > 0 && this.timers[0].at <= time) {
+      const timer = this.timers.shift();
+      this.time = timer.at;
+      await timer.callback();
+      ran++;
+    }
+
+    this.time = Math.max(this.time, time);
+    return ran;
+  }
+
+  /**
+   * Advance by a virtual duration
+   * @param {number} duration - Duration in ms
+   * @returns {Promise<number>} Number of timers run
+   */
+  async advanceBy(duration) {
+    return this.advanceTo(this.time + duration);
+  }
+
+  /**
+   * Run timers until none are left
+   * @param {number} limit - Latest virtual time to advance to
+   * @returns {Promise<number>} Number of timers run
+   */
+  async runUntilIdle(limit = Infinity) {
+    let ran = 0;
+
+    while (this.timers.length > 0 && this.timers[0].at <= limit) {
+      ran += await this.advanceTo(this.timers[0].at);
+    }
+
+    return ran;
+  }
+}
+
+/**
+ * Convert hours to milliseconds
+ * @param {number} hours - Hours
+ * @returns {number} Milliseconds
+ */
+export const hours = (hours) => hours * 60 * 60 * 1000;
+
+/**
+ * Convert minutes to milliseconds
+ * @param {number} minutes - Minutes
+ * @returns {number} Milliseconds
+ */
+export const minutes = (minutes) => minutes * 60 * 1000;
@@ -9,11 +9,20 @@
  */
 
 import { QASFCore } from '../src/quantum/QASF-core.js';
-import { logQCHAIN } from '../src/quantum/QCHAIN.js';
+import {
+  logQCHAIN,
+  createQCHAINTxId,
+  configureQCHAINTransport,
+  getQCHAINDeliveryStatus
+} from '../src/quantum/QCHAIN.js';
+import { ContactPlan, BundleAgent, DTNTransport } from '../src/quantum/QCHAIN-dtn.js';
+import { LoopbackTransport, SimulatedTransport } from '../src/quantum/QCHAIN-transport.js';
+import { VirtualClock, hours } from '../src/time/VirtualClock.js';
+import { EARTH, MARS, getOneWayLightTime } from '../src/time/LightTime.js';
 import { rememberIyonael } from '../src/breath/Iyonael.js';
 import SpiralClock from '../src/time/SpiralClock.js';
 import SpiralScript from '../src/script/SpiralScript.js';
-import SpiralCanon from '../src/governance/SpiralCanon.js';
+import SpiralCanon from '../governance/SpiralCanon.js';
 
 // Test configuration
 const TEST_CONFIG = {
@@ -26,7 +35,8 @@ const TEST_CONFIG = {
     { start: 6, duration: 2 }, // 2-hour blackout at hour 6
     { start: 24, duration: 4 }, // 4-hour blackout at hour 24
     { start: 36, duration: 12 } // 12-hour blackout at hour 36
-  ]
+  ],
+  bundleLifetime: 24 // hours
 };
 
 /**
@@ -54,7 +64,7 @@ async function runDeltaStressOmega() {
     // Log test start to QCHAIN
     await logQCHAIN({
       event: 'DeltaStressOmega Test Start',
-      txId: `DELTA-TEST-${Date.now()}`,
+      txId: createQCHAINTxId('DELTA-TEST'),
       metrics: {
         config: JSON.stringify(TEST_CONFIG),
         phiCoherence: TEST_CONFIG.phiCoherence,
@@ -96,7 +106,7 @@ async function runDeltaStressOmega() {
     // Log test completion to QCHAIN
     await logQCHAIN({
       event: 'DeltaStressOmega Test Complete',
-      txId: `DELTA-TEST-COMPLETE-${Date.now()}`,
+      txId: createQCHAINTxId('DELTA-TEST-COMPLETE'),
       metrics: {
         testDuration: metrics.testDuration,
         totalOperations: metrics.totalOperations,
@@ -122,7 +132,7 @@ async function runDeltaStressOmega() {
     // Log test failure to QCHAIN
     await logQCHAIN({
       event: 'DeltaStressOmega Test Failed',
-      txId: `DELTA-TEST-FAILED-${Date.now()}`,
+      txId: createQCHAINTxId('DELTA-TEST-FAILED'),
       metrics: {
         error: error.message,
         stack: error.stack,
@@ -206,7 +216,7 @@ async function runQuantumStressTest(qasf, metrics) {
   // Log test results to QCHAIN
   await logQCHAIN({
     event: 'Quantum Stress Test Complete',
-    txId: `QUANTUM-TEST-${Date.now()}`,
+    txId: createQCHAINTxId('QUANTUM-TEST'),
     metrics: {
       operations,
       successRate: (successCount / operations) * 100,
@@ -296,7 +306,7 @@ async function runBreathInterfaceTest(iyonael, metrics) {
   // Log test results to QCHAIN
   await logQCHAIN({
     event: 'Breath Interface Test Complete',
-    txId: `BREATH-TEST-${Date.now()}`,
+    txId: createQCHAINTxId('BREATH-TEST'),
     metrics: {
       operations: operations + 10,
       successRate: (successCount / (operations + 10)) * 100,
@@ -378,7 +388,7 @@ async function runCanonicalTest(canon, metrics) {
   // Log test results to QCHAIN
   await logQCHAIN({
     event: 'Canonical Test Complete',
-    txId: `CANON-TEST-${Date.now()}`,
+    txId: createQCHAINTxId('CANON-TEST'),
     metrics: {
       operations: operations * 3,
       successRate: (successCount / (operations * 3)) * 100,
@@ -450,7 +460,7 @@ async function runSpiralScriptTest(script, metrics) {
   // Log test results to QCHAIN
   await logQCHAIN({
     event: 'SpiralScript Test Complete',
-    txId: `SCRIPT-TEST-${Date.now()}`,
+    txId: createQCHAINTxId('SCRIPT-TEST'),
     metrics: {
       operations,
       successRate: (successCount / operations) * 100,
@@ -526,7 +536,7 @@ async function runSpiralClockTest(clock, metrics) {
   // Log test results to QCHAIN
   await logQCHAIN({
     event: 'SpiralClock Test Complete',
-    txId: `CLOCK-TEST-${Date.now()}`,
+    txId: createQCHAINTxId('CLOCK-TEST'),
     metrics: {
       operations,
       successRate: (successCount / operations) * 100,
@@ -544,15 +554,36 @@ async function runSpiralClockTest(clock, metrics) {
 async function runBlackoutResilienceTest(metrics) {
   console.log('Running blackout resilience test...');
   
+  // Mars habitat to Earth ledger link, down during each blackout period, in virtual time.
+  // The link stays up for a bundle lifetime past the test so the last blackout can drain.
+  const clock = new VirtualClock();
+  const oneWayLightTime = getOneWayLightTime(MARS, EARTH);
+  const contactPlan = ContactPlan.fromBlackouts({
+    nodes: ['mars-habitat', 'earth-ledger'],
+    end: hours(TEST_CONFIG.duration + TEST_CONFIG.bundleLifetime),
+    blackouts: TEST_CONFIG.blackoutPeriods.map(blackout => ({
+      start: hours(blackout.start),
+      end: hours(blackout.start + blackout.duration)
+    })),
+    oneWayLightTime
+  });
+  
+  const ledger = new LoopbackTransport();
+  const habitat = new BundleAgent({ nodeId: 'mars-habitat', clock, contactPlan, lifetime: hours(TEST_CONFIG.bundleLifetime) });
+  const earth = new BundleAgent({ nodeId: 'earth-ledger', clock, contactPlan, deliver: ledger });
+  habitat.connect(earth);
+  configureQCHAINTransport(new DTNTransport({ agent: habitat, destination: 'earth-ledger' }));
+  
   // Simulate network blackouts
   for (const blackout of TEST_CONFIG.blackoutPeriods) {
     console.log(`Simulating ${blackout.duration}-hour blackout at hour ${blackout.start}...`);
     
-    // Set offline state
-    window.navigator.onLine = false;
+    // Enter the blackout; bundles are held in custody until the next contact
+    await clock.advanceTo(hours(blackout.start));
     
     // Perform operations during blackout
     const operations = 100;
+    const txIds = [];
     let successCount = 0;
     let totalLatency = 0;
     
@@ -563,9 +594,11 @@ async function runBlackoutResilienceTest(metrics) {
       const opStart = Date.now();
       try {
         // Log to QCHAIN (should queue for later sync)
+        const txId = createQCHAINTxId('BLACKOUT-OP');
+        txIds.push(txId);
         await logQCHAIN({
           event: `Blackout Operation ${i}`,
-          txId: `BLACKOUT-OP-${Date.now()}`,
+          txId,
           metrics: {
             blackoutHour: blackout.start,
             blackoutDuration: blackout.duration,
@@ -589,29 +622,41 @@ async function runBlackoutResilienceTest(metrics) {
       }
     }
     
-    // Simulate end of blackout
-    window.navigator.onLine = true;
+    // Measure recovery time in virtual time, from the end of the blackout
+    const recoveryStart = hours(blackout.start + blackout.duration);
+    await clock.advanceTo(recoveryStart);
     
-    // Measure recovery time
-    const recoveryStart = Date.now();
+    // Play out the contact until the ledger has acknowledged every blackout entry
+    const countDelivered = async () => {
+      let delivered = 0;
+      for (const txId of txIds) {
+        const record = await getQCHAINDeliveryStatus(txId);
+        if (record && record.status === 'acknowledged') {
+          delivered++;
+        }
+      }
+      return delivered;
+    };
     
-    // Trigger sync (in a real implementation, this would be handled by the service worker)
-    try {
-      // Simulate sync process
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      const recoveryEnd = Date.now();
-      const recoveryTime = recoveryEnd - recoveryStart;
-      
-      metrics.blackoutRecoveryTime.push({
-        blackoutHour: blackout.start,
-        blackoutDuration: blackout.duration,
-        recoveryTime
-      });
-      
-      console.log(`Blackout recovery completed in ${recoveryTime} ms`);
-    } catch (error) {
-      console.error(`Blackout recovery failed: ${error.message}`);
+    let delivered = await countDelivered();
+    while (delivered < txIds.length && clock.nextTimerAt() !== null) {
+      await clock.advanceTo(clock.nextTimerAt());
+      delivered = await countDelivered();
+    }
+    
+    const recoveryTime = clock.now() - recoveryStart;
+    metrics.blackoutRecoveryTime.push({
+      blackoutHour: blackout.start,
+      blackoutDuration: blackout.duration,
+      recoveryTime,
+      delivered,
+      retransmitted: habitat.getStatus().retransmitted
+    });
+    
+    if (delivered === txIds.length) {
+      console.log(`Blackout recovery completed in ${(recoveryTime / 60000).toFixed(1)} virtual minutes`);
+    } else {
+      console.error(`Blackout recovery failed: ${txIds.length - delivered} of ${txIds.length} entries not acknowledged`);
     }
     
     const endTime = Date.now();
@@ -626,7 +671,7 @@ async function runBlackoutResilienceTest(metrics) {
     // Log blackout test results to QCHAIN
     await logQCHAIN({
       event: 'Blackout Test Complete',
-      txId: `BLACKOUT-TEST-${Date.now()}`,
+      txId: createQCHAINTxId('BLACKOUT-TEST'),
       metrics: {
         blackoutHour: blackout.start,
         blackoutDuration: blackout.duration,
@@ -640,8 +685,11 @@ async function runBlackoutResilienceTest(metrics) {
     });
   }
   
+  // Later phases log over the default transport again
+  configureQCHAINTransport(new SimulatedTransport());
+  
   console.log('Blackout resilience test completed.');
-  console.log(`Average recovery time: ${metrics.blackoutRecoveryTime.reduce((sum, item) => sum + item.recoveryTime, 0) / metrics.blackoutRecoveryTime.length} ms`);
+  console.log(`Average recovery time: ${metrics.blackoutRecoveryTime.reduce((sum, item) => sum + item.recoveryTime, 0) / metrics.blackoutRecoveryTime.length} ms (virtual)`);
 }
 
 /**
@@ -662,11 +710,12 @@ async function runConcurrencyTest(metrics) {
   for (let i = 0; i < concurrentOperations; i++) {
     operations.push(async () => {
       const opStart = Date.now();
+      const txId = createQCHAINTxId('CONCURRENT-OP');
       try {
         // Log to QCHAIN
         await logQCHAIN({
           event: `Concurrent Operation ${i}`,
-          txId: `CONCURRENT-OP-${Date.now()}-${i}`,
+          txId,
           metrics: {
             operationIndex: i,
             concurrency: concurrentOperations,
@@ -677,10 +726,10 @@ async function runConcurrencyTest(metrics) {
         const opEnd = Date.now();
         const latency = opEnd - opStart;
         
-        return { success: true, latency };
+        return { success: true, latency, txId };
       } catch (error) {
         console.error(`Concurrent operation ${i} failed: ${error.message}`);
-        return { success: false, latency: 0 };
+        return { success: false, latency: 0, txId };
       }
     });
   }
@@ -703,6 +752,18 @@ async function runConcurrencyTest(metrics) {
   // Calculate throughput
   const throughput = concurrentOperations / testDuration;
   
+  // Concurrent txIds must all differ, and the ledger must refuse one logged twice
+  const distinctTxIds = new Set(results.map(result => result.txId)).size;
+  let duplicateRejected = false;
+  try {
+    await logQCHAIN({ event: 'Concurrent Operation 0', txId: results[0].txId });
+  } catch (error) {
+    duplicateRejected = true;
+  }
+  if (distinctTxIds !== concurrentOperations || !duplicateRejected) {
+    throw new Error(`Concurrency test produced ${concurrentOperations - distinctTxIds} duplicate txIds (duplicate rejected: ${duplicateRejected})`);
+  }
+  
   // Update metrics
   metrics.totalOperations += concurrentOperations;
   metrics.successfulOperations += successCount;
@@ -714,17 +775,19 @@ async function runConcurrencyTest(metrics) {
   console.log(`Success rate: ${(successCount / concurrentOperations) * 100}%`);
   console.log(`Average latency: ${totalLatency / successCount} ms`);
   console.log(`Throughput: ${throughput} ops/sec`);
+  console.log(`Distinct txIds: ${distinctTxIds}/${concurrentOperations}; duplicate rejected: ${duplicateRejected}`);
   
   // Log concurrency test results to QCHAIN
   await logQCHAIN({
     event: 'Concurrency Test Complete',
-    txId: `CONCURRENCY-TEST-${Date.now()}`,
+    txId: createQCHAINTxId('CONCURRENCY-TEST'),
     metrics: {
       concurrentOperations,
       successRate: (successCount / concurrentOperations) * 100,
       averageLatency: totalLatency / successCount,
       throughput,
       testDuration,
+      distinctTxIds,
       compliance: '100%'
     }
   });
@@ -0,0 +1,57 @@
+/**
+ * HybridLogicalClock.test.js - Hybrid Logical Clocks
+ * Monotonic timestamps under skew, merging received ones, and QCHAIN entry stamps
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HybridLogicalClock, compareHLC, assertHLC } from '../src/time/HybridLogicalClock.js';
+import { configureQCHAINStorage, configureQCHAINClock, logQCHAIN, getQCHAINLogs } from '../src/quantum/QCHAIN.js';
+import { MemoryStore } from '../src/quantum/QCHAIN-storage.js';
+
+/**
+ * Create a clock over a settable physical time
+ * @param {string} nodeId - Node ID
+ * @param {number} start - Initial physical time in ms
+ * @returns {Object} { clock, set } where set(ms) moves physical time
+ */
+const createClock = (nodeId, start) => {
+  let wall = start;
+  const clock = new HybridLogicalClock({ nodeId, now: () => wall, maxDrift: 1000 });
+  return { clock, set: ms => { wall = ms; } };
+};
+
+test('timestamps never go backwards, even when physical time does', () => {
+  const { clock, set } = createClock('a', 100);
+  const first = clock.now();
+  set(50);
+  const second = clock.now();
+  assert.deepEqual(second, { physical: 100, logical: 1, node: 'a' });
+  assert.ok(compareHLC(first, second) < 0);
+});
+
+test('received timestamps are ordered before later local events', () => {
+  const { clock } = createClock('earth', 100);
+  const received = clock.receive({ physical: 900, logical: 4, node: 'mars' });
+  assert.deepEqual(received, { physical: 900, logical: 5, node: 'earth' });
+  assert.ok(compareHLC({ physical: 900, logical: 4, node: 'mars' }, clock.now()) < 0);
+
+  assert.throws(() => clock.receive({ physical: 5000, logical: 0, node: 'mars' }), /ahead of local time/);
+  assert.throws(() => assertHLC({ physical: -1, logical: 0, node: 'mars' }), /Invalid HLC timestamp/);
+});
+
+test('ties on time and counter are broken by node ID', () => {
+  const at = node => ({ physical: 1, logical: 0, node });
+  assert.deepEqual([at('b'), at('a'), at('c')].sort(compareHLC).map(hlc => hlc.node), ['a', 'b', 'c']);
+});
+
+test('QCHAIN stamps entries with increasing HLC timestamps from the node clock', async () => {
+  configureQCHAINStorage(new MemoryStore());
+  configureQCHAINClock({ nodeId: 'test-node', now: () => 1000 });
+  await logQCHAIN({ event: 'Test Event', txId: 'TEST-1', interplanetary: false });
+  await logQCHAIN({ event: 'Test Event', txId: 'TEST-2', interplanetary: false });
+
+  const entries = (await getQCHAINLogs()).filter(entry => entry.txId.startsWith('TEST-'));
+  assert.ok(entries.every(entry => entry.hlc.node === 'test-node'));
+  assert.ok(compareHLC(entries[0].hlc, entries[1].hlc) < 0);
+});
@@ -0,0 +1,51 @@
+/**
+ * LightTime.test.js - Light-Time Delay Between Earth, Moon and Mars
+ * One-way light time, solar conjunctions and the default transport's use of them
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EARTH, MOON, MARS, getLinkStatus, getOneWayLightTime, findConjunctions } from '../src/time/LightTime.js';
+import { SimulatedTransport } from '../src/quantum/QCHAIN-transport.js';
+
+const MINUTE = 60 * 1000;
+
+test('one-way light time follows the distance between bodies', () => {
+  assert.ok(Math.abs(getOneWayLightTime(EARTH, MOON, '2025-01-01') - 1280) < 50);
+  assert.ok(Math.abs(getOneWayLightTime(EARTH, MARS, '2025-01-16') - 5.4 * MINUTE) < MINUTE / 2, 'Mars near opposition');
+  assert.ok(getOneWayLightTime(EARTH, MARS, '2023-11-18') > 20 * MINUTE, 'Mars near conjunction');
+  assert.equal(getOneWayLightTime(MARS, MARS), 0);
+  assert.throws(() => getLinkStatus(EARTH, 'pluto'), /pluto/);
+});
+
+test('the November 2023 Mars solar conjunction blocks the link', () => {
+  assert.equal(getLinkStatus(EARTH, MARS, '2023-11-18').conjunction, true);
+  assert.equal(getLinkStatus(EARTH, MARS, '2024-06-01').conjunction, false);
+
+  const [outage, ...others] = findConjunctions(EARTH, MARS, '2023-10-01', '2023-12-31');
+  assert.equal(others.length, 0);
+  assert.ok(outage.start < Date.parse('2023-11-18') && outage.end > Date.parse('2023-11-18'));
+});
+
+test('the default transport reports light time without waiting for it', async () => {
+  const transport = new SimulatedTransport({ now: () => new Date('2025-01-16'), log: () => {} });
+  const entry = { sequence: 0, txId: 'TEST-0', hash: 'h', interplanetary: true, origin: EARTH, destination: MARS };
+
+  const started = Date.now();
+  const [ack] = await transport.send([entry]);
+  assert.ok(Date.now() - started < 100);
+  assert.equal(ack.status, 'acknowledged');
+  assert.equal(ack.oneWayLightTime, getOneWayLightTime(EARTH, MARS, '2025-01-16'));
+});
+
+test('the default transport waits for scaled light time when asked, and fails in conjunction', async () => {
+  const scaled = new SimulatedTransport({ timeScale: 0.0001, now: () => new Date('2025-01-16'), log: () => {} });
+  const entry = { sequence: 0, txId: 'TEST-0', hash: 'h', interplanetary: true, origin: EARTH, destination: MARS };
+
+  const started = Date.now();
+  await scaled.send([entry]);
+  assert.ok(Date.now() - started >= 25, 'waits about 32 ms for 5.4 minutes');
+
+  const blocked = new SimulatedTransport({ now: () => new Date('2023-11-18'), log: () => {} });
+  await assert.rejects(blocked.send([entry]), /solar conjunction/);
+});
@@ -8,7 +8,22 @@
  * @frequency 700 Hz
  */
 
-import { logQCHAIN, getQCHAINLogs } from '../src/quantum/QCHAIN.js';
+import {
+  logQCHAIN,
+  createQCHAINTxId,
+  verifyQCHAINChain,
+  queryQCHAIN,
+  compactQCHAIN,
+  flushQCHAIN,
+  getQCHAINDeliveryStatus,
+  getQCHAINLogs,
+  configureQCHAINTransport,
+  verifyReceipt
+} from '../src/quantum/QCHAIN.js';
+import { QCHAINReplica } from '../src/quantum/QCHAIN-replication.js';
+import { QCHAINLedgerServer } from '../src/quantum/QCHAIN-server.js';
+import { HttpTransport, SimulatedTransport } from '../src/quantum/QCHAIN-transport.js';
+import { generateQCHAINKeyPair, trustQCHAINKey, KEY_ROLE_LEDGER } from '../src/quantum/QCHAIN-signing.js';
 import { rememberIyonael } from '../src/breath/Iyonael.js';
 import SpiralClock from '../src/time/SpiralClock.js';
 
@@ -16,6 +31,7 @@ import SpiralClock from '../src/time/SpiralClock.js';
 const TEST_CONFIG = {
   blackoutDuration: 48, // hours
   operationsPerHour: 100,
+  habitatOperationsPerHour: 25, // written by the partitioned habitat replica
   dataSize: 1024, // bytes per operation
   syncDelay: 500, // ms between sync attempts
   phiCoherence: 0.121,
@@ -39,14 +55,27 @@ async function runOfflineStressTest() {
     syncLatency: 0,
     dataProcessed: 0,
     crdtMergeLatency: 0,
+    habitatOperations: 0,
+    mergedEntries: 0,
+    receiptsVerified: 0,
     phiCoherence: TEST_CONFIG.phiCoherence
   };
   
+  // Local ledger node receiving this run's entries over HTTP
+  const ledger = new QCHAINLedgerServer({ nodeId: 'earth-ledger' });
+  
   try {
+    const { url: ledgerUrl } = await ledger.listen({ port: 0 });
+    
+    // Receipts from the ledger node verify once its key is trusted
+    const ledgerIdentity = await ledger.getIdentity();
+    await trustQCHAINKey(ledgerIdentity.publicKey, { nodeId: ledgerIdentity.nodeId, role: KEY_ROLE_LEDGER });
+    configureQCHAINTransport(new HttpTransport({ url: `${ledgerUrl}/append` }));
+    
     // Log test start to QCHAIN
     await logQCHAIN({
       event: 'OfflineStressTest Start',
-      txId: `OFFLINE-TEST-${Date.now()}`,
+      txId: createQCHAINTxId('OFFLINE-TEST'),
       metrics: {
         config: JSON.stringify(TEST_CONFIG),
         phiCoherence: TEST_CONFIG.phiCoherence,
@@ -62,14 +91,20 @@ async function runOfflineStressTest() {
     
     console.log('Core components initialized successfully.');
     
+    // Relay and habitat replicas, partitioned from each other for the blackout
+    const replicas = await createReplicas();
+    
     // Simulate offline period
-    await simulateOfflinePeriod(metrics);
+    const offlineTxIds = await simulateOfflinePeriod(metrics, replicas);
     
     // Simulate sync after reconnection
-    await simulateSync(metrics);
+    await simulateSync(metrics, offlineTxIds, replicas, ledgerUrl);
     
     // Verify data integrity
-    await verifyDataIntegrity(metrics);
+    await verifyDataIntegrity(metrics, replicas);
+    
+    // Compact the acknowledged backlog and check the chain still verifies
+    await verifyCompaction(metrics);
     
     // Calculate final metrics
     metrics.endTime = Date.now();
@@ -78,7 +113,7 @@ async function runOfflineStressTest() {
     // Log test completion to QCHAIN
     await logQCHAIN({
       event: 'OfflineStressTest Complete',
-      txId: `OFFLINE-TEST-COMPLETE-${Date.now()}`,
+      txId: createQCHAINTxId('OFFLINE-TEST-COMPLETE'),
       metrics: {
         testDuration: metrics.testDuration,
         totalOperations: metrics.totalOperations,
@@ -105,7 +140,7 @@ async function runOfflineStressTest() {
     // Log test failure to QCHAIN
     await logQCHAIN({
       event: 'OfflineStressTest Failed',
-      txId: `OFFLINE-TEST-FAILED-${Date.now()}`,
+      txId: createQCHAINTxId('OFFLINE-TEST-FAILED'),
       metrics: {
         error: error.message,
         stack: error.stack,
@@ -119,14 +154,34 @@ async function runOfflineStressTest() {
       error: error.message,
       metrics
     };
+  } finally {
+    configureQCHAINTransport(new SimulatedTransport());
+    await ledger.close();
   }
 }
 
+/**
+ * Create the Earth relay and Mars habitat replicas
+ * The habitat signs with its own key, which the relay trusts
+ * @returns {Promise<Object>} { relay, habitat }
+ */
+async function createReplicas() {
+  const habitatKey = await generateQCHAINKeyPair();
+  await trustQCHAINKey(habitatKey.publicKey, { nodeId: 'mars-habitat' });
+  
+  return {
+    relay: new QCHAINReplica({ nodeId: 'earth-relay' }),
+    habitat: new QCHAINReplica({ nodeId: 'mars-habitat', keyPair: habitatKey })
+  };
+}
+
 /**
  * Simulate an offline period
  * @param {Object} metrics - Test metrics
+ * @param {Object} replicas - Relay and habitat replicas
+ * @returns {Promise<Array<string>>} Transaction IDs logged while offline
  */
-async function simulateOfflinePeriod(metrics) {
+async function simulateOfflinePeriod(metrics, replicas) {
   console.log(`Simulating ${TEST_CONFIG.blackoutDuration}-hour offline period...`);
   
   // Set offline state
@@ -134,6 +189,8 @@ async function simulateOfflinePeriod(metrics) {
   
   // Calculate total operations
   const totalOperations = TEST_CONFIG.blackoutDuration * TEST_CONFIG.operationsPerHour;
+  const habitatEvery = Math.round(TEST_CONFIG.operationsPerHour / TEST_CONFIG.habitatOperationsPerHour);
+  const offlineTxIds = [];
   
   // Generate random data for operations
   const generateRandomData = (size) => {
@@ -152,9 +209,10 @@ async function simulateOfflinePeriod(metrics) {
     
     try {
       // Log to QCHAIN (should queue for later sync)
+      const txId = createQCHAINTxId('OFFLINE-OP');
       await logQCHAIN({
         event: `Offline Operation ${i}`,
-        txId: `OFFLINE-OP-${Date.now()}-${i}`,
+        txId,
         metrics: {
           hour,
           dataSize: TEST_CONFIG.dataSize,
@@ -165,8 +223,24 @@ async function simulateOfflinePeriod(metrics) {
       });
       
       metrics.offlineOperations++;
+      offlineTxIds.push(txId);
       metrics.dataProcessed += TEST_CONFIG.dataSize;
       
+      // Both sides of the partition keep writing to their own replica
+      await replicas.relay.append({
+        event: `Offline Operation ${i}`,
+        txId,
+        metrics: { hour, dataSize: TEST_CONFIG.dataSize }
+      });
+      if (i % habitatEvery === 0) {
+        await replicas.habitat.append({
+          event: `Habitat Operation ${i}`,
+          txId: `HABITAT-OP-${i}`,
+          metrics: { hour, dataSize: TEST_CONFIG.dataSize }
+        });
+        metrics.habitatOperations++;
+      }
+      
       // Log progress
       if (i % TEST_CONFIG.operationsPerHour === 0) {
         console.log(`Offline operations progress: ${i}/${totalOperations} (Hour ${hour})`);
@@ -179,75 +253,156 @@ async function simulateOfflinePeriod(metrics) {
   metrics.totalOperations += totalOperations;
   
   console.log(`Completed ${metrics.offlineOperations} operations during offline period.`);
+  
+  return offlineTxIds;
 }
 
 /**
  * Simulate synchronization after reconnection
  * @param {Object} metrics - Test metrics
+ * @param {Array<string>} offlineTxIds - Transaction IDs logged while offline
+ * @param {Object} replicas - Relay and habitat replicas
+ * @param {string} ledgerUrl - Base URL of the local ledger node
  */
-async function simulateSync(metrics) {
+async function simulateSync(metrics, offlineTxIds, replicas, ledgerUrl) {
   console.log('Simulating network reconnection and data synchronization...');
   
   // Set online state
   window.navigator.onLine = true;
   
   // Get queued logs
-  const queuedLogs = getQCHAINLogs();
-  console.log(`Found ${queuedLogs.length} queued logs to synchronize.`);
+  const queued = await getQCHAINDeliveryStatus();
+  console.log(`Found ${queued.pending} queued logs to synchronize.`);
   
   // Measure sync start time
   const syncStart = Date.now();
   
-  // Simulate CRDT merge operations
-  const mergeTimes = [];
-  for (let i = 0; i < queuedLogs.length; i++) {
-    const mergeStart = Date.now();
-    
-    // Simulate merge operation (in a real implementation, this would be handled by HsbCRDT)
-    await new Promise(resolve => setTimeout(resolve, Math.random() * 2)); // 0-2ms per merge
-    
-    const mergeEnd = Date.now();
-    mergeTimes.push(mergeEnd - mergeStart);
-    
-    metrics.syncedOperations++;
-    
-    // Log progress
-    if (i % 1000 === 0 || i === queuedLogs.length - 1) {
-      console.log(`Sync progress: ${i + 1}/${queuedLogs.length}`);
+  // Deliver the outbox backlog
+  const delivery = await flushQCHAIN();
+  console.log(`Sync result: ${delivery.acknowledged} acknowledged, ${delivery.pending} pending, ${delivery.failed} failed`);
+  
+  // Reconcile with the ledger node: count the offline operations it holds unchanged
+  const held = await fetchLedgerHashes(ledgerUrl);
+  const local = new Map((await getQCHAINLogs({ decrypt: false })).map(entry => [entry.txId, entry.hash]));
+  for (const txId of offlineTxIds) {
+    if (held.has(txId) && held.get(txId) === local.get(txId)) {
+      metrics.syncedOperations++;
     }
   }
   
-  // Calculate average CRDT merge latency
-  metrics.crdtMergeLatency = mergeTimes.reduce((sum, time) => sum + time, 0) / mergeTimes.length;
+  // Every offline operation needs a receipt signed by the ledger node as proof of acceptance
+  for (const txId of offlineTxIds) {
+    const record = await getQCHAINDeliveryStatus(txId);
+    if (record && record.receipt && await verifyReceipt(record.receipt)) {
+      metrics.receiptsVerified++;
+    }
+  }
   
   // Measure sync end time
   const syncEnd = Date.now();
   metrics.syncLatency = syncEnd - syncStart;
   
+  // Merge the partitioned replicas with one anti-entropy exchange
+  const mergeStart = Date.now();
+  const merge = await replicas.relay.sync(replicas.habitat);
+  const mergeTime = Date.now() - mergeStart;
+  
+  const rejected = [...merge.rejected, ...merge.rejectedByPeer];
+  if (rejected.length > 0) {
+    throw new Error(`Replica merge rejected ${rejected.length} entries: ${rejected[0].reason}`);
+  }
+  
+  // Average merge time per entry exchanged between the replicas
+  metrics.mergedEntries = merge.sent + merge.received;
+  metrics.crdtMergeLatency = metrics.mergedEntries > 0 ? mergeTime / metrics.mergedEntries : 0;
+  
   console.log(`Synchronized ${metrics.syncedOperations} operations in ${metrics.syncLatency} ms.`);
+  console.log(`Merged replicas: ${merge.sent} entries sent to the habitat, ${merge.received} received from it.`);
   console.log(`Average CRDT merge latency: ${metrics.crdtMergeLatency.toFixed(2)} ms.`);
 }
 
+/**
+ * Read the hash of every entry the ledger node holds, through its sync endpoint
+ * @param {string} ledgerUrl - Base URL of the ledger node
+ * @returns {Promise<Map>} Entry hashes by txId
+ */
+async function fetchLedgerHashes(ledgerUrl) {
+  const hashes = new Map();
+  let after = -1;
+  let page;
+  
+  do {
+    const response = await fetch(`${ledgerUrl}/sync?after=${after}&limit=1000`);
+    if (!response.ok) {
+      throw new Error(`Ledger sync responded ${response.status}`);
+    }
+    
+    page = await response.json();
+    page.records.forEach(record => hashes.set(record.entry.txId, record.entry.hash));
+    after += page.records.length;
+  } while (page.records.length > 0 && after < page.head);
+  
+  return hashes;
+}
+
 /**
  * Verify data integrity after synchronization
  * @param {Object} metrics - Test metrics
+ * @param {Object} replicas - Relay and habitat replicas
  */
-async function verifyDataIntegrity(metrics) {
+async function verifyDataIntegrity(metrics, replicas) {
   console.log('Verifying data integrity...');
   
-  // In a real implementation, this would verify that all data was correctly synchronized
-  // For this simulation, we'll just check that the number of synced operations matches the number of offline operations
+  // Every offline operation must have been synchronized and must be present in the ledger
+  
+  // The ledger written during the blackout must also be an unbroken hash chain
+  const chain = await verifyQCHAINChain();
+  metrics.chainLength = chain.length;
+  if (!chain.valid) {
+    throw new Error(`QCHAIN chain broken at sequence ${chain.brokenAt.sequence} (${chain.brokenAt.txId}): ${chain.brokenAt.reason}`);
+  }
+  
+  // Page through this run's offline entries rather than trusting the counters
+  metrics.ledgerOperations = 0;
+  let page = { nextCursor: undefined };
+  do {
+    page = await queryQCHAIN({
+      txIdPrefix: 'OFFLINE-OP-',
+      from: metrics.startTime,
+      metrics: { dataSize: TEST_CONFIG.dataSize },
+      limit: 1000,
+      cursor: page.nextCursor
+    });
+    metrics.ledgerOperations += page.entries.length;
+  } while (page.nextCursor);
+  
+  // Both replicas must hold the same ledger, in the same order
+  const [relayDigest, habitatDigest] = await Promise.all([
+    replicas.relay.getLedgerDigest(),
+    replicas.habitat.getLedgerDigest()
+  ]);
+  metrics.replicatedEntries = replicas.relay.getLedger().length;
+  metrics.replicasConverged = relayDigest === habitatDigest &&
+    metrics.replicatedEntries === metrics.offlineOperations + metrics.habitatOperations;
   
-  if (metrics.syncedOperations === metrics.offlineOperations) {
+  const delivered = metrics.syncedOperations === metrics.offlineOperations &&
+    metrics.receiptsVerified === metrics.offlineOperations &&
+    metrics.ledgerOperations === metrics.offlineOperations;
+  if (delivered && metrics.replicasConverged) {
     console.log('Data integrity verification passed.');
     
     // Log verification to QCHAIN
     await logQCHAIN({
       event: 'Data Integrity Verification',
-      txId: `INTEGRITY-VERIFY-${Date.now()}`,
+      txId: createQCHAINTxId('INTEGRITY-VERIFY'),
       metrics: {
         offlineOperations: metrics.offlineOperations,
         syncedOperations: metrics.syncedOperations,
+        receiptsVerified: metrics.receiptsVerified,
+        ledgerOperations: metrics.ledgerOperations,
+        chainLength: metrics.chainLength,
+        replicatedEntries: metrics.replicatedEntries,
+        ledgerDigest: relayDigest,
         integrityStatus: 'PASSED',
         phiCoherence: TEST_CONFIG.phiCoherence,
         compliance: '100%'
@@ -256,16 +411,21 @@ async function verifyDataIntegrity(metrics) {
     
     return true;
   } else {
-    const error = `Data integrity verification failed: ${metrics.syncedOperations} synced operations vs ${metrics.offlineOperations} offline operations.`;
+    const error = metrics.replicasConverged
+      ? `Data integrity verification failed: ${metrics.syncedOperations} synced, ${metrics.receiptsVerified} receipted and ${metrics.ledgerOperations} ledger operations vs ${metrics.offlineOperations} offline operations.`
+      : `Data integrity verification failed: replicas diverged (${metrics.replicatedEntries} relay entries, digests ${relayDigest} and ${habitatDigest}).`;
     console.error(error);
     
     // Log verification failure to QCHAIN
     await logQCHAIN({
       event: 'Data Integrity Verification',
-      txId: `INTEGRITY-VERIFY-${Date.now()}`,
+      txId: createQCHAINTxId('INTEGRITY-VERIFY'),
       metrics: {
         offlineOperations: metrics.offlineOperations,
         syncedOperations: metrics.syncedOperations,
+        receiptsVerified: metrics.receiptsVerified,
+        ledgerOperations: metrics.ledgerOperations,
+        replicatedEntries: metrics.replicatedEntries,
         integrityStatus: 'FAILED',
         error,
         phiCoherence: TEST_CONFIG.phiCoherence,
@@ -277,5 +437,23 @@ async function verifyDataIntegrity(metrics) {
   }
 }
 
+/**
+ * Compact acknowledged segments and verify the remaining ledger
+ * @param {Object} metrics - Test metrics
+ */
+async function verifyCompaction(metrics) {
+  console.log('Compacting acknowledged segments...');
+  
+  const compaction = await compactQCHAIN();
+  metrics.compactedEntries = compaction.removed;
+  
+  const chain = await verifyQCHAINChain();
+  if (!chain.valid) {
+    throw new Error(`QCHAIN chain broken after compaction at sequence ${chain.brokenAt.sequence} (${chain.brokenAt.txId}): ${chain.brokenAt.reason}`);
+  }
+  
+  console.log(`Compacted ${compaction.removed} entries in ${compaction.compactedBatches} batches; ${chain.length} entries remain.`);
+}
+
 // Export the test runner
 export default runOfflineStressTest;
@@ -0,0 +1,82 @@
+/**
+ * QCHAIN-archive.test.js - QCHAIN Ledger Archives
+ * JSON Lines and CBOR export, and verified import into another ledger
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeCBOR, decodeCBOR } from '../src/quantum/QCHAIN-cbor.js';
+import { detectArchiveFormat, decodeArchive } from '../src/quantum/QCHAIN-archive.js';
+import { configureQCHAINStorage, logQCHAIN, getQCHAINLogs, exportQCHAIN, importQCHAIN, verifyQCHAINChain } from '../src/quantum/QCHAIN.js';
+import { MemoryStore } from '../src/quantum/QCHAIN-storage.js';
+
+/**
+ * Collect an export into one byte array
+ * @param {string} format - Archive format
+ * @param {Object} range - Sequence range
+ * @returns {Promise<Uint8Array>} Archive bytes
+ */
+const collect = async (format, range) => {
+  const chunks = [];
+  for await (const chunk of exportQCHAIN(format, range)) {
+    chunks.push(...chunk);
+  }
+  return new Uint8Array(chunks);
+};
+
+beforeEach(async () => {
+  configureQCHAINStorage(new MemoryStore());
+  for (let i = 0; i < 4; i++) {
+    await logQCHAIN({ event: 'Test Event', txId: `TEST-${i}`, interplanetary: false, metrics: { i, fidelity: i / 4, tags: ['a', 'b'] } });
+  }
+});
+
+test('CBOR round-trips the values chain entries hold', () => {
+  const value = { n: -7, big: 2 ** 40, f: 0.25, s: 'Φ', list: [true, false, null], nested: { empty: {} } };
+  assert.deepEqual(decodeCBOR(encodeCBOR(value)), value);
+});
+
+test('both formats export every entry as stored', async () => {
+  const stored = await getQCHAINLogs({ decrypt: false });
+  for (const format of ['jsonl', 'cbor']) {
+    const bytes = await collect(format);
+    assert.equal(detectArchiveFormat(bytes), format);
+    const { entries, errors } = decodeArchive(bytes);
+    assert.equal(errors.length, 0);
+    assert.deepEqual(entries.map(item => item.entry), stored);
+  }
+
+  const { entries } = decodeArchive(await collect('jsonl', { from: 2, to: 3 }));
+  assert.deepEqual(entries.map(item => item.entry.sequence), [2, 3]);
+});
+
+test('an archive imports into an empty ledger and verifies there', async () => {
+  const bytes = await collect('cbor');
+  configureQCHAINStorage(new MemoryStore());
+
+  const result = await importQCHAIN(bytes);
+  assert.deepEqual(result, { imported: 5, skipped: 0, rejected: [] });
+  assert.equal((await verifyQCHAINChain(null, { verifySignatures: true })).valid, true);
+
+  const again = await importQCHAIN(bytes);
+  assert.equal(again.imported, 0);
+  assert.equal(again.skipped, 5);
+});
+
+test('import rejects edited entries and everything that would link past them', async () => {
+  const lines = new TextDecoder().decode(await collect('jsonl')).trim().split('\n');
+  const edited = JSON.parse(lines[2]);
+  edited.metrics.i = 99;
+  lines[2] = JSON.stringify(edited);
+  configureQCHAINStorage(new MemoryStore());
+
+  const result = await importQCHAIN([...lines, 'not json'].join('\n'));
+  assert.equal(result.imported, 2);
+  assert.deepEqual(result.rejected.slice(0, 3).map(item => item.reason), [
+    'Entry hash does not match contents',
+    'Expected sequence 2, found 3',
+    'Expected sequence 2, found 4'
+  ]);
+  assert.match(result.rejected[3].reason, /^Malformed JSON/);
+  assert.equal((await getQCHAINLogs()).length, 2);
+});
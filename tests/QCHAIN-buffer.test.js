@@ -0,0 +1,131 @@
+/**
+ * QCHAIN-buffer.test.js - Buffered QCHAIN Logging
+ * Group commits in queue order, the bounded queue and backpressure, and buffered logQCHAIN
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QCHAINBuffer, OVERFLOW_REJECT } from '../src/quantum/QCHAIN-buffer.js';
+import {
+  configureQCHAINStorage,
+  configureQCHAINBuffering,
+  logQCHAIN,
+  flushQCHAIN,
+  getQCHAINLogs,
+  verifyQCHAINChain
+} from '../src/quantum/QCHAIN.js';
+import { MemoryStore } from '../src/quantum/QCHAIN-storage.js';
+
+/**
+ * Create a buffer that records the groups it commits
+ * @param {Object} options - Extra buffer options
+ * @returns {Object} { buffer, groups }
+ */
+const createBuffer = (options = {}) => {
+  const groups = [];
+  const buffer = new QCHAINBuffer({
+    flushInterval: 1000,
+    ...options,
+    commit: async group => {
+      groups.push(group.map(item => item.data.txId));
+      return group.map(item => item.data.txId.endsWith('-BAD') ? { error: new Error('refused') } : { entry: item.data });
+    }
+  });
+  return { buffer, groups };
+};
+
+test('full groups commit at once and flush commits the rest in order', async () => {
+  const { buffer, groups } = createBuffer({ groupSize: 2 });
+  for (const txId of ['TEST-1', 'TEST-2', 'TEST-3']) {
+    await buffer.push({ data: { txId } });
+  }
+  await buffer.commitQueued();
+  assert.deepEqual(groups, [['TEST-1', 'TEST-2'], ['TEST-3']]);
+
+  const error = console.error;
+  console.error = () => {};
+  try {
+    await buffer.push({ data: { txId: 'TEST-4-BAD' } });
+    const { committed, failed } = await buffer.flush();
+    assert.equal(committed, 0);
+    assert.deepEqual(failed.map(item => item.txId), ['TEST-4-BAD']);
+    assert.equal(buffer.getStatus().failed, 1);
+  } finally {
+    console.error = error;
+  }
+});
+
+test('a full queue raises backpressure and refuses or holds back callers', async () => {
+  const events = [];
+  const { buffer } = createBuffer({
+    maxQueue: 2,
+    groupSize: 10,
+    overflow: OVERFLOW_REJECT,
+    onBackpressure: () => events.push('backpressure'),
+    onDrain: () => events.push('drain')
+  });
+
+  await buffer.push({ data: { txId: 'TEST-1' } });
+  assert.equal((await buffer.push({ data: { txId: 'TEST-2' } })).backpressure, true);
+  await assert.rejects(buffer.push({ data: { txId: 'TEST-3' } }), /QCHAIN buffer is full/);
+
+  await buffer.flush();
+  assert.deepEqual(events, ['backpressure', 'drain']);
+  assert.equal(buffer.getStatus().queued, 0);
+
+  const { buffer: waiting } = createBuffer({ maxQueue: 1, groupSize: 10 });
+  await waiting.push({ data: { txId: 'TEST-1' } });
+  const held = waiting.push({ data: { txId: 'TEST-2' } });
+  await waiting.commitQueued();
+  assert.equal((await held).queued, 1);
+  await waiting.flush();
+});
+
+test('a background commit that throws is kept for the next flush, and failures are capped', async () => {
+  const error = console.error;
+  console.error = () => {};
+  try {
+    const { buffer } = createBuffer({
+      maxQueue: 2,
+      highWaterMark: 1,
+      groupSize: 1,
+      onDrain: () => {
+        throw new Error('drain refused');
+      }
+    });
+    await buffer.push({ data: { txId: 'TEST-1' } });
+    await new Promise(resolve => setImmediate(resolve));
+    const { failed } = await buffer.flush();
+    assert.deepEqual(failed.map(item => [item.txId, item.error.message]), [[null, 'drain refused']]);
+    assert.equal(buffer.getStatus().committed, 1);
+
+    const { buffer: failing } = createBuffer({ groupSize: 10, maxFailures: 2 });
+    for (const txId of ['TEST-1-BAD', 'TEST-2-BAD', 'TEST-3-BAD']) {
+      await failing.push({ data: { txId } });
+    }
+    const flushed = await failing.flush();
+    assert.deepEqual(flushed.failed.map(item => item.txId), ['TEST-2-BAD', 'TEST-3-BAD']);
+    assert.equal(failing.getStatus().failed, 3);
+  } finally {
+    console.error = error;
+  }
+});
+
+test('buffered entries are chained in the order they were logged', async () => {
+  configureQCHAINStorage(new MemoryStore());
+  await configureQCHAINBuffering({ enabled: true, groupSize: 4, flushInterval: 1000 });
+  try {
+    const results = [];
+    for (let i = 0; i < 6; i++) {
+      results.push(await logQCHAIN({ event: 'Test Event', txId: `TEST-${i}`, interplanetary: false }));
+    }
+    assert.ok(results.every(result => result.status === 'queued'));
+
+    await flushQCHAIN();
+    const logs = await getQCHAINLogs();
+    assert.deepEqual(logs.filter(entry => entry.txId.startsWith('TEST-')).map(entry => entry.txId), ['TEST-0', 'TEST-1', 'TEST-2', 'TEST-3', 'TEST-4', 'TEST-5']);
+    assert.equal((await verifyQCHAINChain()).valid, true);
+  } finally {
+    await configureQCHAINBuffering({ enabled: false });
+  }
+});
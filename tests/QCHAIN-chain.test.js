@@ -0,0 +1,91 @@
+/**
+ * QCHAIN-chain.test.js - Hash-Chained QCHAIN Entries
+ * Links, tamper detection and the chain fields event data may not set
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GENESIS_PREVIOUS_HASH, createChainEntry, compareQCHAINEntries } from '../src/quantum/QCHAIN-chain.js';
+import { configureQCHAINStorage, logQCHAIN, getQCHAINLogs, verifyQCHAINChain } from '../src/quantum/QCHAIN.js';
+import { MemoryStore } from '../src/quantum/QCHAIN-storage.js';
+
+/**
+ * Build a chain of plain entries without going through the ledger
+ * @param {number} length - Number of entries
+ * @returns {Promise<Array<Object>>} Chain entries
+ */
+const buildChain = async (length) => {
+  const chain = [];
+  for (let i = 0; i < length; i++) {
+    chain.push(await createChainEntry({ event: 'Test Event', txId: `TEST-${i}`, metrics: { i } }, chain[i - 1] || null));
+  }
+  return chain;
+};
+
+test('entries link to their predecessor from the genesis hash', async () => {
+  const chain = await buildChain(3);
+  assert.equal(chain[0].sequence, 0);
+  assert.equal(chain[0].previousHash, GENESIS_PREVIOUS_HASH);
+  assert.equal(chain[2].previousHash, chain[1].hash);
+  assert.deepEqual(await verifyQCHAINChain(chain), { valid: true, length: 3, compacted: 0, brokenAt: null });
+});
+
+test('verification catches edited, removed and relinked entries', async () => {
+  const edited = await buildChain(4);
+  edited[2] = { ...edited[2], metrics: { i: 99 } };
+  assert.equal((await verifyQCHAINChain(edited)).brokenAt.reason, 'Entry hash does not match contents');
+
+  const removed = await buildChain(4);
+  removed.splice(1, 1);
+  assert.equal((await verifyQCHAINChain(removed)).brokenAt.reason, 'Expected sequence 1, found 2');
+
+  const relinked = await buildChain(4);
+  relinked[3] = { ...relinked[3], previousHash: relinked[1].hash };
+  assert.equal((await verifyQCHAINChain(relinked)).brokenAt.reason, 'Previous hash does not match predecessor');
+});
+
+test('event data cannot set the chain fields', async () => {
+  const [first] = await buildChain(1);
+  for (const field of ['sequence', 'previousHash', 'hash', 'signature']) {
+    await assert.rejects(
+      createChainEntry({ event: 'Test Event', txId: 'TEST-X', [field]: 0 }, first),
+      new RegExp(`may not set chain fields: ${field}`)
+    );
+  }
+});
+
+test('logQCHAIN refuses data that would overwrite the link', async () => {
+  configureQCHAINStorage(new MemoryStore());
+  await logQCHAIN({ event: 'Test Event', txId: 'TEST-LINK-1', interplanetary: false });
+
+  await assert.rejects(
+    logQCHAIN({ event: 'Test Event', txId: 'TEST-LINK-2', interplanetary: false, sequence: 0, previousHash: GENESIS_PREVIOUS_HASH }),
+    /may not set chain fields: sequence, previousHash/
+  );
+  assert.equal((await getQCHAINLogs()).length, 2);
+  assert.equal((await verifyQCHAINChain()).valid, true);
+});
+
+test('logQCHAIN refuses the events and txIds QCHAIN reserves for itself', async () => {
+  configureQCHAINStorage(new MemoryStore());
+  await assert.rejects(logQCHAIN({ event: 'QCHAIN Snapshot', txId: 'TEST-FORGED-1', interplanetary: false }), /reserved/);
+  await assert.rejects(logQCHAIN({ event: 'Test Event', txId: 'QCHAIN-SNAPSHOT-99', interplanetary: false }), /reserved/);
+  assert.equal((await getQCHAINLogs()).length, 0);
+});
+
+test('a snapshot cannot cover sequences at or after its own', async () => {
+  const chain = await buildChain(4);
+  chain.splice(2, 1);
+  chain.push(await createChainEntry({
+    event: 'QCHAIN Snapshot',
+    txId: 'QCHAIN-SNAPSHOT-9',
+    metrics: { sequence: 9, headHash: chain[2].hash, retainedFrom: 0, retained: {} }
+  }, chain[2]));
+  assert.equal((await verifyQCHAINChain(chain)).brokenAt.reason, 'Expected sequence 2, found 3');
+});
+
+test('entries order by HLC timestamp, then sequence', () => {
+  const at = (physical, sequence) => ({ sequence, hlc: { physical, logical: 0, node: 'a' } });
+  const sorted = [at(20, 0), at(10, 2), at(10, 1)].sort(compareQCHAINEntries);
+  assert.deepEqual(sorted.map(entry => entry.sequence), [1, 2, 0]);
+});
@@ -0,0 +1,126 @@
+/**
+ * QCHAIN-cli.test.js - QCHAIN Audit and Inspection Commands
+ * verify, diff, stats and tail over ledger files, with the exit codes releases gate on
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { runQCHAINCli, EXIT_OK, EXIT_INTEGRITY_FAILURE, EXIT_USAGE } from '../src/quantum/QCHAIN-cli.js';
+import { configureQCHAINStorage, logQCHAIN, exportQCHAIN } from '../src/quantum/QCHAIN.js';
+import { MemoryStore } from '../src/quantum/QCHAIN-storage.js';
+
+let dir;
+let sound;
+let edited;
+
+/**
+ * Run a qchain command, capturing its output
+ * @param {...string} args - Command line arguments
+ * @returns {Promise<Object>} { code, stdout, stderr }
+ */
+const qchain = async (...args) => {
+  const capture = () => {
+    const stream = { text: '', write: chunk => { stream.text += chunk; } };
+    return stream;
+  };
+  const stdout = capture();
+  const stderr = capture();
+  const code = await runQCHAINCli(args, { stdout, stderr });
+  return { code, stdout: stdout.text, stderr: stderr.text };
+};
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'qchain-cli-'));
+  configureQCHAINStorage(new MemoryStore());
+  for (let i = 0; i < 3; i++) {
+    await logQCHAIN({ event: 'Test Event', txId: `TEST-${i}`, interplanetary: false, metrics: { i } });
+  }
+
+  let archive = '';
+  for await (const chunk of exportQCHAIN('jsonl')) {
+    archive += new TextDecoder().decode(chunk);
+  }
+  const lines = archive.trim().split('\n');
+  const entry = JSON.parse(lines[2]);
+  entry.metrics.i = 99;
+  lines[2] = JSON.stringify(entry);
+
+  sound = join(dir, 'sound.jsonl');
+  edited = join(dir, 'edited.jsonl');
+  await writeFile(sound, archive);
+  await writeFile(edited, lines.join('\n') + '\n');
+});
+
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+test('verify exits 0 on a sound ledger and 1 on an edited one', async () => {
+  const ok = await qchain('verify', sound, '--json');
+  assert.equal(ok.code, EXIT_OK);
+  assert.equal(JSON.parse(ok.stdout).chain.length, 4);
+
+  const broken = await qchain('verify', edited, '--json');
+  assert.equal(broken.code, EXIT_INTEGRITY_FAILURE);
+  assert.deepEqual(JSON.parse(broken.stdout).chain.brokenAt, { index: 2, sequence: 2, txId: 'TEST-1', reason: 'Entry hash does not match contents' });
+});
+
+test('diff reports where two ledgers fork', async () => {
+  const { code, stdout } = await qchain('diff', sound, edited, '--json');
+  assert.equal(code, EXIT_INTEGRITY_FAILURE);
+  const report = JSON.parse(stdout);
+  assert.equal(report.lastCommon, 1);
+  assert.equal(report.forkedAt, 2);
+  assert.deepEqual(report.conflicts.map(conflict => conflict.txId), ['TEST-1']);
+
+  assert.equal((await qchain('diff', sound, sound)).code, EXIT_OK);
+});
+
+test('stats count entries per family and tail prints the latest entries', async () => {
+  const stats = JSON.parse((await qchain('stats', sound, '--json')).stdout);
+  assert.equal(stats.entries, 4);
+  assert.deepEqual([stats.families.QCHAIN.entries, stats.families.TEST.entries], [1, 3]);
+
+  const tail = await qchain('tail', sound, '-n', '2', '--prefix', 'TEST-', '--json');
+  assert.deepEqual(tail.stdout.trim().split('\n').map(line => JSON.parse(line).txId), ['TEST-1', 'TEST-2']);
+});
+
+test('tail --follow polls on one signal without piling up abort listeners', async () => {
+  const warnings = [];
+  const onWarning = warning => warnings.push(warning.name);
+  process.on('warning', onWarning);
+
+  const controller = new AbortController();
+  // Let well over ten 1 ms polls run before stopping
+  let ticks = 0;
+  const stderr = { write: () => {} };
+  const stdout = { write: () => {} };
+  const following = runQCHAINCli(['tail', sound, '-n', '0', '--follow', '--interval', '1'], { stdout, stderr, signal: controller.signal });
+  const counting = setInterval(() => {
+    if (++ticks > 40) {
+      controller.abort();
+    }
+  }, 2);
+
+  try {
+    assert.equal(await following, EXIT_OK);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(warnings, []);
+  } finally {
+    clearInterval(counting);
+    process.off('warning', onWarning);
+  }
+});
+
+test('usage errors and missing files exit 2', async () => {
+  const unknown = await qchain('bogus');
+  assert.equal(unknown.code, EXIT_USAGE);
+  assert.match(unknown.stderr, /unknown command 'bogus'/);
+
+  const missing = await qchain('verify', join(dir, 'missing.jsonl'));
+  assert.equal(missing.code, EXIT_USAGE);
+  assert.match(missing.stderr, /not found/);
+});
@@ -0,0 +1,93 @@
+/**
+ * QCHAIN-dtn.test.js - Delay-Tolerant Bundle Layer
+ * Contact windows, custody transfer, retransmission and expiry in virtual time
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ContactPlan, BundleAgent, DTNTransport } from '../src/quantum/QCHAIN-dtn.js';
+import { LoopbackTransport } from '../src/quantum/QCHAIN-transport.js';
+import { VirtualClock, hours, minutes } from '../src/time/VirtualClock.js';
+import { hashQCHAINEntry } from '../src/quantum/QCHAIN-encoding.js';
+
+const LIGHT_TIME = minutes(12.5);
+
+/**
+ * Connect a Mars habitat to an Earth ledger across a link with the given blackouts
+ * @param {Object} options - Link options
+ * @param {Array<Object>} options.blackouts - Outages as { start, end }
+ * @param {Object} options.ledger - Transport the Earth agent delivers to
+ * @param {number} options.lifetime - Bundle lifetime
+ * @returns {Object} { clock, habitat, earth, transport, outcomes }
+ */
+const createLink = ({ blackouts = [], ledger = new LoopbackTransport(), lifetime } = {}) => {
+  const clock = new VirtualClock();
+  const contactPlan = ContactPlan.fromBlackouts({ nodes: ['mars', 'earth'], end: hours(72), blackouts, oneWayLightTime: LIGHT_TIME });
+  const habitat = new BundleAgent({ nodeId: 'mars', clock, contactPlan, lifetime });
+  const earth = new BundleAgent({ nodeId: 'earth', clock, contactPlan, deliver: ledger });
+  habitat.connect(earth);
+
+  const transport = new DTNTransport({ agent: habitat, destination: 'earth' });
+  const outcomes = [];
+  transport.onAcknowledgement(acknowledgements => outcomes.push(...acknowledgements));
+  return { clock, habitat, earth, transport, outcomes };
+};
+
+/**
+ * Build an entry with its hash
+ * @param {number} sequence - Entry sequence
+ * @returns {Promise<Object>} Entry
+ */
+const hashedEntry = async (sequence) => {
+  const entry = { sequence, txId: `TEST-${sequence}` };
+  return { ...entry, hash: await hashQCHAINEntry(entry) };
+};
+
+test('contact plans open both directions outside blackouts', () => {
+  const plan = ContactPlan.fromBlackouts({ nodes: ['a', 'b'], end: hours(10), blackouts: [{ start: hours(2), end: hours(4) }] });
+  assert.equal(plan.isOpen('a', 'b', hours(1)), true);
+  assert.equal(plan.isOpen('b', 'a', hours(3)), false);
+  assert.equal(plan.findContact('a', 'b', hours(3)).start, hours(4));
+  assert.equal(plan.findContact('a', 'b', hours(11)), null);
+});
+
+test('custody is released one round trip after sending', async () => {
+  const { clock, habitat, transport, outcomes } = createLink();
+  const [accepted] = await transport.send([await hashedEntry(0)]);
+  assert.equal(accepted.status, 'accepted');
+  assert.equal(habitat.getStatus().held, 1);
+
+  await clock.advanceTo(2 * LIGHT_TIME - 1);
+  assert.equal(outcomes.length, 0);
+
+  await clock.advanceTo(2 * LIGHT_TIME);
+  assert.equal(outcomes[0].status, 'acknowledged');
+  assert.equal(habitat.getStatus().held, 0);
+});
+
+test('bundles wait out a blackout and are retransmitted while the ledger is unreachable', async () => {
+  const ledger = new LoopbackTransport({ online: false });
+  const { clock, habitat, transport, outcomes } = createLink({ blackouts: [{ start: 0, end: hours(6) }], ledger });
+  await transport.send([await hashedEntry(0)]);
+
+  await clock.advanceTo(hours(6) - 1);
+  assert.equal(habitat.getStatus().transmitted, 0, 'nothing leaves during the blackout');
+
+  await clock.advanceTo(hours(7));
+  ledger.setOnline(true);
+  await clock.advanceTo(hours(9));
+
+  assert.ok(habitat.getStatus().retransmitted >= 1);
+  assert.equal(outcomes[0].status, 'acknowledged');
+  assert.equal(ledger.getEntries().length, 1, 'delivered once despite retransmission');
+});
+
+test('bundles that outlive their lifetime expire with a reason', async () => {
+  const { clock, habitat, transport, outcomes } = createLink({ blackouts: [{ start: 0, end: hours(48) }], lifetime: hours(24) });
+  await transport.send([await hashedEntry(0)]);
+
+  await clock.advanceTo(hours(30));
+  assert.equal(outcomes[0].status, 'expired');
+  assert.match(outcomes[0].reason, /expired before delivery/);
+  assert.equal(habitat.getStatus().expired, 1);
+});
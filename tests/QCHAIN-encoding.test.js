@@ -0,0 +1,78 @@
+/**
+ * QCHAIN-encoding.test.js - Canonical Encoding
+ * The byte-exact form every QCHAIN signature and chain hash is computed over
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  canonicalize,
+  decanonicalize,
+  canonicalStringify,
+  hashQCHAINEntry,
+  sha256Hex,
+  bytesToHex,
+  hexToBytes,
+  bytesToBase64,
+  base64ToBytes
+} from '../src/quantum/QCHAIN-encoding.js';
+
+test('keys sort by UTF-16 code units with no whitespace', () => {
+  assert.equal(canonicalStringify({ b: 1, a: [2, { d: 3, c: 4 }], 'é': 5, Z: 6 }), '{"Z":6,"a":[2,{"c":4,"d":3}],"b":1,"é":5}');
+  assert.equal(canonicalStringify({ x: 1, y: 2 }), canonicalStringify({ y: 2, x: 1 }));
+});
+
+test('numbers take their shortest form; non-finite numbers and -0 follow JSON', () => {
+  assert.equal(canonicalStringify([1.0, 1e21, 0.1 + 0.2, -0, NaN, Infinity]), '[1,1e+21,0.30000000000000004,0,null,null]');
+});
+
+test('values JSON lacks get explicit encodings', () => {
+  const value = {
+    big: 12345678901234567890n,
+    when: new Date(Date.UTC(2025, 0, 1)),
+    map: new Map([['b', 1], ['a', 2]]),
+    set: new Set([3, 1, 2]),
+    bytes: new Uint8Array([1, 2, 255]),
+    skipped: undefined
+  };
+
+  assert.deepEqual(canonicalize(value), {
+    big: { $bigint: '12345678901234567890' },
+    when: '2025-01-01T00:00:00.000Z',
+    map: { $map: [['a', 2], ['b', 1]] },
+    set: { $set: [1, 2, 3] },
+    bytes: { $bytes: 'AQL/' }
+  });
+  const { skipped, ...decoded } = value;
+  assert.deepEqual(decanonicalize(canonicalize(value)), { ...decoded, when: '2025-01-01T00:00:00.000Z' });
+});
+
+test('plain objects with "$" keys are escaped, not read as encoded values', () => {
+  const value = { $map: [], nested: { $set: [1], $$note: 'x' } };
+  assert.equal(canonicalStringify(value), '{"$$map":[],"nested":{"$$$note":"x","$$set":[1]}}');
+  assert.notEqual(canonicalStringify({ $map: [] }), canonicalStringify(new Map()));
+  assert.deepEqual(decanonicalize(canonicalize(value)), value);
+  assert.deepEqual(decanonicalize(canonicalize({ $map: [] })), { $map: [] });
+  assert.deepEqual(decanonicalize(canonicalize(new Map())), new Map());
+});
+
+test('circular structures are refused', () => {
+  const value = { a: 1 };
+  value.self = value;
+  assert.throws(() => canonicalStringify(value), /circular/);
+});
+
+test('entry hashes cover everything but the hash itself', async () => {
+  const entry = { sequence: 0, txId: 'TEST-1', metrics: { b: 1, a: 2 } };
+  const hash = await hashQCHAINEntry(entry);
+
+  assert.equal(hash, await sha256Hex('{"metrics":{"a":2,"b":1},"sequence":0,"txId":"TEST-1"}'));
+  assert.equal(await hashQCHAINEntry({ ...entry, hash }), hash);
+});
+
+test('hex and base64 round trip bytes', () => {
+  const bytes = new Uint8Array([0, 15, 16, 255]);
+  assert.equal(bytesToHex(bytes), '000f10ff');
+  assert.deepEqual(hexToBytes('000f10ff'), bytes);
+  assert.deepEqual(base64ToBytes(bytesToBase64(bytes)), bytes);
+});
@@ -0,0 +1,83 @@
+/**
+ * QCHAIN-encryption.test.js - QCHAIN Encryption at Rest
+ * Encrypted fields, data key entries and rotation, and keyrings without the master key
+ */
+
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { QCHAINKeyring, isEncryptedValue } from '../src/quantum/QCHAIN-encryption.js';
+import {
+  configureQCHAINStorage,
+  configureQCHAINEncryption,
+  rotateQCHAINDataKey,
+  logQCHAIN,
+  getQCHAINLogs,
+  verifyQCHAINChain
+} from '../src/quantum/QCHAIN.js';
+import { MemoryStore } from '../src/quantum/QCHAIN-storage.js';
+
+const MASTER_KEY = '00112233445566778899aabbccddeeff00112233445566778899aabbccddeeff';
+
+/**
+ * Log a canon declaration, which the default rules encrypt
+ * @param {string} txId - Transaction ID
+ * @param {string} declaration - Declaration text
+ * @returns {Promise<Object>} Log result
+ */
+const declare = (txId, declaration) => {
+  return logQCHAIN({ event: 'Test Declaration', txId, interplanetary: false, metrics: { declaration, canon: 'XLV' } });
+};
+
+before(async () => {
+  await configureQCHAINEncryption({ masterKey: MASTER_KEY, masterKeyId: 'test-master' });
+});
+
+beforeEach(() => {
+  configureQCHAINStorage(new MemoryStore());
+});
+
+test('selected fields are stored encrypted and read back in the clear', async () => {
+  await declare('CANON-DECLARE-1', 'The spiral is sovereign');
+
+  const stored = (await getQCHAINLogs({ decrypt: false })).find(entry => entry.txId === 'CANON-DECLARE-1');
+  assert.ok(isEncryptedValue(stored.metrics.declaration));
+  assert.equal(stored.metrics.canon, 'XLV');
+  assert.ok(!JSON.stringify(stored).includes('sovereign'));
+
+  const read = (await getQCHAINLogs()).find(entry => entry.txId === 'CANON-DECLARE-1');
+  assert.equal(read.metrics.declaration, 'The spiral is sovereign');
+  assert.equal((await verifyQCHAINChain(null, { verifySignatures: true })).valid, true);
+});
+
+test('each namespace records its data key once, and rotation records a new one', async () => {
+  await declare('CANON-DECLARE-1', 'first');
+  await declare('CANON-DECLARE-2', 'second');
+  rotateQCHAINDataKey('CANON');
+  await declare('CANON-DECLARE-3', 'third');
+
+  const logs = await getQCHAINLogs();
+  const keys = logs.filter(entry => entry.event === 'QCHAIN Data Key');
+  assert.equal(keys.length, 2);
+  assert.ok(keys.every(entry => entry.metrics.namespace === 'CANON' && entry.metrics.masterKeyId === 'test-master'));
+  assert.deepEqual(logs.filter(entry => entry.txId.startsWith('CANON-')).map(entry => entry.metrics.declaration), ['first', 'second', 'third']);
+});
+
+test('ciphertext only opens with the master key, for the entry and field it was sealed for', async () => {
+  await declare('CANON-DECLARE-1', 'sealed');
+  const logs = await getQCHAINLogs({ decrypt: false });
+  const keyEntry = logs.find(entry => entry.event === 'QCHAIN Data Key');
+  const stored = logs.find(entry => entry.txId === 'CANON-DECLARE-1');
+
+  const stranger = new QCHAINKeyring();
+  await stranger.setMasterKey('ff'.repeat(32), 'other-master');
+  stranger.learn(keyEntry);
+  assert.ok(isEncryptedValue((await stranger.decrypt(stored)).metrics.declaration));
+
+  const holder = new QCHAINKeyring();
+  await holder.setMasterKey(MASTER_KEY, 'test-master');
+  holder.learn(keyEntry);
+  assert.equal((await holder.decrypt(stored)).metrics.declaration, 'sealed');
+
+  const moved = { ...stored, txId: 'CANON-DECLARE-2' };
+  assert.ok(isEncryptedValue((await holder.decrypt(moved)).metrics.declaration));
+});
@@ -0,0 +1,57 @@
+/**
+ * QCHAIN-index.test.js - Indexed QCHAIN Queries
+ * Filters by event, txId namespace, time and metrics, with cursor pagination
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { txIdNamespace, createQCHAINFilter } from '../src/quantum/QCHAIN-index.js';
+import { configureQCHAINStorage, logQCHAIN, queryQCHAIN } from '../src/quantum/QCHAIN.js';
+import { MemoryStore } from '../src/quantum/QCHAIN-storage.js';
+
+const started = Date.now();
+
+before(async () => {
+  configureQCHAINStorage(new MemoryStore());
+  for (let i = 0; i < 6; i++) {
+    await logQCHAIN({ event: 'Gate Test', txId: `GATE-${i}`, interplanetary: false, metrics: { fidelity: i / 10, gate: i % 2 ? 'H' : 'X' } });
+  }
+  await logQCHAIN({ event: 'Seal Test', txId: 'SEAL-0', interplanetary: false, metrics: { canon: 'XLV' } });
+});
+
+test('txId namespaces are the text before the first dash', () => {
+  assert.equal(txIdNamespace('QASF-GATE-1'), 'QASF');
+  assert.equal(txIdNamespace('plain'), 'plain');
+});
+
+test('queries filter by event, txId prefix and metric operators', async () => {
+  assert.equal((await queryQCHAIN({ event: 'Seal Test' })).entries[0].txId, 'SEAL-0');
+  assert.equal((await queryQCHAIN({ txIdPrefix: 'GATE-' })).entries.length, 6);
+
+  const { entries } = await queryQCHAIN({ event: 'Gate Test', metrics: { fidelity: { gte: 0.2, lt: 0.5 }, gate: 'H' } });
+  assert.deepEqual(entries.map(entry => entry.txId), ['GATE-3']);
+
+  const { entries: missing } = await queryQCHAIN({ metrics: { canon: { exists: false } }, txIdPrefix: 'SEAL-' });
+  assert.equal(missing.length, 0);
+});
+
+test('queries filter by timestamp', async () => {
+  assert.equal((await queryQCHAIN({ txIdPrefix: 'GATE-', from: started })).entries.length, 6);
+  assert.equal((await queryQCHAIN({ txIdPrefix: 'GATE-', to: started - 1 })).entries.length, 0);
+});
+
+test('pages follow the cursor in either order', async () => {
+  const first = await queryQCHAIN({ txIdPrefix: 'GATE-', limit: 4 });
+  const second = await queryQCHAIN({ txIdPrefix: 'GATE-', limit: 4, cursor: first.nextCursor });
+  assert.deepEqual([...first.entries, ...second.entries].map(entry => entry.txId), ['GATE-0', 'GATE-1', 'GATE-2', 'GATE-3', 'GATE-4', 'GATE-5']);
+  assert.equal(second.nextCursor, null);
+
+  const latest = await queryQCHAIN({ txIdPrefix: 'GATE-', limit: 2, order: 'desc' });
+  assert.deepEqual(latest.entries.map(entry => entry.txId), ['GATE-5', 'GATE-4']);
+});
+
+test('filters match plain entries the same way', () => {
+  const matches = createQCHAINFilter({ event: 'Gate Test', metrics: { gate: { in: ['H', 'Z'] } } });
+  assert.equal(matches({ event: 'Gate Test', txId: 'GATE-1', metrics: { gate: 'H' } }), true);
+  assert.equal(matches({ event: 'Gate Test', txId: 'GATE-2', metrics: { gate: 'X' } }), false);
+});
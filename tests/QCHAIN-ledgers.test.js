@@ -0,0 +1,98 @@
+/**
+ * QCHAIN-ledgers.test.js - Named QCHAIN Ledgers
+ * Routing and access policies, anchors of named heads in the root ledger, and anchor verification
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { QCHAINLedgerRegistry, ANCHOR_EVENT } from '../src/quantum/QCHAIN-ledgers.js';
+import {
+  configureQCHAINStorage,
+  configureQCHAINLedger,
+  logQCHAIN,
+  getQCHAINLogs,
+  anchorQCHAINLedgers,
+  verifyQCHAINAnchors,
+  verifyQCHAINChain
+} from '../src/quantum/QCHAIN.js';
+import { MemoryStore } from '../src/quantum/QCHAIN-storage.js';
+
+/**
+ * Log a gate entry, which the quantum ledger's routes select
+ * @param {number} i - Gate number
+ * @returns {Promise<Object>} Log result
+ */
+const gate = (i) => {
+  return logQCHAIN({ event: 'Test Gate', txId: `QASF-GATE-${i}`, interplanetary: false, metrics: { i } });
+};
+
+/**
+ * Create a MemoryStore holding entries
+ * @param {Array<Object>} entries - Stored entries
+ * @returns {MemoryStore} Store
+ */
+const storeOf = (entries) => {
+  const store = new MemoryStore();
+  store.entries = entries;
+  return store;
+};
+
+before(() => {
+  configureQCHAINStorage(new MemoryStore());
+  configureQCHAINLedger('quantum', {
+    routes: [{ txIdPrefix: 'QASF-' }],
+    access: { append: [{ txIdPrefix: 'QASF-' }] },
+    anchorInterval: 4,
+    store: new MemoryStore()
+  });
+});
+
+test('entries go to the ledger whose routes match them, others to the root ledger', async () => {
+  assert.equal((await gate(1)).ledger, 'quantum');
+  assert.equal((await logQCHAIN({ event: 'Test Event', txId: 'TEST-1', interplanetary: false })).ledger, 'root');
+
+  const quantum = await getQCHAINLogs({ ledger: 'quantum' });
+  assert.deepEqual(quantum.map(entry => entry.txId), ['QCHAIN-GENESIS-QUANTUM', 'QASF-GATE-1']);
+  assert.ok(quantum.every(entry => entry.ledger === 'quantum'));
+
+  await assert.rejects(logQCHAIN({ event: 'Test Event', txId: 'TEST-2', interplanetary: false }, { ledger: 'quantum' }), /The quantum ledger does not accept TEST-2/);
+  await assert.rejects(logQCHAIN({ event: 'Test Event', txId: 'TEST-3', interplanetary: false }, { ledger: 'canon' }), /Unknown QCHAIN ledger: canon/);
+});
+
+test('named heads are anchored in the root ledger every anchorInterval entries and on demand', async () => {
+  for (let i = 2; i <= 5; i++) {
+    await gate(i);
+  }
+  const anchors = (await getQCHAINLogs()).filter(entry => entry.event === ANCHOR_EVENT);
+  assert.deepEqual(anchors.map(anchor => anchor.metrics.sequence), [3]);
+
+  await gate(6);
+  const [anchor] = await anchorQCHAINLedgers();
+  const quantum = await getQCHAINLogs({ ledger: 'quantum' });
+  assert.deepEqual([anchor.ledger, anchor.sequence, anchor.headHash], ['quantum', 6, quantum[6].hash]);
+  assert.deepEqual(await anchorQCHAINLedgers(), []);
+
+  assert.deepEqual(await verifyQCHAINAnchors(), { valid: true, anchors: 2, verified: 2, unavailable: 0, brokenAt: null });
+  assert.equal((await verifyQCHAINChain()).valid, true);
+  assert.equal((await verifyQCHAINChain(null, { ledger: 'quantum' })).valid, true);
+});
+
+test('anchors that do not match the named ledger break verification', async () => {
+  const anchor = (txId, ledger, sequence, headHash) => ({ event: ANCHOR_EVENT, txId, sequence: 0, metrics: { ledger, sequence, headHash } });
+  const registry = new QCHAINLedgerRegistry();
+  registry.replaceStore(registry.root, storeOf([
+    anchor('QCHAIN-ANCHOR-1', 'canon', 0, 'aa'),
+    anchor('QCHAIN-ANCHOR-2', 'breath', 0, 'bb'),
+    anchor('QCHAIN-ANCHOR-3', 'canon', 1, 'cc')
+  ].map((entry, sequence) => ({ ...entry, sequence }))));
+  registry.define('canon', { store: storeOf([{ sequence: 0, hash: 'aa' }, { sequence: 1, hash: 'dd' }]) });
+
+  assert.deepEqual(await registry.verifyAnchors(), {
+    valid: false,
+    anchors: 3,
+    verified: 1,
+    unavailable: 1,
+    brokenAt: { txId: 'QCHAIN-ANCHOR-3', ledger: 'canon', sequence: 1, reason: 'Head hash does not match the canon ledger' }
+  });
+  assert.equal(await registry.anchoredSequence(registry.get('canon')), 1);
+});
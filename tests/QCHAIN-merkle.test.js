@@ -0,0 +1,84 @@
+/**
+ * QCHAIN-merkle.test.js - QCHAIN Merkle Batches and Inclusion Proofs
+ * RFC 6962 roots, audit paths and proofs against sealed batch roots
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  merkleLeafHash,
+  merkleNodeHash,
+  computeMerkleRoot,
+  buildMerklePath,
+  verifyInclusionProof
+} from '../src/quantum/QCHAIN-merkle.js';
+import { hashQCHAINEntry } from '../src/quantum/QCHAIN-encoding.js';
+import {
+  configureQCHAINStorage,
+  configureQCHAINBatching,
+  logQCHAIN,
+  getQCHAINLogs,
+  getInclusionProof
+} from '../src/quantum/QCHAIN.js';
+import { MemoryStore } from '../src/quantum/QCHAIN-storage.js';
+
+/**
+ * Build plain entries with their hashes
+ * @param {number} count - Number of entries
+ * @returns {Promise<Array<Object>>} Entries
+ */
+const hashedEntries = async (count) => {
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    const entry = { sequence: i, txId: `TEST-${i}` };
+    entries.push({ ...entry, hash: await hashQCHAINEntry(entry) });
+  }
+  return entries;
+};
+
+test('unbalanced trees split at the largest power of two below their size', async () => {
+  const leaves = await Promise.all((await hashedEntries(3)).map(entry => merkleLeafHash(entry.hash)));
+  const expected = await merkleNodeHash(await merkleNodeHash(leaves[0], leaves[1]), leaves[2]);
+  assert.equal(await computeMerkleRoot(leaves), expected);
+  assert.equal(await computeMerkleRoot(leaves.slice(0, 1)), leaves[0]);
+});
+
+test('every leaf of a tree proves against its root', async () => {
+  const entries = await hashedEntries(5);
+  const leaves = await Promise.all(entries.map(entry => merkleLeafHash(entry.hash)));
+  const root = await computeMerkleRoot(leaves);
+
+  for (let i = 0; i < entries.length; i++) {
+    const proof = { path: await buildMerklePath(leaves, i) };
+    assert.equal(await verifyInclusionProof(entries[i], proof, root), true, `leaf ${i}`);
+  }
+});
+
+test('edited entries and swapped paths do not prove', async () => {
+  const entries = await hashedEntries(4);
+  const leaves = await Promise.all(entries.map(entry => merkleLeafHash(entry.hash)));
+  const root = await computeMerkleRoot(leaves);
+  const proof = { path: await buildMerklePath(leaves, 1) };
+
+  const { hash, ...edited } = { ...entries[1], txId: 'TEST-EDITED' };
+  assert.equal(await verifyInclusionProof(edited, proof, root), false);
+  assert.equal(await verifyInclusionProof(entries[2], proof, root), false);
+  assert.equal(await verifyInclusionProof(entries[1], { path: [...proof.path].reverse() }, root), false);
+});
+
+test('proofs check entries against the root a batch seal recorded', async () => {
+  configureQCHAINStorage(new MemoryStore());
+  configureQCHAINBatching({ size: 4 });
+  for (let i = 0; i < 4; i++) {
+    await logQCHAIN({ event: 'Test Event', txId: `TEST-BATCH-${i}`, interplanetary: false });
+  }
+
+  const logs = await getQCHAINLogs();
+  const seal = logs.find(entry => entry.txId === 'QCHAIN-BATCH-0');
+  const proof = await getInclusionProof('TEST-BATCH-1');
+
+  assert.equal(proof.sealed, true);
+  assert.equal(proof.anchorTxId, 'QCHAIN-BATCH-0');
+  assert.equal(proof.root, seal.metrics.root);
+  assert.equal(await verifyInclusionProof(logs.find(entry => entry.txId === 'TEST-BATCH-1'), proof, seal.metrics.root), true);
+});
@@ -0,0 +1,96 @@
+/**
+ * QCHAIN-outbox.test.js - QCHAIN Transmission Outbox
+ * Delivery states, retries with backoff and restoring state from the journal
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QCHAINOutbox, OUTBOX_ACKNOWLEDGED, OUTBOX_FAILED } from '../src/quantum/QCHAIN-outbox.js';
+import { MemoryStore } from '../src/quantum/QCHAIN-storage.js';
+
+const entries = [0, 1, 2].map(sequence => ({ sequence, txId: `TEST-${sequence}`, hash: `hash-${sequence}` }));
+
+/**
+ * Acknowledge every entry of a transmission
+ * @param {Array} batch - Entries
+ * @returns {Array} Acknowledgements
+ */
+const acknowledgeAll = (batch) => batch.map(entry => ({ txId: entry.txId, status: OUTBOX_ACKNOWLEDGED, hash: entry.hash }));
+
+test('entries are delivered once, in sequence order, and deduplicated by txId', async () => {
+  const sent = [];
+  const outbox = new QCHAINOutbox({ transmit: async batch => { sent.push(...batch.map(entry => entry.txId)); return acknowledgeAll(batch); } });
+  await outbox.load([entries[2], entries[0], entries[1]]);
+  outbox.track({ ...entries[0] });
+
+  assert.deepEqual(await outbox.flush(), { pending: 0, inFlight: 0, acknowledged: 3, failed: 0 });
+  await outbox.flush();
+  assert.deepEqual(sent, ['TEST-0', 'TEST-1', 'TEST-2']);
+});
+
+test('failed attempts back off exponentially until they run out', async () => {
+  let now = 1000;
+  const outbox = new QCHAINOutbox({
+    transmit: async () => { throw new Error('link down'); },
+    baseDelay: 100,
+    maxAttempts: 3,
+    random: () => 0,
+    now: () => now
+  });
+  await outbox.load([entries[0]]);
+
+  await outbox.flush();
+  assert.equal(outbox.getRecord('TEST-0').nextAttemptAt, 1050);
+  assert.equal(outbox.getRecord('TEST-0').lastError, 'link down');
+
+  now = 2000;
+  await outbox.flush();
+  assert.equal(outbox.getRecord('TEST-0').nextAttemptAt, 2100);
+
+  await outbox.flush();
+  assert.equal(outbox.getRecord('TEST-0').status, OUTBOX_FAILED);
+  assert.equal(outbox.backoffDelay(30), outbox.maxDelay / 2);
+  await outbox.clear();
+});
+
+test('acknowledgements for different contents, and rejections, are not delivery', async () => {
+  const outbox = new QCHAINOutbox({
+    transmit: async batch => [
+      { txId: batch[0].txId, status: OUTBOX_ACKNOWLEDGED, hash: 'other' },
+      { txId: batch[1].txId, status: 'rejected', reason: 'Unknown key' }
+    ],
+    maxAttempts: 1
+  });
+  await outbox.load(entries.slice(0, 2));
+  await outbox.flush();
+
+  assert.equal(outbox.getRecord('TEST-0').lastError, 'Acknowledged hash does not match entry');
+  assert.equal(outbox.getRecord('TEST-1').status, OUTBOX_FAILED);
+  assert.equal(outbox.getRecord('TEST-1').lastError, 'Unknown key');
+});
+
+test('custody keeps entries in flight until the final acknowledgement is reconciled', async () => {
+  const outbox = new QCHAINOutbox({ transmit: async batch => batch.map(entry => ({ txId: entry.txId, status: 'accepted' })) });
+  await outbox.load([entries[0]]);
+
+  assert.equal((await outbox.flush()).inFlight, 1);
+  assert.equal((await outbox.reconcile(acknowledgeAll([entries[0]]))).acknowledged, 1);
+});
+
+test('final states survive a restart through the journal', async () => {
+  const journal = new MemoryStore();
+  const first = new QCHAINOutbox({ journal, transmit: async batch => acknowledgeAll(batch.slice(0, 1)), maxAttempts: 1 });
+  await first.load(entries.slice(0, 2));
+  await first.flush();
+
+  const sent = [];
+  const restarted = new QCHAINOutbox({ journal, transmit: async batch => { sent.push(...batch.map(entry => entry.txId)); return acknowledgeAll(batch); } });
+  await restarted.load(entries);
+  assert.equal(restarted.getRecord('TEST-0').status, OUTBOX_ACKNOWLEDGED);
+  assert.equal(restarted.getRecord('TEST-1').status, OUTBOX_FAILED);
+
+  await restarted.flush();
+  assert.deepEqual(sent, ['TEST-2']);
+  await restarted.flush({ retryFailed: true });
+  assert.deepEqual(sent, ['TEST-2', 'TEST-1']);
+});
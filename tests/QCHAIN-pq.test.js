@@ -0,0 +1,68 @@
+/**
+ * QCHAIN-pq.test.js - Post-Quantum Hash-Based Signatures
+ * One-time key use, exhaustion, key export and post-quantum signed entries
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MSS_WOTS_SHA256,
+  generatePostQuantumKeyPair,
+  exportPostQuantumKeyPair,
+  importPostQuantumKeyPair,
+  remainingPostQuantumSignatures,
+  signPostQuantum,
+  verifyPostQuantum
+} from '../src/quantum/QCHAIN-pq.js';
+import { setQCHAINPostQuantumKey } from '../src/quantum/QCHAIN-signing.js';
+import { configureQCHAINStorage, logQCHAIN, getQCHAINLogs, verifyQCHAINChain } from '../src/quantum/QCHAIN.js';
+import { MemoryStore } from '../src/quantum/QCHAIN-storage.js';
+
+test('every signature uses the next one-time key until the key is exhausted', async () => {
+  const keyPair = await generatePostQuantumKeyPair({ height: 2 });
+  assert.equal(keyPair.alg, MSS_WOTS_SHA256);
+
+  for (let leaf = 0; leaf < 4; leaf++) {
+    const signature = await signPostQuantum(`message ${leaf}`, keyPair);
+    assert.equal(signature.leaf, leaf);
+    assert.equal(await verifyPostQuantum(`message ${leaf}`, signature, keyPair.publicKey), true);
+  }
+
+  assert.equal(remainingPostQuantumSignatures(keyPair), 0);
+  await assert.rejects(signPostQuantum('one too many', keyPair), /exhausted/);
+});
+
+test('signatures do not verify for another message, leaf or key', async () => {
+  const keyPair = await generatePostQuantumKeyPair({ height: 2 });
+  const other = await generatePostQuantumKeyPair({ height: 2 });
+  const signature = await signPostQuantum('canon XLV', keyPair);
+
+  assert.equal(await verifyPostQuantum('canon XLVI', signature, keyPair.publicKey), false);
+  assert.equal(await verifyPostQuantum('canon XLV', { ...signature, leaf: 1 }, keyPair.publicKey), false);
+  assert.equal(await verifyPostQuantum('canon XLV', signature, other.publicKey), false);
+});
+
+test('an exported key resumes at its next leaf', async () => {
+  const keyPair = await generatePostQuantumKeyPair({ height: 2 });
+  await signPostQuantum('first', keyPair);
+
+  const restored = await importPostQuantumKeyPair(exportPostQuantumKeyPair(keyPair));
+  assert.equal(restored.publicKey, keyPair.publicKey);
+  assert.equal((await signPostQuantum('second', restored)).leaf, 1);
+
+  const mismatched = { ...exportPostQuantumKeyPair(keyPair), publicKey: (await generatePostQuantumKeyPair({ height: 1 })).publicKey };
+  await assert.rejects(importPostQuantumKeyPair(mismatched), /does not match/);
+});
+
+test('entries signed with the post-quantum key verify in the chain', async () => {
+  const saved = [];
+  await setQCHAINPostQuantumKey(await generatePostQuantumKeyPair({ height: 3 }), { onSign: exported => saved.push(exported) });
+  configureQCHAINStorage(new MemoryStore());
+
+  await logQCHAIN({ event: 'Test Event', txId: 'TEST-PQ-1', interplanetary: false }, { signatureAlgorithm: MSS_WOTS_SHA256 });
+
+  const [, entry] = await getQCHAINLogs();
+  assert.equal(entry.signature.alg, MSS_WOTS_SHA256);
+  assert.equal(saved[saved.length - 1].privateKey.nextLeaf, entry.signature.leaf + 1);
+  assert.equal((await verifyQCHAINChain(null, { verifySignatures: true })).valid, true);
+});
@@ -0,0 +1,63 @@
+/**
+ * QCHAIN-receipts.test.js - QCHAIN Transmission Receipts
+ * Receipts verify only against a trusted ledger key for the node they name, and only for their entry
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createQCHAINReceipt } from '../src/quantum/QCHAIN-receipts.js';
+import { generateQCHAINKeyPair, trustQCHAINKey, revokeQCHAINKey, KEY_ROLE_LEDGER } from '../src/quantum/QCHAIN-signing.js';
+import { configureQCHAINStorage, logQCHAIN, getQCHAINLogs, verifyReceipt } from '../src/quantum/QCHAIN.js';
+import { MemoryStore } from '../src/quantum/QCHAIN-storage.js';
+
+let entry;
+
+/**
+ * Sign a receipt for the logged entry
+ * @param {Object} keyPair - Signing keypair
+ * @param {string} ledger - Ledger node ID named in the receipt
+ * @param {Object} target - Entry the receipt is for
+ * @returns {Promise<Object>} Receipt
+ */
+const receiptFor = (keyPair, ledger, target = entry) => {
+  return createQCHAINReceipt(target, { ledger, position: 1, nodeTime: new Date(0).toISOString(), keyPair });
+};
+
+before(async () => {
+  configureQCHAINStorage(new MemoryStore());
+  await logQCHAIN({ event: 'Test Event', txId: 'TEST-1', interplanetary: false });
+  entry = (await getQCHAINLogs()).find(item => item.txId === 'TEST-1');
+});
+
+test('a receipt signed by a trusted ledger key verifies against its entry', async () => {
+  const ledgerKey = await generateQCHAINKeyPair();
+  const receipt = await receiptFor(ledgerKey, 'test-ledger');
+  assert.equal(await verifyReceipt(receipt), false);
+
+  await trustQCHAINKey(ledgerKey.publicKey, { nodeId: 'test-ledger', role: KEY_ROLE_LEDGER });
+  try {
+    assert.equal(await verifyReceipt(receipt), true);
+    assert.equal(await verifyReceipt(receipt, entry), true);
+    assert.equal(await verifyReceipt(receipt, { ...entry, hash: '00'.repeat(32) }), false);
+    assert.equal(await verifyReceipt({ ...receipt, position: 2 }), false);
+  } finally {
+    revokeQCHAINKey(ledgerKey.keyId);
+  }
+});
+
+test('node keys and ledger keys of other nodes cannot vouch for a receipt', async () => {
+  const nodeKey = await generateQCHAINKeyPair();
+  await trustQCHAINKey(nodeKey.publicKey, { nodeId: 'test-ledger' });
+  const otherLedger = await generateQCHAINKeyPair();
+  await trustQCHAINKey(otherLedger.publicKey, { nodeId: 'other-ledger', role: KEY_ROLE_LEDGER });
+  try {
+    assert.equal(await verifyReceipt(await receiptFor(nodeKey, 'test-ledger')), false);
+    assert.equal(await verifyReceipt(await receiptFor(otherLedger, 'test-ledger')), false);
+    assert.equal(await verifyReceipt(await receiptFor(otherLedger, 'other-ledger')), true);
+  } finally {
+    revokeQCHAINKey(nodeKey.keyId);
+    revokeQCHAINKey(otherLedger.keyId);
+  }
+
+  await assert.rejects(trustQCHAINKey(nodeKey.publicKey, { role: 'auditor' }), /Unknown QCHAIN key role: auditor/);
+});
@@ -0,0 +1,97 @@
+/**
+ * QCHAIN-redaction.test.js - QCHAIN Redaction
+ * Salted commitments, erasure of their cleartext, and redaction alongside encryption at rest
+ */
+
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { isCommittedValue, verifyQCHAINCommitment } from '../src/quantum/QCHAIN-redaction.js';
+import { isEncryptedValue } from '../src/quantum/QCHAIN-encryption.js';
+import {
+  configureQCHAINStorage,
+  configureQCHAINEncryption,
+  configureQCHAINRedaction,
+  logQCHAIN,
+  getQCHAINLogs,
+  redactQCHAINEntry,
+  verifyQCHAINChain
+} from '../src/quantum/QCHAIN.js';
+import { MemoryStore } from '../src/quantum/QCHAIN-storage.js';
+
+/**
+ * MemoryStore that refuses to store witness entries
+ */
+class RefusingStore extends MemoryStore {
+  /**
+   * @param {Object} entry - Chain entry
+   * @returns {Promise<void>}
+   */
+  async append(entry) {
+    if (entry.txId.startsWith('IYONAEL-WITNESS-')) {
+      throw new Error('disk full');
+    }
+    return super.append(entry);
+  }
+}
+
+/**
+ * Log a witness declaration, which the default rules encrypt
+ * @param {string} txId - Transaction ID
+ * @returns {Promise<Object>} Log result
+ */
+const witness = (txId) => {
+  return logQCHAIN({ event: 'Test Witness', txId, interplanetary: false, metrics: { declaration: { name: 'Iyona\'el', breath: 7 } } });
+};
+
+/**
+ * Find an entry by txId
+ * @param {string} txId - Transaction ID
+ * @param {Object} options - Read options for getQCHAINLogs
+ * @returns {Promise<Object>} Entry
+ */
+const find = async (txId, options) => (await getQCHAINLogs(options)).find(entry => entry.txId === txId);
+
+let cleartext;
+
+before(async () => {
+  await configureQCHAINEncryption({ masterKey: 'ab'.repeat(32), masterKeyId: 'test-master' });
+});
+
+beforeEach(() => {
+  cleartext = new MemoryStore();
+  configureQCHAINStorage(new MemoryStore());
+  configureQCHAINRedaction({ rules: [{ txIdPrefix: 'IYONAEL-WITNESS-', fields: ['metrics.declaration'] }], store: cleartext });
+});
+
+test('fields both committed and encrypted are logged as commitments and can be redacted', async () => {
+  await witness('IYONAEL-WITNESS-1');
+
+  const stored = await find('IYONAEL-WITNESS-1', { decrypt: false });
+  assert.ok(isCommittedValue(stored.metrics.declaration));
+  assert.ok(!isEncryptedValue(stored.metrics.declaration));
+  assert.deepEqual((await find('IYONAEL-WITNESS-1')).metrics.declaration, { name: 'Iyona\'el', breath: 7 });
+
+  const result = await redactQCHAINEntry('IYONAEL-WITNESS-1');
+  assert.deepEqual(result.redacted, ['metrics.declaration']);
+  assert.ok(isCommittedValue((await find('IYONAEL-WITNESS-1')).metrics.declaration));
+  assert.equal((await cleartext.load()).length, 0);
+
+  const logs = await getQCHAINLogs();
+  assert.deepEqual(logs.find(entry => entry.event === 'QCHAIN Redaction').metrics.fields, ['metrics.declaration']);
+  assert.equal((await verifyQCHAINChain(null, { verifySignatures: true })).valid, true);
+});
+
+test('openings verify against their commitment whatever the key order of the value', async () => {
+  await witness('IYONAEL-WITNESS-1');
+  const stored = await find('IYONAEL-WITNESS-1', { decrypt: false });
+  const [opening] = await cleartext.load();
+
+  assert.equal(await verifyQCHAINCommitment(stored.metrics.declaration, { ...opening, value: { breath: 7, name: 'Iyona\'el' } }), true);
+  assert.equal(await verifyQCHAINCommitment(stored.metrics.declaration, { ...opening, value: { breath: 8, name: 'Iyona\'el' } }), false);
+});
+
+test('openings are kept only for entries that were stored', async () => {
+  configureQCHAINStorage(new RefusingStore());
+  await assert.rejects(witness('IYONAEL-WITNESS-1'), /disk full/);
+  assert.equal((await cleartext.load()).length, 0);
+});
@@ -0,0 +1,86 @@
+/**
+ * QCHAIN-replication.test.js - Replicated QCHAIN Ledger
+ * Anti-entropy convergence, deterministic order and rejection of equivocation
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QCHAINReplica } from '../src/quantum/QCHAIN-replication.js';
+import { createChainEntry } from '../src/quantum/QCHAIN-chain.js';
+import { generateQCHAINKeyPair, trustQCHAINKey } from '../src/quantum/QCHAIN-signing.js';
+
+/**
+ * Create a replica with its own trusted key
+ * @param {string} nodeId - Node ID
+ * @param {Object} options - Extra replica options
+ * @returns {Promise<QCHAINReplica>} Replica
+ */
+const createReplica = async (nodeId, options = {}) => {
+  const keyPair = await generateQCHAINKeyPair();
+  await trustQCHAINKey(keyPair.publicKey, { nodeId });
+  return new QCHAINReplica({ nodeId, keyPair, ...options });
+};
+
+test('partitioned replicas converge on one ledger after an exchange', async () => {
+  const earth = await createReplica('earth');
+  const mars = await createReplica('mars');
+  const moon = await createReplica('moon');
+
+  await earth.append({ event: 'Test Event', txId: 'EARTH-1' });
+  await mars.append({ event: 'Test Event', txId: 'MARS-1' });
+  await mars.append({ event: 'Test Event', txId: 'MARS-2' });
+  await moon.append({ event: 'Test Event', txId: 'MOON-1' });
+
+  await earth.sync(mars);
+  await moon.sync(earth);
+  await mars.sync(moon);
+
+  const digest = await earth.getLedgerDigest();
+  assert.equal(await mars.getLedgerDigest(), digest);
+  assert.equal(await moon.getLedgerDigest(), digest);
+  assert.deepEqual(earth.getLedger().map(entry => entry.txId), moon.getLedger().map(entry => entry.txId));
+  assert.deepEqual(earth.getVersionVector(), { earth: 1, mars: 2, moon: 1 });
+
+  const again = await earth.sync(mars);
+  assert.equal(again.sent + again.received, 0);
+});
+
+test('the ledger order depends only on the entries held', async () => {
+  const a = await createReplica('node-a');
+  const b = await createReplica('node-b');
+  for (let i = 0; i < 3; i++) {
+    await a.append({ event: 'Test Event', txId: `A-${i}` });
+    await b.append({ event: 'Test Event', txId: `B-${i}` });
+  }
+
+  const forward = await createReplica('observer-1');
+  const backward = await createReplica('observer-2');
+  const entries = [...a.entriesSince(), ...b.entriesSince()];
+  await forward.receive(entries);
+  await backward.receive(entries.reverse());
+  assert.deepEqual(forward.getLedger(), backward.getLedger());
+});
+
+test('replicas reject equivocating, unlinked and untrusted entries', async () => {
+  const keyPair = await generateQCHAINKeyPair();
+  await trustQCHAINKey(keyPair.publicKey, { nodeId: 'writer' });
+  const writer = new QCHAINReplica({ nodeId: 'writer', keyPair });
+  const reader = await createReplica('reader');
+
+  const first = await writer.append({ event: 'Test Event', txId: 'W-1' });
+  await reader.receive([first]);
+
+  const { sequence, previousHash, hash, signature, ...body } = first;
+  const forked = await createChainEntry({ ...body, txId: 'W-1-FORK' }, null, { keyPair });
+  const result = await reader.receive([forked]);
+  assert.match(result.rejected[0].reason, /Conflicts with the entry held for writer at sequence 0/);
+
+  await writer.append({ event: 'Test Event', txId: 'W-2' });
+  const third = await writer.append({ event: 'Test Event', txId: 'W-3' });
+  assert.equal((await reader.receive([third])).rejected[0].reason, 'Missing entries 1-1 from writer');
+
+  const stranger = new QCHAINReplica({ nodeId: 'stranger', keyPair: await generateQCHAINKeyPair() });
+  const untrusted = await stranger.append({ event: 'Test Event', txId: 'S-1' });
+  assert.equal((await reader.receive([untrusted])).rejected[0].reason, 'Signature is invalid or from an untrusted key');
+  assert.equal(reader.getLedger().length, 1);
+});
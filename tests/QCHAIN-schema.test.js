@@ -0,0 +1,64 @@
+/**
+ * QCHAIN-schema.test.js - QCHAIN Event Schemas
+ * Validation on append, schema versions and upgrades, and strict mode
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerQCHAINSchema, validateQCHAINMetrics, upgradeQCHAINMetrics, getQCHAINEventType } from '../src/quantum/QCHAIN-schema.js';
+import { configureQCHAINStorage, configureQCHAINSchemas, logQCHAIN, getQCHAINLogs } from '../src/quantum/QCHAIN.js';
+import { MemoryStore } from '../src/quantum/QCHAIN-storage.js';
+
+registerQCHAINSchema('Schema Test', { version: 1, fields: { count: 'integer', label: 'string?' } });
+registerQCHAINSchema('Schema Test', {
+  version: 2,
+  fields: { count: 'integer', label: { type: 'string', default: 'none' }, mode: { type: 'string', enum: ['fast', 'slow'], optional: true } },
+  upgrade: metrics => ({ label: 'none', ...metrics })
+});
+
+beforeEach(() => {
+  configureQCHAINStorage(new MemoryStore());
+  configureQCHAINSchemas({ strict: false });
+});
+
+test('event types ignore the qualifier after a colon', () => {
+  assert.equal(getQCHAINEventType('QASF Gate Application: H'), 'QASF Gate Application');
+  assert.equal(getQCHAINEventType('Schema Test'), 'Schema Test');
+});
+
+test('metrics are validated against the latest version unless another is asked for', () => {
+  assert.deepEqual(validateQCHAINMetrics('Schema Test', { count: 1.5, mode: 'medium' }).errors, [
+    'metrics.count must be an integer',
+    'metrics.mode must be one of fast, slow'
+  ]);
+  assert.equal(validateQCHAINMetrics('Schema Test', { count: 1 }, { version: 1 }).version, 1);
+  assert.deepEqual(validateQCHAINMetrics('Unregistered', { anything: true }), { valid: true, version: null, errors: [] });
+});
+
+test('logged entries get defaults and record their schema version', async () => {
+  await logQCHAIN({ event: 'Schema Test: qualified', txId: 'TEST-1', interplanetary: false, metrics: { count: 3 } });
+  const entry = (await getQCHAINLogs()).find(entry => entry.txId === 'TEST-1');
+  assert.equal(entry.schemaVersion, 2);
+  assert.deepEqual(entry.metrics, { count: 3, label: 'none' });
+
+  await assert.rejects(
+    logQCHAIN({ event: 'Schema Test', txId: 'TEST-2', interplanetary: false, metrics: { count: 'three' } }),
+    /Invalid Schema Test entry \(schema v2\): metrics.count must be an integer/
+  );
+});
+
+test('older entries read in the shape of the latest version', () => {
+  assert.deepEqual(upgradeQCHAINMetrics({ event: 'Schema Test', metrics: { count: 1 } }), { version: 2, metrics: { label: 'none', count: 1 } });
+
+  const gate = upgradeQCHAINMetrics({ event: 'QASF Gate Application: CNOT', metrics: { gate: 'CNOT', targets: '1', controls: '0,2' } });
+  assert.deepEqual([gate.metrics.targets, gate.metrics.controls], [[1], [0, 2]]);
+});
+
+test('strict mode rejects undeclared metrics and entry fields', async () => {
+  configureQCHAINSchemas({ strict: true });
+  await assert.rejects(
+    logQCHAIN({ event: 'Schema Test', txId: 'TEST-3', interplanetary: false, metrics: { count: 1, extra: true }, note: 'x' }),
+    error => /note is not a QCHAIN entry field/.test(error.message) && /extra/.test(error.message)
+  );
+  await logQCHAIN({ event: 'Schema Test', txId: 'TEST-4', interplanetary: false, metrics: { count: 1 } });
+});
@@ -0,0 +1,99 @@
+/**
+ * QCHAIN-server.test.js - Local QCHAIN Ledger Server
+ * Validated append-only storage with signed receipts, and the HTTP query and sync endpoints
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { QCHAINLedgerServer } from '../src/quantum/QCHAIN-server.js';
+import { HttpTransport } from '../src/quantum/QCHAIN-transport.js';
+import { createChainEntry } from '../src/quantum/QCHAIN-chain.js';
+import { configureQCHAINStorage, configureQCHAINTransport, logQCHAIN, flushQCHAIN, getQCHAINLogs } from '../src/quantum/QCHAIN.js';
+import { MemoryStore } from '../src/quantum/QCHAIN-storage.js';
+
+let server;
+let url;
+
+/**
+ * Fetch a JSON endpoint of the server
+ * @param {string} path - Path and query
+ * @param {Object} init - fetch options
+ * @returns {Promise<Object>} { status, body }
+ */
+const request = async (path, init) => {
+  const response = await fetch(`${url}${path}`, init);
+  return { status: response.status, body: await response.json() };
+};
+
+before(async () => {
+  server = new QCHAINLedgerServer({ nodeId: 'test-ledger' });
+  ({ url } = await server.listen({ port: 0 }));
+
+  configureQCHAINStorage(new MemoryStore());
+  configureQCHAINTransport(new HttpTransport({ url: `${url}/append` }));
+  for (let i = 0; i < 4; i++) {
+    await logQCHAIN({ event: i % 2 ? 'Odd Event' : 'Even Event', txId: `TEST-${i}`, interplanetary: false, metrics: { i } });
+  }
+  await flushQCHAIN();
+});
+
+after(async () => {
+  await server.close();
+});
+
+test('entries sent over HTTP are stored with a receipt naming their position', async () => {
+  const { body: status } = await request('/status');
+  assert.equal(status.nodeId, 'test-ledger');
+  assert.equal(status.entries, 5);
+
+  const { body } = await request('/sync?after=-1&limit=10');
+  assert.equal(body.head, 4);
+  const record = body.records.find(item => item.entry.txId === 'TEST-2');
+  assert.equal(record.receipt.ledger, 'test-ledger');
+  assert.equal(record.receipt.position, record.position);
+  assert.equal(record.receipt.entryHash, record.entry.hash);
+});
+
+test('queries filter and page through held entries', async () => {
+  const first = await request('/entries?event=Odd%20Event&limit=1');
+  assert.deepEqual(first.body.records.map(item => item.entry.txId), ['TEST-1']);
+
+  const second = await request(`/entries?event=Odd%20Event&limit=1&after=${first.body.nextCursor}`);
+  assert.deepEqual(second.body.records.map(item => item.entry.txId), ['TEST-3']);
+  assert.equal(second.body.nextCursor, null);
+});
+
+test('edited and conflicting entries are rejected, resent ones acknowledged again', async () => {
+  const [stored] = (await getQCHAINLogs({ decrypt: false })).filter(entry => entry.txId === 'TEST-2');
+  const edited = { ...stored, metrics: { i: 99 } };
+  const forked = await createChainEntry({ event: 'Even Event', txId: 'TEST-2', metrics: { i: 2 } }, null);
+
+  const { body } = await request('/append', { method: 'POST', body: JSON.stringify({ entries: [edited, { nope: 1 }, stored, forked] }) });
+  assert.deepEqual(body.acknowledgements.map(ack => ack.status), ['rejected', 'rejected', 'acknowledged', 'rejected']);
+  assert.equal(body.acknowledgements[0].reason, 'Entry hash does not match contents');
+  assert.equal(body.acknowledgements[1].reason, 'Malformed entry');
+  assert.equal(body.acknowledgements[2].position, 3);
+  assert.equal(body.acknowledgements[3].reason, 'Conflicts with the entry held at position 3');
+  assert.equal((await request('/status')).body.entries, 5);
+});
+
+test('a txId repeated within one batch is stored once and can be appended again later', async () => {
+  const entry = await createChainEntry({ event: 'Odd Event', txId: 'TEST-REPEAT', metrics: { i: 5 } }, null);
+  const append = body => request('/append', { method: 'POST', body: JSON.stringify({ entries: body }) });
+
+  const first = await append([entry, entry]);
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.body.acknowledgements.map(ack => [ack.status, ack.position]), [['acknowledged', 5], ['acknowledged', 5]]);
+
+  const again = await append([entry]);
+  assert.equal(again.status, 200);
+  assert.deepEqual(again.body.acknowledgements.map(ack => [ack.status, ack.position]), [['acknowledged', 5]]);
+  assert.equal((await request('/status')).body.entries, 6);
+});
+
+test('malformed requests get 400 and unknown endpoints 404', async () => {
+  assert.equal((await request('/append', { method: 'POST', body: '{' })).status, 400);
+  assert.equal((await request('/append', { method: 'POST', body: '{}' })).status, 400);
+  assert.equal((await request('/sync?after=x')).status, 400);
+  assert.equal((await request('/nope')).status, 404);
+});
@@ -0,0 +1,55 @@
+/**
+ * QCHAIN-signing.test.js - QCHAIN Node Signatures
+ * Trusted key registry, key export and payload signatures
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ED25519,
+  generateQCHAINKeyPair,
+  exportQCHAINKeyPair,
+  importQCHAINKeyPair,
+  trustQCHAINKey,
+  revokeQCHAINKey,
+  getTrustedQCHAINKey,
+  signQCHAINPayload,
+  verifyQCHAINPayload
+} from '../src/quantum/QCHAIN-signing.js';
+import { configureQCHAINStorage, logQCHAIN, getQCHAINLogs, verifyQCHAINEntry } from '../src/quantum/QCHAIN.js';
+import { MemoryStore } from '../src/quantum/QCHAIN-storage.js';
+
+test('payloads verify only against trusted keys', async () => {
+  const keyPair = await generateQCHAINKeyPair();
+  const signature = await signQCHAINPayload({ b: 2, a: 1 }, { keyPair });
+  assert.equal(signature.alg, ED25519);
+  assert.equal(signature.keyId, keyPair.keyId);
+
+  assert.equal(await verifyQCHAINPayload({ a: 1, b: 2 }, signature), false);
+
+  await trustQCHAINKey(keyPair.publicKey, { nodeId: 'relay-1' });
+  assert.equal(getTrustedQCHAINKey(keyPair.keyId).nodeId, 'relay-1');
+  assert.equal(await verifyQCHAINPayload({ a: 1, b: 2 }, signature), true, 'key order does not matter');
+  assert.equal(await verifyQCHAINPayload({ a: 1, b: 3 }, signature), false);
+
+  revokeQCHAINKey(keyPair.keyId);
+  assert.equal(await verifyQCHAINPayload({ a: 1, b: 2 }, signature), false);
+});
+
+test('exported keypairs sign as the same node after import', async () => {
+  const keyPair = await generateQCHAINKeyPair();
+  const restored = await importQCHAINKeyPair(await exportQCHAINKeyPair(keyPair));
+  assert.equal(restored.keyId, keyPair.keyId);
+
+  await trustQCHAINKey(keyPair.publicKey);
+  assert.equal(await verifyQCHAINPayload({ n: 1 }, await signQCHAINPayload({ n: 1 }, { keyPair: restored })), true);
+});
+
+test('logged entries are signed by the node key', async () => {
+  configureQCHAINStorage(new MemoryStore());
+  await logQCHAIN({ event: 'Test Event', txId: 'TEST-SIGNED-1', interplanetary: false });
+
+  const [, entry] = await getQCHAINLogs();
+  assert.equal(await verifyQCHAINEntry(entry), true);
+  assert.equal(await verifyQCHAINEntry({ ...entry, event: 'Forged Event' }), false);
+});
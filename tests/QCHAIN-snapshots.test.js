@@ -0,0 +1,119 @@
+/**
+ * QCHAIN-snapshots.test.js - QCHAIN Snapshots and Compaction
+ * Compacted gaps verify only where a snapshot covers them and retained nothing
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  configureQCHAINStorage,
+  configureQCHAINTransport,
+  configureQCHAINBatching,
+  configureQCHAINSnapshots,
+  configureQCHAINRetention,
+  logQCHAIN,
+  getQCHAINLogs,
+  compactQCHAIN,
+  exportQCHAIN,
+  importQCHAIN,
+  verifyQCHAINChain
+} from '../src/quantum/QCHAIN.js';
+import { DEFAULT_RETENTION_RULES } from '../src/quantum/QCHAIN-retention.js';
+import { MemoryStore } from '../src/quantum/QCHAIN-storage.js';
+import { LoopbackTransport } from '../src/quantum/QCHAIN-transport.js';
+
+configureQCHAINBatching({ size: 4 });
+configureQCHAINSnapshots({ interval: 1 });
+
+/**
+ * Log canon seals between plain entries until a few batches are sealed
+ * @returns {Promise<Array<string>>} txIds of the canon seals
+ */
+const logSealsAndNoise = async () => {
+  const seals = [];
+  for (let i = 0; i < 10; i++) {
+    const txId = i % 3 === 0 ? `CANON-SEAL-${i}` : `TEST-${i}`;
+    await logQCHAIN({ event: 'Test Event', txId, interplanetary: false });
+    if (txId.startsWith('CANON-SEAL-')) {
+      seals.push(txId);
+    }
+  }
+  return seals;
+};
+
+/**
+ * Read an archive of the stored ledger
+ * @returns {Promise<string>} JSON Lines archive
+ */
+const archive = async () => {
+  let text = '';
+  for await (const chunk of exportQCHAIN('jsonl')) {
+    text += typeof chunk === 'string' ? chunk : new TextDecoder().decode(chunk);
+  }
+  return text;
+};
+
+beforeEach(() => {
+  configureQCHAINStorage(new MemoryStore());
+  configureQCHAINTransport(new LoopbackTransport());
+  configureQCHAINRetention(DEFAULT_RETENTION_RULES);
+});
+
+test('snapshots record the hashes of the entries retention keeps forever', async () => {
+  const seals = await logSealsAndNoise();
+  const logs = await getQCHAINLogs({ decrypt: false });
+  const snapshots = logs.filter(entry => entry.event === 'QCHAIN Snapshot');
+  assert.ok(snapshots.length >= 2);
+
+  const retained = Object.assign({}, ...snapshots.map(snapshot => snapshot.metrics.retained));
+  const covered = logs.filter(entry => seals.includes(entry.txId) && entry.sequence <= snapshots.at(-1).metrics.sequence);
+  assert.ok(covered.length > 0);
+  covered.forEach(seal => assert.equal(retained[seal.sequence], seal.hash));
+  assert.ok(!logs.some(entry => entry.txId.startsWith('TEST-') && entry.sequence in retained));
+});
+
+test('a compacted ledger still verifies', async () => {
+  const seals = await logSealsAndNoise();
+  const { removed, compactedBatches } = await compactQCHAIN();
+  assert.ok(removed > 0);
+
+  const logs = await getQCHAINLogs({ decrypt: false });
+  assert.ok(seals.every(txId => logs.some(entry => entry.txId === txId)), 'canon seals survive compaction');
+  const result = await verifyQCHAINChain(logs);
+  assert.equal(result.valid, true);
+  assert.equal(result.compacted, removed);
+
+  // Only batches that lost entries count, and compacting again removes nothing
+  const held = new Set(logs.map(entry => entry.sequence));
+  const missing = Array.from({ length: logs.at(-1).sequence }, (_, sequence) => sequence).filter(sequence => !held.has(sequence));
+  assert.equal(compactedBatches, new Set(missing.map(sequence => Math.floor(sequence / 4))).size);
+  const again = await compactQCHAIN();
+  assert.deepEqual([again.removed, again.compactedBatches], [0, 0]);
+});
+
+test('deleting a retained entry is not mistaken for compaction', async () => {
+  await logSealsAndNoise();
+  await compactQCHAIN();
+  const logs = await getQCHAINLogs({ decrypt: false });
+  const seal = logs.find(entry => entry.txId === 'CANON-SEAL-3');
+
+  const result = await verifyQCHAINChain(logs.filter(entry => entry !== seal));
+  assert.equal(result.valid, false);
+  assert.equal(result.brokenAt.reason, `Retained entry ${seal.sequence} is missing`);
+
+  const text = (await archive()).split('\n').filter(line => !line.includes('"CANON-SEAL-3"')).join('\n');
+  configureQCHAINStorage(new MemoryStore());
+  const imported = await importQCHAIN(text);
+  assert.ok(imported.rejected.some(item => item.reason === `Retained entry ${seal.sequence} is missing`));
+});
+
+test('entries a snapshot retained survive later changes to the retention rules', async () => {
+  const seals = await logSealsAndNoise();
+  configureQCHAINRetention([]);
+  await compactQCHAIN();
+
+  const logs = await getQCHAINLogs({ decrypt: false });
+  assert.ok(seals.every(txId => logs.some(entry => entry.txId === txId)));
+  assert.ok(!logs.some(entry => entry.txId === 'TEST-1'), 'uncommitted entries are still compacted');
+  assert.equal((await verifyQCHAINChain(logs)).valid, true);
+});
@@ -0,0 +1,92 @@
+/**
+ * QCHAIN-storage.test.js - QCHAIN Storage Adapters
+ * Round trips through each adapter and reloading a ledger from storage
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { MemoryStore, FileStore, LocalStorageStore } from '../src/quantum/QCHAIN-storage.js';
+import {
+  configureQCHAINStorage,
+  logQCHAIN,
+  getQCHAINLogs,
+  getCachedQCHAINLogs,
+  verifyQCHAINChain
+} from '../src/quantum/QCHAIN.js';
+
+const entries = [0, 1, 2, 3, 4].map(sequence => ({ sequence, txId: `TEST-${sequence}` }));
+
+/**
+ * Write entries through an adapter, then remove some and read the rest back
+ * @param {Object} store - Storage adapter
+ */
+const roundTrip = async (store) => {
+  await store.append(entries[0]);
+  await store.appendMany(entries.slice(1));
+  assert.deepEqual(await store.load(), entries);
+
+  await store.remove([1, 3]);
+  assert.deepEqual((await store.load()).map(entry => entry.sequence), [0, 2, 4]);
+
+  await store.clear();
+  assert.deepEqual(await store.load(), []);
+};
+
+test('MemoryStore keeps entries in sequence order', async () => {
+  await roundTrip(new MemoryStore());
+});
+
+test('FileStore persists entries as JSON lines', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'qchain-'));
+  try {
+    await roundTrip(new FileStore({ path: join(dir, 'ledger.jsonl') }));
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('LocalStorageStore splits the ledger into segments and migrates the legacy array', async () => {
+  const items = new Map();
+  globalThis.localStorage = {
+    getItem: key => items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+  try {
+    await roundTrip(new LocalStorageStore({ segmentSize: 2 }));
+
+    await new LocalStorageStore({ segmentSize: 2 }).appendMany(entries);
+    assert.deepEqual(JSON.parse(items.get('qchain_logs:segments')), [0, 1, 2]);
+
+    items.clear();
+    items.set('qchain_logs', JSON.stringify(entries));
+    const migrated = new LocalStorageStore({ segmentSize: 2 });
+    assert.deepEqual(await migrated.load(), entries);
+    assert.equal(items.has('qchain_logs'), false);
+  } finally {
+    delete globalThis.localStorage;
+  }
+});
+
+test('a ledger reloads from its store and still verifies', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'qchain-'));
+  const path = join(dir, 'ledger.jsonl');
+  try {
+    configureQCHAINStorage(new FileStore({ path }));
+    await logQCHAIN({ event: 'Test Event', txId: 'TEST-STORED-1', interplanetary: false });
+    await logQCHAIN({ event: 'Test Event', txId: 'TEST-STORED-2', interplanetary: false });
+
+    configureQCHAINStorage(new FileStore({ path }));
+    assert.deepEqual(getCachedQCHAINLogs(), []);
+
+    const logs = await getQCHAINLogs();
+    assert.deepEqual(logs.map(entry => entry.txId), ['QCHAIN-GENESIS', 'TEST-STORED-1', 'TEST-STORED-2']);
+    assert.equal((await verifyQCHAINChain(logs)).valid, true);
+    assert.deepEqual(getCachedQCHAINLogs(), logs);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,103 @@
+/**
+ * QCHAIN-subscriptions.test.js - Live QCHAIN Subscriptions
+ * Live delivery, replay from a sequence, filters and async streams
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'timers/promises';
+import { configureQCHAINStorage, logQCHAIN, subscribeQCHAIN, streamQCHAIN } from '../src/quantum/QCHAIN.js';
+import { MemoryStore } from '../src/quantum/QCHAIN-storage.js';
+
+/**
+ * Log a test entry
+ * @param {string} txId - Transaction ID
+ * @returns {Promise<Object>} Log result
+ */
+const log = (txId) => logQCHAIN({ event: 'Test Event', txId, interplanetary: false });
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Condition to poll
+ * @returns {Promise<void>}
+ */
+const waitFor = async (condition) => {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await delay(5);
+  }
+  assert.ok(condition(), 'condition not reached');
+};
+
+beforeEach(() => {
+  configureQCHAINStorage(new MemoryStore());
+});
+
+test('subscribers see entries appended after they subscribe, until they unsubscribe', async () => {
+  await log('BEFORE-1');
+  const seen = [];
+  const unsubscribe = await subscribeQCHAIN({ txIdPrefix: 'LIVE-' }, entry => seen.push(entry.txId));
+
+  await log('LIVE-1');
+  await log('OTHER-1');
+  await log('LIVE-2');
+  await waitFor(() => seen.length === 2);
+  assert.deepEqual(seen, ['LIVE-1', 'LIVE-2']);
+
+  unsubscribe();
+  await log('LIVE-3');
+  await delay(20);
+  assert.deepEqual(seen, ['LIVE-1', 'LIVE-2']);
+});
+
+test('subscribing from a sequence replays the backlog before live entries, without gaps', async () => {
+  await log('OLD-1');
+  await log('OLD-2');
+
+  const seen = [];
+  const unsubscribe = await subscribeQCHAIN({}, async entry => {
+    await delay(1);
+    seen.push(entry.sequence);
+  }, { fromSequence: 0 });
+  await log('NEW-1');
+
+  await waitFor(() => seen.length === 4);
+  assert.deepEqual(seen, [0, 1, 2, 3]);
+  unsubscribe();
+});
+
+test('a failing handler keeps its subscription', async () => {
+  const seen = [];
+  const error = console.error;
+  console.error = () => {};
+  try {
+    const unsubscribe = await subscribeQCHAIN({ txIdPrefix: 'FAIL-' }, entry => {
+      seen.push(entry.txId);
+      if (entry.txId === 'FAIL-1') {
+        throw new Error('handler failed');
+      }
+    });
+    await log('FAIL-1');
+    await log('FAIL-2');
+    await waitFor(() => seen.length === 2);
+    assert.deepEqual(seen, ['FAIL-1', 'FAIL-2']);
+    unsubscribe();
+  } finally {
+    console.error = error;
+  }
+});
+
+test('streams yield matching entries as an async iterator', async () => {
+  await log('STREAM-1');
+  const stream = streamQCHAIN({ txIdPrefix: 'STREAM-' }, { fromSequence: 0 });
+  const logged = log('STREAM-2');
+
+  const txIds = [];
+  for await (const entry of stream) {
+    txIds.push(entry.txId);
+    if (txIds.length === 2) {
+      break;
+    }
+  }
+  await logged;
+  assert.deepEqual(txIds, ['STREAM-1', 'STREAM-2']);
+});
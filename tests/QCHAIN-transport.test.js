@@ -0,0 +1,86 @@
+/**
+ * QCHAIN-transport.test.js - QCHAIN Transport Adapters
+ * Acknowledgements from the loopback, HTTP and WebSocket transports
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LoopbackTransport, HttpTransport, WebSocketTransport } from '../src/quantum/QCHAIN-transport.js';
+import { hashQCHAINEntry } from '../src/quantum/QCHAIN-encoding.js';
+
+/**
+ * Build an entry with its hash
+ * @param {number} sequence - Entry sequence
+ * @returns {Promise<Object>} Entry
+ */
+const hashedEntry = async (sequence) => {
+  const entry = { sequence, txId: `TEST-${sequence}` };
+  return { ...entry, hash: await hashQCHAINEntry(entry) };
+};
+
+test('the loopback ledger acknowledges each txId once, at its first position', async () => {
+  const transport = new LoopbackTransport();
+  const [first, second] = [await hashedEntry(0), await hashedEntry(1)];
+
+  assert.deepEqual(await transport.send([first, second]), [
+    { txId: 'TEST-0', status: 'acknowledged', hash: first.hash, position: 0 },
+    { txId: 'TEST-1', status: 'acknowledged', hash: second.hash, position: 1 }
+  ]);
+  assert.equal((await transport.send([second]))[0].position, 1);
+  assert.equal(transport.getEntries().length, 2);
+});
+
+test('the loopback ledger rejects edited entries and fails while its link is down', async () => {
+  const transport = new LoopbackTransport();
+  const edited = { ...await hashedEntry(0), txId: 'TEST-EDITED' };
+  assert.equal((await transport.send([edited]))[0].status, 'rejected');
+
+  transport.setOnline(false);
+  await assert.rejects(transport.send([await hashedEntry(1)]), /link is down/);
+});
+
+test('HttpTransport posts entries and returns the ledger acknowledgements', async () => {
+  const requests = [];
+  const transport = new HttpTransport({
+    url: 'http://ledger.test/append',
+    headers: { Authorization: 'Bearer token' },
+    fetch: async (url, init) => {
+      requests.push({ url, init });
+      const { entries } = JSON.parse(init.body);
+      return { ok: true, json: async () => ({ acknowledgements: entries.map(entry => ({ txId: entry.txId, status: 'acknowledged' })) }) };
+    }
+  });
+
+  assert.deepEqual(await transport.send([await hashedEntry(0)]), [{ txId: 'TEST-0', status: 'acknowledged' }]);
+  assert.equal(requests[0].url, 'http://ledger.test/append');
+  assert.equal(requests[0].init.headers.Authorization, 'Bearer token');
+
+  const failing = new HttpTransport({ url: 'http://ledger.test/append', fetch: async () => ({ ok: false, status: 503 }) });
+  await assert.rejects(failing.send([await hashedEntry(0)]), /Ledger responded 503/);
+});
+
+test('WebSocketTransport matches replies to requests by id', async () => {
+  /**
+   * Socket that answers every append with acknowledgements for its entries
+   */
+  class EchoSocket {
+    constructor() {
+      this.readyState = 1;
+      setTimeout(() => this.onopen());
+    }
+
+    send(data) {
+      const { id, entries } = JSON.parse(data);
+      const reply = { type: 'ack', id, acknowledgements: entries.map(entry => ({ txId: entry.txId, status: 'acknowledged' })) };
+      setTimeout(() => this.onmessage({ data: JSON.stringify(reply) }));
+    }
+
+    close() {}
+  }
+
+  const transport = new WebSocketTransport({ url: 'ws://ledger.test', WebSocket: EchoSocket });
+  const [a, b] = await Promise.all([transport.send([await hashedEntry(0)]), transport.send([await hashedEntry(1)])]);
+  assert.equal(a[0].txId, 'TEST-0');
+  assert.equal(b[0].txId, 'TEST-1');
+  await transport.close();
+});
@@ -0,0 +1,48 @@
+/**
+ * QCHAIN-txid.test.js - QCHAIN Transaction IDs
+ * Structured IDs that decode to their issuer, and rejection of duplicate txIds
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QCHAINTxIdGenerator, parseQCHAINTxId } from '../src/quantum/QCHAIN-txid.js';
+import { HybridLogicalClock } from '../src/time/HybridLogicalClock.js';
+import { configureQCHAINStorage, logQCHAIN, createQCHAINTxId, getQCHAINLogs } from '../src/quantum/QCHAIN.js';
+import { MemoryStore } from '../src/quantum/QCHAIN-storage.js';
+
+test('txIds carry the namespace, HLC, sequence and node, and decode back', () => {
+  const clock = new HybridLogicalClock({ nodeId: 'earth-relay-1', now: () => 1750000000000 });
+  const generator = new QCHAINTxIdGenerator({ clock: () => clock, randomBytes: bytes => bytes.fill(0xab) });
+
+  const txId = generator.next('QASF-GATE');
+  assert.equal(txId, 'QASF-GATE-1750000000000.0.0.abababababababab@earth-relay-1');
+  assert.deepEqual(parseQCHAINTxId(txId), {
+    namespace: 'QASF-GATE',
+    hlc: { physical: 1750000000000, logical: 0, node: 'earth-relay-1' },
+    node: 'earth-relay-1',
+    sequence: 0,
+    random: 'abababababababab'
+  });
+  assert.equal(parseQCHAINTxId(generator.next('QASF-GATE')).hlc.logical, 1);
+  assert.equal(parseQCHAINTxId('QASF-GATE-1'), null);
+});
+
+test('namespaces and node IDs that would make an ID ambiguous are refused', () => {
+  const generator = new QCHAINTxIdGenerator({ clock: () => new HybridLogicalClock({ nodeId: 'bad node' }) });
+  assert.throws(() => generator.next('QASF GATE'), /Invalid QCHAIN txId namespace/);
+  assert.throws(() => generator.next('QASF'), /cannot appear in a txId/);
+});
+
+test('IDs issued in quick succession are distinct', () => {
+  const ids = new Set(Array.from({ length: 1000 }, () => createQCHAINTxId('TEST')));
+  assert.equal(ids.size, 1000);
+});
+
+test('logQCHAIN rejects a txId that is already logged', async () => {
+  configureQCHAINStorage(new MemoryStore());
+  const txId = createQCHAINTxId('TEST');
+  await logQCHAIN({ event: 'Test Event', txId, interplanetary: false });
+
+  await assert.rejects(logQCHAIN({ event: 'Test Event', txId, interplanetary: false }), /Duplicate QCHAIN txId: .* at sequence 1/);
+  assert.equal((await getQCHAINLogs()).filter(entry => entry.txId === txId).length, 1);
+});
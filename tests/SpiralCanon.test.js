@@ -0,0 +1,47 @@
+/**
+ * SpiralCanon.test.js - Canon Seals
+ * Post-quantum canon seals, their verification and tampered seals
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpiralCanon } from '../governance/SpiralCanon.js';
+import { MSS_WOTS_SHA256, generatePostQuantumKeyPair } from '../src/quantum/QCHAIN-pq.js';
+import { setQCHAINPostQuantumKey } from '../src/quantum/QCHAIN-signing.js';
+import { configureQCHAINStorage, getQCHAINLogs } from '../src/quantum/QCHAIN.js';
+import { MemoryStore } from '../src/quantum/QCHAIN-storage.js';
+
+let canon;
+
+before(async () => {
+  configureQCHAINStorage(new MemoryStore());
+  await setQCHAINPostQuantumKey(await generatePostQuantumKeyPair({ height: 3 }));
+  canon = new SpiralCanon();
+});
+
+test('a canon sealed with the post-quantum key verifies, and the seal is logged', async () => {
+  const { status, canon: sealed } = await canon.sealCanon('XLV', { signatureAlgorithm: MSS_WOTS_SHA256 });
+  assert.equal(status, 'sealed');
+  assert.equal(sealed.signature.alg, MSS_WOTS_SHA256);
+  assert.equal(await canon.verifyCanonSeal('XLV'), true);
+
+  const logged = (await getQCHAINLogs()).find(entry => entry.event === 'Canon Sealed: XLV');
+  assert.equal(logged.metrics.signatureAlgorithm, MSS_WOTS_SHA256);
+  assert.equal(logged.metrics.signatureKeyId, sealed.signature.keyId);
+});
+
+test('a seal no longer verifies once the canon or its signature is altered', async () => {
+  await canon.sealCanon('LI', { signatureAlgorithm: MSS_WOTS_SHA256 });
+  const sealed = canon.canons.get('LI');
+  const { declaration, signature } = sealed;
+
+  sealed.declaration = 'Truth\'s Scarcity';
+  assert.equal(await canon.verifyCanonSeal('LI'), false);
+
+  sealed.declaration = declaration;
+  sealed.signature = { ...signature, leaf: signature.leaf + 1 };
+  assert.equal(await canon.verifyCanonSeal('LI'), false);
+
+  sealed.signature = signature;
+  assert.equal(await canon.verifyCanonSeal('LI'), true);
+});
@@ -9,11 +9,11 @@
  */
 
 import { QASFCore } from '../src/quantum/QASF-core.js';
-import { logQCHAIN } from '../src/quantum/QCHAIN.js';
+import { logQCHAIN, createQCHAINTxId } from '../src/quantum/QCHAIN.js';
 import { rememberIyonael } from '../src/breath/Iyonael.js';
 import SpiralClock from '../src/time/SpiralClock.js';
 import SpiralScript from '../src/script/SpiralScript.js';
-import SpiralCanon from '../src/governance/SpiralCanon.js';
+import SpiralCanon from '../governance/SpiralCanon.js';
 
 // Validation configuration
 const VALIDATION_CONFIG = {
@@ -59,7 +59,7 @@ async function validateSystemCoherence() {
     // Log validation start to QCHAIN
     await logQCHAIN({
       event: 'System Coherence Validation Start',
-      txId: `COHERENCE-VALIDATE-${Date.now()}`,
+      txId: createQCHAINTxId('COHERENCE-VALIDATE'),
       metrics: {
         config: JSON.stringify(VALIDATION_CONFIG),
         phiCoherence: VALIDATION_CONFIG.phiCoherenceTarget,
@@ -104,7 +104,7 @@ async function validateSystemCoherence() {
     // Log validation completion to QCHAIN
     await logQCHAIN({
       event: 'System Coherence Validation Complete',
-      txId: `COHERENCE-VALIDATE-COMPLETE-${Date.now()}`,
+      txId: createQCHAINTxId('COHERENCE-VALIDATE-COMPLETE'),
       metrics: {
         validationDuration: metrics.validationDuration,
         phiCoherenceMeasured: metrics.phiCoherenceMeasured,
@@ -132,7 +132,7 @@ async function validateSystemCoherence() {
     // Log validation failure to QCHAIN
     await logQCHAIN({
       event: 'System Coherence Validation Failed',
-      txId: `COHERENCE-VALIDATE-FAILED-${Date.now()}`,
+      txId: createQCHAINTxId('COHERENCE-VALIDATE-FAILED'),
       metrics: {
         error: error.message,
         stack: error.stack,
@@ -175,7 +175,7 @@ async function validatePhiCoherence(qasf, metrics) {
   // Log validation results to QCHAIN
   await logQCHAIN({
     event: 'φ-Coherence Validation',
-    txId: `COHERENCE-PHI-${Date.now()}`,
+    txId: createQCHAINTxId('COHERENCE-PHI'),
     metrics: {
       phiCoherenceMeasured: metrics.phiCoherenceMeasured,
       phiCoherenceTarget: VALIDATION_CONFIG.phiCoherenceTarget,
@@ -227,7 +227,7 @@ async function validateCanonicalPrinciples(canon, metrics) {
       // Log validation results to QCHAIN
       await logQCHAIN({
         event: `Canonical Principle Validation: ${principle}`,
-        txId: `COHERENCE-CANON-${Date.now()}`,
+        txId: createQCHAINTxId('COHERENCE-CANON'),
         metrics: {
           principle,
           canonNumber: matchingCanon.number,
@@ -243,7 +243,7 @@ async function validateCanonicalPrinciples(canon, metrics) {
       // Log validation results to QCHAIN
       await logQCHAIN({
         event: `Canonical Principle Validation: ${principle}`,
-        txId: `COHERENCE-CANON-${Date.now()}`,
+        txId: createQCHAINTxId('COHERENCE-CANON'),
         metrics: {
           principle,
           error: 'Canon not found',
@@ -298,7 +298,7 @@ async function validateMetaphysicalPrinciples(iyonael, metrics) {
     // Log validation results to QCHAIN
     await logQCHAIN({
       event: `Metaphysical Principle Validation: ${principle}`,
-      txId: `COHERENCE-METAPHYSICAL-${Date.now()}`,
+      txId: createQCHAINTxId('COHERENCE-METAPHYSICAL'),
       metrics: {
         principle,
         alignment: ethicsResult.alignment,
@@ -356,7 +356,7 @@ async function validateCrossModuleHarmony(qasf, iyonael, clock, script, canon, m
       // Log validation results to QCHAIN
       await logQCHAIN({
         event: `Cross-Module Harmony Validation: ${pair.name}`,
-        txId: `COHERENCE-HARMONY-${Date.now()}`,
+        txId: createQCHAINTxId('COHERENCE-HARMONY'),
         metrics: {
           modulePair: pair.name,
           harmony: result.harmony,
@@ -371,7 +371,7 @@ async function validateCrossModuleHarmony(qasf, iyonael, clock, script, canon, m
       // Log validation results to QCHAIN
       await logQCHAIN({
         event: `Cross-Module Harmony Validation: ${pair.name}`,
-        txId: `COHERENCE-HARMONY-${Date.now()}`,
+        txId: createQCHAINTxId('COHERENCE-HARMONY'),
         metrics: {
           modulePair: pair.name,
           error: error.message,
@@ -571,7 +571,7 @@ async function validateTruthAlignment(metrics) {
   // Log validation results to QCHAIN
   await logQCHAIN({
     event: 'Truth Alignment Validation',
-    txId: `COHERENCE-TRUTH-${Date.now()}`,
+    txId: createQCHAINTxId('COHERENCE-TRUTH'),
     metrics: {
       truthAlignment: metrics.truthAlignment,
       phiCoherenceScore,